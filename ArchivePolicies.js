@@ -0,0 +1,542 @@
+/**
+ * @fileoverview
+ * 歸檔規則引擎：依 'Archive Policies' 工作表中的規則列，把符合條件的資料列從來源表搬到歸檔表。
+ * 每一列規則描述：來源 / 歸檔工作表、狀態值、時間門檻 (例如 Act. Ship Date 超過 90 天)、額外條件 (例如已開 Estimate)，
+ * 以及要保留的 ARRAYFORMULA 欄 (Preserve Columns；Config.SCHEMAS 中標記 arrayFormula 的欄會自動加入)。
+ *
+ * - 試跑 (Dry Run)：只列出會被搬移的列，寫入 'Archive Dry Run' 工作表，不修改任何資料。
+ * - 執行：在 Script Lock 內逐一套用規則；符合的列先附加到歸檔表，再以 deleteRecords 由下往上刪除，
+ *   其餘列 (與其中的公式) 不會被改寫。有搬移資料或失敗的規則在 'Archive Manifest' 寫入一列 (Run ID、使用者、筆數、鍵值)；
+ *   試跑的每條規則都會記錄。歸檔表若有 'Archive Run ID' 欄，搬過去的列會帶上 Run ID，可以從歸檔列追溯到執行紀錄。
+ * - Preserve Columns：公式放在第一個資料列 (而不是標頭列) 時，刪除該列會連公式一起刪掉，因此這種列只清空其他欄、保留公式；
+ *   歸檔表的同一欄若也由 ARRAYFORMULA 產生，搬過去的列不寫入該欄 (寫入值會讓公式變成 #REF!)。
+ * - 'Archive Policies' 中的規則 (含 BOL_DB / Shipment_Planning_DB) 只由選單或 installArchivePolicyTrigger() 建立的每日觸發器執行；
+ *   Void / Revise / Split 後的自動歸檔 (archiveProcessedPOs_Safe) 只搬該訂單來源的 Raw Data。
+ * - 欄位可以用 Config.SCHEMAS 的欄位代號或標頭文字指定；沒有 Schema 的表 (例如 Direct Quote) 以標頭文字比對。
+ * - 目前只支援 'sheets' 儲存後端的表；表已遷移到文件資料庫時，該規則會以 Error 記錄在 Manifest 中。
+ *
+ * 'Archive Policies' 不存在時，第一次讀取會以 getDefaultArchivePolicyRows_() 建立。
+ */
+
+const ARCHIVE_POLICY_SHEET_NAME = 'Archive Policies';
+const ARCHIVE_POLICY_HEADERS = ['Policy', 'Enabled', 'Source Sheet', 'Archive Sheet', 'Status Field', 'Status Values', 'Age Field', 'Min Age (Days)', 'Conditions', 'Preserve Columns'];
+const ARCHIVE_POLICY_HANDLER = 'runScheduledArchivePolicies';
+const ARCHIVE_MANIFEST_SHEET_NAME = 'Archive Manifest';
+const ARCHIVE_MANIFEST_HEADERS = ['Run ID', 'Run At', 'User', 'Mode', 'Policy', 'Source Sheet', 'Archive Sheet', 'Outcome', 'Rows Matched', 'Rows Moved', 'Keys', 'Message'];
+const ARCHIVE_DRY_RUN_SHEET_NAME = 'Archive Dry Run';
+const ARCHIVE_DRY_RUN_HEADERS = ['Run ID', 'Policy', 'Source Sheet', 'Row', 'Key', 'Status', 'Age Date', 'Archive Sheet'];
+// 歸檔表中記錄 Run ID 的欄位 (選用)
+const ARCHIVE_RUN_ID_HEADER = 'Archive Run ID';
+// Status Values 中代表「空白狀態」的寫法
+const ARCHIVE_BLANK_STATUS_TOKEN = '(blank)';
+// Manifest 的 Keys 欄最多寫入的字元數 (儲存格上限為 50000)
+const ARCHIVE_MANIFEST_KEYS_LIMIT = 45000;
+
+/**
+ * 規則的 Conditions 欄可使用的條件。每個條件接收 (row, run)，
+ * row 提供 poNumber / poSkuKey，run 提供本次執行共用的查詢結果 (只在第一次使用時讀取)。
+ */
+const ARCHIVE_CONDITIONS = {
+  // P/O 在 Operation Dashboard 已有 Estimate #
+  estimated: (row, run) => !!row.poNumber && run.getEstimatedPoNumbers().has(row.poNumber),
+  // PO|SKU 在 Shipment_Planning_DB 的狀態為 Fulfilled
+  fulfilled: (row, run) => !!row.poSkuKey && run.getFulfilledPoSkuKeys().has(row.poSkuKey)
+};
+
+/**
+ * 選單進入點：試跑所有啟用的規則，以對話框顯示摘要。
+ */
+function previewArchivePolicies() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = runArchivePolicies({ dryRun: true });
+    ui.alert(`${formatArchiveRunSummary_(result)}\n\nSee the '${ARCHIVE_DRY_RUN_SHEET_NAME}' sheet for the rows that would move.`);
+  } catch (e) {
+    Logger.log(`previewArchivePolicies Error: ${e.message}`);
+    ui.alert(`Archive dry run failed: ${e.message}`);
+  }
+}
+
+/**
+ * 選單進入點：確認後執行所有啟用的規則。
+ */
+function applyArchivePolicies() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert('Run Archive Policies', 'Move all rows matched by the enabled archive policies now?', ui.ButtonSet.YES_NO);
+  if (answer !== ui.Button.YES) return;
+  try {
+    const result = runArchivePolicies({ dryRun: false });
+    ui.alert(`${formatArchiveRunSummary_(result)}\n\nSee the '${ARCHIVE_MANIFEST_SHEET_NAME}' sheet (Run ID ${result.runId}).`);
+  } catch (e) {
+    Logger.log(`applyArchivePolicies Error: ${e.message}`);
+    ui.alert(`Archive run failed: ${e.message}`);
+  }
+}
+
+/**
+ * 觸發器進入點 (沒有 UI)：執行所有啟用的規則並把摘要寫入 Log。
+ */
+function runScheduledArchivePolicies() {
+  const result = runArchivePolicies({ dryRun: false });
+  Logger.log(`Scheduled archive run ${result.runId}:\n${formatArchiveRunSummary_(result)}`);
+}
+
+/**
+ * 建立每日一次的歸檔觸發器 (重複執行會先刪除舊的，不會重複建立)。需手動執行一次完成授權。
+ */
+function installArchivePolicyTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === ARCHIVE_POLICY_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  ScriptApp.newTrigger(ARCHIVE_POLICY_HANDLER)
+    .timeBased()
+    .everyDays(1)
+    .atHour(2)
+    .create();
+  Logger.log('Daily archive policy trigger installed.');
+}
+
+/**
+ * 套用歸檔規則。單一規則失敗不會中斷其他規則，結果記錄為 'Error'。
+ * @param {{dryRun?: boolean, policies?: Array<Object>}} [options]
+ *   dryRun: 只列出會被搬移的列；policies: 指定要套用的規則 (預設為 'Archive Policies' 中啟用的規則)。
+ * @returns {{success: boolean, runId: string, dryRun: boolean, results: Array<{policy: string, sourceSheet: string, archiveSheet: string, outcome: string, matched: number, moved: number, message: string, rows: Array<Object>}>}}
+ *   outcome: 'Archived' | 'Dry Run' | 'Skipped' | 'Error'。
+ */
+function runArchivePolicies(options = {}) {
+  const dryRun = !!options.dryRun;
+  const policies = options.policies || getArchivePolicies().filter(policy => policy.enabled);
+  const run = createArchiveRun_(dryRun);
+
+  const results = policies.map(policy => {
+    try {
+      return applyArchivePolicy_(policy, run);
+    } catch (e) {
+      Logger.log(`Archive policy '${policy.name}' failed: ${e.message}`);
+      return createArchivePolicyResult_(policy, 'Error', [], 0, e.message);
+    }
+  });
+
+  writeArchiveManifest_(run, results);
+  if (dryRun) writeArchiveDryRunReport_(run, results);
+  return { success: results.every(result => result.outcome !== 'Error'), runId: run.runId, dryRun, results };
+}
+
+/**
+ * 讀取 'Archive Policies' (不存在時以預設規則建立)。
+ * @returns {Array<{name: string, enabled: boolean, sourceSheet: string, archiveSheet: string, statusField: string, statusValues: string[], ageField: string, minAgeDays: (number|null), conditions: string[], preserveColumns: string[]}>}
+ */
+function getArchivePolicies() {
+  const ss = getWorkbook_();
+  let sheet = ss.getSheetByName(ARCHIVE_POLICY_SHEET_NAME);
+  if (!sheet) {
+    const rows = getDefaultArchivePolicyRows_();
+    sheet = ss.insertSheet(ARCHIVE_POLICY_SHEET_NAME, ss.getSheets().length);
+    sheet.getRange(1, 1, 1, ARCHIVE_POLICY_HEADERS.length).setValues([ARCHIVE_POLICY_HEADERS]).setFontWeight('bold');
+    sheet.getRange(2, 1, rows.length, ARCHIVE_POLICY_HEADERS.length).setValues(rows);
+    sheet.setFrozenRows(1);
+  }
+  if (sheet.getLastRow() < 2) return [];
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(normalizeHeader_);
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+    .map(values => {
+      const cell = header => {
+        const index = headers.indexOf(normalizeHeader_(header));
+        return index === -1 ? '' : values[index];
+      };
+      return parseArchivePolicy_(cell);
+    })
+    .filter(policy => policy.name || policy.sourceSheet);
+}
+
+/**
+ * 建立 'Archive Policies' 時寫入的預設規則。
+ * @returns {Array<Array<*>>} 依 ARCHIVE_POLICY_HEADERS 排列的列。
+ */
+function getDefaultArchivePolicyRows_() {
+  const names = Config.SHEET_NAMES;
+  return [
+    ['Dealer PO processed', true, names.DEALER_PO_RAW, names.DEALER_PO_ARCHIVE, 'STATUS', PROCESSED_PO_STATUSES.join(', '), '', '', '', ''],
+    ['Direct Quote processed', true, names.DIRECT_QUOTE_RAW, names.DIRECT_QUOTE_ARCHIVE, 'Status', PROCESSED_PO_STATUSES.join(', '), '', '', '', ''],
+    ['BOL fulfilled and estimated > 90 days', true, names.BOL_DB, `${names.BOL_DB} | Archive`, 'STATUS', 'Fulfilled', 'ACT_SHIP_DATE', 90, 'estimated', ''],
+    ['Planning fulfilled and estimated > 90 days', true, names.SHIPMENT_PLANNING_DB, `${names.SHIPMENT_PLANNING_DB} | Archive`, 'STATUS', 'Fulfilled', 'EST_SHIP_DATE', 90, 'estimated', '']
+  ];
+}
+
+/**
+ * 把一列規則轉為規則物件 (內容在套用時由 assertArchivePolicy_ 檢查)。
+ * @param {function(string): *} cell - 依標頭取值。
+ * @returns {Object}
+ */
+function parseArchivePolicy_(cell) {
+  const list = value => String(value || '').split(',').map(item => item.trim()).filter(item => item);
+  const text = value => String(value === null || value === undefined ? '' : value).trim();
+  const enabled = cell('Enabled');
+  const sourceSheet = text(cell('Source Sheet'));
+  const minAge = cell('Min Age (Days)');
+
+  return {
+    name: text(cell('Policy')) || sourceSheet,
+    enabled: enabled === true || /^(true|yes|y|1)$/i.test(text(enabled)),
+    sourceSheet,
+    archiveSheet: text(cell('Archive Sheet')) || `${sourceSheet} | Archive`,
+    statusField: text(cell('Status Field')) || 'STATUS',
+    statusValues: list(cell('Status Values')),
+    ageField: text(cell('Age Field')),
+    minAgeDays: minAge === '' || minAge === null || isNaN(Number(minAge)) ? null : Number(minAge),
+    conditions: list(cell('Conditions')).map(name => name.toLowerCase()),
+    preserveColumns: list(cell('Preserve Columns'))
+  };
+}
+
+/**
+ * 檢查規則是否完整，避免設定錯誤時把整張表搬走。
+ * @param {Object} policy
+ */
+function assertArchivePolicy_(policy) {
+  if (!policy.sourceSheet) throw new Error('Source Sheet is required.');
+  if (policy.archiveSheet === policy.sourceSheet) throw new Error('Archive Sheet must differ from Source Sheet.');
+  if (policy.statusValues.length === 0 && policy.minAgeDays === null) {
+    throw new Error('Set Status Values or Min Age (Days); a policy without either would archive every row.');
+  }
+  if (policy.minAgeDays !== null && !policy.ageField) throw new Error('Age Field is required when Min Age (Days) is set.');
+  const unknown = policy.conditions.filter(name => !ARCHIVE_CONDITIONS.hasOwnProperty(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown condition(s): ${unknown.join(', ')}. Available: ${Object.keys(ARCHIVE_CONDITIONS).join(', ')}.`);
+  }
+}
+
+/**
+ * 套用單一規則。
+ * @param {Object} policy
+ * @param {Object} run - createArchiveRun_ 的結果。
+ * @returns {Object} 規則結果 (見 runArchivePolicies)。
+ */
+function applyArchivePolicy_(policy, run) {
+  assertArchivePolicy_(policy);
+  const ss = getWorkbook_();
+  const sourceSheet = ss.getSheetByName(policy.sourceSheet);
+  if (!sourceSheet) {
+    return createArchivePolicyResult_(policy, 'Skipped', [], 0, `Sheet '${policy.sourceSheet}' not found.`);
+  }
+
+  const apply = () => {
+    const table = readArchiveSourceTable_(policy);
+    const matchedRows = table.rows
+      .map((values, index) => describeArchiveRow_(table, values, index))
+      .filter(row => matchesArchivePolicy_(policy, row, run));
+
+    if (run.dryRun) return createArchivePolicyResult_(policy, 'Dry Run', matchedRows, 0, `${matchedRows.length} row(s) would move.`);
+    if (matchedRows.length === 0) return createArchivePolicyResult_(policy, 'Archived', [], 0, 'Nothing to archive.');
+
+    const archived = appendArchiveRows_(policy, table, matchedRows, run.runId);
+    removeArchivedSourceRows_(policy, table, matchedRows, archived);
+    invalidateRecordCache(policy.archiveSheet);
+    Logger.log(`[${run.runId}] ${policy.name}: archived ${matchedRows.length} row(s), kept ${table.rows.length - matchedRows.length} row(s).`);
+    return createArchivePolicyResult_(policy, 'Archived', matchedRows, matchedRows.length, `Moved ${matchedRows.length} row(s).`);
+  };
+  return run.dryRun ? apply() : runWithSheetLock(apply);
+}
+
+/**
+ * 讀取來源表的標頭與資料，並解析規則用到的欄位。
+ * @param {Object} policy
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: Array<*>, headerRow: number, rows: Array<Array<*>>, statusColumn: number, ageColumn: (number|null), poColumn: (number|null), poSkuKeyColumn: (number|null), preserveColumns: number[]}}
+ */
+function readArchiveSourceTable_(policy) {
+  const sheetName = policy.sourceSheet;
+  const schema = getSheetSchema(sheetName);
+  if (schema) assertSheetsBackend_(sheetName);
+
+  const sheet = getWorkbook_().getSheetByName(sheetName);
+  const headerRow = schema ? schema.headerRow : 1;
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0 ? sheet.getRange(headerRow, 1, 1, lastColumn).getValues()[0] : [];
+  const schemaColumns = schema ? resolveSchemaColumns(sheetName, headers) : {};
+  const resolve = name => {
+    if (schemaColumns[name]) return schemaColumns[name];
+    const index = headers.map(normalizeHeader_).indexOf(normalizeHeader_(name));
+    return index === -1 ? null : index + 1;
+  };
+  const requireColumn = (name, label) => {
+    const column = resolve(name);
+    if (!column) throw new Error(`${label} '${name}' not found in '${sheetName}'.`);
+    return column;
+  };
+
+  const statusColumn = requireColumn(policy.statusField, 'Status Field');
+  const ageColumn = policy.ageField ? requireColumn(policy.ageField, 'Age Field') : null;
+  const schemaFormulaColumns = schema ? getArrayFormulaColumns(sheetName) : [];
+  const preserveColumns = schemaFormulaColumns.concat(policy.preserveColumns.map(name => requireColumn(name, 'Preserve Column')));
+
+  const lastRow = sheet.getLastRow();
+  const rows = lastRow > headerRow && lastColumn > 0
+    ? sheet.getRange(headerRow + 1, 1, lastRow - headerRow, lastColumn).getValues()
+    : [];
+
+  return {
+    sheet,
+    headers,
+    headerRow,
+    rows,
+    statusColumn,
+    ageColumn,
+    poColumn: resolve('PO_NUMBER') || resolve('P/O'),
+    poSkuKeyColumn: resolve('PO_SKU_KEY'),
+    preserveColumns: [...new Set(preserveColumns)]
+  };
+}
+
+/**
+ * 條件判斷與報表用的列資訊。
+ * @returns {{values: Array<*>, rowNumber: number, status: string, ageDate: (Date|null), poNumber: string, poSkuKey: string, key: string}}
+ */
+function describeArchiveRow_(table, values, index) {
+  const at = column => (column ? values[column - 1] : '');
+  const poSkuKey = normalizePoSkuKey(at(table.poSkuKeyColumn));
+  const parsedKey = poSkuKey ? parsePoSkuKey(poSkuKey) : null;
+  const poNumber = String(at(table.poColumn) || '').trim() || (parsedKey ? parsedKey.poNumber : '');
+  const ageValue = at(table.ageColumn);
+  return {
+    values,
+    rowNumber: table.headerRow + 1 + index,
+    status: String(at(table.statusColumn)).trim(),
+    ageDate: ageValue instanceof Date && !isNaN(ageValue.getTime()) ? ageValue : null,
+    poNumber,
+    poSkuKey,
+    key: poNumber && table.poColumn ? poNumber : (poSkuKey || poNumber)
+  };
+}
+
+/**
+ * 列是否符合規則：狀態、時間門檻與所有條件都必須成立 (未設定的項目視為成立)。
+ * @returns {boolean}
+ */
+function matchesArchivePolicy_(policy, row, run) {
+  if (policy.statusValues.length > 0) {
+    const status = row.status || ARCHIVE_BLANK_STATUS_TOKEN;
+    if (!policy.statusValues.some(value => value.toLowerCase() === status.toLowerCase())) return false;
+  }
+  if (policy.minAgeDays !== null) {
+    if (!row.ageDate) return false;
+    if (run.startedAt.getTime() - row.ageDate.getTime() <= policy.minAgeDays * 24 * 60 * 60 * 1000) return false;
+  }
+  return policy.conditions.every(name => ARCHIVE_CONDITIONS[name](row, run));
+}
+
+/**
+ * 依標頭名稱把列附加到歸檔表 (不存在時以來源標頭加上 'Archive Run ID' 建立)。
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, firstRow: number}} 附加的位置，刪除來源列失敗時用來撤回。
+ */
+function appendArchiveRows_(policy, table, matchedRows, runId) {
+  const ss = getWorkbook_();
+  let archiveSheet = ss.getSheetByName(policy.archiveSheet);
+  if (!archiveSheet) {
+    archiveSheet = ss.insertSheet(policy.archiveSheet, ss.getSheets().length);
+    const headers = table.headers.concat([ARCHIVE_RUN_ID_HEADER]);
+    archiveSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    archiveSheet.setFrozenRows(1);
+  } else if (archiveSheet.getLastRow() === 0) {
+    archiveSheet.getRange(1, 1, 1, table.headers.length).setValues([table.headers]);
+  }
+
+  const archiveHeaders = archiveSheet.getRange(1, 1, 1, archiveSheet.getLastColumn()).getValues()[0];
+  const runIdIndex = archiveHeaders.map(normalizeHeader_).indexOf(normalizeHeader_(ARCHIVE_RUN_ID_HEADER));
+  // 歸檔表中由 ARRAYFORMULA 產生的保留欄不寫入
+  const preservedHeaders = table.preserveColumns.map(column => normalizeHeader_(table.headers[column - 1]));
+  const formulaColumns = getArrayFormulaAnchorColumns_(archiveSheet, 1, archiveHeaders.length);
+  const skipIndexes = archiveHeaders
+    .map((header, index) => (preservedHeaders.indexOf(normalizeHeader_(header)) !== -1 && formulaColumns.has(index + 1) ? index : -1))
+    .filter(index => index !== -1);
+  const archiveRows = matchedRows.map(row => {
+    const archiveRow = remapRowByHeaders_(row.values, table.headers, archiveHeaders);
+    skipIndexes.forEach(index => { archiveRow[index] = ''; });
+    if (runIdIndex !== -1) archiveRow[runIdIndex] = runId;
+    return archiveRow;
+  });
+  const firstRow = archiveSheet.getLastRow() + 1;
+  archiveSheet.getRange(firstRow, 1, archiveRows.length, archiveHeaders.length).setValues(archiveRows);
+  return { sheet: archiveSheet, firstRow };
+}
+
+/**
+ * 從來源表移除已歸檔的列：一般列以 deleteRecords 刪除 (由下往上，其餘列不會被改寫)，刪除前核對狀態欄仍是讀取時的值；
+ * 保留欄中放著 ARRAYFORMULA 公式的列只清空其他欄 (updateRecords 會保留公式)。
+ * 沒移除的列會從歸檔表撤回，避免同一列同時留在兩邊，並拋出錯誤。
+ * @param {Object} policy
+ * @param {Object} table - readArchiveSourceTable_ 的結果。
+ * @param {Array<Object>} matchedRows - describeArchiveRow_ 的結果。
+ * @param {{sheet: GoogleAppsScript.Spreadsheet.Sheet, firstRow: number}} archived - appendArchiveRows_ 的結果。
+ */
+function removeArchivedSourceRows_(policy, table, matchedRows, archived) {
+  const anchorRows = new Set();
+  table.preserveColumns.forEach(column => {
+    const formulas = table.sheet.getRange(table.headerRow + 1, column, table.rows.length, 1).getFormulas();
+    matchedRows.forEach(row => {
+      if (/ARRAYFORMULA\s*\(/i.test(String(formulas[row.rowNumber - table.headerRow - 1][0]))) anchorRows.add(row);
+    });
+  });
+  const clearedRows = matchedRows.filter(row => anchorRows.has(row));
+  const deletedRows = matchedRows.filter(row => !anchorRows.has(row));
+
+  const failed = [];
+  const collectFailures = (rows, result) => result.results
+    .filter(r => !r.success)
+    .forEach(r => failed.push({ row: rows[r.index], message: r.message }));
+
+  if (clearedRows.length > 0) {
+    const clearedFields = table.headers
+      .map((header, index) => (String(header).trim() && table.preserveColumns.indexOf(index + 1) === -1 ? String(header) : ''))
+      .filter(String);
+    const blank = clearedFields.reduce((record, header) => Object.assign(record, { [header]: '' }), {});
+    collectFailures(clearedRows, updateRecords(policy.sourceSheet, clearedRows.map(row => Object.assign({ _rowNumber: row.rowNumber }, blank))));
+  }
+  if (deletedRows.length > 0) {
+    const statusHeader = String(table.headers[table.statusColumn - 1]);
+    collectFailures(deletedRows, deleteRecords(policy.sourceSheet, deletedRows.map(row => ({
+      _rowNumber: row.rowNumber,
+      [statusHeader]: row.values[table.statusColumn - 1]
+    }))));
+  }
+  if (failed.length === 0) return;
+
+  failed.map(f => archived.firstRow + matchedRows.indexOf(f.row)).sort((a, b) => b - a).forEach(row => archived.sheet.deleteRow(row));
+  throw new Error(`${failed.length} row(s) could not be removed from '${policy.sourceSheet}' and were left there: ${failed.map(f => f.message).join(' ')}`);
+}
+
+/**
+ * 由 ARRAYFORMULA 產生的欄：公式在標頭列或第一個資料列 (與 SchemaValidator 的判斷相同)。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number} headerRow
+ * @param {number} width - 要檢查的欄數。
+ * @returns {Set<number>} 1-based 欄位編號。
+ */
+function getArrayFormulaAnchorColumns_(sheet, headerRow, width) {
+  const columns = new Set();
+  if (width === 0) return columns;
+  sheet.getRange(headerRow, 1, 2, width).getFormulas().forEach(row => row.forEach((formula, index) => {
+    if (/ARRAYFORMULA\s*\(/i.test(String(formula))) columns.add(index + 1);
+  }));
+  return columns;
+}
+
+/**
+ * 一次執行共用的資訊與查詢結果。
+ * @param {boolean} dryRun
+ * @returns {Object}
+ */
+function createArchiveRun_(dryRun) {
+  const startedAt = new Date();
+  const cached = {};
+  const once = (name, load) => () => {
+    if (!cached[name]) cached[name] = load();
+    return cached[name];
+  };
+  const names = Config.SHEET_NAMES;
+
+  return {
+    runId: `ARC-${Utilities.formatDate(startedAt, Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss')}-${Utilities.getUuid().slice(0, 4)}`,
+    startedAt,
+    dryRun,
+    user: Session.getActiveUser().getEmail(),
+    getEstimatedPoNumbers: once('estimated', () => new Set(readAllRecords(names.OPERATION_DASHBOARD)
+      .filter(record => String(getRecordValue(names.OPERATION_DASHBOARD, record, 'ESTIMATE_NUMBER') || '').trim())
+      .map(record => String(getRecordValue(names.OPERATION_DASHBOARD, record, 'PO_NUMBER')).trim()))),
+    getFulfilledPoSkuKeys: once('fulfilled', () => new Set(readAllRecords(names.SHIPMENT_PLANNING_DB)
+      .filter(record => getRecordValue(names.SHIPMENT_PLANNING_DB, record, 'STATUS') === 'Fulfilled')
+      .map(record => normalizePoSkuKey(getRecordValue(names.SHIPMENT_PLANNING_DB, record, 'PO_SKU_KEY')))))
+  };
+}
+
+/**
+ * @returns {Object} 規則結果 (見 runArchivePolicies)；rows 只保留報表需要的欄位。
+ */
+function createArchivePolicyResult_(policy, outcome, rows, moved, message) {
+  return {
+    policy: policy.name,
+    sourceSheet: policy.sourceSheet,
+    archiveSheet: policy.archiveSheet,
+    outcome,
+    matched: rows.length,
+    moved,
+    message,
+    rows: rows.map(row => ({
+      rowNumber: row.rowNumber,
+      key: row.key,
+      status: row.status,
+      ageDate: row.ageDate ? row.ageDate.toISOString() : ''
+    }))
+  };
+}
+
+/**
+ * 每條有搬移資料或失敗的規則寫入一列 Manifest；試跑的每條規則都會記錄 (Mode 為 'Dry Run')。寫入失敗只記錄在 Logger。
+ */
+function writeArchiveManifest_(run, results) {
+  try {
+    const ss = getWorkbook_();
+    let sheet = ss.getSheetByName(ARCHIVE_MANIFEST_SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(ARCHIVE_MANIFEST_SHEET_NAME, ss.getSheets().length);
+      sheet.getRange(1, 1, 1, ARCHIVE_MANIFEST_HEADERS.length).setValues([ARCHIVE_MANIFEST_HEADERS]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    const logged = run.dryRun ? results : results.filter(result => result.moved > 0 || result.outcome === 'Error');
+    if (logged.length === 0) return;
+
+    const rows = logged.map(result => [
+      run.runId,
+      run.startedAt,
+      run.user,
+      run.dryRun ? 'Dry Run' : 'Archive',
+      result.policy,
+      result.sourceSheet,
+      result.archiveSheet,
+      result.outcome,
+      result.matched,
+      result.moved,
+      [...new Set(result.rows.map(row => row.key).filter(key => key))].join(', ').slice(0, ARCHIVE_MANIFEST_KEYS_LIMIT),
+      result.message
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, ARCHIVE_MANIFEST_HEADERS.length).setValues(rows);
+  } catch (e) {
+    Logger.log(`Archive manifest write failed (${run.runId}): ${e.message}`);
+  }
+}
+
+/**
+ * 覆寫試跑報表 (不存在時建立)。沒有任何列會被搬移時寫入一列說明。
+ */
+function writeArchiveDryRunReport_(run, results) {
+  const ss = getWorkbook_();
+  let sheet = ss.getSheetByName(ARCHIVE_DRY_RUN_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ARCHIVE_DRY_RUN_SHEET_NAME, ss.getSheets().length);
+    sheet.setFrozenRows(1);
+  }
+  sheet.clearContents();
+
+  const rows = [];
+  results.forEach(result => result.rows.forEach(row => rows.push([
+    run.runId, result.policy, result.sourceSheet, row.rowNumber, row.key, row.status, row.ageDate, result.archiveSheet
+  ])));
+  if (rows.length === 0) rows.push([run.runId, '', '', '', '', '', '', 'Nothing would move.']);
+
+  sheet.getRange(1, 1, 1, ARCHIVE_DRY_RUN_HEADERS.length).setValues([ARCHIVE_DRY_RUN_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 5, rows.length, 1).setNumberFormat('@');
+  sheet.getRange(2, 1, rows.length, ARCHIVE_DRY_RUN_HEADERS.length).setValues(rows);
+}
+
+/**
+ * @param {Object} result - runArchivePolicies 的結果。
+ * @returns {string} 對話框用的摘要，每條規則一行。
+ */
+function formatArchiveRunSummary_(result) {
+  if (result.results.length === 0) return `No enabled policies in '${ARCHIVE_POLICY_SHEET_NAME}'.`;
+  return result.results.map(r => {
+    const count = result.dryRun ? `${r.matched} row(s) would move` : `${r.moved} row(s) moved`;
+    return r.outcome === 'Error' || r.outcome === 'Skipped' ? `${r.policy}: ${r.outcome} - ${r.message}` : `${r.policy}: ${count}`;
+  }).join('\n');
+}
@@ -11,10 +11,7 @@ const PLANNING_SHEET_NAME = 'Shipment_Planning_DB';
 const CACHE_KEY_PENDING = 'pendingBolData';
 const CACHE_KEY_FULFILLED = 'fulfilledBolData';
 
-// --- 🚀 [V12.6 新增] 常數 (用於 Model 查詢) ---
-const PRICE_BOOK_SHEET_NAME_BOL = 'New HSUS Order Status - HSUS Price Book(QBO)'; 
-const PB_SKU_COL = 7;
-const PB_MODEL_NAME_COL = 22;
+// BOL_DB and Shipment_Planning_DB columns are resolved by header name from Config.SCHEMAS.
 
 
 /**
@@ -27,37 +24,7 @@ function openBolEntryTool() {
   SpreadsheetApp.getUi().showSidebar(html);
 }
 
-// --- 🚀 [V12.6 新增] 輔助函式：獲取 SKU 到 Model Name 的對照表 ---
-/**
- * Reads the HSUS Price Book(QBO) sheet to create a map of SKU# to Model Name.
- * @returns {Map<string, string>} A map where key is SKU# and value is Model Name.
- */
-function getSkuModelMap() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const priceBookSheet = ss.getSheetByName(PRICE_BOOK_SHEET_NAME_BOL); 
-  if (!priceBookSheet) {
-    Logger.log("Price Book sheet not found, proceeding without Model Names.");
-    return new Map();
-  }
-  const lastRow = priceBookSheet.getLastRow();
-  if (lastRow < 2) return new Map();
-
-  const data = priceBookSheet.getRange(2, PB_SKU_COL, lastRow - 1, PB_MODEL_NAME_COL - PB_SKU_COL + 1).getValues();
-  const skuModelMap = new Map();
-  const modelNameRelativeIndex = PB_MODEL_NAME_COL - PB_SKU_COL;
-
-  data.forEach(row => {
-    const sku = String(row[0]).trim(); // SKU# (相對索引 0)
-    const modelName = String(row[modelNameRelativeIndex]).trim(); // Sales Description 
-    
-    if (sku) {
-      // 淨化 Model Name
-      const cleanModelName = modelName.replace(/Finished Goods:|^450\w+|Standard/g, '').trim().replace(/_/g, ' ');
-      skuModelMap.set(sku, cleanModelName || sku); // 預設回傳 SKU
-    }
-  });
-  return skuModelMap;
-}
+// SKU → Model Name 對照表由 PriceBookService.js 的 getSkuModelMap() 提供 (含快取)。
 
 
 /**
@@ -83,38 +50,34 @@ function getInitialBolData() {
     }
     
     Logger.log('[CHECKPOINT D] Cache miss. Reading data...');
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const planningSheet = ss.getSheetByName(PLANNING_SHEET_NAME);
-    if (!planningSheet) throw new Error(`Sheet '${PLANNING_SHEET_NAME}' not found.`);
-    
     // --- 🚀 [V12.6 關鍵修改] 獲取 SKU -> Model 對照表 ---
     const skuModelMap = getSkuModelMap();
     Logger.log('[CHECKPOINT D.1] SKU Model Map created.');
 
-    const lastRow = planningSheet.getLastRow();
-    if (lastRow < 2) {
+    // 透過記錄 API 讀取，Planning DB 存放在文件資料庫時同樣適用
+    const planningData = queryRecords(PLANNING_SHEET_NAME).all();
+    if (planningData.length === 0) {
       Logger.log('INFO: Sheet is empty, returning empty lists.');
       cache.put(CACHE_KEY_PENDING, '[]', 300);
       cache.put(CACHE_KEY_FULFILLED, '[]', 300);
       return JSON.stringify({ success: true, pendingList: [], fulfilledList: [] });
     }
 
-    const dataRange = planningSheet.getRange('A2:G' + lastRow);
-    const planningData = dataRange.getValues();
-    
     const pendingMap = new Map(); // 用 Map 處理 Pending 的去重
     const fulfilledList = []; // This will hold {key, display, timestamp}
 
     Logger.log('[CHECKPOINT E] Processing ' + planningData.length + ' rows.');
     
-    planningData.forEach(row => {
-      const timestamp = row[0]; // Column A
-      const key = (row[2] === null || row[2] === undefined) ? '' : String(row[2]); // Column C
-      const status = row[6];    // Column G
+    planningData.forEach(record => {
+      const plan = field => getRecordValue(PLANNING_SHEET_NAME, record, field);
+      const timestamp = plan('TIMESTAMP');
+      const parts = parsePoSkuKey(plan('PO_SKU_KEY')); // 正規化後的鍵，舊格式的重複鍵會合併
+      const status = plan('STATUS');
 
-      if (key) { 
+      if (parts) { 
         // --- 🚀 [V12.6 關鍵修改] 產生 display 名稱 ---
-        const sku = key.split('|')[1] || '';
+        const key = parts.key;
+        const sku = parts.sku;
         const modelName = skuModelMap.get(sku) || sku; // 找不到 Model 時使用 SKU
         const display = `${key} (${modelName})`;
         // --- [修改結束] ---
@@ -163,37 +126,30 @@ function getInitialBolData() {
 
 /**
  * 獲取已存在的 BOL 數據。
- * (此函數保持不變)
+ * 透過 queryRecords 以 PO|SKU 索引查找，不再逐列掃描整張 BOL_DB。
  */
 function getExistingBolData(poSkuKey) {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const bolSheet = ss.getSheetByName(BOL_SHEET_NAME);
-    if (!bolSheet) throw new Error(`Sheet '${BOL_SHEET_NAME}' not found.`);
-    const lastRow = bolSheet.getLastRow();
-    if (lastRow < 2) return { success: true, bols: [], actShipDate: null, isFulfilled: false };
-    
-    const data = bolSheet.getRange('A2:F' + lastRow).getValues();
     const existingBols = [];
     let actShipDate = null;
 
-    data.forEach(row => {
-      if (row[1] === poSkuKey) { 
-        if (!actShipDate && row[4] instanceof Date) {
-          actShipDate = Utilities.formatDate(row[4], Session.getScriptTimeZone(), "yyyy-MM-dd");
-        }
-        existingBols.push({
-          bolNumber: row[0],
-          shippedQty: row[2],
-          shippingFee: row[3],
-          signed: row[5]
-        });
+    queryByPoSkuKey(BOL_SHEET_NAME, poSkuKey).all().forEach(record => {
+      const bol = field => getRecordValue(BOL_SHEET_NAME, record, field);
+      const rowShipDate = bol('ACT_SHIP_DATE');
+      if (!actShipDate && rowShipDate instanceof Date) {
+        actShipDate = Utilities.formatDate(rowShipDate, Session.getScriptTimeZone(), "yyyy-MM-dd");
       }
+      existingBols.push({
+        bolNumber: bol('BOL_NUMBER'),
+        shippedQty: bol('SHIPPED_QTY'),
+        shippingFee: bol('SHIPPING_FEE'),
+        signed: bol('SIGNED')
+      });
     });
 
-    const planningSheet = ss.getSheetByName(PLANNING_SHEET_NAME);
-    const planningData = planningSheet.getRange('C2:G' + planningSheet.getLastRow()).getValues();
-    const isFulfilled = planningData.some(row => row[0] === poSkuKey && row[4] === 'Fulfilled'); 
+    const isFulfilled = queryByPoSkuKey(PLANNING_SHEET_NAME, poSkuKey)
+      .equals('STATUS', 'Fulfilled')
+      .count() > 0;
 
     return { success: true, bols: existingBols, actShipDate: actShipDate, isFulfilled: isFulfilled };
   } catch (e) {
@@ -203,55 +159,60 @@ function getExistingBolData(poSkuKey) {
 }
 
 /**
- * 儲存 BOL 數據。
- * (此函數保持不變)
+ * 前端進入點：執行 saveBolData_ 並寫入 Ops Log (OpsLog.js)。
  */
 function saveBolData(data) {
+  return runLoggedOperation({ tool: 'BOL Entry', action: 'saveBolData', record: data && data.poSkuKey, sheet: BOL_SHEET_NAME, field: 'PO_SKU_KEY' }, () => saveBolData_(data));
+}
+
+/**
+ * 儲存 BOL 數據。
+ * 先刪除此 PO|SKU 的舊 BOL 列再整批寫入新列，整個過程在 Script Lock 內完成，避免兩人同時儲存時互相覆蓋。
+ */
+function saveBolData_(data) {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const bolSheet = ss.getSheetByName(BOL_SHEET_NAME);
-    if (!bolSheet) throw new Error(`Sheet '${BOL_SHEET_NAME}' not found`);
-    
-    const poSkuKey = data.poSkuKey;
-    if (!poSkuKey) throw new Error("PO|SKU Key is missing.");
-    
-    const dataRange = bolSheet.getDataRange();
-    const allData = dataRange.getValues();
-    const rowsToDelete = [];
-    allData.forEach((row, index) => {
-      if (index > 0 && row[1] === poSkuKey) {
-        rowsToDelete.push(index + 1);
-      }
-    });
-    for (let i = rowsToDelete.length - 1; i >= 0; i--) {
-      bolSheet.deleteRow(rowsToDelete[i]);
-    }
+    if (!data.poSkuKey) throw new Error("PO|SKU Key is missing.");
+    const keyCheck = validatePoSkuKey(data.poSkuKey);
+    if (!keyCheck.valid) throw new Error(keyCheck.message);
+    const poSkuKey = keyCheck.key; // 新寫入的列一律使用正規化的鍵
+    assertNoCreditHold_(keyCheck.parts.poNumber, 'BOL entry');
 
     const actShipDate = new Date(data.actShipDate);
     const newStatus = data.isFulfilled ? 'Fulfilled' : '';
     const timestamp = new Date();
-    const newRows = [];
+    const newRecords = [];
 
     data.bols.forEach(bol => {
       const shippedQty = parseInt(bol.shippedQty, 10);
       const shippingFee = parseFloat(bol.shippingFee);
       if (bol.bolNumber && shippedQty > 0) {
-        newRows.push([
-          bol.bolNumber, poSkuKey, shippedQty,
-          isNaN(shippingFee) ? 0 : shippingFee,
-          actShipDate, bol.signed,
-          newStatus, timestamp
-        ]);
+        newRecords.push({
+          BOL_NUMBER: bol.bolNumber,
+          PO_SKU_KEY: poSkuKey,
+          SHIPPED_QTY: shippedQty,
+          SHIPPING_FEE: isNaN(shippingFee) ? 0 : shippingFee,
+          ACT_SHIP_DATE: actShipDate,
+          SIGNED: bol.signed,
+          STATUS: newStatus,
+          TIMESTAMP: timestamp
+        });
       }
     });
 
-    if (newRows.length > 0) {
-      bolSheet.getRange(bolSheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
-    }
-    
-    updateFulfillmentStatus(poSkuKey, newStatus, timestamp);
-    
-    SpreadsheetApp.flush();
+    runWithSheetLock(() => {
+      const oldRecords = queryByPoSkuKey(BOL_SHEET_NAME, poSkuKey).all()
+        .map(record => ({ _rowNumber: record._rowNumber, PO_SKU_KEY: getRecordValue(BOL_SHEET_NAME, record, 'PO_SKU_KEY') }));
+
+      const deleteResult = deleteRecords(BOL_SHEET_NAME, oldRecords);
+      if (!deleteResult.success) throw new Error(deleteResult.message);
+
+      if (newRecords.length > 0) {
+        const appendResult = appendRecords(BOL_SHEET_NAME, newRecords);
+        if (!appendResult.success) throw new Error(appendResult.message);
+      }
+
+      updateFulfillmentStatus(poSkuKey, newStatus, timestamp);
+    });
 
     const cache = CacheService.getScriptCache();
     cache.remove(CACHE_KEY_PENDING);
@@ -259,32 +220,21 @@ function saveBolData(data) {
 
     return { success: true, message: `Successfully saved for '${poSkuKey}'.` };
   } catch (e) {
+    reportOperationError(e);
     Logger.log(`saveBolData Error: ${e.message}\n${e.stack}`);
     return { success: false, message: e.toString() };
   }
 }
 
 /**
- * 更新 Planning 表的狀態。
- * (此函數保持不變)
+ * 更新 Planning 表的狀態。透過記錄 API 寫入，Planning DB 存放在工作表或文件資料庫皆可。
  */
 function updateFulfillmentStatus(keyToUpdate, status, timestamp) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const planningSheet = ss.getSheetByName(PLANNING_SHEET_NAME);
-  if (!planningSheet) return;
-  
-  const lastRow = planningSheet.getLastRow();
-  if (lastRow < 2) return;
-  
-  const keys = planningSheet.getRange('C2:C' + lastRow).getValues();
-  for (let i = 0; i < keys.length; i++) {
-    if (keys[i][0] === keyToUpdate) {
-      const targetRow = i + 2;
-      planningSheet.getRange(targetRow, 1).setValue(timestamp); 
-      planningSheet.getRange(targetRow, 7).setValue(status);
-      break; 
-    }
-  }
+  const planning = queryByPoSkuKey(PLANNING_SHEET_NAME, keyToUpdate).first();
+  if (!planning) return;
+
+  const result = updateRecords(PLANNING_SHEET_NAME, [{ _rowNumber: planning._rowNumber, TIMESTAMP: timestamp, STATUS: status }]);
+  if (!result.success) throw new Error(result.message);
 }
 
 /**
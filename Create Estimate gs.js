@@ -2,12 +2,8 @@
 const ZAPIER_WEBHOOK_URL = 'https://hooks.zapier.com/hooks/catch/13989939/u4w68ta/';
 const DASHBOARD_SHEET_NAME = 'Operation | Pending Order Dashboard';
 
-// --- [V2 修改] 更新欄位索引 ---
-// Define column indices (A=1, B=2, ...)
-const PO_COLUMN = 16;       // O column
-const BOL_NUMBER_COLUMN = 6;  // E column
-const EST_NUMBER_COLUMN = 8;  // G column (新増)
-// SHIP_TO_INFO_COLUMN 已被刪除
+// --- [V3 修改] 欄位改為依標頭名稱解析 ---
+// P/O、BOL #、Estimate # 的位置由 Config.SCHEMAS 對照第 2 列標頭取得，不再寫死欄位編號。
 
 /**
  * Displays the HTML sidebar.
@@ -30,26 +26,25 @@ function getPendingOrders() {
     throw new Error(`Sheet not found: ${DASHBOARD_SHEET_NAME}`);
   }
   
-  const values = sheet.getDataRange().getValues();
+  // 資料從標頭列 (第 2 列) 之後開始
+  const dashboardTable = readTable(DASHBOARD_SHEET_NAME);
+  const DASH_COL = dashboardTable.columns;
   const pendingOrders = [];
   
-  // Start the loop from index 2, which corresponds to row 3
-  for (let i = 2; i < values.length; i++) {
-    const row = values[i];
-    
+  dashboardTable.values.forEach(row => {
     // --- [V2 修改] 更新篩選條件 ---
-    const isBolNumberNotEmpty = (String(row[BOL_NUMBER_COLUMN - 1] || '').trim() !== '');
-    // 檢查 G 欄 (Estimate #) 是否為空字串
-    const isEstNumberEmpty = (String(row[EST_NUMBER_COLUMN - 1] || '').trim() === '');
+    const isBolNumberNotEmpty = (String(row[DASH_COL.BOL_NUMBER - 1] || '').trim() !== '');
+    // 檢查 Estimate # 是否為空字串
+    const isEstNumberEmpty = (String(row[DASH_COL.ESTIMATE_NUMBER - 1] || '').trim() === '');
     
     // 新的條件：BOL# 必須有內容，且 Estimate # 必須為空
     if (isBolNumberNotEmpty && isEstNumberEmpty) {
       // Push only the PO number into the array
       pendingOrders.push({
-        po: row[PO_COLUMN - 1],
+        po: row[DASH_COL.PO_NUMBER - 1],
       });
     }
-  }
+  });
   
   return pendingOrders;
 }
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview
+ * 信用檢查與 Credit Hold。
+ * - P/O 建立 (Manual New PO、PO Import、New PO PDF 上傳) 或修訂 (PO Editor、Revise PDF 上傳) 時，依 'AR from QBO | Raw Data' 計算 Buyer 的未收 (Open) 與逾期 (Overdue) AR，
+ *   與 'Customer Credit Limits' 的額度比較：
+ *   · Open AR + 本 P/O 金額超過額度，或有逾期超過 CREDIT_OVERDUE_GRACE_DAYS 天的 AR → 'On Hold'；
+ *   · 沒有設定額度、只有寬限期內的逾期，或無法讀取 AR → 'Flagged' (只提示，不擋)。
+ * - 每次 Hold / Flag 都寫入 'Credit Holds' 工作表 (只因沒有設定額度而 Flag 的客戶只記第一次)；'On Hold' 的 P/O 不能儲存出貨規劃 (savePlanningData)、BOL (saveBolData)，也不能 Split / Merge。
+ * - 只有 Script Property CREDIT_MANAGER_EMAILS (逗號分隔) 中的使用者可以 Release，Release 的人、時間與說明記在同一列。
+ * - 已在 Hold 的 P/O 修訂時 (含 PO Editor 改號)，Hold 延續到新的 P/O，不會因重新檢查通過而解除。
+ */
+
+const CREDIT_MANAGER_PROPERTY = 'CREDIT_MANAGER_EMAILS';
+// 到期後這段期間內的 AR 只提示 (Flagged)；超過才 Hold
+const CREDIT_OVERDUE_GRACE_DAYS = 30;
+
+/**
+ * 開啟 'Credit Holds' 側欄。
+ */
+function openCreditHoldsSidebar() {
+  const html = HtmlService.createTemplateFromFile('CreditHolds')
+    .evaluate()
+    .setTitle('Credit Holds');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * 側欄用的 Hold 清單，新的在前。
+ * @param {boolean} [includeClosed=false] - 是否包含已 Release 與 Flagged 的紀錄。
+ * @returns {{success: boolean, holds?: Array<Object>, canRelease?: boolean, message?: string}}
+ */
+function getCreditHolds(includeClosed) {
+  try {
+    const toIso = value => value instanceof Date ? value.toISOString() : '';
+    const holds = readCreditHolds_()
+      .filter(hold => includeClosed || hold.status === 'On Hold')
+      .reverse()
+      .map(hold => Object.assign({}, hold, { checkedTime: toIso(hold.checkedTime), releasedTime: toIso(hold.releasedTime) }));
+    return { success: true, holds, canRelease: isCreditManager_() };
+  } catch (e) {
+    Logger.log(`getCreditHolds Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 前端進入點：信用主管解除 P/O 的 Hold。
+ * @param {string} poNumber
+ * @param {string} note - 解除原因 (必填)。
+ * @returns {{success: boolean, message: string}}
+ */
+function releaseCreditHold(poNumber, note) {
+  return runLoggedOperation({ tool: 'Credit Holds', action: 'releaseCreditHold', record: poNumber, sheet: Config.SHEET_NAMES.CREDIT_HOLDS, field: 'PO_NUMBER' }, () => releaseCreditHold_(poNumber, note));
+}
+
+function releaseCreditHold_(poNumber, note) {
+  try {
+    const user = Session.getActiveUser().getEmail();
+    if (!isCreditManager_()) {
+      return { success: false, message: `${user || 'This user'} is not a credit manager. Ask someone listed in the ${CREDIT_MANAGER_PROPERTY} script property to release the hold.` };
+    }
+    const reason = String(note || '').trim();
+    if (!reason) return { success: false, message: 'A release note is required.' };
+
+    return runWithSheetLock(() => {
+      const hold = getActiveCreditHold_(poNumber);
+      if (!hold) return { success: false, message: `PO #${poNumber} is not on credit hold.` };
+      const result = updateRecords(Config.SHEET_NAMES.CREDIT_HOLDS, [{
+        _rowNumber: hold.rowNumber,
+        STATUS: 'Released',
+        RELEASED_BY: user,
+        RELEASED_TIME: new Date(),
+        RELEASE_NOTE: reason
+      }]);
+      if (!result.success) return { success: false, message: result.message };
+      return { success: true, message: `Credit hold on PO #${hold.poNumber} released.` };
+    });
+  } catch (e) {
+    reportOperationError(e);
+    Logger.log(`releaseCreditHold Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 對剛建立或修訂的 P/O 執行信用檢查，需要時寫入 'Credit Holds'。不會拋出錯誤：無法檢查時回傳 'Flagged'，不影響 P/O 的儲存。
+ * @param {string} poNumber
+ * @param {{buyerName: string, poTotal: number, source?: string, trigger: string, previousPoNumber?: string}} details
+ *   previousPoNumber：PO Editor 改號前的 P/O，它的 Hold 延續到 poNumber。
+ * @returns {{status: string, reasons: string[], openAr: number, overdueAr: number, creditLimit: (number|null)}}
+ *   status 為 'OK'、'Flagged' 或 'On Hold'。
+ */
+function runCreditCheck_(poNumber, details) {
+  const po = String(poNumber || '').trim();
+  let check;
+  try {
+    check = evaluateCredit_(details.buyerName, Number(details.poTotal) || 0);
+  } catch (e) {
+    Logger.log(`runCreditCheck_ ${po} Error: ${e.toString()}`);
+    check = { status: 'Flagged', reasons: [`Credit check could not run: ${e.message}`], openAr: 0, overdueAr: 0, creditLimit: null };
+  }
+
+  try {
+    return runWithSheetLock(() => {
+      const holdSheet = Config.SHEET_NAMES.CREDIT_HOLDS;
+      getOrCreateQueueSheet(holdSheet);
+      const holds = readCreditHolds_();
+      const activeHolds = indexActiveCreditHolds_(holds);
+      const carried = [po, String(details.previousPoNumber || '').trim()].filter(String)
+        .map(number => activeHolds.get(number)).find(Boolean);
+      if (carried) {
+        // 已在 Hold：保留原本那一列；改號時把它移到新的 P/O
+        if (carried.poNumber !== po) {
+          updateRecords(holdSheet, [{ _rowNumber: carried.rowNumber, PO_NUMBER: po, REASON: `${carried.reason} (carried over from PO #${carried.poNumber})` }]);
+        }
+        return Object.assign({}, check, { status: 'On Hold', reasons: [carried.reason].concat(check.status === 'OK' ? [] : check.reasons) });
+      }
+      if (check.status === 'OK') return check;
+      // 只缺額度的 Flag 每個客戶記一次，之後的 P/O 不再重複寫入
+      const missingLimitReason = describeMissingCreditLimit_(details.buyerName);
+      if (check.status === 'Flagged' && check.reasons.length === 1 && check.reasons[0] === missingLimitReason &&
+          holds.some(hold => hold.reason.indexOf(missingLimitReason) !== -1)) {
+        return check;
+      }
+
+      const result = appendRecords(holdSheet, [{
+        PO_NUMBER: po,
+        ORDER_SOURCE: getOrderSource_(details.source).label,
+        BUYER_NAME: details.buyerName,
+        STATUS: check.status,
+        REASON: check.reasons.join(' '),
+        PO_TOTAL: Number(details.poTotal) || 0,
+        OPEN_AR: check.openAr,
+        OVERDUE_AR: check.overdueAr,
+        CREDIT_LIMIT: check.creditLimit === null ? '' : check.creditLimit,
+        CHECKED_BY: Session.getActiveUser().getEmail(),
+        CHECKED_TIME: new Date(),
+        CHECK_TRIGGER: details.trigger
+      }]);
+      if (!result.success) throw new Error(result.message);
+      return check;
+    });
+  } catch (e) {
+    Logger.log(`runCreditCheck_ ${po} could not record the result: ${e.toString()}`);
+    return check;
+  }
+}
+
+/**
+ * @param {{status: string, reasons: string[]}} [creditCheck] - runCreditCheck_ 的結果。
+ * @returns {string} 附加在儲存訊息後的說明；'OK' 或沒有結果時為空字串。
+ */
+function describeCreditCheck_(creditCheck) {
+  if (!creditCheck || creditCheck.status === 'OK') return '';
+  return ` Credit check: ${creditCheck.status}. ${creditCheck.reasons.join(' ')}`;
+}
+
+/**
+ * 出貨規劃與 BOL 儲存前呼叫：P/O 在 Hold 時拋出錯誤。
+ * @param {string} poNumber
+ * @param {string} action - 被擋下的動作，用於訊息 (例如 'shipment planning')。
+ */
+function assertNoCreditHold_(poNumber, action) {
+  const hold = getActiveCreditHold_(poNumber);
+  if (hold) {
+    throw new Error(`PO #${hold.poNumber} is on credit hold. ${hold.reason} A credit manager must release it before ${action}.`);
+  }
+}
+
+/**
+ * @param {string[]} poNumbers
+ * @param {string} action
+ * @returns {string[]} 在 Hold 中的 P/O 的錯誤訊息。
+ */
+function getCreditHoldErrors_(poNumbers, action) {
+  const activeHolds = indexActiveCreditHolds_(readCreditHolds_());
+  return poNumbers.map(poNumber => activeHolds.get(String(poNumber || '').trim())).filter(Boolean)
+    .map(hold => `PO #${hold.poNumber} is on credit hold; release it before ${action}.`);
+}
+
+/**
+ * @param {string} poNumber
+ * @returns {Object|null} 'On Hold' 的紀錄 (見 readCreditHolds_)；沒有時為 null。
+ */
+function getActiveCreditHold_(poNumber) {
+  const target = String(poNumber || '').trim();
+  if (!target) return null;
+  return indexActiveCreditHolds_(readCreditHolds_()).get(target) || null;
+}
+
+/**
+ * @param {Array<Object>} holds - readCreditHolds_ 的結果。
+ * @returns {Map<string, Object>} P/O → 最後一筆 'On Hold' 的紀錄。
+ */
+function indexActiveCreditHolds_(holds) {
+  const activeHolds = new Map();
+  holds.forEach(hold => {
+    if (hold.status === 'On Hold') activeHolds.set(hold.poNumber, hold);
+  });
+  return activeHolds;
+}
+
+/**
+ * 計算 Buyer 的 AR 並與額度比較。
+ * @param {string} buyerName
+ * @param {number} poTotal
+ * @returns {{status: string, reasons: string[], openAr: number, overdueAr: number, creditLimit: (number|null)}}
+ */
+function evaluateCredit_(buyerName, poTotal) {
+  const ar = getCustomerAr_(buyerName);
+  const creditLimit = getCustomerCreditLimit_(buyerName);
+  const holdReasons = [];
+  const flagReasons = [];
+  const money = value => `$${value.toFixed(2)}`;
+
+  if (creditLimit === null) {
+    flagReasons.push(describeMissingCreditLimit_(buyerName));
+  } else if (ar.open + poTotal > creditLimit) {
+    holdReasons.push(`Open AR ${money(ar.open)} + this P/O ${money(poTotal)} exceeds the credit limit ${money(creditLimit)}.`);
+  }
+  if (ar.overdueBeyondGrace > 0) {
+    holdReasons.push(`${money(ar.overdueBeyondGrace)} is more than ${CREDIT_OVERDUE_GRACE_DAYS} days overdue.`);
+  } else if (ar.overdue > 0) {
+    flagReasons.push(`${money(ar.overdue)} is overdue (within ${CREDIT_OVERDUE_GRACE_DAYS} days).`);
+  }
+
+  const status = holdReasons.length > 0 ? 'On Hold' : (flagReasons.length > 0 ? 'Flagged' : 'OK');
+  return { status, reasons: holdReasons.concat(flagReasons), openAr: ar.open, overdueAr: ar.overdue, creditLimit };
+}
+
+/** 沒有設定額度時的 Flag 原因；runCreditCheck_ 也用它找出已記錄過的客戶。 */
+function describeMissingCreditLimit_(buyerName) {
+  return `No credit limit set for ${buyerName} in '${Config.SHEET_NAMES.CUSTOMER_CREDIT_LIMITS}'.`;
+}
+
+/**
+ * 'AR from QBO | Raw Data' 中 Buyer (含 'Buyer:Sub' 子客戶) 的 AR。貸項 (負數) 會抵減 Open AR，但不抵減逾期金額。
+ * @param {string} buyerName
+ * @returns {{open: number, overdue: number, overdueBeyondGrace: number}}
+ */
+function getCustomerAr_(buyerName) {
+  const buyer = String(buyerName || '').trim().toLowerCase();
+  const table = readTable(Config.SHEET_NAMES.AR_QBO_RAW);
+  const col = table.columns;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const graceCutoff = new Date(today.getTime() - CREDIT_OVERDUE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const totals = { open: 0, overdue: 0, overdueBeyondGrace: 0 };
+  table.values.forEach(row => {
+    const customer = String(row[col.CUSTOMER - 1] || '').trim().toLowerCase();
+    if (customer !== buyer && customer.indexOf(`${buyer}:`) !== 0) return;
+    const balance = parseArAmount_(row[col.OPEN_BALANCE - 1]);
+    totals.open += balance;
+    const due = row[col.DUE_DATE - 1];
+    const dueDate = due instanceof Date ? due : (due ? new Date(due) : null);
+    if (balance > 0 && dueDate && !isNaN(dueDate.getTime()) && dueDate < today) {
+      totals.overdue += balance;
+      if (dueDate < graceCutoff) totals.overdueBeyondGrace += balance;
+    }
+  });
+  return totals;
+}
+
+/**
+ * @param {string} buyerName
+ * @returns {number|null} 'Customer Credit Limits' 中的額度；沒有設定時為 null。
+ */
+function getCustomerCreditLimit_(buyerName) {
+  const buyer = String(buyerName || '').trim().toLowerCase();
+  const limitSheet = Config.SHEET_NAMES.CUSTOMER_CREDIT_LIMITS;
+  if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(limitSheet)) return null;
+  const table = readTable(limitSheet);
+  const col = table.columns;
+  const row = table.values.find(r => String(r[col.CUSTOMER_NAME - 1] || '').trim().toLowerCase() === buyer);
+  if (!row || row[col.CREDIT_LIMIT - 1] === '' || row[col.CREDIT_LIMIT - 1] === null) return null;
+  const limit = parseArAmount_(row[col.CREDIT_LIMIT - 1]);
+  return isNaN(limit) ? null : limit;
+}
+
+/** QBO 匯出的金額可能是 '$1,234.50' 或 '(100.00)'。 */
+function parseArAmount_(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value || '').trim();
+  const negative = /^\(.*\)$/.test(text);
+  const amount = Number(text.replace(/[$,()\s]/g, '')) || 0;
+  return negative ? -amount : amount;
+}
+
+function isCreditManager_() {
+  const user = String(Session.getActiveUser().getEmail() || '').trim().toLowerCase();
+  const managers = String(PropertiesService.getScriptProperties().getProperty(CREDIT_MANAGER_PROPERTY) || '')
+    .split(',').map(email => email.trim().toLowerCase()).filter(String);
+  return user !== '' && managers.indexOf(user) !== -1;
+}
+
+/**
+ * @returns {Array<{rowNumber: number, poNumber: string, orderSource: string, buyerName: string, status: string, reason: string,
+ *   poTotal: number, openAr: number, overdueAr: number, creditLimit: *, checkedBy: string, checkedTime: *, trigger: string,
+ *   releasedBy: string, releasedTime: *, releaseNote: string}>} 依檢查順序。
+ */
+function readCreditHolds_() {
+  const holdSheet = Config.SHEET_NAMES.CREDIT_HOLDS;
+  if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(holdSheet)) return [];
+  invalidateRecordCache(holdSheet);
+  const table = readTable(holdSheet);
+  const col = table.columns;
+  return table.values.map((row, index) => ({
+    rowNumber: index + table.firstDataRow,
+    poNumber: String(row[col.PO_NUMBER - 1] || '').trim(),
+    orderSource: String(row[col.ORDER_SOURCE - 1] || ''),
+    buyerName: String(row[col.BUYER_NAME - 1] || ''),
+    status: String(row[col.STATUS - 1] || '').trim(),
+    reason: String(row[col.REASON - 1] || ''),
+    poTotal: Number(row[col.PO_TOTAL - 1]) || 0,
+    openAr: Number(row[col.OPEN_AR - 1]) || 0,
+    overdueAr: Number(row[col.OVERDUE_AR - 1]) || 0,
+    creditLimit: row[col.CREDIT_LIMIT - 1],
+    checkedBy: String(row[col.CHECKED_BY - 1] || ''),
+    checkedTime: row[col.CHECKED_TIME - 1],
+    trigger: String(row[col.CHECK_TRIGGER - 1] || ''),
+    releasedBy: String(row[col.RELEASED_BY - 1] || ''),
+    releasedTime: row[col.RELEASED_TIME - 1],
+    releaseNote: String(row[col.RELEASE_NOTE - 1] || '')
+  })).filter(hold => hold.poNumber);
+}
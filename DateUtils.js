@@ -0,0 +1,20 @@
+/**
+ * @fileoverview
+ * 共用的日期解析。表單與匯入檔中的「只有日期」的值一律經過這裡，不要直接 new Date(text)：
+ * new Date('2025-01-10') 以 UTC 午夜解析，在美國時區會變成前一天。
+ * 使用者：PO Import (PoImport.js)、Manual New PO (Manual New POgs.js) 與 PO Editor (POEditorgs.js)。
+ */
+
+/**
+ * 只有日期的值 ('2025-01-10'、'1/10/2025') 視為指令碼時區的當天 (取中午，避免跨日)；其他格式交給 new Date 解析。
+ * @param {string} text
+ * @returns {Date} 無法解析時為 Invalid Date。
+ */
+function parseLocalDate_(text) {
+  const value = String(text === null || text === undefined ? '' : text).trim();
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]), 12);
+  if (us) return new Date(Number(us[3]), Number(us[1]) - 1, Number(us[2]), 12);
+  return new Date(value);
+}
@@ -0,0 +1,410 @@
+/**
+ * @fileoverview
+ * 文件資料庫 (Document Store) 儲存後端：把 DB 表存成「以主鍵為文件 ID 的集合」。
+ * SheetService.getStorageBackend() 依 Config.STORAGE 選用。記錄格式與 Sheets 後端相同
+ * (以標頭文字為鍵)，_rowNumber 為文件的新增序號 (搬移時沿用原本的列號)，另附 _id (文件 ID)，
+ * 因此透過 readAllRecords / queryRecords / updateRecords / appendRecords / deleteRecords 存取的工具不需要修改。
+ *
+ * 後端只依賴一個很小的 driver 介面：
+ * - listDocuments(collection)          -> Array<{id: string, fields: Object}>
+ * - commit(collection, writes, deletes) 寫入 (整份覆蓋) 與刪除文件
+ * 目前提供：
+ * - 'firestore': Firestore REST API (UrlFetchApp)，連線設定見 Config.FIRESTORE。
+ * - 'memory':    存在全域物件中，只在本次執行內有效，供測試與搬移試跑使用。
+ */
+
+/** 記憶體文件資料庫：{ 集合名稱: { 文件 ID: fields } }。Apps Script 每次執行都會重新建立。 */
+const MEMORY_DOCUMENT_STORE_ = {};
+
+/** 本次執行內已建立的文件資料庫後端：{ 後端名稱: StorageBackend }。 */
+const DOCUMENT_STORE_BACKENDS_ = {};
+
+/** 文件中記錄新增序號的欄位，對應記錄的 _rowNumber。 */
+const DOCUMENT_SEQ_FIELD = '_seq';
+
+/** Firestore commit 一次最多 500 筆寫入。 */
+const FIRESTORE_COMMIT_BATCH_SIZE = 500;
+
+/**
+ * 取得文件資料庫後端 (同一次執行內共用)。
+ * @param {string} name - 'firestore' | 'memory'。
+ * @returns {StorageBackend}
+ */
+function getDocumentStoreBackend(name) {
+  if (!DOCUMENT_STORE_BACKENDS_[name]) {
+    DOCUMENT_STORE_BACKENDS_[name] = createDocumentStoreBackend_(name, createDocumentDriver_(name));
+  }
+  return DOCUMENT_STORE_BACKENDS_[name];
+}
+
+/**
+ * @param {string} name - 後端名稱。
+ * @returns {{listDocuments: Function, commit: Function}}
+ */
+function createDocumentDriver_(name) {
+  switch (name) {
+    case 'firestore':
+      return createFirestoreDriver_(Config.FIRESTORE);
+    case 'memory':
+      return createMemoryDriver_(MEMORY_DOCUMENT_STORE_);
+    default:
+      throw new Error(`DocumentStore Error: Unknown storage backend "${name}". Use 'sheets', 'firestore' or 'memory'.`);
+  }
+}
+
+/**
+ * 取得工作表對應的集合設定。文件資料庫需要 Config.STORAGE (集合名稱、主鍵) 與 Config.SCHEMAS (欄位與型別)。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {{collection: string, primaryKey: string[], schema: Object}}
+ */
+function getCollectionSettings_(sheetName) {
+  const storage = Config.STORAGE[sheetName];
+  const schema = getSheetSchema(sheetName);
+  if (!storage || !storage.collection || !storage.primaryKey || !schema) {
+    throw new Error(`DocumentStore Error: "${sheetName}" needs a Config.STORAGE entry (collection, primaryKey) and a Config.SCHEMAS entry.`);
+  }
+  return { collection: storage.collection, primaryKey: storage.primaryKey, schema };
+}
+
+/**
+ * 由主鍵欄位組成文件 ID；任一主鍵欄位為空時回傳 null。
+ * @param {string[]} primaryKey - 主鍵欄位代號。
+ * @param {Object} fields - 文件欄位。
+ * @returns {string|null}
+ */
+function buildDocumentId_(primaryKey, fields) {
+  const parts = primaryKey.map(field => toIndexKey_(fields[field]));
+  return parts.some(part => part === '') ? null : parts.join('::');
+}
+
+/**
+ * 將記錄的鍵 (Schema 欄位代號或標頭文字) 解析為欄位代號。
+ * @param {Object} schema - Config.SCHEMAS 中的定義。
+ * @param {string} key - 記錄的鍵。
+ * @returns {string|null}
+ */
+function resolveDocumentField_(schema, key) {
+  if (schema.columns[key]) return key;
+  const target = normalizeHeader_(key);
+  return Object.keys(schema.columns).find(field => normalizeHeader_(schema.columns[field].header) === target) || null;
+}
+
+/**
+ * 將一筆記錄的值套用到文件欄位上 (就地修改)，並依 Schema 型別轉換。以 '_' 開頭的鍵會被忽略。
+ * @param {Object} fields - 文件欄位。
+ * @param {Object} record - 記錄。
+ * @param {Object} schema - Config.SCHEMAS 中的定義。
+ */
+function applyRecordToDocument_(fields, record, schema) {
+  const keys = Object.keys(record).filter(key => key.charAt(0) !== '_');
+  const unknown = keys.filter(key => !resolveDocumentField_(schema, key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column(s): ${unknown.join(', ')}`);
+  }
+  keys.forEach(key => {
+    const field = resolveDocumentField_(schema, key);
+    fields[field] = coerceSchemaValue_(record[key], schema.columns[field].type);
+  });
+}
+
+/**
+ * 將文件轉換為與 Sheets 後端相同格式的記錄 (以標頭文字為鍵)。
+ * @param {{id: string, fields: Object}} doc
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function documentToRecord_(doc, schema) {
+  const record = {};
+  Object.keys(schema.columns).forEach(field => {
+    const value = doc.fields[field];
+    record[schema.columns[field].header] = value === undefined || value === null ? '' : value;
+  });
+  record._rowNumber = Number(doc.fields[DOCUMENT_SEQ_FIELD]);
+  record._id = doc.id;
+  return record;
+}
+
+/**
+ * 讀取集合並建立依 ID / 序號查找的對照表。
+ * @param {Object} driver
+ * @param {{collection: string}} settings
+ * @returns {{docs: Array<Object>, byId: Object<string, Object>, bySeq: Object<number, Object>, maxSeq: number}}
+ */
+function loadDocumentState_(driver, settings) {
+  const docs = driver.listDocuments(settings.collection)
+    .sort((a, b) => Number(a.fields[DOCUMENT_SEQ_FIELD]) - Number(b.fields[DOCUMENT_SEQ_FIELD]));
+  const state = { docs, byId: {}, bySeq: {}, maxSeq: 0 };
+  docs.forEach(doc => {
+    const seq = Number(doc.fields[DOCUMENT_SEQ_FIELD]);
+    state.byId[doc.id] = doc;
+    state.bySeq[seq] = doc;
+    state.maxSeq = Math.max(state.maxSeq, seq || 0);
+  });
+  return state;
+}
+
+/**
+ * 依記錄的 _id (優先) 或 _rowNumber (序號) 找出目標文件。
+ * @param {Object} state - loadDocumentState_ 的結果。
+ * @param {Object} record
+ * @returns {Object|null}
+ */
+function findTargetDocument_(state, record) {
+  if (record._id !== undefined && record._id !== '') {
+    return state.byId[String(record._id)] || null;
+  }
+  return state.bySeq[Number(record._rowNumber)] || null;
+}
+
+/**
+ * 建立文件資料庫後端。寫入時不處理鎖與快取 (由 SheetService.runBackendWrite_ 負責)。
+ * @param {string} name - 後端名稱。
+ * @param {{listDocuments: Function, commit: Function}} driver
+ * @returns {StorageBackend}
+ */
+function createDocumentStoreBackend_(name, driver) {
+  const notFound = (index, record) => ({
+    index,
+    rowNumber: Number(record._rowNumber) || null,
+    success: false,
+    message: record._id ? `Document "${record._id}" not found.` : `Invalid _rowNumber "${record._rowNumber}".`
+  });
+
+  return {
+    name,
+    driver,
+
+    readRecords(sheetName) {
+      const settings = getCollectionSettings_(sheetName);
+      return loadDocumentState_(driver, settings).docs.map(doc => documentToRecord_(doc, settings.schema));
+    },
+
+    getHeaders(sheetName) {
+      const schema = getCollectionSettings_(sheetName).schema;
+      return Object.keys(schema.columns).map(field => schema.columns[field].header);
+    },
+
+    updateRecords(sheetName, records) {
+      const settings = getCollectionSettings_(sheetName);
+      const state = loadDocumentState_(driver, settings);
+      const writes = {};
+      const deletes = [];
+
+      const results = records.map((record, index) => {
+        const doc = findTargetDocument_(state, record);
+        if (!doc) return notFound(index, record);
+        const seq = Number(doc.fields[DOCUMENT_SEQ_FIELD]);
+        try {
+          const fields = Object.assign({}, doc.fields);
+          applyRecordToDocument_(fields, record, settings.schema);
+          const id = buildDocumentId_(settings.primaryKey, fields);
+          if (!id) throw new Error(`Primary key (${settings.primaryKey.join(', ')}) cannot be empty`);
+          if (id !== doc.id && state.byId[id]) throw new Error(`Duplicate primary key "${id}"`);
+
+          // 主鍵被修改時，文件 ID 也跟著改變
+          if (id !== doc.id) {
+            delete state.byId[doc.id];
+            delete writes[doc.id];
+            deletes.push(doc.id);
+          }
+          const updated = { id, fields };
+          state.byId[id] = updated;
+          state.bySeq[seq] = updated;
+          writes[id] = updated;
+          return { index, rowNumber: seq, success: true, message: 'Updated.' };
+        } catch (e) {
+          return { index, rowNumber: seq, success: false, message: e.message };
+        }
+      });
+
+      driver.commit(settings.collection, Object.keys(writes).map(id => writes[id]), deletes.filter(id => !writes[id]));
+      return summarizeBatchResults_('updated', results);
+    },
+
+    appendRecords(sheetName, records) {
+      const settings = getCollectionSettings_(sheetName);
+      const state = loadDocumentState_(driver, settings);
+      const writes = [];
+
+      const results = records.map((record, index) => {
+        const fields = {};
+        Object.keys(settings.schema.columns).forEach(field => { fields[field] = ''; });
+        try {
+          applyRecordToDocument_(fields, record, settings.schema);
+          const id = buildDocumentId_(settings.primaryKey, fields);
+          if (!id) throw new Error(`Primary key (${settings.primaryKey.join(', ')}) cannot be empty`);
+          if (state.byId[id]) throw new Error(`Duplicate primary key "${id}"`);
+
+          fields[DOCUMENT_SEQ_FIELD] = ++state.maxSeq;
+          const doc = { id, fields };
+          state.byId[id] = doc;
+          writes.push(doc);
+          return { index, rowNumber: fields[DOCUMENT_SEQ_FIELD], success: true, message: 'Appended.' };
+        } catch (e) {
+          return { index, rowNumber: null, success: false, message: e.message };
+        }
+      });
+
+      driver.commit(settings.collection, writes, []);
+      return summarizeBatchResults_('appended', results);
+    },
+
+    deleteRecords(sheetName, records) {
+      const settings = getCollectionSettings_(sheetName);
+      const state = loadDocumentState_(driver, settings);
+      const deletes = [];
+
+      const results = records.map((record, index) => {
+        const doc = findTargetDocument_(state, record);
+        if (!doc || deletes.indexOf(doc.id) !== -1) return notFound(index, record);
+        const seq = Number(doc.fields[DOCUMENT_SEQ_FIELD]);
+        const expected = Object.assign({}, doc.fields);
+        try {
+          applyRecordToDocument_(expected, record, settings.schema);
+        } catch (e) {
+          return { index, rowNumber: seq, success: false, message: e.message };
+        }
+        const blank = value => (value === undefined || value === null ? '' : value);
+        const changed = Object.keys(settings.schema.columns).some(field => String(blank(expected[field])) !== String(blank(doc.fields[field])));
+        if (changed) {
+          return { index, rowNumber: seq, success: false, message: `Row ${seq} no longer matches the expected values.` };
+        }
+        deletes.push(doc.id);
+        return { index, rowNumber: seq, success: true, message: 'Deleted.' };
+      });
+
+      driver.commit(settings.collection, [], deletes);
+      return summarizeBatchResults_('deleted', results);
+    }
+  };
+}
+
+
+// --- Drivers ---
+
+/**
+ * 複製文件欄位 (Date 也複製一份)，避免呼叫端修改到 driver 內部保存的物件。
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function cloneDocumentFields_(fields) {
+  return Object.keys(fields).reduce((copy, key) => {
+    const value = fields[key];
+    copy[key] = value instanceof Date ? new Date(value.getTime()) : value;
+    return copy;
+  }, {});
+}
+
+/**
+ * 記憶體 driver。
+ * @param {Object<string, Object<string, Object>>} store - { 集合名稱: { 文件 ID: fields } }。
+ * @returns {{listDocuments: Function, commit: Function}}
+ */
+function createMemoryDriver_(store) {
+  const collectionOf = collection => (store[collection] = store[collection] || {});
+  return {
+    listDocuments(collection) {
+      const docs = collectionOf(collection);
+      return Object.keys(docs).map(id => ({ id, fields: cloneDocumentFields_(docs[id]) }));
+    },
+
+    commit(collection, writes, deletes) {
+      const docs = collectionOf(collection);
+      deletes.forEach(id => { delete docs[id]; });
+      writes.forEach(doc => { docs[doc.id] = cloneDocumentFields_(doc.fields); });
+    }
+  };
+}
+
+/**
+ * Firestore REST driver。文件 ID 以 encodeURIComponent 編碼 (PO 號碼可能含有 '/')。
+ * @param {{PROJECT_ID: string, DATABASE_ID: string}} settings - Config.FIRESTORE。
+ * @returns {{listDocuments: Function, commit: Function}}
+ */
+function createFirestoreDriver_(settings) {
+  if (!settings || !settings.PROJECT_ID) {
+    throw new Error('DocumentStore Error: Config.FIRESTORE.PROJECT_ID is not set.');
+  }
+  const databasePath = `projects/${settings.PROJECT_ID}/databases/${settings.DATABASE_ID || '(default)'}/documents`;
+  const baseUrl = `https://firestore.googleapis.com/v1/${databasePath}`;
+
+  const request = (method, url, payload) => {
+    const response = UrlFetchApp.fetch(url, {
+      method,
+      contentType: 'application/json',
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      payload: payload ? JSON.stringify(payload) : undefined,
+      muteHttpExceptions: true
+    });
+    const code = response.getResponseCode();
+    if (code >= 300) {
+      const hint = code === 401 || code === 403 ? ' (check the datastore OAuth scope in appsscript.json)' : '';
+      throw new Error(`Firestore Error ${code}${hint}: ${response.getContentText()}`);
+    }
+    return JSON.parse(response.getContentText() || '{}');
+  };
+
+  const documentName = (collection, id) => `${databasePath}/${collection}/${encodeURIComponent(id)}`;
+
+  return {
+    listDocuments(collection) {
+      const docs = [];
+      let pageToken = '';
+      do {
+        const url = `${baseUrl}/${collection}?pageSize=300${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+        const page = request('get', url);
+        (page.documents || []).forEach(doc => {
+          const fields = {};
+          Object.keys(doc.fields || {}).forEach(key => { fields[key] = fromFirestoreValue_(doc.fields[key]); });
+          docs.push({ id: decodeURIComponent(doc.name.split('/').pop()), fields });
+        });
+        pageToken = page.nextPageToken || '';
+      } while (pageToken);
+      return docs;
+    },
+
+    commit(collection, writes, deletes) {
+      const operations = deletes.map(id => ({ delete: documentName(collection, id) }))
+        .concat(writes.map(doc => ({
+          update: {
+            name: documentName(collection, doc.id),
+            fields: Object.keys(doc.fields).reduce((fields, key) => {
+              fields[key] = toFirestoreValue_(doc.fields[key]);
+              return fields;
+            }, {})
+          }
+        })));
+      for (let i = 0; i < operations.length; i += FIRESTORE_COMMIT_BATCH_SIZE) {
+        request('post', `${baseUrl}:commit`, { writes: operations.slice(i, i + FIRESTORE_COMMIT_BATCH_SIZE) });
+      }
+    }
+  };
+}
+
+/**
+ * 將試算表值轉換為 Firestore Value。空值存成空字串，讀回時與工作表的空白儲存格一致。
+ * @param {*} value
+ * @returns {Object}
+ */
+function toFirestoreValue_(value) {
+  if (value instanceof Date) return { timestampValue: value.toISOString() };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: value === null || value === undefined ? '' : String(value) };
+}
+
+/**
+ * 將 Firestore Value 轉換回試算表值。
+ * @param {Object} value
+ * @returns {*}
+ */
+function fromFirestoreValue_(value) {
+  if (value.hasOwnProperty('timestampValue')) return new Date(value.timestampValue);
+  if (value.hasOwnProperty('booleanValue')) return value.booleanValue;
+  if (value.hasOwnProperty('integerValue')) return Number(value.integerValue);
+  if (value.hasOwnProperty('doubleValue')) return Number(value.doubleValue);
+  if (value.hasOwnProperty('stringValue')) return value.stringValue;
+  return '';
+}
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview
+ * 把 DB 工作表複製到文件資料庫，並核對筆數與 checksum。工作表本身不會被修改。
+ *
+ * 從 Apps Script 編輯器執行：
+ * - migrateDbSheetsToDocumentStore()：搬移 Config.STORAGE 中所有仍存放在工作表的 DB 表到 Firestore。
+ * - migrateSheetToDocumentStore(sheetName, { target, replace })：搬移單一工作表。
+ * 全部核對成功後，再把 Config.STORAGE 中該表的 backend 改為 'firestore'，工具才會改從文件資料庫讀寫。
+ * 這些表的工具 (BOL Entry、Shipping Mgt、Serial Assignment、GIT Mgt) 都透過記錄 API 讀寫；新的程式碼也不可再以
+ * readTable / getRange 直接存取，否則切換後會被 SheetService 擋下。
+ */
+
+/**
+ * 搬移所有仍存放在工作表的 DB 表，並把結果寫入 Log。
+ * @returns {Array<Object>} 每張表的 migrateSheetToDocumentStore 結果。
+ */
+function migrateDbSheetsToDocumentStore() {
+  const results = Object.keys(Config.STORAGE)
+    .filter(sheetName => getStorageBackendName_(sheetName) === 'sheets')
+    .map(sheetName => migrateSheetToDocumentStore(sheetName, { target: 'firestore' }));
+  results.forEach(result => Logger.log(`${result.success ? 'OK' : 'FAILED'} - ${result.message}`));
+  return results;
+}
+
+/**
+ * 把一張 DB 工作表複製到文件資料庫，完成後重新讀回集合，核對筆數與 checksum。
+ * 以下情況不會寫入任何文件：主鍵空白或重複、工作表中有不在 Config.SCHEMAS 內但有資料的欄位、
+ * 目標集合已有文件且未指定 replace。
+ * @param {string} sheetName - 工作表名稱 (需定義於 Config.STORAGE 與 Config.SCHEMAS)。
+ * @param {{target?: string, replace?: boolean}} [options]
+ *   target:  目標後端 'firestore' (預設) | 'memory'。
+ *   replace: 目標集合已有文件時，先清空再寫入。
+ * @returns {{success: boolean, message: string, sheetName: string, collection: string, rowCount: number, documentCount: number, sourceChecksum: string, targetChecksum: string}}
+ */
+function migrateSheetToDocumentStore(sheetName, options = {}) {
+  const target = options.target || 'firestore';
+  const summary = { success: false, message: '', sheetName, collection: '', rowCount: 0, documentCount: 0, sourceChecksum: '', targetChecksum: '' };
+
+  try {
+    if (target === 'sheets') {
+      throw new Error("Target must be a document store ('firestore' or 'memory').");
+    }
+    const settings = getCollectionSettings_(sheetName);
+    const driver = getDocumentStoreBackend(target).driver;
+    summary.collection = settings.collection;
+
+    return runWithSheetLock(() => {
+      const documents = buildDocumentsFromSheet_(sheetName, settings);
+      summary.rowCount = documents.length;
+      summary.sourceChecksum = computeDocumentChecksum_(documents);
+
+      const existing = driver.listDocuments(settings.collection);
+      if (existing.length > 0 && !options.replace) {
+        throw new Error(`Collection "${settings.collection}" already has ${existing.length} document(s). Pass { replace: true } to overwrite it.`);
+      }
+
+      const newIds = new Set(documents.map(doc => doc.id));
+      driver.commit(settings.collection, documents, existing.map(doc => doc.id).filter(id => !newIds.has(id)));
+
+      const stored = driver.listDocuments(settings.collection);
+      summary.documentCount = stored.length;
+      summary.targetChecksum = computeDocumentChecksum_(stored);
+      summary.success = summary.documentCount === summary.rowCount && summary.targetChecksum === summary.sourceChecksum;
+      summary.message = summary.success
+        ? `"${sheetName}" -> ${target}/${settings.collection}: ${summary.rowCount} row(s) copied, checksum ${summary.sourceChecksum.slice(0, 12)} verified.`
+        : `"${sheetName}" -> ${target}/${settings.collection}: verification failed (rows ${summary.rowCount}, documents ${summary.documentCount}, checksum ${summary.sourceChecksum.slice(0, 12)} vs ${summary.targetChecksum.slice(0, 12)}).`;
+      return summary;
+    });
+  } catch (e) {
+    Logger.log(`migrateSheetToDocumentStore Error (${sheetName}): ${e.message}`);
+    summary.message = `Migration of "${sheetName}" failed: ${e.message}`;
+    return summary;
+  }
+}
+
+/**
+ * 讀取工作表並轉換為文件。欄位以 Schema 欄位代號儲存，值保持工作表中的原樣；
+ * 原本的列號存為序號 (_seq)，切換後記錄的 _rowNumber 維持不變。
+ * @param {string} sheetName
+ * @param {{primaryKey: string[], schema: Object}} settings
+ * @returns {Array<{id: string, fields: Object}>}
+ */
+function buildDocumentsFromSheet_(sheetName, settings) {
+  const { schema, primaryKey } = settings;
+  const records = readSheetRecords_(sheetName);
+  const fieldByKey = {};
+  Object.keys(schema.columns).forEach(field => { fieldByKey[normalizeHeader_(schema.columns[field].header)] = field; });
+
+  // 不在 Schema 中、但有資料的欄位在搬移後會遺失，直接中止
+  const unmapped = {};
+  records.forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (key.charAt(0) === '_' || fieldByKey[normalizeHeader_(key)]) return;
+      if (record[key] !== '' && record[key] !== null) unmapped[key] = true;
+    });
+  });
+  if (Object.keys(unmapped).length > 0) {
+    throw new Error(`Column(s) ${Object.keys(unmapped).map(key => `"${key}"`).join(', ')} hold data but are not in Config.SCHEMAS; add them before migrating.`);
+  }
+
+  const problems = [];
+  const seenRows = {};
+  const documents = records.map(record => {
+    const fields = {};
+    Object.keys(record).forEach(key => {
+      const field = fieldByKey[normalizeHeader_(key)];
+      if (field) fields[field] = record[key];
+    });
+    fields[DOCUMENT_SEQ_FIELD] = record._rowNumber;
+
+    const id = buildDocumentId_(primaryKey, fields);
+    if (!id) {
+      problems.push(`row ${record._rowNumber} has an empty primary key (${primaryKey.join(', ')})`);
+    } else if (seenRows[id]) {
+      problems.push(`duplicate primary key "${id}" in rows ${seenRows[id]} and ${record._rowNumber}`);
+    } else {
+      seenRows[id] = record._rowNumber;
+    }
+    return { id, fields };
+  });
+
+  if (problems.length > 0) {
+    const more = problems.length > 10 ? ` (and ${problems.length - 10} more)` : '';
+    throw new Error(`${problems.slice(0, 10).join('; ')}${more}`);
+  }
+  return documents;
+}
+
+/**
+ * 計算一組文件的 SHA-256 checksum。文件依 ID 排序、欄位依名稱排序，值帶型別前綴，
+ * 因此 1 與 '1'、空白與 false 會被視為不同，順序不同但內容相同的集合得到相同結果。
+ * @param {Array<{id: string, fields: Object}>} documents
+ * @returns {string} 16 進位字串。
+ */
+function computeDocumentChecksum_(documents) {
+  const serializeValue = value => {
+    if (value instanceof Date) return `D:${value.toISOString()}`;
+    if (typeof value === 'number') return `N:${value}`;
+    if (typeof value === 'boolean') return `B:${value}`;
+    return `S:${value === null || value === undefined ? '' : value}`;
+  };
+
+  const canonical = documents
+    .map(doc => JSON.stringify([doc.id, Object.keys(doc.fields).sort().map(key => [key, serializeValue(doc.fields[key])])]))
+    .sort()
+    .join('\n');
+
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, canonical, Utilities.Charset.UTF_8)
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+}
@@ -6,7 +6,6 @@ function logOperationDashboardEdit(e) {
   // --- 設定區 ---
   const LOG_SHEET_NAME = "Operation Dashboard | Edit History";
   const HEADER_ROW = 2;       // 標題所在的列數，請根據您的表格調整
-  const ID_COLUMN = 8;        // 用來識別資料的欄位 (H欄 = P/O)，請根據您的表格調整
   // 要監聽的特定欄位編號列表
   const COLS_TO_WATCH = [1, 2, 3, 28, 30, 32]; // A,B,C, AB,AD,AF
   // --- 設定結束 ---
@@ -27,7 +26,9 @@ function logOperationDashboardEdit(e) {
 
   const timestamp = new Date();
   const user = e.user.getEmail();
-  const identifier = sheet.getRange(row, ID_COLUMN).getValue();
+  // 用來識別資料的欄位 (P/O)，依標頭名稱從 Config.SCHEMAS 解析
+  const idColumn = getSchemaContext(sheet.getName()).columns.PO_NUMBER;
+  const identifier = sheet.getRange(row, idColumn).getValue();
   const fieldName = sheet.getRange(HEADER_ROW, col).getValue();
   const action = (oldValue === "") ? "Created" : "Updated";
 
@@ -7,7 +7,6 @@ function logOrderShippingEdit(e) {
   const TARGET_SHEET_NAME = "Order Shipping Mgt. Table";
   const LOG_SHEET_NAME = "Order Shipping|Edit History";
   const HEADER_ROW = 2; // 請確認此表的標題列數是否為 2
-  const ID_COLUMN = 2; // B欄 = P/O
   const START_COL = 1; // 開始監聽的欄位 (A欄)
   const END_COL = 29;  // 結束監聽的欄位 (AC欄)
   // --- 設定結束 ---
@@ -27,7 +26,9 @@ function logOrderShippingEdit(e) {
   
   const timestamp = new Date();
   const user = e.user.getEmail();
-  const identifier = sheet.getRange(row, ID_COLUMN).getValue();
+  // 用來識別資料的欄位 (P/O)，依標頭名稱從 Config.SCHEMAS 解析
+  const idColumn = getSchemaContext(sheet.getName()).columns.PO_NUMBER;
+  const identifier = sheet.getRange(row, idColumn).getValue();
   const fieldName = sheet.getRange(HEADER_ROW, col).getValue();
   const action = (oldValue === "") ? "Created" : "Updated";
 
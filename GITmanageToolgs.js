@@ -6,6 +6,7 @@
 // --- 常數定義區 ---
 const GIT_SHEET_NAME = 'GIT Tool | DB';
 const GIT_CACHE_KEY = 'gitPendingPiData';
+// GIT Tool | DB 欄位位置依標頭名稱從 Config.SCHEMAS 解析 (PI #, ETC, ETD, ETA, Memo, Inbound Date, Finish)
 
 
 /**
@@ -33,21 +34,16 @@ function getGitData() {
       return { success: true, piList: JSON.parse(cachedData) };
     }
 
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const gitSheet = ss.getSheetByName(GIT_SHEET_NAME);
-    if (!gitSheet) throw new Error(`Sheet '${GIT_SHEET_NAME}' not found.`);
-    
-    const lastRow = gitSheet.getLastRow();
-    if (lastRow < 2) {
+    const gitRecords = queryRecords(GIT_SHEET_NAME).all();
+    if (gitRecords.length === 0) {
       return { success: true, piList: [] }; // 工作表是空的
     }
 
-    const dataRange = gitSheet.getRange('A2:G' + lastRow).getValues();
     const pendingPiList = [];
 
-    dataRange.forEach(row => {
-      const piNumber = row[0]; // Column A
-      const isFinished = row[6]; // Column G (Finish)
+    gitRecords.forEach(record => {
+      const piNumber = getRecordValue(GIT_SHEET_NAME, record, 'PI_NUMBER');
+      const isFinished = getRecordValue(GIT_SHEET_NAME, record, 'FINISH');
 
       // 如果 PI# 存在且 'Finish' 欄不為 TRUE，則加入列表
       if (piNumber && isFinished !== true) {
@@ -78,24 +74,11 @@ function getPiDetails(piNumber) {
     if (!piNumber) throw new Error("PI Number is required.");
 
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const gitSheet = ss.getSheetByName(GIT_SHEET_NAME);
-    if (!gitSheet) throw new Error(`Sheet '${GIT_SHEET_NAME}' not found.`);
-
-    const piColumnValues = gitSheet.getRange('A2:A' + gitSheet.getLastRow()).getValues();
-    let targetRow = -1;
+    const record = queryRecords(GIT_SHEET_NAME).equals('PI_NUMBER', piNumber).first();
 
-    for (let i = 0; i < piColumnValues.length; i++) {
-      if (piColumnValues[i][0] === piNumber) {
-        targetRow = i + 2; // 找到 PI# 所在的列號
-        break;
-      }
-    }
-
-    if (targetRow === -1) {
+    if (!record) {
       return { success: false, message: `PI# '${piNumber}' not found.` };
     }
-
-    const rowData = gitSheet.getRange(targetRow, 2, 1, 6).getValues()[0]; // 讀取 B 到 G 欄
     
     // --- [V2 修正] ---
     // 原本使用 Session.getScriptTimeZone()，會導致時區轉換錯誤
@@ -110,13 +93,14 @@ function getPiDetails(piNumber) {
       return null; // 如果不是有效的日期物件，返回 null
     };
 
+    const git = field => getRecordValue(GIT_SHEET_NAME, record, field);
     const details = {
-      etc: formatDate(rowData[0]),          // Column B
-      etd: formatDate(rowData[1]),          // Column C
-      eta: formatDate(rowData[2]),          // Column D
-      memo: rowData[3] || '',               // Column E
-      inboundDate: formatDate(rowData[4]), // Column F
-      isFinished: rowData[5] === true      // Column G
+      etc: formatDate(git('ETC')),
+      etd: formatDate(git('ETD')),
+      eta: formatDate(git('ETA')),
+      memo: git('MEMO') || '',
+      inboundDate: formatDate(git('INBOUND_DATE')),
+      isFinished: git('FINISH') === true
     };
 
     return { success: true, details: details };
@@ -126,54 +110,48 @@ function getPiDetails(piNumber) {
   }
 }
 
+/**
+ * 前端進入點：執行 saveGitDetails_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function saveGitDetails(data) {
+  return runLoggedOperation({ tool: 'GIT Mgt', action: 'saveGitDetails', record: data && data.piNumber, sheet: GIT_SHEET_NAME, field: 'PI_NUMBER' }, () => saveGitDetails_(data));
+}
+
 /**
  * 儲存更新後的 GIT 詳細資訊。
  * @param {object} data The data object from the frontend form.
  * @returns {object} A result object indicating success or failure.
  */
-function saveGitDetails(data) {
+function saveGitDetails_(data) {
   try {
     const { piNumber, etc, etd, eta, memo, inboundDate, isFinished } = data;
     if (!piNumber) throw new Error("PI Number is missing.");
 
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const gitSheet = ss.getSheetByName(GIT_SHEET_NAME);
-    if (!gitSheet) throw new Error(`Sheet '${GIT_SHEET_NAME}' not found.`);
-
-    const piColumnValues = gitSheet.getRange('A2:A' + gitSheet.getLastRow()).getValues();
-    let targetRow = -1;
-
-    for (let i = 0; i < piColumnValues.length; i++) {
-      if (piColumnValues[i][0] === piNumber) {
-        targetRow = i + 2;
-        break;
-      }
-    }
+    const record = queryRecords(GIT_SHEET_NAME).equals('PI_NUMBER', piNumber).first();
 
-    if (targetRow === -1) {
+    if (!record) {
       throw new Error(`PI# '${piNumber}' could not be found for saving.`);
     }
     
-    // 準備要寫入的資料
+    // 只更新工具管理的欄位，其餘欄位保留原值
     // 如果日期字串為空，則寫入 null 來清空儲存格
-    const valuesToSet = [
-      etc ? new Date(etc) : null,
-      etd ? new Date(etd) : null,
-      eta ? new Date(eta) : null,
-      memo,
-      inboundDate ? new Date(inboundDate) : null,
-      isFinished // isFinished 是布林值
-    ];
-
-    // 將更新的值寫入 B 到 G 欄
-    gitSheet.getRange(targetRow, 2, 1, 6).setValues([valuesToSet]);
-    SpreadsheetApp.flush();
+    const result = updateRecords(GIT_SHEET_NAME, [{
+      _rowNumber: record._rowNumber,
+      ETC: etc ? new Date(etc) : null,
+      ETD: etd ? new Date(etd) : null,
+      ETA: eta ? new Date(eta) : null,
+      MEMO: memo,
+      INBOUND_DATE: inboundDate ? new Date(inboundDate) : null,
+      FINISH: isFinished // isFinished 是布林值
+    }]);
+    if (!result.success) throw new Error(result.message);
     
     // 清除快取，以便下次打開時能獲取最新列表
     CacheService.getScriptCache().remove(GIT_CACHE_KEY);
 
     return { success: true, message: `Successfully updated PI# '${piNumber}'.` };
   } catch (e) {
+    reportOperationError(e);
     Logger.log(`saveGitDetails Error: ${e.message}\n${e.stack}`);
     return { success: false, message: e.toString() };
   }
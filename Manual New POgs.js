@@ -1,5 +1,6 @@
 /**
  * Displays the HTML dialog for manual PO creation.
+ * Creates Dealer POs and Direct Quotes (the order source is chosen in the dialog, see OrderSources.js).
  */
 function showManualPOSidebar() {
   const html = HtmlService.createHtmlOutputFromFile('Manual New PO')
@@ -9,94 +10,305 @@ function showManualPOSidebar() {
   SpreadsheetApp.getUi().showModalDialog(html, 'Manual New PO');
 }
 
+// 手動 P/O 編號：來源前綴 (Dealer PO 'POM'、Direct Quote 'DQ') + 5 位流水號，
+// 計數器依前綴存於 Script Properties (例如 'MANUAL_PO_SEQUENCE_POM')
+const MANUAL_PO_SEQUENCE_PROPERTY = 'MANUAL_PO_SEQUENCE';
+// 單價與 Price Book 相差超過此比例時，需使用者確認後才儲存
+const MANUAL_PO_PRICE_TOLERANCE = 0.1;
+
 /**
  * Serves the initial data for the sidebar.
  */
 function getInitialData() {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-
-  const customersSheet = spreadsheet.getSheetByName('Customers(QBO)');
-  const customerNames = customersSheet.getRange('B2:B300').getValues().flat().filter(String);
+  const customersTable = readTable('Customers(QBO)');
+  const customerNames = customersTable.values
+    .map(row => row[customersTable.columns.CUSTOMER_NAME - 1])
+    .filter(String);
 
-  const priceBookSheet = spreadsheet.getSheetByName('HSUS Price Book');
-  const models = priceBookSheet.getRange('C2:C200').getValues().flat().filter(String);
-  const prices = priceBookSheet.getRange('D2:D200').getValues().flat().filter(String);
+  // Model 清單與價格來自共用的 Price Book 服務 (與 PO Editor 相同)；兩個陣列的索引一致
+  const priceBook = getPriceBook();
+  const models = priceBook.modelNames;
+  const prices = models.map(model => priceBook.modelToPrice[model]);
 
-  // 在後端生成 P/O # 和 Created Date
-  const poNumber = `POM${Utilities.getUuid().substring(0, 4).toUpperCase()}`;
-  const createdDate = new Date().toISOString().split('T')[0];
+  // P/O # 僅為預覽，實際號碼在儲存時於鎖內配發；每個來源各有自己的前綴
+  const usedPoNumbers = getUsedPoNumbers_();
+  const nextPoNumbers = {};
+  getAllOrderSources_().forEach(source => {
+    nextPoNumbers[source.id] = getNextManualPoNumber_(usedPoNumbers, source.manualPoPrefix);
+  });
+  const poNumber = nextPoNumbers[DEFAULT_ORDER_SOURCE];
+  const createdDate = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
 
-  return { customerNames, models, prices, poNumber, createdDate };
+  return { customerNames, models, prices, poNumber, createdDate, orderSources: getOrderSources(), nextPoNumbers };
 }
 
 /**
- * Backend function to process PO data and save it to the sheet.
- * @param {Object} poData The PO data from the sidebar.
- * @returns {Object} A status object with success/error message.
+ * 前端進入點：執行 processAndSavePo_ 並寫入 Ops Log (OpsLog.js)。
  */
 function processAndSavePo(poData) {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = spreadsheet.getSheetByName('Dealer PO | Raw Data');
+  return runLoggedOperation({ tool: 'Manual New PO', action: 'processAndSavePo', record: poData && poData.buyerName, sheet: getOrderSourceRawSheet_(poData && poData.source), field: 'PO_NUMBER' }, () => processAndSavePo_(poData));
+}
+
+/**
+ * Backend function to validate PO data and save it to the sheet.
+ * 在後端重新驗證所有欄位、以 Price Book 重算總額，並於鎖內配發不重複的 P/O #。
+ * 單價偏離 Price Book 超過 MANUAL_PO_PRICE_TOLERANCE 時回傳 status 'confirm'，前端確認後帶 confirmPriceDeviation 重送。
+ * @param {Object} poData The PO data from the sidebar. poData.source 為訂單來源 (預設 Dealer PO)。
+ * @returns {{status: string, message: string, poNumber?: string, total?: number, skus?: string[], nextPoNumber?: string, errors?: string[], priceDeviations?: Array<Object>}}
+ *   status 為 'success'、'confirm' 或 'error'。
+ */
+function processAndSavePo_(poData) {
+  let orderSource;
+  try {
+    orderSource = getOrderSource_(poData && poData.source);
+  } catch (e) {
+    return { status: 'error', message: e.message };
+  }
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(orderSource.rawSheet);
   if (!sheet) {
-    return { status: 'error', message: '工作表 "Dealer PO | Raw Data" 未找到。' };
+    return { status: 'error', message: `工作表 "${orderSource.rawSheet}" 未找到。` };
   }
 
   try {
-    const lastRow = sheet.getLastRow();
-    const existingDataRange = sheet.getRange(1, 1, lastRow, sheet.getLastColumn());
-    const existingValues = existingDataRange.getValues();
-
-    // 準備所有產品項目的資料列
-    const lineItemRows = [];
-    poData.lineItems.forEach(item => {
-      // 確保每一行都有足夠的欄位數，避免索引超出範圍
-      const lineItemRow = new Array(existingValues[0].length).fill('');
-      
-      // 填寫主要 PO 資訊
-      lineItemRow[0] = poData.createdDate;       // Col A: Created Date
-      lineItemRow[1] = poData.buyerName;         // Col B: Buyer Name
-      lineItemRow[3] = poData.poNumber;          // Col D: P/O
-      lineItemRow[7] = poData.total;             // Col H: P/O - Total
-      lineItemRow[8] = poData.paymentTerm;       // Col I: Payment term
-      lineItemRow[9] = poData.type;              // Col J: Type
-      lineItemRow[18] = poData.shipToInfo.address; // Col S: Ship to
-      lineItemRow[19] = poData.shipToInfo.contactPerson; // Col T: Contact Person
-      lineItemRow[20] = poData.shipToInfo.phone;  // Col U: Phone
-      lineItemRow[21] = poData.shipToInfo.email;  // Col V: Email
-
-      // 填寫產品項目資訊
-      lineItemRow[12] = item.model;      // Col M: item.model
-      lineItemRow[13] = item.unitPrice;  // Col N: item.unitPrice
-      lineItemRow[14] = item.quantity;   // Col O: item.quantity
-
-      lineItemRows.push(lineItemRow);
-    });
-
-    if (lineItemRows.length > 0) {
-      // 一次性寫入所有產品項目
-      const newRange = sheet.getRange(lastRow + 1, 1, lineItemRows.length, lineItemRows[0].length);
-      newRange.setValues(lineItemRows);
+    const po = validateManualPo_(poData || {});
+    if (po.errors.length > 0) {
+      return { status: 'error', message: po.errors.join('\n'), errors: po.errors };
+    }
+    if (po.priceDeviations.length > 0 && !poData.confirmPriceDeviation) {
+      const details = po.priceDeviations.map(d => `${d.model}: ${d.unitPrice.toFixed(2)} vs Price Book ${d.bookPrice.toFixed(2)} (${d.percent}%)`);
+      return {
+        status: 'confirm',
+        message: `Unit price differs from the Price Book by more than ${MANUAL_PO_PRICE_TOLERANCE * 100}%:\n${details.join('\n')}`,
+        priceDeviations: po.priceDeviations
+      };
     }
-    
-    // After saving, send to Zapier
-    // sendToZapier(poData); // TODO: Integrate Zapier call here
 
-    return { status: 'success', message: `PO ${poData.poNumber} 已成功建立並儲存。` };
+    return runWithSheetLock(() => {
+      // 在鎖內重新讀取所有來源的 Raw Data 與 Archive，確保配發的號碼未被使用
+      getAllOrderSources_().forEach(source => invalidateRecordCache(source.rawSheet));
+      const usedPoNumbers = getUsedPoNumbers_();
+      const poNumber = getNextManualPoNumber_(usedPoNumbers, orderSource.manualPoPrefix);
+      if (usedPoNumbers.has(poNumber)) throw new Error(`P/O ${poNumber} already exists.`);
+
+      const header = getManualPoHeaderValues_(po, poNumber, orderSource);
+      const records = po.lines.map(line => Object.assign({}, header, {
+        P_O_LINE_ITEMS: line.model,
+        P_O_UNIT_PRICE: line.unitPrice,
+        P_O_QTY: line.quantity
+      }));
+      const writeResult = appendRecords(orderSource.rawSheet, records);
+      if (!writeResult.success) throw new Error(`Failed to write to '${orderSource.rawSheet}': ${writeResult.message}`);
+
+      PropertiesService.getScriptProperties().setProperty(
+        `${MANUAL_PO_SEQUENCE_PROPERTY}_${orderSource.manualPoPrefix}`,
+        String(parseManualPoSequence_(poNumber, orderSource.manualPoPrefix))
+      );
+      usedPoNumbers.add(poNumber);
+
+      // After saving, send to Zapier
+      // sendToZapier(poData); // TODO: Integrate Zapier call here
+
+      // 信用檢查 (CreditHold.js)：P/O 已儲存，Hold 只擋後續的出貨規劃與 BOL
+      const creditCheck = runCreditCheck_(poNumber, { buyerName: po.buyerName, poTotal: po.total, source: orderSource.id, trigger: 'Manual New PO' });
+
+      return {
+        status: 'success',
+        message: `PO ${poNumber} 已成功建立並儲存 (Total $${po.total.toFixed(2)})。` + describeCreditCheck_(creditCheck),
+        poNumber,
+        creditCheck,
+        total: po.total,
+        skus: po.lines.map(line => line.sku),
+        nextPoNumber: getNextManualPoNumber_(usedPoNumbers, orderSource.manualPoPrefix)
+      };
+    });
 
   } catch (e) {
+    reportOperationError(e);
     return { status: 'error', message: `儲存資料時發生錯誤：${e.message}` };
   }
 }
 
+/**
+ * 驗證表單資料並以 Price Book 查出 SKU、重算總額 (不信任前端傳來的 total)。
+ * @param {Object} poData
+ * @returns {{errors: string[], priceDeviations: Array<{line: number, model: string, unitPrice: number, bookPrice: number, percent: number}>, createdDate: Date, buyerName: string, paymentTerm: string, type: string, shipToInfo: Object, lines: Array<{model: string, sku: string, quantity: number, unitPrice: number}>, total: number}}
+ */
+function validateManualPo_(poData) {
+  const errors = [];
+  const text = value => String(value === null || value === undefined ? '' : value).trim();
+
+  const createdDate = text(poData.createdDate) ? parseLocalDate_(poData.createdDate) : null;
+  if (!createdDate || isNaN(createdDate.getTime())) errors.push('Created Date is required.');
+
+  const buyers = new Map(getBuyerNames_().map(name => [String(name).trim().toLowerCase(), String(name).trim()]));
+  const buyerText = text(poData.buyerName);
+  if (!buyerText) errors.push('Buyer Name is required.');
+  else if (!buyers.has(buyerText.toLowerCase())) errors.push(`Buyer '${buyerText}' is not in Customers(QBO).`);
+
+  const paymentTerm = text(poData.paymentTerm);
+  const type = text(poData.type);
+  if (!paymentTerm) errors.push('Payment Term is required.');
+  if (!type) errors.push('Type is required.');
+
+  const shipTo = poData.shipToInfo || {};
+  const shipToInfo = {
+    address: text(shipTo.address),
+    contactPerson: text(shipTo.contactPerson),
+    phone: text(shipTo.phone),
+    email: text(shipTo.email)
+  };
+  if (!shipToInfo.address) errors.push('Ship To address is required.');
+
+  const priceBook = getPriceBook();
+  const items = Array.isArray(poData.lineItems) ? poData.lineItems : [];
+  if (items.length === 0) errors.push('At least one line item is required.');
+
+  const lines = [];
+  const priceDeviations = [];
+  items.forEach((item, index) => {
+    const label = `Line ${index + 1}`;
+    const model = text(item.model);
+    const quantity = Number(item.quantity);
+    const unitPrice = Number(item.unitPrice);
+    const bookPrice = priceBook.modelToPrice[model];
+    const sku = priceBook.modelToSku[model];
+
+    if (!model) errors.push(`${label}: Model is required.`);
+    else if (bookPrice === undefined) errors.push(`${label}: Model '${model}' is not in the Price Book.`);
+    else if (!sku) errors.push(`${label}: Model '${model}' has no SKU in the Price Book.`);
+    if (!Number.isInteger(quantity) || quantity <= 0) errors.push(`${label}: Qty must be a whole number greater than 0.`);
+    if (text(item.unitPrice) === '' || isNaN(unitPrice) || unitPrice < 0) errors.push(`${label}: Unit Price must be a number of 0 or more.`);
+
+    if (bookPrice > 0 && !isNaN(unitPrice) && Math.abs(unitPrice - bookPrice) / bookPrice > MANUAL_PO_PRICE_TOLERANCE) {
+      priceDeviations.push({ line: index + 1, model, unitPrice, bookPrice, percent: Math.round((unitPrice - bookPrice) / bookPrice * 1000) / 10 });
+    }
+    lines.push({ model, sku: sku || '', quantity, unitPrice });
+  });
+
+  const total = Math.round(lines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0) * 100) / 100;
+  if (errors.length === 0 && total <= 0) errors.push('Total must be greater than 0.');
+
+  return {
+    errors,
+    priceDeviations,
+    createdDate,
+    buyerName: buyers.get(buyerText.toLowerCase()) || buyerText,
+    paymentTerm,
+    type,
+    shipToInfo,
+    lines,
+    total
+  };
+}
 
 /**
- * Generates a UUID for P/O Number.
- * Format: "POM" + 4 random characters.
- * @returns {string} The generated UUID.
+ * 每一行共用的 P/O 欄位。RSM / Company 沿用該 Buyer 最近一筆 P/O (先找同一來源的 Raw Data，再找其他來源)，
+ * 地址以 parseUsAddress 拆分；沒有前一筆 P/O 的 RSM 時依州指派。
+ * SKU / Model / Helper Key 為 ARRAYFORMULA 欄位，由公式依 P/O Line Items 產生，不寫入。
+ * @param {Object} po - validateManualPo_ 的結果。
+ * @param {string} poNumber
+ * @param {Object} orderSource - getOrderSource_ 的結果。
+ * @returns {Object} 以欄位代號為鍵的記錄值。
  */
-function generatePoUuid() {
-  const randomPart = Utilities.getUuid().substring(0, 4).toUpperCase();
-  return `POM${randomPart}`;
+function getManualPoHeaderValues_(po, poNumber, orderSource) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetNames = [orderSource.rawSheet].concat(getAllOrderSources_()
+    .map(source => source.rawSheet)
+    .filter(name => name !== orderSource.rawSheet && ss.getSheetByName(name)));
+  let sheetName = null;
+  let previous = null;
+  sheetNames.some(name => {
+    previous = readAllRecords(name)
+      .filter(record => String(getRecordValue(name, record, 'BUYER_NAME')).trim() === po.buyerName)
+      .pop() || null;
+    sheetName = name;
+    return previous !== null;
+  });
+  const user = Session.getActiveUser().getEmail() || 'unknown user';
+  const values = {
+    PO_RECEIVED_DATE: po.createdDate,
+    BUYER_NAME: po.buyerName,
+    RSM: previous ? getRecordValue(sheetName, previous, 'RSM') : '',
+    PO_NUMBER: poNumber,
+    PO_TOTAL: po.total,
+    PAYMENT_TERM: po.paymentTerm,
+    TYPE: po.type,
+    COMPANY: (previous && getRecordValue(sheetName, previous, 'COMPANY')) || po.buyerName,
+    SHIP_TO: po.shipToInfo.address,
+    SHIP_TO_CONTACT: po.shipToInfo.contactPerson,
+    SHIP_TO_PHONE: po.shipToInfo.phone,
+    SHIP_TO_EMAIL: po.shipToInfo.email,
+    STATUS: '',
+    CHANGE_NOTE: `Manual New PO by ${user}`,
+    TIMESTAMP: new Date()
+  };
+
+  const address = parseUsAddress(po.shipToInfo.address);
+  Object.keys(ADDRESS_TARGET_FIELDS).forEach(field => {
+    values[field] = address[ADDRESS_TARGET_FIELDS[field]];
+  });
+  // Buyer 沒有前一筆 P/O 時，依 Ship-to 的州指派 RSM (RsmReport.js)
+  if (!values.RSM) values.RSM = getRsmTerritories_().get(normalizeRsmState_(values.STATE)) || '';
+  return values;
+}
+
+/**
+ * P/O 在所有訂單來源之間必須唯一 (下游 DB 只以 PO|SKU 為鍵)。
+ * @returns {Set<string>} 所有來源的 Raw Data 與 Archive 中已使用的 P/O #。不存在的工作表略過。
+ */
+function getUsedPoNumbers_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const used = new Set();
+  getAllOrderSources_().forEach(source => {
+    [source.rawSheet, source.archiveSheet].filter(name => ss.getSheetByName(name)).forEach(name => {
+      const table = readTable(name);
+      table.values.forEach(row => {
+        const po = String(row[table.columns.PO_NUMBER - 1]).trim();
+        if (po) used.add(po);
+      });
+    });
+  });
+  return used;
+}
+
+/**
+ * 下一個手動 P/O #：從計數器與現有最大流水號中較大者往後找，跳過已使用的號碼。
+ * 只計算不保留；儲存成功後才更新計數器。
+ * @param {Set<string>} usedPoNumbers
+ * @param {string} prefix - 來源的 manualPoPrefix ('POM' / 'DQ')。
+ * @returns {string} 例如 'POM00001'。
+ */
+function getNextManualPoNumber_(usedPoNumbers, prefix) {
+  let sequence = Number(PropertiesService.getScriptProperties().getProperty(`${MANUAL_PO_SEQUENCE_PROPERTY}_${prefix}`)) || 0;
+  usedPoNumbers.forEach(po => {
+    sequence = Math.max(sequence, parseManualPoSequence_(po, prefix));
+  });
+  let poNumber;
+  do {
+    sequence++;
+    poNumber = `${prefix}${String(sequence).padStart(5, '0')}`;
+  } while (usedPoNumbers.has(poNumber));
+  return poNumber;
+}
+
+/**
+ * @param {string} poNumber
+ * @param {string} prefix
+ * @returns {number} 流水號；舊的 POM + 4 碼亂數格式或其他 P/O 為 0。
+ */
+function parseManualPoSequence_(poNumber, prefix) {
+  const match = String(poNumber).match(new RegExp(`^${prefix}(\\d{5,})$`));
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Returns the next manual P/O Number (preview only; the number is assigned when the PO is saved).
+ * Format: source prefix ("POM" / "DQ") + 5-digit sequence.
+ * @param {string} [source] Order source ID (OrderSources.js); defaults to Dealer PO.
+ * @returns {string} The next P/O Number.
+ */
+function generatePoUuid(source) {
+  return getNextManualPoNumber_(getUsedPoNumbers_(), getOrderSource_(source).manualPoPrefix);
 }
 
 // -----------------------------------------------------------------
@@ -110,20 +322,22 @@ function generatePoUuid() {
  * @returns {string} 成功或失敗訊息。
  */
 function savePdfUrl(poNumber, pdfUrl) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Dealer PO | Raw Data');
-  if (!sheet) {
-    throw new Error('Sheet "Dealer PO | Raw Data" not found.');
+  // P/O 可能屬於任一訂單來源 (Dealer PO / Direct Quote)
+  const source = findOrderSourceOfPo_(poNumber);
+  if (!source) {
+    return `fail: PO ${poNumber} not found in sheet.`;
   }
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(source.rawSheet);
 
-  const poColumn = 4; // D 欄
-  const pdfUrlColumn = 16; // P 欄
+  const poTable = readTable(source.rawSheet);
+  const poColumn = poTable.columns.PO_NUMBER;
+  const pdfUrlColumn = poTable.columns.FILE_URL;
 
-  const range = sheet.getDataRange();
-  const values = range.getValues();
+  const values = poTable.values;
 
-  for (let i = 1; i < values.length; i++) {
+  for (let i = 0; i < values.length; i++) {
     if (values[i][poColumn - 1] == poNumber) {
-      sheet.getRange(i + 1, pdfUrlColumn).setValue(pdfUrl);
+      sheet.getRange(i + poTable.firstDataRow, pdfUrlColumn).setValue(pdfUrl);
       return `success: PDF URL for PO ${poNumber} saved.`;
     }
   }
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview
+ * New PO 上傳佇列 (NewReviseVoidPOgs.js 的 processNewPoUploadQueue)。
+ * - 每個上傳是 'PO Upload Queue' 工作表的一列：Queued → Processing → Done；暫存檔移到 UPLOAD_FOLDER_ID 失敗時為 'Failed'。
+ * - 'Failed' 的列就是 dead-letter 清單：暫存檔留在 TEMP_UPLOAD_FOLDER_ID，可 Retry (重新排入) 或 Discard (暫存檔丟到垃圾桶)。
+ * - 執行中斷而停在 'Processing' 的列，下一次處理時改為 'Failed'，一樣進入 dead-letter 清單。
+ * - 佇列清空後清理 TEMP_UPLOAD_FOLDER_ID 中沒有任何待處理工作參照的 temp_ 檔案 (也可從對話框手動執行)。
+ * - 舊版存在 Script Property (NEW_PO_QUEUE_KEY) 的工作，在下一次處理時搬進工作表。
+ */
+
+const NEW_PO_TEMP_FILE_PREFIX = 'temp_';
+// 只清理超過這個時間的暫存檔：剛存好、還沒寫入佇列的檔案不會被當成孤兒
+const NEW_PO_TEMP_FILE_MIN_AGE_MS = 60 * 60 * 1000;
+// 仍參照暫存檔的狀態
+const NEW_PO_PENDING_UPLOAD_STATUSES = ['Queued', 'Processing', 'Failed'];
+
+/**
+ * 對話框用的上傳清單，新的在前。
+ * @param {number} [limit=20]
+ * @returns {{success: boolean, tasks?: Array<{taskId: string, poNumber: string, fileName: string, status: string,
+ *   submittedBy: string, submittedTime: string, processedTime: string, attempts: number, message: string,
+ *   canRetry: boolean, canDiscard: boolean}>, counts?: Object<string, number>, message?: string}}
+ */
+function getNewPoUploadStatus(limit) {
+  try {
+    const max = Number(limit) > 0 ? Number(limit) : 20;
+    const toIso = value => value instanceof Date ? value.toISOString() : '';
+    const all = readNewPoUploadTasks_();
+    const counts = { Queued: 0, Processing: 0, Done: 0, Failed: 0 };
+    all.forEach(task => { if (counts.hasOwnProperty(task.status)) counts[task.status]++; });
+    // 'Failed' 的工作不論多舊都列出，dead-letter 清單才不會被新的上傳擠掉
+    const recent = all.slice().reverse();
+    const shown = recent.slice(0, max).concat(recent.slice(max).filter(task => task.status === 'Failed'));
+    const tasks = shown.map(task => ({
+      taskId: task.taskId,
+      poNumber: task.poNumber,
+      fileName: task.fileName,
+      status: task.status,
+      submittedBy: task.submittedBy,
+      submittedTime: toIso(task.submittedTime),
+      processedTime: toIso(task.processedTime),
+      attempts: task.attempts,
+      message: task.message,
+      canRetry: task.status === 'Failed',
+      canDiscard: task.status === 'Failed'
+    }));
+    return { success: true, tasks, counts };
+  } catch (e) {
+    Logger.log(`getNewPoUploadStatus Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 前端進入點：把 dead-letter 清單中的上傳重新排入佇列。
+ * @param {string} taskId
+ * @returns {{success: boolean, message: string}}
+ */
+function retryNewPoUpload(taskId) {
+  return runLoggedOperation({ tool: 'New/Revise/Void PO', action: 'retryNewPoUpload', record: taskId, sheet: Config.SHEET_NAMES.PO_UPLOAD_QUEUE, field: 'TASK_ID' }, () => retryNewPoUpload_(taskId));
+}
+
+function retryNewPoUpload_(taskId) {
+  try {
+    const result = runWithSheetLock(() => {
+      const task = findNewPoUploadTask_(taskId);
+      if (!task) return { success: false, message: `Upload ${taskId} not found in '${Config.SHEET_NAMES.PO_UPLOAD_QUEUE}'.` };
+      if (task.status !== 'Failed') {
+        return { success: false, message: `Upload ${task.fileName} is ${task.status}; only Failed uploads can be retried.` };
+      }
+      updateRecords(Config.SHEET_NAMES.PO_UPLOAD_QUEUE, [{
+        _rowNumber: task.rowNumber,
+        STATUS: 'Queued',
+        MESSAGE: `Retry requested by ${Session.getActiveUser().getEmail()}.`
+      }]);
+      return { success: true, message: `${task.fileName} queued again.` };
+    });
+    if (result.success) startNewPoUploadQueue_();
+    return result;
+  } catch (e) {
+    reportOperationError(e);
+    Logger.log(`retryNewPoUpload Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 前端進入點：放棄 dead-letter 清單中的上傳，並把它的暫存檔丟到垃圾桶。
+ * @param {string} taskId
+ * @returns {{success: boolean, message: string}}
+ */
+function discardNewPoUpload(taskId) {
+  return runLoggedOperation({ tool: 'New/Revise/Void PO', action: 'discardNewPoUpload', record: taskId, sheet: Config.SHEET_NAMES.PO_UPLOAD_QUEUE, field: 'TASK_ID' }, () => discardNewPoUpload_(taskId));
+}
+
+function discardNewPoUpload_(taskId) {
+  try {
+    return runWithSheetLock(() => {
+      const task = findNewPoUploadTask_(taskId);
+      if (!task) return { success: false, message: `Upload ${taskId} not found in '${Config.SHEET_NAMES.PO_UPLOAD_QUEUE}'.` };
+      if (task.status !== 'Failed') {
+        return { success: false, message: `Upload ${task.fileName} is ${task.status}; only Failed uploads can be discarded.` };
+      }
+      const trashed = trashNewPoTempFile_(task.tempFileId);
+      const message = `Discarded by ${Session.getActiveUser().getEmail()}.` + (trashed ? ' The temp file was moved to the trash.' : '');
+      updateRecords(Config.SHEET_NAMES.PO_UPLOAD_QUEUE, [{ _rowNumber: task.rowNumber, STATUS: 'Discarded', MESSAGE: message }]);
+      return { success: true, message: `${task.fileName} discarded.` };
+    });
+  } catch (e) {
+    reportOperationError(e);
+    Logger.log(`discardNewPoUpload Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 前端進入點：清理 TEMP_UPLOAD_FOLDER_ID 中的孤兒暫存檔。
+ * @returns {{success: boolean, message: string, trashed?: string[]}}
+ */
+function cleanupNewPoTempFiles() {
+  return runLoggedOperation({ tool: 'New/Revise/Void PO', action: 'cleanupNewPoTempFiles' }, () => cleanupNewPoTempFiles_());
+}
+
+/**
+ * 把沒有 Queued / Processing / Failed 工作參照、且建立超過 NEW_PO_TEMP_FILE_MIN_AGE_MS 的 temp_ 檔案丟到垃圾桶。
+ * @returns {{success: boolean, message: string, trashed?: string[]}}
+ */
+function cleanupNewPoTempFiles_() {
+  try {
+    return runWithSheetLock(() => {
+      const referenced = new Set(readNewPoUploadTasks_()
+        .filter(task => NEW_PO_PENDING_UPLOAD_STATUSES.indexOf(task.status) !== -1)
+        .map(task => task.tempFileId));
+      const cutoff = Date.now() - NEW_PO_TEMP_FILE_MIN_AGE_MS;
+      const trashed = [];
+      const files = DriveApp.getFolderById(TEMP_UPLOAD_FOLDER_ID).getFiles();
+      while (files.hasNext()) {
+        const file = files.next();
+        if (file.getName().indexOf(NEW_PO_TEMP_FILE_PREFIX) !== 0) continue;
+        if (referenced.has(file.getId()) || file.getDateCreated().getTime() > cutoff) continue;
+        file.setTrashed(true);
+        trashed.push(file.getName());
+      }
+      Logger.log(`cleanupNewPoTempFiles: trashed ${trashed.length} orphaned temp file(s).`);
+      return {
+        success: true,
+        trashed,
+        message: trashed.length > 0 ? `Moved ${trashed.length} orphaned temp file(s) to the trash.` : 'No orphaned temp files found.'
+      };
+    });
+  } catch (e) {
+    reportOperationError(e);
+    Logger.log(`cleanupNewPoTempFiles Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 新增一筆 'Queued' 的上傳。
+ * @param {{tempFileId: string, finalFileName: string, poNumber: string, submittedAt?: string}} task
+ * @returns {{taskId: string, isFirst: boolean}} isFirst：前面沒有其他等待中或處理中的上傳。
+ */
+function enqueueNewPoUploadTask_(task) {
+  getOrCreateQueueSheet(Config.SHEET_NAMES.PO_UPLOAD_QUEUE);
+  const taskId = Utilities.getUuid();
+  return runWithSheetLock(() => {
+    const isFirst = !readNewPoUploadTasks_().some(t => t.status === 'Queued' || t.status === 'Processing');
+    const result = appendRecords(Config.SHEET_NAMES.PO_UPLOAD_QUEUE, [{
+      TASK_ID: taskId,
+      PO_NUMBER: task.poNumber || '',
+      FILE_NAME: task.finalFileName,
+      TEMP_FILE_ID: task.tempFileId,
+      STATUS: 'Queued',
+      SUBMITTED_BY: Session.getActiveUser().getEmail(),
+      SUBMITTED_TIME: task.submittedAt ? new Date(task.submittedAt) : new Date(),
+      ATTEMPTS: 0,
+      MESSAGE: 'Waiting to be moved to the PO folder.'
+    }]);
+    if (!result.success) throw new Error(result.message);
+    return { taskId, isFirst };
+  });
+}
+
+/**
+ * 在 Script Lock 內處理下一個 'Queued' 的上傳：把暫存檔移到 UPLOAD_FOLDER_ID 並改成最終檔名。
+ * 移動失敗的上傳標記為 'Failed' (dead-letter)，不會自動重試：原因通常是暫存檔被刪除或沒有權限。
+ * @returns {{task: Object|null, status: string|null, remaining: number}} remaining：處理後仍在等待的上傳數。
+ */
+function processNextNewPoUpload_() {
+  return runWithSheetLock(() => {
+    const tasks = readNewPoUploadTasks_();
+
+    // 持有鎖時仍是 'Processing' 的列，代表上一次執行在移動途中中斷
+    const interrupted = tasks.filter(task => task.status === 'Processing');
+    if (interrupted.length > 0) {
+      updateRecords(Config.SHEET_NAMES.PO_UPLOAD_QUEUE, interrupted.map(task => ({
+        _rowNumber: task.rowNumber,
+        STATUS: 'Failed',
+        PROCESSED_TIME: new Date(),
+        MESSAGE: 'Processing was interrupted. Check the PO folder before retrying.'
+      })));
+    }
+
+    const queued = tasks.filter(task => task.status === 'Queued');
+    const task = queued[0];
+    if (!task) return { task: null, status: null, remaining: 0 };
+
+    updateRecords(Config.SHEET_NAMES.PO_UPLOAD_QUEUE, [{ _rowNumber: task.rowNumber, STATUS: 'Processing', ATTEMPTS: task.attempts + 1 }]);
+    SpreadsheetApp.flush(); // 讓對話框在移動期間看到 'Processing'
+
+    let status;
+    let message;
+    try {
+      const finalFolder = DriveApp.getFolderById(UPLOAD_FOLDER_ID);
+      const tempFile = DriveApp.getFileById(task.tempFileId);
+      tempFile.moveTo(finalFolder);
+      tempFile.setName(task.fileName);
+      status = 'Done';
+      message = `Moved to the PO folder as ${task.fileName}.`;
+      console.log(`✅ File ${task.fileName} processed and moved successfully.`);
+    } catch (fileError) {
+      console.error(`Failed to process file with ID ${task.tempFileId}. Error: ${fileError.message}`);
+      status = 'Failed';
+      message = `Drive move failed: ${fileError.message}`;
+    }
+
+    updateRecords(Config.SHEET_NAMES.PO_UPLOAD_QUEUE, [{ _rowNumber: task.rowNumber, STATUS: status, PROCESSED_TIME: new Date(), MESSAGE: message }]);
+    return { task, status, remaining: queued.length - 1 };
+  });
+}
+
+/**
+ * 把舊版存在 Script Property 的佇列搬進 'PO Upload Queue'，之後刪除該 Property。
+ */
+function migrateLegacyNewPoQueue_() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const queueJson = scriptProperties.getProperty(NEW_PO_QUEUE_KEY);
+  if (!queueJson) return;
+  const legacy = JSON.parse(queueJson);
+  legacy.forEach(task => {
+    // 舊版工作沒有 P/O 欄位，從 'Buyer_PO.pdf' 取出
+    const poNumber = String(task.finalFileName || '').replace(/\.pdf$/i, '').split('_').slice(1).join('_');
+    enqueueNewPoUploadTask_(Object.assign({ poNumber }, task));
+  });
+  scriptProperties.deleteProperty(NEW_PO_QUEUE_KEY);
+  Logger.log(`Moved ${legacy.length} legacy upload task(s) to '${Config.SHEET_NAMES.PO_UPLOAD_QUEUE}'.`);
+}
+
+/**
+ * 前面沒有其他上傳時立即處理，否則確保有觸發器會接著處理。
+ */
+function startNewPoUploadQueue_() {
+  const active = readNewPoUploadTasks_().filter(task => task.status === 'Queued' || task.status === 'Processing');
+  if (active.length === 1 && active[0].status === 'Queued') {
+    processNewPoUploadQueue();
+  } else {
+    manageNewPoQueueTrigger_();
+  }
+}
+
+/**
+ * @returns {Array<{rowNumber: number, taskId: string, poNumber: string, fileName: string, tempFileId: string, status: string,
+ *   submittedBy: string, submittedTime: *, processedTime: *, attempts: number, message: string}>} 上傳工作，依送出順序。
+ */
+function readNewPoUploadTasks_() {
+  getOrCreateQueueSheet(Config.SHEET_NAMES.PO_UPLOAD_QUEUE);
+  invalidateRecordCache(Config.SHEET_NAMES.PO_UPLOAD_QUEUE);
+  const table = readTable(Config.SHEET_NAMES.PO_UPLOAD_QUEUE);
+  const col = table.columns;
+  return table.values.map((row, index) => ({
+    rowNumber: index + table.firstDataRow,
+    taskId: String(row[col.TASK_ID - 1] || '').trim(),
+    poNumber: String(row[col.PO_NUMBER - 1] || '').trim(),
+    fileName: String(row[col.FILE_NAME - 1] || ''),
+    tempFileId: String(row[col.TEMP_FILE_ID - 1] || '').trim(),
+    status: String(row[col.STATUS - 1] || '').trim(),
+    submittedBy: String(row[col.SUBMITTED_BY - 1] || ''),
+    submittedTime: row[col.SUBMITTED_TIME - 1],
+    processedTime: row[col.PROCESSED_TIME - 1],
+    attempts: Number(row[col.ATTEMPTS - 1]) || 0,
+    message: String(row[col.MESSAGE - 1] || '')
+  })).filter(task => task.taskId);
+}
+
+function findNewPoUploadTask_(taskId) {
+  const target = String(taskId || '').trim();
+  if (!target) return null;
+  return readNewPoUploadTasks_().find(task => task.taskId === target) || null;
+}
+
+/**
+ * @param {string} fileId
+ * @returns {boolean} 檔案存在並已丟到垃圾桶。
+ */
+function trashNewPoTempFile_(fileId) {
+  if (!fileId) return false;
+  try {
+    DriveApp.getFileById(fileId).setTrashed(true);
+    return true;
+  } catch (e) {
+    Logger.log(`trashNewPoTempFile_: temp file ${fileId} not available (${e.message}).`);
+    return false;
+  }
+}
@@ -3,16 +3,17 @@
  * [VERSION 2.1 - FULLY POPULATED CODE]
  * Handles New, Update, and Void PO operations.
  * New PO uploads feature immediate processing for the first file, with subsequent files queued.
+ * The upload queue, its status panel and the dead-letter list of failed Drive moves live in NewPoUploadQueue.js.
+ * Uploaded PDFs are hashed so the dialog can warn about duplicate content first (PoPdfHashIndex.js).
  * Also provides initial data for UI dropdowns.
+ * Update / Void / Restore work on either order source (Dealer PO or Direct Quote, see OrderSources.js);
+ * Direct Quotes are created with Manual New PO instead of a PDF upload.
  */
 
 // --- CONFIGURATION ---
 const UPLOAD_FOLDER_ID = "1MUAdxzAk9uaqPKP5h47NYW9ltNrCQQZv";
-const RAW_PO_SHEET_NAME = 'Dealer PO | Raw Data';
 const CUSTOMERS_SHEET_NAME = 'Customers(QBO)';
-const PO_NUMBER_COLUMN = 4; // Column D contains PO Numbers
-const PO_STATUS_COLUMN = 25; // Column Y contains the Status
-const PO_CHANGE_TIME_COLUMN = 27; // Column AA for change timestamp
+// P/O, Status and Timestamp column positions are resolved by header name from Config.SCHEMAS.
 const TEMP_UPLOAD_FOLDER_ID = "1HDri2xgl9UACHpSDXpNqT9VqgrmrSYbd";
 
 // --- QUEUE CONFIGURATION ---
@@ -20,26 +21,35 @@ const NEW_PO_QUEUE_KEY = 'NEW_PO_UPLOAD_QUEUE';
 const NEW_PO_TRIGGER_HANDLER = 'processNewPoUploadQueue';
 const DELAY_BETWEEN_UPLOADS_MS = 30 * 1000; // 30 seconds delay
 
+// --- RESTORE CONFIGURATION ---
+// Split / Merged P/Os live on under new numbers (PoSplitMerge.js) and their DB rows were re-pointed, so they cannot be restored.
+const NON_RESTORABLE_PO_STATUSES = ['Split', 'Merged'];
+
 /**
  * Opens the main PO Management Tool dialog.
  */
 function openNewReviseVoidPO() {
   const html = HtmlService.createHtmlOutputFromFile('NewReviseVoidPO')
       .setWidth(480)
-      .setHeight(550);
+      .setHeight(650);
   SpreadsheetApp.getUi().showModalDialog(html, 'New/Revise/Void PO Tool');
 }
 
 /**
  * [Backend Function] 
  * Fetches all initial data needed for the PO Mgt. Tool UI in one efficient call.
+ * @param {string} [source] Order source ID (OrderSources.js); defaults to Dealer PO.
  */
-function getPoMgtInitialData() {
+function getPoMgtInitialData(source) {
   try {
+    const orderSource = getOrderSource_(source);
     return {
+      orderSources: getOrderSources(),
+      source: orderSource.id,
       buyerNames: getBuyerNames_(),
-      existingPoNumbers: getExistingPoNumbers_(),
-      activePoNumbers: getActivePoNumbers_()
+      existingPoNumbers: getExistingPoNumbers_(orderSource.id),
+      activePoNumbers: getActivePoNumbers_(orderSource.id),
+      restorablePoNumbers: getRestorablePoNumbers_(orderSource.id)
     };
   } catch (e) {
     Logger.log(`Error in getPoMgtInitialData: ${e.message}`);
@@ -52,35 +62,30 @@ function getPoMgtInitialData() {
 function getBuyerNames_() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUSTOMERS_SHEET_NAME);
   if (!sheet) throw new Error(`Sheet '${CUSTOMERS_SHEET_NAME}' not found.`);
-  const lastRow = sheet.getLastRow();
-  if (lastRow < 2) return [];
-  const range = sheet.getRange("B2:B" + lastRow);
-  const buyerNames = range.getValues().flat().filter(name => name);
+  const table = readTable(CUSTOMERS_SHEET_NAME);
+  const buyerNames = table.values.map(row => row[table.columns.CUSTOMER_NAME - 1]).filter(name => name);
   return [...new Set(buyerNames)].sort();
 }
 
-function getExistingPoNumbers_() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RAW_PO_SHEET_NAME);
-  if (!sheet) throw new Error(`Sheet '${RAW_PO_SHEET_NAME}' not found.`);
-  const lastRow = sheet.getLastRow();
-  if (lastRow < 2) return [];
-  const range = sheet.getRange(2, PO_NUMBER_COLUMN, lastRow - 1, 1);
-  const poNumbers = range.getValues().flat().filter(po => po);
+function getExistingPoNumbers_(source) {
+  const rawSheetName = getOrderSource_(source).rawSheet;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(rawSheetName);
+  if (!sheet) throw new Error(`Sheet '${rawSheetName}' not found.`);
+  const table = readTable(rawSheetName);
+  const poNumbers = table.values.map(row => row[table.columns.PO_NUMBER - 1]).filter(po => po);
   return [...new Set(poNumbers)].sort();
 }
 
-function getActivePoNumbers_() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RAW_PO_SHEET_NAME);
-  if (!sheet) throw new Error(`Sheet '${RAW_PO_SHEET_NAME}' not found.`);
-  const lastRow = sheet.getLastRow();
-  if (lastRow < 2) return [];
-  const range = sheet.getRange(2, PO_NUMBER_COLUMN, lastRow - 1, PO_STATUS_COLUMN - PO_NUMBER_COLUMN + 1);
-  const values = range.getValues();
-  const statusColumnIndex = PO_STATUS_COLUMN - PO_NUMBER_COLUMN;
+function getActivePoNumbers_(source) {
+  const rawSheetName = getOrderSource_(source).rawSheet;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(rawSheetName);
+  if (!sheet) throw new Error(`Sheet '${rawSheetName}' not found.`);
+  const table = readTable(rawSheetName);
+  const PO_COL = table.columns;
   const activePOs = new Set();
-  values.forEach(row => {
-    const poNumber = row[0];
-    const status = row[statusColumnIndex];
+  table.values.forEach(row => {
+    const poNumber = row[PO_COL.PO_NUMBER - 1];
+    const status = row[PO_COL.STATUS - 1];
     if (poNumber && status !== 'Voided') {
       activePOs.add(poNumber);
     }
@@ -88,12 +93,19 @@ function getActivePoNumbers_() {
   return [...activePOs].sort();
 }
 
+/**
+ * 前端進入點：執行 processNewPoUpload_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function processNewPoUpload(fileContent, buyerName, poNumber) {
+  return runLoggedOperation({ tool: 'New/Revise/Void PO', action: 'processNewPoUpload', record: poNumber }, () => processNewPoUpload_(fileContent, buyerName, poNumber));
+}
+
 /**
  * [REVISED ARCHITECTURE]
  * Handles new PO uploads by immediately saving the file to a temporary location
  * and queuing only the file ID for processing.
  */
-function processNewPoUpload(fileContent, buyerName, poNumber) {
+function processNewPoUpload_(fileContent, buyerName, poNumber) {
   try {
     if (!buyerName || !poNumber) throw new Error("Buyer Name and PO Number are required.");
     
@@ -105,6 +117,7 @@ function processNewPoUpload(fileContent, buyerName, poNumber) {
     const tempFileName = `temp_${new Date().getTime()}_${poNumber}.pdf`;
     const tempFile = tempFolder.createFile(decodedBlob.setName(tempFileName));
     const tempFileId = tempFile.getId();
+    indexPoPdf_(tempFile, poNumber, computePoPdfHash_(decodedBlob.getBytes())); // 重複檢查 (PoPdfHashIndex.js)
     
     console.log(`File temporarily saved with ID: ${tempFileId}`);
 
@@ -113,23 +126,46 @@ function processNewPoUpload(fileContent, buyerName, poNumber) {
     const task = { 
       tempFileId: tempFileId, // 不再儲存 fileContent
       finalFileName: finalFileName, 
+      poNumber: poNumber.trim(),
       submittedAt: new Date().toISOString() 
     };
     
-    addTaskToNewPoQueue_(task); // addTaskToNewPoQueue_ 函式本身不需要修改
+    // 信用檢查 (CreditHold.js) 與排入佇列在同一個鎖內：檔案移入上傳資料夾之前 Hold 已記錄
+    const queued = runWithSheetLock(() => {
+      const creditCheck = runCreditCheck_(task.poNumber, Object.assign(getRawPoCreditDetails_(task.poNumber), {
+        buyerName: buyerName.trim(),
+        trigger: 'New PO Upload'
+      }));
+      return { creditCheck: creditCheck, taskId: addTaskToNewPoQueue_(task) };
+    });
     
-    return { success: true, fileName: finalFileName };
+    return {
+      success: true,
+      fileName: finalFileName,
+      taskId: queued.taskId,
+      creditCheck: queued.creditCheck,
+      message: `${finalFileName} queued for upload.` + describeCreditCheck_(queued.creditCheck)
+    };
     
   } catch (e) {
+    reportOperationError(e);
     Logger.log(`Failed to queue new PO: ${e.message}`);
     throw new Error(`Failed to queue new PO: ${e.message}`);
   }
 }
 
 
-function processPoUpdate(fileContent, poNumber) {
+/**
+ * 前端進入點：執行 processPoUpdate_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function processPoUpdate(fileContent, poNumber, source) {
+  return runLoggedOperation({ tool: 'New/Revise/Void PO', action: 'processPoUpdate', record: poNumber, sheet: getOrderSourceRawSheet_(source), field: 'PO_NUMBER' }, () => processPoUpdate_(fileContent, poNumber, source));
+}
+
+function processPoUpdate_(fileContent, poNumber, source) {
   try {
     if (!poNumber) throw new Error("An existing PO Number must be selected.");
+    const orderSource = getOrderSource_(source);
     const decodedBlob = decodeBase64_(fileContent);
     const folder = DriveApp.getFolderById(UPLOAD_FOLDER_ID);
     const files = folder.searchFiles(`title contains '_${poNumber.trim()}.pdf'`);
@@ -140,91 +176,249 @@ function processPoUpdate(fileContent, poNumber) {
     }
     const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd");
     const updatedFileName = `${baseFileName}_updated_${today}.pdf`;
-    folder.createFile(decodedBlob.setName(updatedFileName));
-    revisePoStatus_(poNumber);
+    const updatedFile = folder.createFile(decodedBlob.setName(updatedFileName));
+    indexPoPdf_(updatedFile, poNumber, computePoPdfHash_(decodedBlob.getBytes()));
+    // 信用檢查 (CreditHold.js) 在同一個鎖內、舊列標為 'Revised' 之前執行，金額以修訂前的列計算
+    const creditCheck = runWithSheetLock(() => {
+      const details = getRawPoCreditDetails_(poNumber, orderSource.id);
+      const check = runCreditCheck_(poNumber.trim(), {
+        buyerName: details.buyerName || baseFileName.split('_')[0],
+        poTotal: details.poTotal,
+        source: orderSource.id,
+        trigger: 'Revise PO Upload'
+      });
+      revisePoStatus_(poNumber, orderSource.id);
+      return check;
+    });
 
     // --- MODIFICATION START ---
     // Automatically run the archive function after a successful revision.
     console.log(`PO #${poNumber} has been revised. Triggering archive function...`);
-    archiveProcessedPOs_Safe(); 
+    archiveProcessedPOs_Safe(orderSource.id); 
     // --- MODIFICATION END ---
 
-    return `Success: Updated PO PDF '${updatedFileName}' has been uploaded.`;
+    return `Success: Updated PO PDF '${updatedFileName}' has been uploaded.` + describeCreditCheck_(creditCheck);
   } catch (e) {
+    reportOperationError(e);
     Logger.log(`Update failed: ${e.message}`);
     throw new Error(`Update failed: ${e.message}`);
   }
 }
 
+/**
+ * 前端進入點：執行 voidPo_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function voidPo(poNumber, source) {
+  return runLoggedOperation({ tool: 'New/Revise/Void PO', action: 'voidPo', record: poNumber, sheet: getOrderSourceRawSheet_(source), field: 'PO_NUMBER' }, () => voidPo_(poNumber, source));
+}
+
 /**
  * Voids a PO by updating its status in the sheet.
  * [CORRECTED VERSION to handle data type mismatch and spaces]
  */
-function voidPo(poNumber) {
+function voidPo_(poNumber, source) {
   try {
     if (!poNumber) throw new Error("No PO number selected.");
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RAW_PO_SHEET_NAME);
-    if (!sheet) throw new Error(`Sheet '${RAW_PO_SHEET_NAME}' not found.`);
+    const orderSource = getOrderSource_(source);
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(orderSource.rawSheet);
+    if (!sheet) throw new Error(`Sheet '${orderSource.rawSheet}' not found.`);
     
-    // 範圍從 D2 開始，到工作表的最後一列的 Y 欄
-    const range = sheet.getRange(2, PO_NUMBER_COLUMN, sheet.getLastRow() - 1, PO_STATUS_COLUMN - PO_NUMBER_COLUMN + 1);
-    const values = range.getValues();
+    // 只讀寫 Status 欄 (依標頭名稱解析)，避免覆蓋中間的 ARRAYFORMULA 欄位
+    const table = readTable(orderSource.rawSheet);
+    const PO_COL = table.columns;
+    const statusValues = table.values.map(row => [row[PO_COL.STATUS - 1]]);
     let voidCount = 0;
     
     // 將從 UI 傳入的 poNumber 預先處理一次
     const targetPoNumber = String(poNumber).trim();
-    // 計算狀態欄在我們讀取的範圍中的相對索引
-    const statusColumnIndex = PO_STATUS_COLUMN - PO_NUMBER_COLUMN;
 
-    for (let i = 0; i < values.length; i++) {
+    for (let i = 0; i < table.values.length; i++) {
       // 將工作表中的值也進行處理，再進行比對
-      const currentPoNumber = String(values[i][0]).trim();
+      const currentPoNumber = String(table.values[i][PO_COL.PO_NUMBER - 1]).trim();
       
       // --- 核心修正：將兩邊都轉為文字再比對，解決類型不匹配問題 ---
       if (currentPoNumber === targetPoNumber) {
         // 在讀取的二維陣列中直接修改狀態
-        values[i][statusColumnIndex] = 'Voided';
+        statusValues[i][0] = 'Voided';
         voidCount++;
       }
     }
 
     if (voidCount > 0) {
-      // 將修改後的整個陣列一次性寫回工作表，效率最高
-      range.setValues(values);
+      // 將修改後的整個狀態欄一次性寫回工作表，效率最高
+      sheet.getRange(table.firstDataRow, PO_COL.STATUS, statusValues.length, 1).setValues(statusValues);
       
       console.log(`PO #${poNumber} has been voided. Triggering archive function...`);
-      archiveProcessedPOs_Safe();
+      archiveProcessedPOs_Safe(orderSource.id);
       
       return { success: true, message: `Successfully voided PO #${poNumber} (${voidCount} rows affected).` };
     } else {
       throw new Error(`PO #${poNumber} not found or already voided.`);
     }
   } catch (e) {
+    reportOperationError(e);
+    Logger.log(e);
+    throw new Error(e.message);
+  }
+}
+
+/**
+ * 前端進入點：執行 restorePo_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function restorePo(poNumber, reason, source) {
+  return runLoggedOperation({ tool: 'New/Revise/Void PO', action: 'restorePo', record: poNumber, sheet: getOrderSourceRawSheet_(source), field: 'PO_NUMBER' }, () => restorePo_(poNumber, reason, source));
+}
+
+/**
+ * 將來源 Archive (例如 'Dealer PO | Archive') 中該 P/O 的最新版本 (通常是 'Voided') 寫回同一來源的 Raw Data。
+ * - 依標頭名稱複製欄位；Model / SKU / Helper Key (ARRAYFORMULA) 不寫入，由公式重新產生。
+ * - Status 清空，Timestamp 為還原時間，Change Note 記錄還原者與原因。
+ * - Archive 的列保留不動，PO Revision History 會顯示作廢版本與還原後的版本。
+ * - 最新版本為 Split / Merged 的 P/O 不能還原：其 Planning / BOL / Serial 列已改指向新的 P/O，還原會重複計算訂單。
+ * @param {string} poNumber - 要還原的 P/O。
+ * @param {string} reason - 還原原因 (必填)。
+ * @param {string} [source] - 訂單來源 (OrderSources.js)，預設 Dealer PO。
+ * @returns {{success: boolean, message: string}}
+ */
+function restorePo_(poNumber, reason, source) {
+  try {
+    const targetPoNumber = String(poNumber === null || poNumber === undefined ? '' : poNumber).trim();
+    const restoreReason = String(reason || '').trim();
+    if (!targetPoNumber) throw new Error("No PO number selected.");
+    if (!restoreReason) throw new Error("Please enter the reason for restoring this PO.");
+
+    const orderSource = getOrderSource_(source);
+    const rawSheetName = orderSource.rawSheet;
+    const archiveSheetName = orderSource.archiveSheet;
+    if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(archiveSheetName)) {
+      throw new Error(`Sheet '${archiveSheetName}' not found.`);
+    }
+    if (isPoActiveInRawData_(targetPoNumber, orderSource.id)) {
+      throw new Error(`PO #${targetPoNumber} is still active in '${rawSheetName}'. Only voided or archived POs can be restored.`);
+    }
+
+    const versions = groupPoRevisionRows_(readPoRevisionRows_(archiveSheetName, 'Archive', targetPoNumber));
+    if (versions.length === 0) throw new Error(`PO #${targetPoNumber} not found in '${archiveSheetName}'.`);
+    const latestVersion = versions[versions.length - 1];
+    const latestStatus = String(latestVersion[0].status || '').trim();
+    if (NON_RESTORABLE_PO_STATUSES.indexOf(latestStatus) !== -1) {
+      throw new Error(`PO #${targetPoNumber} was ${latestStatus.toLowerCase()} into other P/O numbers and its planning, BOL and serial rows now belong to them. Restore or revise those P/Os instead.`);
+    }
+
+    const restoredBy = Session.getActiveUser().getEmail() || 'unknown user';
+    const restoredAt = new Date();
+    const changeNote = `Restored by ${restoredBy} on ${Utilities.formatDate(restoredAt, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm')}: ${restoreReason}`;
+    const records = latestVersion.map(row => Object.assign(copyArchivedRowToRawRecord_(row.record, rawSheetName), {
+      STATUS: '',
+      CHANGE_NOTE: changeNote,
+      TIMESTAMP: restoredAt
+    }));
+
+    const result = appendRecords(rawSheetName, records);
+    if (!result.success) throw new Error(`Failed to write PO #${targetPoNumber} back to '${rawSheetName}': ${result.message}`);
+
+    return { success: true, message: `Successfully restored PO #${targetPoNumber} (${records.length} rows) from the '${latestVersion[0].status || 'archived'}' version.` };
+  } catch (e) {
+    reportOperationError(e);
     Logger.log(e);
     throw new Error(e.message);
   }
 }
 
+/**
+ * Restore 分頁的下拉選單：Archive 中有、但 Raw Data 中沒有使用中列的 P/O。Archive 不存在時為空陣列。
+ * 最後一列歸檔狀態為 Split / Merged 的 P/O 不列出 (見 restorePo_)。
+ * @param {string} [source] - 訂單來源，預設 Dealer PO。
+ * @returns {string[]}
+ */
+function getRestorablePoNumbers_(source) {
+  const orderSource = getOrderSource_(source);
+  const archiveSheetName = orderSource.archiveSheet;
+  if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(archiveSheetName)) return [];
+
+  const rawTable = readTable(orderSource.rawSheet);
+  const activePoNumbers = new Set(rawTable.values
+    .filter(row => isActivePoStatus_(row[rawTable.columns.STATUS - 1]))
+    .map(row => String(row[rawTable.columns.PO_NUMBER - 1]).trim()));
+
+  // Archive 依歸檔順序附加，最後一列的狀態即最新版本的狀態
+  const archiveTable = readTable(archiveSheetName);
+  const latestStatus = new Map();
+  archiveTable.values.forEach(row => {
+    const po = String(row[archiveTable.columns.PO_NUMBER - 1]).trim();
+    if (po) latestStatus.set(po, String(row[archiveTable.columns.STATUS - 1]).trim());
+  });
+  return [...latestStatus.keys()]
+    .filter(po => !activePoNumbers.has(po) && NON_RESTORABLE_PO_STATUSES.indexOf(latestStatus.get(po)) === -1)
+    .sort();
+}
+
+/**
+ * @param {string} poNumber - 已去除前後空白的 P/O。
+ * @param {string} [source] - 訂單來源，預設 Dealer PO。
+ * @returns {boolean} Raw Data 中是否有該 P/O 的使用中列。
+ */
+function isPoActiveInRawData_(poNumber, source) {
+  const table = readTable(getOrderSource_(source).rawSheet);
+  return table.values.some(row =>
+    String(row[table.columns.PO_NUMBER - 1]).trim() === poNumber && isActivePoStatus_(row[table.columns.STATUS - 1])
+  );
+}
+
+/**
+ * PROCESSED_PO_STATUSES ('Change' / 'Voided' / 'Revised' / 'Split' / 'Merged') 的列等待歸檔，不算使用中。
+ * @param {*} status
+ * @returns {boolean}
+ */
+function isActivePoStatus_(status) {
+  return PROCESSED_PO_STATUSES.indexOf(String(status).trim()) === -1;
+}
+
+/**
+ * 依標頭名稱把 Archive 的記錄轉為 Raw Data 的記錄 (以 Raw Data 的標頭文字為鍵)。
+ * 略過 ARRAYFORMULA 欄與 Status / Change Note / Timestamp (由呼叫端填入)。
+ * @param {Object} archiveRecord - readAllRecords 讀出的 Archive 記錄。
+ * @param {string} rawSheetName - 寫回的 Raw Data 工作表。
+ * @returns {Object}
+ */
+function copyArchivedRowToRawRecord_(archiveRecord, rawSheetName) {
+  const context = getSchemaContext(rawSheetName);
+  const skipColumns = getArrayFormulaColumns(rawSheetName)
+    .concat([context.columns.STATUS, context.columns.CHANGE_NOTE, context.columns.TIMESTAMP]);
+
+  const archiveValues = {};
+  Object.keys(archiveRecord).filter(key => key.charAt(0) !== '_').forEach(key => {
+    archiveValues[normalizeHeader_(key)] = archiveRecord[key];
+  });
+
+  const record = {};
+  context.headers.forEach((header, index) => {
+    const key = normalizeHeader_(header);
+    if (!key || skipColumns.indexOf(index + 1) !== -1 || !archiveValues.hasOwnProperty(key)) return;
+    record[header] = archiveValues[key];
+  });
+  return record;
+}
+
 // --- QUEUE AND TRIGGER MANAGEMENT SYSTEM ---
+// 佇列存在 'PO Upload Queue' 工作表 (NewPoUploadQueue.js)；NEW_PO_QUEUE_KEY 只用來搬移舊版 Script Property 佇列。
 
 /**
  * Adds a new task to the queue. If the queue was empty,
  * it immediately starts processing the first task.
  * @param {object} task The task object to add.
+ * @returns {string} The task ID shown in the upload status panel.
  */
 function addTaskToNewPoQueue_(task) {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const queueJson = scriptProperties.getProperty(NEW_PO_QUEUE_KEY) || '[]';
-  const queue = JSON.parse(queueJson);
-  const wasQueueEmpty = queue.length === 0;
-  queue.push(task);
-  scriptProperties.setProperty(NEW_PO_QUEUE_KEY, JSON.stringify(queue));
-  if (wasQueueEmpty) {
+  const queued = enqueueNewPoUploadTask_(task);
+  if (queued.isFirst) {
     Logger.log('Queue was empty. Starting processing immediately.');
     processNewPoUploadQueue();
   } else {
     Logger.log('A task is already being processed. The new task will be handled in sequence.');
+    manageNewPoQueueTrigger_();
   }
+  return queued.taskId;
 }
 
 function manageNewPoQueueTrigger_() {
@@ -237,66 +431,43 @@ function manageNewPoQueueTrigger_() {
 
 /**
  * [REVISED ARCHITECTURE] 
- * Processes tasks from the new PO upload queue.
- * It now retrieves the file using the ID from the queue and renames/moves it.
+ * Processes tasks from the new PO upload queue, one per run.
+ * It retrieves the file using the temp file ID from 'PO Upload Queue' and renames/moves it;
+ * failed moves stay in the sheet as 'Failed' (dead-letter) for Retry / Discard.
  */
 function processNewPoUploadQueue() {
-  const lock = LockService.getScriptLock();
-  if (!lock.tryLock(15000)) {
-    console.warn('Could not acquire lock, another queue process is likely running.');
-    return;
-  }
-
+  let lockAcquired = false;
   try {
-    ScriptApp.getProjectTriggers().forEach(trigger => {
-      if (trigger.getHandlerFunction() === NEW_PO_TRIGGER_HANDLER) {
-        ScriptApp.deleteTrigger(trigger);
-        console.log('Deleted an existing trigger to prevent duplicate runs.');
+    runWithSheetLock(() => {
+      lockAcquired = true;
+      ScriptApp.getProjectTriggers().forEach(trigger => {
+        if (trigger.getHandlerFunction() === NEW_PO_TRIGGER_HANDLER) {
+          ScriptApp.deleteTrigger(trigger);
+          console.log('Deleted an existing trigger to prevent duplicate runs.');
+        }
+      });
+
+      migrateLegacyNewPoQueue_();
+      const result = processNextNewPoUpload_();
+      if (result.task) {
+        console.log(`Processed task for final file: ${result.task.fileName} (${result.status}). Tasks remaining: ${result.remaining}`);
       }
-    });
-
-    const scriptProperties = PropertiesService.getScriptProperties();
-    const queueJson = scriptProperties.getProperty(NEW_PO_QUEUE_KEY);
-
-    if (!queueJson || queueJson === '[]') {
-      scriptProperties.deleteProperty(NEW_PO_QUEUE_KEY);
-      return;
-    }
-
-    const queue = JSON.parse(queueJson);
-    const task = queue.shift();
-
-    console.log(`Processing task for final file: ${task.finalFileName}. Tasks remaining: ${queue.length}`);
-
-    // --- 核心邏輯變更: 從 Drive 取回檔案並處理 ---
-    try {
-      const finalFolder = DriveApp.getFolderById(UPLOAD_FOLDER_ID);
-      const tempFile = DriveApp.getFileById(task.tempFileId);
-      
-      // 將暫存檔案移動並重新命名到最終位置
-      tempFile.moveTo(finalFolder); 
-      tempFile.setName(task.finalFileName);
-      
-      console.log(`✅ File ${task.finalFileName} processed and moved successfully.`);
-    } catch (fileError) {
-      console.error(`Failed to process file with ID ${task.tempFileId}. Error: ${fileError.message}`);
-      // 考慮將錯誤的 task 存到另一個地方以便手動處理
-    }
-    // --- 核心邏輯變更 END ---
-
-    if (queue.length > 0) {
-      scriptProperties.setProperty(NEW_PO_QUEUE_KEY, JSON.stringify(queue));
-      console.log('Tasks remain in the queue. Scheduling next run.');
-      manageNewPoQueueTrigger_();
-    } else {
-      scriptProperties.deleteProperty(NEW_PO_QUEUE_KEY);
-      console.log('🎉 All tasks processed. Queue is empty and the property has been deleted.');
-    }
 
+      if (result.remaining > 0) {
+        console.log('Tasks remain in the queue. Scheduling next run.');
+        manageNewPoQueueTrigger_();
+      } else {
+        console.log('🎉 All tasks processed. Cleaning up orphaned temp files.');
+        cleanupNewPoTempFiles_();
+      }
+    });
   } catch (e) {
     console.error(`Error in processNewPoUploadQueue: ${e.message}. Stack: ${e.stack}`);
-  } finally {
-    lock.releaseLock();
+    if (!lockAcquired) {
+      // 其他執行正在使用鎖：稍後再試，避免工作停在 'Queued'
+      console.warn('Could not acquire lock, another queue process is likely running.');
+      manageNewPoQueueTrigger_();
+    }
   }
 }
 
@@ -307,32 +478,60 @@ function decodeBase64_(base64String) {
   return Utilities.newBlob(Utilities.base64Decode(base64Data), MimeType.PDF, "temp.pdf");
 }
 
+/**
+ * PDF uploads are parsed into Raw Data later, so the credit check uses the P/O's active rows already in Raw Data
+ * (none yet for a new P/O, so only the buyer's AR counts).
+ * @param {string} poNumber
+ * @param {string} [source] Order source ID (OrderSources.js); defaults to Dealer PO.
+ * @returns {{buyerName: string, poTotal: number}} buyerName is '' when the P/O has no active rows.
+ */
+function getRawPoCreditDetails_(poNumber, source) {
+  const rawSheetName = getOrderSource_(source).rawSheet;
+  const details = { buyerName: '', poTotal: 0 };
+  if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(rawSheetName)) return details;
+  const table = readTable(rawSheetName);
+  const col = table.columns;
+  const target = String(poNumber).trim();
+  table.values
+    .filter(row => String(row[col.PO_NUMBER - 1]).trim() === target && isActivePoStatus_(row[col.STATUS - 1]))
+    .forEach(row => {
+      details.buyerName = details.buyerName || String(row[col.BUYER_NAME - 1] || '').trim();
+      details.poTotal += (Number(row[col.P_O_QTY - 1]) || 0) * (Number(row[col.P_O_UNIT_PRICE - 1]) || 0);
+    });
+  return details;
+}
+
 /**
  * [REVISED FUNCTION]
  * Finds all active rows for a given PO number and updates their status to 'Revised'.
  * This version ensures data type consistency for comparison and only updates non-voided/non-revised rows.
  * @param {string|number} poNumber The PO number to revise.
+ * @param {string} [source] Order source ID (OrderSources.js); defaults to Dealer PO.
  */
-function revisePoStatus_(poNumber) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RAW_PO_SHEET_NAME);
+function revisePoStatus_(poNumber, source) {
+  const rawSheetName = getOrderSource_(source).rawSheet;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(rawSheetName);
   if (!sheet) {
-    console.error(`Sheet '${RAW_PO_SHEET_NAME}' not found. Cannot revise status.`);
+    console.error(`Sheet '${rawSheetName}' not found. Cannot revise status.`);
     return; // Exit if the sheet doesn't exist
   }
 
-  const dataRange = sheet.getDataRange();
-  const values = dataRange.getValues();
+  const table = readTable(rawSheetName);
+  const PO_COL = table.columns;
+  const values = table.values;
   const targetPoString = String(poNumber).trim(); // Convert the target PO to a trimmed string once.
 
   let revisedCount = 0;
+  // 同一次修訂的所有列使用相同的時間，PO Revision History 才能把它們視為同一個版本
+  const revisedAt = new Date();
 
-  // Loop through all rows, starting from the second row (index 1) to skip the header.
-  for (let i = 1; i < values.length; i++) {
+  // Loop through all data rows (the header row is excluded by readTable).
+  for (let i = 0; i < values.length; i++) {
     const row = values[i];
     
     // Get current data and convert to string for safe comparison
-    const currentPoNumber = String(row[PO_NUMBER_COLUMN - 1]).trim(); // Column D
-    const currentStatus = String(row[PO_STATUS_COLUMN - 1]).trim();   // Column Y
+    const currentPoNumber = String(row[PO_COL.PO_NUMBER - 1]).trim(); // P/O
+    const currentStatus = String(row[PO_COL.STATUS - 1]).trim();      // Status
 
     // --- KEY LOGIC CHANGE ---
     // The condition now checks for three things:
@@ -341,13 +540,13 @@ function revisePoStatus_(poNumber) {
     // 3. Is the current status NOT 'Voided'?
     if (currentPoNumber === targetPoString && currentStatus !== 'Revised' && currentStatus !== 'Voided') {
       
-      const rowIndex = i + 1; // getRange is 1-based, array is 0-based
+      const rowIndex = i + table.firstDataRow; // getRange is 1-based, array is 0-based
       
-      // Update the status in Column Y
-      sheet.getRange(rowIndex, PO_STATUS_COLUMN).setValue('Revised');
+      // Update the status
+      sheet.getRange(rowIndex, PO_COL.STATUS).setValue('Revised');
       
-      // Update the timestamp in Column AA
-      sheet.getRange(rowIndex, PO_CHANGE_TIME_COLUMN).setValue(new Date());
+      // Update the change timestamp
+      sheet.getRange(rowIndex, PO_COL.TIMESTAMP).setValue(revisedAt);
       
       revisedCount++;
       console.log(`Row ${rowIndex} with PO #${targetPoString} has been marked as 'Revised'.`);
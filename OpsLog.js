@@ -0,0 +1,187 @@
+/**
+ * @fileoverview
+ * 操作紀錄 (Ops Log)：記錄每一次工具操作 (工具、函數、使用者、PO / PO|SKU、耗時、結果、錯誤堆疊) 到 'Ops Log' 工作表，
+ * 讓 Ops 不必打開 Apps Script 執行紀錄也能看到失敗原因。選單 'Recent Errors' 開啟側欄，列出最近的失敗並連結到受影響的記錄。
+ *
+ * 使用方式：前端呼叫的進入點保留原名稱，實作改名為 <name>_，進入點只負責包一層 runLoggedOperation：
+ *
+ *   function saveBolData(data) {
+ *     return runLoggedOperation({ tool: 'BOL Entry', action: 'saveBolData', record: data && data.poSkuKey,
+ *       sheet: Config.SHEET_NAMES.BOL_DB, field: 'PO_SKU_KEY' }, () => saveBolData_(data));
+ *   }
+ *
+ * 實作自行 catch 並回傳 { success: false } 時，在 catch 中呼叫 reportOperationError(e)，紀錄才會保留原始的錯誤堆疊。
+ * 紀錄超過 OPS_LOG_MAX_ROWS 列時，刪除最舊的列，只保留 OPS_LOG_TRIM_TO_ROWS 列。
+ */
+
+const OPS_LOG_SHEET_NAME = 'Ops Log';
+const OPS_LOG_HEADERS = ['Timestamp', 'Tool', 'Function', 'User', 'Record', 'Record Sheet', 'Record Field', 'Duration (ms)', 'Outcome', 'Message', 'Error Stack'];
+const OPS_LOG_MAX_ROWS = 5000;
+const OPS_LOG_TRIM_TO_ROWS = 4000;
+const OPS_LOG_STACK_LIMIT = 2000;
+// 執行中的操作 (巢狀呼叫時最後一個為最內層)
+const OPS_LOG_ACTIVE_OPERATIONS_ = [];
+
+/**
+ * 執行操作並寫入一筆 Ops Log。操作的回傳值與拋出的錯誤都原樣交回給呼叫端；寫入紀錄失敗不會影響操作本身。
+ * 結果判定：拋出錯誤為 'Error'；回傳 { success: false } 或 { status: 'error' } 為 'Failed'；其餘為 'OK'。
+ * @param {{tool: string, action: string, record?: string, sheet?: string, field?: string}} details
+ *   tool: 工具名稱；action: 進入點函數名稱；record: 受影響的 PO / PO|SKU / PI；sheet + field: 記錄所在的工作表與欄位代號 (用於連結)。
+ * @param {Function} operation - 要執行的操作。
+ * @returns {*} operation 的回傳值。
+ */
+function runLoggedOperation(details, operation) {
+  const entry = { details, startedAt: new Date(), error: null };
+  OPS_LOG_ACTIVE_OPERATIONS_.push(entry);
+
+  let result;
+  try {
+    result = operation();
+  } catch (e) {
+    entry.error = entry.error || e;
+    writeOpsLogEntry_(entry, 'Error', e.message);
+    throw e;
+  } finally {
+    OPS_LOG_ACTIVE_OPERATIONS_.splice(OPS_LOG_ACTIVE_OPERATIONS_.indexOf(entry), 1);
+  }
+
+  const failed = result && typeof result === 'object' && (result.success === false || result.status === 'error');
+  const message = result && typeof result === 'object' ? result.message : result;
+  writeOpsLogEntry_(entry, failed ? 'Failed' : 'OK', message);
+  return result;
+}
+
+/**
+ * 把錯誤交給目前執行中的操作，紀錄會使用它的訊息與堆疊。沒有執行中的操作時不做任何事。
+ * @param {Error} error
+ */
+function reportOperationError(error) {
+  const active = OPS_LOG_ACTIVE_OPERATIONS_[OPS_LOG_ACTIVE_OPERATIONS_.length - 1];
+  if (active && error) active.error = error;
+}
+
+/**
+ * 開啟 'Recent Errors' 側欄。
+ */
+function openRecentErrorsSidebar() {
+  const html = HtmlService.createTemplateFromFile('RecentErrors')
+    .evaluate()
+    .setTitle('Recent Errors');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * 最近的失敗紀錄 (Outcome 為 Error 或 Failed)，新的在前。
+ * @param {number} [limit=50]
+ * @returns {{success: boolean, errors?: Array<{timestamp: string, tool: string, action: string, user: string, record: string, message: string, stack: string, url: string}>, message?: string}}
+ *   url 連到受影響記錄所在的列；找不到記錄時連到工作表，沒有記錄時為空字串。
+ */
+function getRecentErrors(limit = 50) {
+  try {
+    const ss = getWorkbook_();
+    const sheet = ss.getSheetByName(OPS_LOG_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) return { success: true, errors: [] };
+
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, OPS_LOG_HEADERS.length).getValues();
+    const col = header => OPS_LOG_HEADERS.indexOf(header);
+    const errors = rows
+      .filter(row => row[col('Outcome')] === 'Error' || row[col('Outcome')] === 'Failed')
+      .slice(-limit)
+      .reverse()
+      .map(row => ({
+        timestamp: row[col('Timestamp')] instanceof Date ? row[col('Timestamp')].toISOString() : String(row[col('Timestamp')]),
+        tool: row[col('Tool')],
+        action: row[col('Function')],
+        user: row[col('User')],
+        record: String(row[col('Record')]),
+        message: row[col('Message')],
+        stack: row[col('Error Stack')],
+        url: buildRecordUrl_(ss, row[col('Record')], row[col('Record Sheet')], row[col('Record Field')])
+      }));
+    return { success: true, errors };
+  } catch (e) {
+    Logger.log(`getRecentErrors Error: ${e.message}`);
+    return { success: false, message: e.toString() };
+  }
+}
+
+/**
+ * 寫入一筆紀錄，必要時輪替。任何錯誤只寫入 Logger，不會拋出。
+ * @param {{details: Object, startedAt: Date, error: (Error|null)}} entry
+ * @param {string} outcome - 'OK' | 'Failed' | 'Error'。
+ * @param {*} message
+ */
+function writeOpsLogEntry_(entry, outcome, message) {
+  const { details, startedAt, error } = entry;
+  try {
+    const sheet = getOrCreateOpsLogSheet_();
+    const stack = error && error.stack ? String(error.stack).slice(0, OPS_LOG_STACK_LIMIT) : '';
+    sheet.appendRow([
+      startedAt,
+      details.tool || '',
+      details.action || '',
+      Session.getActiveUser().getEmail(),
+      details.record === undefined || details.record === null ? '' : String(details.record),
+      details.sheet || '',
+      details.field || '',
+      new Date().getTime() - startedAt.getTime(),
+      outcome,
+      message === undefined || message === null ? (error ? error.message : '') : String(message),
+      stack
+    ]);
+    rotateOpsLog_(sheet);
+  } catch (e) {
+    Logger.log(`Ops Log write failed (${details.tool} / ${details.action} / ${outcome}): ${e.message}`);
+  }
+}
+
+/**
+ * 資料列超過 OPS_LOG_MAX_ROWS 時刪除最舊的列，保留最新的 OPS_LOG_TRIM_TO_ROWS 列。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ */
+function rotateOpsLog_(sheet) {
+  const dataRows = sheet.getLastRow() - 1;
+  if (dataRows <= OPS_LOG_MAX_ROWS) return;
+  runWithSheetLock(() => {
+    const overflow = sheet.getLastRow() - 1 - OPS_LOG_TRIM_TO_ROWS;
+    if (overflow > 0) sheet.deleteRows(2, overflow);
+  });
+}
+
+/**
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} 'Ops Log' 工作表 (不存在時建立)。
+ */
+function getOrCreateOpsLogSheet_() {
+  const ss = getWorkbook_();
+  let sheet = ss.getSheetByName(OPS_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(OPS_LOG_SHEET_NAME, ss.getSheets().length);
+    sheet.getRange(1, 1, 1, OPS_LOG_HEADERS.length).setValues([OPS_LOG_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * 受影響記錄的連結。PO_SKU_KEY 欄以正規化的鍵比對，其他欄位以值比對。
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {*} record
+ * @param {string} sheetName
+ * @param {string} field - Config.SCHEMAS 的欄位代號。
+ * @returns {string}
+ */
+function buildRecordUrl_(ss, record, sheetName, field) {
+  const sheet = sheetName ? ss.getSheetByName(sheetName) : null;
+  if (!sheet) return '';
+  const sheetUrl = `${ss.getUrl()}#gid=${sheet.getSheetId()}`;
+  if (record === '' || !field) return sheetUrl;
+
+  try {
+    const match = field === 'PO_SKU_KEY'
+      ? queryByPoSkuKey(sheetName, String(record)).first()
+      : queryRecords(sheetName).equals(field, record).first();
+    return match ? `${sheetUrl}&range=A${match._rowNumber}` : sheetUrl;
+  } catch (e) {
+    return sheetUrl;
+  }
+}
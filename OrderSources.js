@@ -0,0 +1,201 @@
+/**
+ * @fileoverview
+ * 訂單來源：Dealer PO 與 Direct Quote。
+ * 每個來源有自己的 Raw Data / Archive 工作表與欄位對應 (Config.SCHEMAS)，但欄位代號相同 (PO_NUMBER、P_O_LINE_ITEMS...)，
+ * 因此 New/Revise/Void、Restore、Manual New PO 與 PO Editor 只需依來源換工作表名稱。
+ * - P/O (Quote #) 在所有來源之間必須唯一：下游的 Planning / BOL / Serial DB 只以 PO|SKU 為鍵，不記錄來源。
+ * - proc_shipping_management、Order Shipping Mgt. Table 與 Operation Dashboard 是試算表公式產生的表，本專案不會寫入，
+ *   是否包含 Direct Quote 取決於這些公式：公式有引用 'Direct Quote | Raw Data' 時，Direct Quote 的品項才會出現在
+ *   Shipment Planning、BOL Entry、Serial Assignment 與 Create Estimate 中 (這些工具只以 PO|SKU 讀取，公式更新後不需改程式)。
+ * - 直接依 P/O 讀寫 Raw Data 的程式 (例如 savePdfUrl) 以 findOrderSourceOfPo_ 找出來源；整表處理的工具
+ *   (例如 splitAddressInPlace、readOrderLines_) 逐一處理每個來源。
+ * - readOrderLines_ 與 readShippedBols_ 是 SPIFF (SpiffEngine.js) 與 RSM 報表 (RsmReport.js) 共用的讀取函式。
+ */
+
+// 工作表名稱以 Config.SHEET_NAMES 的鍵記錄，由 getOrderSource_ 解析
+const ORDER_SOURCES = {
+  DEALER_PO: { label: 'Dealer PO', rawSheetKey: 'DEALER_PO_RAW', archiveSheetKey: 'DEALER_PO_ARCHIVE', manualPoPrefix: 'POM' },
+  DIRECT_QUOTE: { label: 'Direct Quote', rawSheetKey: 'DIRECT_QUOTE_RAW', archiveSheetKey: 'DIRECT_QUOTE_ARCHIVE', manualPoPrefix: 'DQ' }
+};
+const DEFAULT_ORDER_SOURCE = 'DEALER_PO';
+// 已被取代的列 (PO Editor 'Change'、Void、Revise、Split / Merge)：不再是有效訂單，由 archiveProcessedPOs_Safe 搬到 Archive
+const PROCESSED_PO_STATUSES = ['Change', 'Voided', 'Revised', 'Split', 'Merged'];
+
+/**
+ * 前端下拉選單用的來源清單。
+ * @returns {Array<{id: string, label: string}>}
+ */
+function getOrderSources() {
+  return Object.keys(ORDER_SOURCES).map(id => ({ id, label: ORDER_SOURCES[id].label }));
+}
+
+/**
+ * @param {string} [sourceId] - ORDER_SOURCES 的鍵；空白時為 Dealer PO。
+ * @returns {{id: string, label: string, rawSheet: string, archiveSheet: string, manualPoPrefix: string}}
+ */
+function getOrderSource_(sourceId) {
+  const id = String(sourceId || DEFAULT_ORDER_SOURCE).trim();
+  const spec = ORDER_SOURCES[id];
+  if (!spec) throw new Error(`Unknown order source '${id}'. Expected one of: ${Object.keys(ORDER_SOURCES).join(', ')}.`);
+  return {
+    id,
+    label: spec.label,
+    rawSheet: Config.SHEET_NAMES[spec.rawSheetKey],
+    archiveSheet: Config.SHEET_NAMES[spec.archiveSheetKey],
+    manualPoPrefix: spec.manualPoPrefix
+  };
+}
+
+/**
+ * @returns {Array<Object>} 所有來源 (getOrderSource_ 的格式)，Dealer PO 在前。
+ */
+function getAllOrderSources_() {
+  return Object.keys(ORDER_SOURCES).map(getOrderSource_);
+}
+
+/**
+ * Ops Log 記錄受影響工作表用；來源未知時回傳 Dealer PO 的 Raw Data，錯誤由工具本身回報。
+ * @param {string} [sourceId]
+ * @returns {string}
+ */
+function getOrderSourceRawSheet_(sourceId) {
+  const spec = ORDER_SOURCES[String(sourceId || DEFAULT_ORDER_SOURCE).trim()] || ORDER_SOURCES[DEFAULT_ORDER_SOURCE];
+  return Config.SHEET_NAMES[spec.rawSheetKey];
+}
+
+/**
+ * 找出 P/O 所屬的來源。先找 Raw Data，includeArchive 為 true 時再找 Archive。不存在的工作表略過。
+ * @param {string} poNumber
+ * @param {boolean} [includeArchive]
+ * @returns {Object|null} getOrderSource_ 的格式；找不到時為 null。
+ */
+function findOrderSourceOfPo_(poNumber, includeArchive) {
+  const target = String(poNumber === null || poNumber === undefined ? '' : poNumber).trim();
+  if (!target) return null;
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const hasPo = sheetName => {
+    if (!ss.getSheetByName(sheetName)) return false;
+    const table = readTable(sheetName);
+    return table.values.some(row => String(row[table.columns.PO_NUMBER - 1]).trim() === target);
+  };
+  const sources = getAllOrderSources_();
+  return sources.find(source => hasPo(source.rawSheet))
+    || (includeArchive ? sources.find(source => hasPo(source.archiveSheet)) : null)
+    || null;
+}
+
+/**
+ * @returns {Map<string, string>} P/O → 來源名稱 (例如 'Direct Quote')，只讀各來源存在的 Raw Data。
+ */
+function getOrderSourceLabelsByPo_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const labels = new Map();
+  getAllOrderSources_().filter(source => ss.getSheetByName(source.rawSheet)).forEach(source => {
+    const table = readTable(source.rawSheet);
+    table.values.forEach(row => {
+      const po = String(row[table.columns.PO_NUMBER - 1]).trim();
+      if (po && !labels.has(po)) labels.set(po, source.label);
+    });
+  });
+  return labels;
+}
+
+/**
+ * 所有來源的 Raw Data 與 Archive 中使用中的 P/O 品項 (PROCESSED_PO_STATUSES 的列除外)，供 SPIFF 與 RSM 報表使用。
+ * 同一個 PO|SKU 以 Raw Data 的列為準；同一張表中有多列時數量與金額合計，unitPrice 為平均單價。不存在的工作表略過。
+ * @returns {Array<{key: string, poNumber: string, source: string, buyerName: string, rsm: string, state: string, poDay: string,
+ *   spiff: string, model: string, sku: string, qty: number, unitPrice: number, value: number}>} poDay 為 'yyyy-MM-dd' (見 toOrderDay_)。
+ */
+function readOrderLines_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const modelToSku = getPriceBook().modelToSku;
+  const lines = new Map();
+  getAllOrderSources_().forEach(source => {
+    [source.rawSheet, source.archiveSheet].filter(sheetName => ss.getSheetByName(sheetName)).forEach(sheetName => {
+      // 前面的表已有的 PO|SKU 不再計入；本表的重複列合計
+      const earlierKeys = new Set(lines.keys());
+      const table = readTable(sheetName);
+      const col = table.columns;
+      table.values.forEach(row => {
+        const poNumber = String(row[col.PO_NUMBER - 1] || '').trim();
+        if (!poNumber || !isActivePoStatus_(row[col.STATUS - 1])) return;
+        const model = String(row[col.P_O_LINE_ITEMS - 1] || '').trim();
+        // SKU 由 ARRAYFORMULA 產生；公式尚未計算時由 Price Book 查
+        const sku = normalizeSku(row[col.SKU - 1]) || normalizeSku(modelToSku[model]);
+        if (!sku) return;
+        const key = buildPoSkuKey(poNumber, sku);
+        if (earlierKeys.has(key)) return;
+        const qty = Number(row[col.P_O_QTY - 1]) || 0;
+        const value = qty * (Number(row[col.P_O_UNIT_PRICE - 1]) || 0);
+        const existing = lines.get(key);
+        if (existing) {
+          existing.qty += qty;
+          existing.value += value;
+          existing.unitPrice = existing.qty ? existing.value / existing.qty : existing.unitPrice;
+          return;
+        }
+        lines.set(key, {
+          key,
+          poNumber,
+          source: source.label,
+          buyerName: String(row[col.BUYER_NAME - 1] || '').trim(),
+          rsm: String(row[col.RSM - 1] || '').trim(),
+          state: String(row[col.STATE - 1] || '').trim(),
+          poDay: toOrderDay_(row[col.PO_RECEIVED_DATE - 1]),
+          spiff: String(row[col.SPIFF - 1] || '').trim(),
+          model,
+          sku,
+          qty,
+          unitPrice: Number(row[col.P_O_UNIT_PRICE - 1]) || 0,
+          value
+        });
+      });
+    });
+  });
+  return Array.from(lines.values());
+}
+
+/**
+ * BOL_DB 與 'BOL_DB | Archive' 的出貨紀錄 (已歸檔的 BOL 也要計算)，供 SPIFF 與 RSM 報表使用。透過記錄 API 讀取，
+ * BOL_DB 存放在工作表或文件資料庫皆可；存放在工作表但工作表不存在時略過。
+ * 歸檔表沒有 Schema，欄位以 BOL_DB 的標頭讀取 (歸檔時依標頭複製)。同一個 BOL # + PO|SKU 以 BOL_DB 的列為準。
+ * @returns {Array<{bolNumber: string, poSkuKey: string, shippedQty: number, actShipDate: *}>}
+ */
+function readShippedBols_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const bolSheet = Config.SHEET_NAMES.BOL_DB;
+  const columns = Config.SCHEMAS[bolSheet].columns;
+  const isReadable = sheetName => getStorageBackendName_(sheetName) !== 'sheets' || Boolean(ss.getSheetByName(sheetName));
+  const bols = new Map();
+  [bolSheet, `${bolSheet} | Archive`].filter(isReadable).forEach(sheetName => {
+    queryRecords(sheetName).all().forEach(record => {
+      const value = field => getRecordValue(sheetName, record, columns[field].header);
+      const bolNumber = String(value('BOL_NUMBER') || '').trim();
+      const poSkuKey = normalizePoSkuKey(value('PO_SKU_KEY'));
+      const key = `${bolNumber}\n${poSkuKey}`;
+      if (bols.has(key)) return;
+      bols.set(key, { bolNumber, poSkuKey, shippedQty: Number(value('SHIPPED_QTY')) || 0, actShipDate: value('ACT_SHIP_DATE') });
+    });
+  });
+  return Array.from(bols.values());
+}
+
+/**
+ * @param {*} value - Date 或可解析的日期字串。
+ * @returns {string} 腳本時區的 'yyyy-MM-dd' (可直接以字串比較先後)；空白或無法解析時為空字串。
+ */
+function toOrderDay_(value) {
+  if (value === '' || value === null || value === undefined) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * 報表對話框的預設月份。
+ * @returns {string} 上個月 ('yyyy-MM')。
+ */
+function getPreviousMonth_() {
+  const [year, month] = toOrderDay_(new Date()).split('-').map(Number);
+  return month === 1 ? `${year - 1}-12` : `${year}-${String(month - 1).padStart(2, '0')}`;
+}
@@ -1,54 +1,62 @@
 /**
  * @fileoverview Backend script for the PO Data Correction Tool.
- * VERSION 9 - Final stable version: Fixes templateRow ReferenceError, robust queue system,
- * and includes ALL necessary menu stubs (openPOEditor, onOpen, etc.) for full stability.
+ * VERSION 10 - Menu stubs removed: onOpen and the other menu entry points are defined once
+ * in their own files (duplicate global functions override each other in Apps Script).
+ * VERSION 9 - Final stable version: Fixes templateRow ReferenceError, robust queue system.
  * ⚡️ ALIGNMENT FIX: savePoCorrections_AsyncWrapper renamed to savePoCorrections_AppendOnly.
  */
 
 // --- GLOBAL CONSTANTS ---
 const PO_RAW_DATA_SHEET = 'Dealer PO | Raw Data';
-const PRICE_BOOK_SHEET_Editor = 'HSUS Price Book';
-const QUEUE_SHEET = 'PO Processing Queue'; 
-
-// --- Column mapping for 'Dealer PO | Raw Data' (1-based index) ---
-const PO_COL = {
-  PO_RECEIVED_DATE: 1, BUYER_NAME: 2, RSM: 3, PO_NUMBER: 4, MODEL_FROM_SHEET: 5,
-  PO_TOTAL: 8, PAYMENT_TERM: 9, COMPANY: 11, P_O_LINE_ITEMS: 13, P_O_UNIT_PRICE: 14, 
-  P_O_QTY: 15, FILE_URL: 16, SKU: 17, SHIP_TO_CONTACT: 20, SHIP_TO_PHONE: 21, 
-  HELPER_KEY: 23, STATUS: 25, CHANGE_NOTE: 26, TIMESTAMP: 27, SPIFF: 30,
-  STREET_ADDRESS: 34, CITY: 35, STATE: 36, ZIPCODE: 37
-};
+const QUEUE_SHEET = 'PO Processing Queue';
+const PROC_SHEET = 'proc_shipping_management';
+
+// Column positions for 'Dealer PO | Raw Data' are resolved by header name
+// from Config.SCHEMAS at runtime (see SheetService.getSchemaContext).
+// Direct Quotes are edited the same way: corrections are written back to the Raw Data
+// sheet of the PO's order source (see OrderSources.js).
 
 // --- HELPER FUNCTIONS (Queue Management) ---
 
 /**
  * Gets or creates the queue sheet for status tracking.
+ * Sheets created before the durable queue get the missing 'Job ID' / 'Attempts' headers appended.
+ * @param {string} [sheetName=QUEUE_SHEET] - Any queue sheet defined in Config.SCHEMAS (e.g. 'PO Upload Queue').
  */
-function getOrCreateQueueSheet() {
+function getOrCreateQueueSheet(sheetName) {
+  const name = sheetName || QUEUE_SHEET;
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName(QUEUE_SHEET);
+  const headers = Object.values(Config.SCHEMAS[name].columns).map(spec => spec.header);
+  let sheet = ss.getSheetByName(name);
   if (!sheet) {
-    sheet = ss.insertSheet(QUEUE_SHEET, ss.getSheets().length);
-    sheet.getRange(1, 1, 1, 6).setValues([
-      ['PO Number', 'Status', 'Submitted By', 'Submitted Time', 'Start Time', 'Completion Message']
-    ]).setFontWeight('bold');
+    sheet = ss.insertSheet(name, ss.getSheets().length);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
     sheet.setFrozenRows(1);
     SpreadsheetApp.flush();
+    return sheet;
+  }
+  const lastColumn = sheet.getLastColumn();
+  const existing = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(normalizeHeader_) : [];
+  const missing = headers.filter(header => existing.indexOf(normalizeHeader_(header)) === -1);
+  if (missing.length > 0) {
+    sheet.getRange(1, lastColumn + 1, 1, missing.length).setValues([missing]).setFontWeight('bold');
+    SpreadsheetApp.flush();
   }
   return sheet;
 }
 
 /**
  * Creates a single time-based trigger for background processing.
+ * @param {number} [delayMs=5000] - Delay before the trigger fires (retries wait PO_QUEUE_RETRY_DELAY_MS).
  */
-function _createProcessTrigger_() {
+function _createProcessTrigger_(delayMs) {
   const triggers = ScriptApp.getUserTriggers(SpreadsheetApp.getActiveSpreadsheet());
   const existing = triggers.some(t => t.getHandlerFunction() === '_processPoCorrectionTrigger');
   
   if (!existing) {
       ScriptApp.newTrigger('_processPoCorrectionTrigger')
           .timeBased()
-          .at(new Date(new Date().getTime() + 5000)) // 5 seconds delay
+          .at(new Date(new Date().getTime() + (delayMs || 5000))) // 5 seconds delay by default
           .create();
   }
 }
@@ -83,22 +91,20 @@ function openPOEditor() {
 function getCorrectionData() {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const procSheet = ss.getSheetByName('proc_shipping_management');
-    const priceBookSheet = ss.getSheetByName('HSUS Price Book'); 
+    const procSheet = ss.getSheetByName(PROC_SHEET);
+    const priceBookSheet = ss.getSheetByName(Config.SHEET_NAMES.PRICE_BOOK); 
 
     if (!procSheet || !priceBookSheet) {
-      throw new Error("Could not find required sheets: 'proc_shipping_management' or 'HSUS Price Book'");
+      throw new Error(`Could not find required sheets: '${PROC_SHEET}' or '${Config.SHEET_NAMES.PRICE_BOOK}'`);
     }
     
-    // NOTE: PROC_COL mapping depends on proc_shipping_management structure
-    const PROC_COL = {
-      DATE: 1, PO_NUMBER: 2, BUYER_NAME: 3, COMPANY: 19, STREET: 4, CITY: 5, STATE: 6, ZIP: 7, 
-      CONTACT: 8, PHONE: 9, MODEL: 10, QTY: 11, UNIT_PRICE: 12, ORIG_SKU: 14, STATUS: 15, 
-      RSM: 16, PAYMENT_TERM: 17, FILE_URL: 18, DERIVED_SKU: 14, SPIFF: 20 
-    };
-
-    const procRange = procSheet.getRange(2, 1, procSheet.getLastRow() - 1, procSheet.getLastColumn()).getValues();
+    // NOTE: PROC_COL is resolved from the proc_shipping_management header row (Config.SCHEMAS)
+    const procTable = readTable(PROC_SHEET);
+    const PROC_COL = procTable.columns;
+    const procRange = procTable.values;
     const poMap = new Map();
+    const sourceLabels = getOrderSourceLabelsByPo_();
+    const versions = getPoVersions_();
 
     procRange.forEach((row, index) => {
       const poNumber = row[PROC_COL.PO_NUMBER - 1];
@@ -116,40 +122,30 @@ function getCorrectionData() {
           shipToContact: row[PROC_COL.CONTACT - 1], shipToPhone: row[PROC_COL.PHONE - 1],
           streetAddress: row[PROC_COL.STREET - 1] || '', city: row[PROC_COL.CITY - 1] || '',
           state: row[PROC_COL.STATE - 1] || '', zipcode: row[PROC_COL.ZIP - 1] || '',
-          buyerName: row[PROC_COL.BUYER_NAME - 1] || '', company: row[PROC_COL.COMPANY - 1] || '', spiff: '',
+          buyerName: row[PROC_COL.BUYER_NAME - 1] || '', company: row[PROC_COL.COMPANY - 1] || '',
+          spiff: PROC_COL.SPIFF ? String(row[PROC_COL.SPIFF - 1] || '').trim() : '',
+          source: sourceLabels.get(String(poNumber).trim()) || '',
+          version: versions.has(String(poNumber).trim()) ? versions.get(String(poNumber).trim()).version : '',
           items: []
         });
       }
 
       poMap.get(poNumber).items.push({
-        rowNumber: index + 2, model: row[PROC_COL.MODEL - 1] || '',
-        sku: row[PROC_COL.DERIVED_SKU - 1] || row[PROC_COL.ORIG_SKU - 1] || '', 
+        rowNumber: index + procTable.firstDataRow, model: row[PROC_COL.MODEL - 1] || '',
+        sku: row[PROC_COL.SKU - 1] || '', 
         qty: row[PROC_COL.QTY - 1] || '', unitPrice: row[PROC_COL.UNIT_PRICE - 1] || ''
       });
     });
 
-    const priceBookRange = priceBookSheet.getRange('A3:D' + priceBookSheet.getLastRow()).getValues();
-    const modelToSkuMap = {};
-    const modelToPriceMap = {};
-    let modelNames = []; 
-
-    priceBookRange.forEach(row => {
-      const lookupName = row[0]; const sku = row[1]; const price = row[3];
-      if (lookupName && sku) {
-        if (!modelToSkuMap[lookupName]) { modelNames.push(lookupName); }
-        modelToSkuMap[lookupName] = sku;
-        modelToPriceMap[lookupName] = price;
-      }
-    });
-    
-    let finalModelNames = [...new Set(modelNames)].sort();
-    const standardModels = finalModelNames.filter(name => name.includes('Standard'));
-    const nonStandardModels = finalModelNames.filter(name => !name.includes('Standard'));
-    finalModelNames = [...nonStandardModels.sort(), ...standardModels.sort()];
+    // Model 清單與價格來自共用的 Price Book 服務 (與 Manual New PO 相同)
+    const priceBook = getPriceBook();
+    rememberPoVersionSnapshots_(Array.from(poMap.keys()).map(po => versions.get(String(po).trim())).filter(Boolean));
     
+    // SPIFF 下拉選單：Yes / No 之外，列出今天有效的方案 (SpiffEngine.js)
     return {
-      success: true, allPOs: Array.from(poMap.values()), modelNames: finalModelNames, 
-      modelToSkuMap: modelToSkuMap, modelToPriceMap: modelToPriceMap
+      success: true, allPOs: Array.from(poMap.values()), modelNames: priceBook.modelNames, 
+      modelToSkuMap: priceBook.modelToSku, modelToPriceMap: priceBook.modelToPrice,
+      spiffPrograms: getActiveSpiffProgramNames_()
     };
 
   } catch (e) {
@@ -161,128 +157,132 @@ function getCorrectionData() {
 
 // --- ASYNC QUEUE LOGIC ---
 
+/**
+ * 前端進入點：執行 savePoCorrections_AppendOnly_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function savePoCorrections_AppendOnly(poNumber, basicInfo, items, expectedVersion) {
+  return runLoggedOperation({ tool: 'PO Editor', action: 'savePoCorrections_AppendOnly', record: poNumber, sheet: PO_RAW_DATA_SHEET, field: 'PO_NUMBER' }, () => savePoCorrections_AppendOnly_(poNumber, basicInfo, items, expectedVersion));
+}
+
 /**
  * Async Wrapper: Stores payload and schedules the core job.
  * ⚡️ RENAMED FROM savePoCorrections_AsyncWrapper TO savePoCorrections_AppendOnly
+ * The payload is stored durably by Job ID (PoProcessingQueue.js), not in the user cache,
+ * so the trigger can read it even when it runs as another user or more than an hour later.
+ * expectedVersion is the token getCorrectionData returned for the P/O. When the P/O has changed since then,
+ * nothing is queued and { success: false, conflict: true, changes, currentVersion } is returned so the
+ * editor can show what changed; resubmitting with currentVersion saves over the other change.
+ * The processor checks the token again, because another queued job may run first.
  */
-function savePoCorrections_AppendOnly(poNumber, basicInfo, items) {
+function savePoCorrections_AppendOnly_(poNumber, basicInfo, items, expectedVersion) {
   try {
     const userEmail = Session.getActiveUser().getEmail(); 
-    const timestamp = new Date().getTime();
-    
-    // 1. Store Payload in Cache
-    const key = `poCorrection_${poNumber}_${timestamp}`;
-    const dataPayload = { poNumber, basicInfo, items };
-    CacheService.getUserCache().put(key, JSON.stringify(dataPayload), 3600);
+    const jobId = Utilities.getUuid();
+
+    // 0. Reject right away when someone else changed the P/O after it was loaded
+    if (expectedVersion) {
+      const conflict = checkPoVersion_(poNumber, expectedVersion, getPoVersions_().get(String(poNumber).trim()));
+      if (conflict) return conflict;
+    }
     
-    // 2. Record the job in the Queue Sheet
-    const queueSheet = getOrCreateQueueSheet();
-    queueSheet.appendRow([
-      poNumber, 
-      'Queued', // Initial status
-      userEmail, 
-      new Date(), 
-      '', 
-      key // Store the cache key
-    ]);
+    // 1 + 2. Store the payload and record the job in the Queue Sheet together
+    getOrCreateQueueSheet();
+    const queued = runWithSheetLock(() => {
+      writePoJobPayload_(jobId, { poNumber, basicInfo, items, expectedVersion: expectedVersion || '' });
+      return appendRecords(QUEUE_SHEET, [{
+        PO_NUMBER: poNumber,
+        STATUS: 'Queued', // Initial status
+        SUBMITTED_BY: userEmail,
+        SUBMITTED_TIME: new Date(),
+        MESSAGE: 'Waiting for the background processor.',
+        JOB_ID: jobId,
+        ATTEMPTS: 0
+      }]);
+    });
+    if (!queued.success) throw new Error(queued.message);
     
     // 3. Create Trigger (only if one doesn't exist)
     _createProcessTrigger_(); 
 
     // 4. Return user-friendly English message
-    return { success: true, message: "Your changes have been submitted. Processing will start shortly. Please check the 'PO Processing Queue' sheet for status." };
+    return { success: true, jobId, message: "Your changes have been submitted. Processing will start shortly. Open 'PO Processing Queue' from the menu to follow its status." };
 
   } catch (e) {
+    reportOperationError(e);
     Logger.log(`savePoCorrections_AppendOnly Error: ${e.toString()}`);
     return { success: false, message: `Submission Failed: Please ensure full authorization or contact IT. (Error: ${e.toString()})` };
   }
 }
 
 /**
- * Background Processor: Executes queued jobs.
+ * Background Processor: Executes queued jobs one at a time, each under the Script Lock
+ * (see processPoCorrectionJob_). Jobs that failed with a thrown error stay 'Queued' until
+ * PO_QUEUE_MAX_ATTEMPTS is reached; the trigger is re-created while any job is still queued.
  */
 function _processPoCorrectionTrigger() {
-  const queueSheet = getOrCreateQueueSheet();
-  const cache = CacheService.getUserCache();
-  const lastRow = queueSheet.getLastRow();
-  
-  if (lastRow <= 1) {
-    _deleteSelfTrigger();
-    return;
-  }
-  
-  const queueData = queueSheet.getRange(2, 1, lastRow - 1, 6).getValues();
-  const updates = [];
-  let jobsProcessed = false;
-
-  queueData.forEach((row, index) => {
-    const status = row[1];
-    const cacheKey = row[5]; 
-    
-    if (status === 'Queued' && cacheKey) {
-      jobsProcessed = true;
-      const payload = cache.get(cacheKey);
-      
-      row[1] = 'In Progress';
-      row[4] = new Date(); 
-      
-      let newStatus = 'Failed'; 
-      let completionMessage = 'Processing failed: Data not found in cache.';
-      
-      if (payload) {
-        try {
-          const { poNumber, basicInfo, items } = JSON.parse(payload);
-          const result = _savePoCorrectionsCore(poNumber, basicInfo, items);
-          
-          newStatus = result.success ? 'Success' : 'Failed';
-          completionMessage = result.success ? `Successfully applied changes for PO #${result.newPoNumber}.` : `Processing failed (PO #${poNumber}): ${result.message}`;
-          
-        } catch (e) {
-          completionMessage = `Unexpected System Error: ${e.toString()}`;
-        }
-        
-        cache.remove(cacheKey);
-      } 
-      
-      row[1] = newStatus;
-      row[5] = completionMessage; 
+  // Jobs left 'In Progress' by an interrupted run become 'Failed' so they can be retried
+  runWithSheetLock(() => failStalePoJobs_());
+  const jobs = readPoQueueJobs_().filter(job => job.status === 'Queued');
+
+  // Rows queued before payloads were stored durably have no Job ID and can't be processed
+  const legacy = jobs.filter(job => !job.jobId).map(job => ({
+    _rowNumber: job.rowNumber,
+    STATUS: 'Failed',
+    MESSAGE: 'Processing failed: this job was queued before the durable queue. Please resubmit it from the PO Editor.'
+  }));
+  if (legacy.length > 0) updateRecords(QUEUE_SHEET, legacy);
+
+  jobs.filter(job => job.jobId).forEach(job => {
+    try {
+      processPoCorrectionJob_(job.jobId);
+    } catch (e) {
+      // e.g. Lock timeout: the job stays 'Queued' and is picked up by the next run
+      Logger.log(`_processPoCorrectionTrigger ${job.jobId} Error: ${e.toString()}`);
     }
-    updates.push(row.slice(1, 6)); // Collect columns B through F for final write
   });
 
-  if (jobsProcessed) {
-     const updateRange = queueSheet.getRange(2, 2, lastRow - 1, 5); 
-     updateRange.setValues(updates);
-  }
-  
   _deleteSelfTrigger();
+  const remaining = readPoQueueJobs_().filter(job => job.status === 'Queued' && job.jobId);
+  if (remaining.length > 0) {
+    _createProcessTrigger_(remaining.some(job => job.attempts === 0) ? 5000 : PO_QUEUE_RETRY_DELAY_MS);
+  }
 }
 
 
 /**
  * Core function that performs the vectorized writes.
  */
-function _savePoCorrectionsCore(poNumber, basicInfo, items) {
+function _savePoCorrectionsCore(poNumber, basicInfo, items, expectedVersion) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const poSheet = ss.getSheetByName(PO_RAW_DATA_SHEET);
-  if (!poSheet) return { success: false, message: `System error: Could not find sheet '${PO_RAW_DATA_SHEET}'.` };
-
-  const lastRow = poSheet.getLastRow();
-  const numColumns = poSheet.getLastColumn();
+  // Write back to the Raw Data sheet of the PO's order source (Dealer PO or Direct Quote)
+  const orderSource = findOrderSourceOfPo_(poNumber);
+  const rawSheetName = orderSource ? orderSource.rawSheet : PO_RAW_DATA_SHEET;
+  const poSheet = ss.getSheetByName(rawSheetName);
+  if (!poSheet) return { success: false, message: `System error: Could not find sheet '${rawSheetName}'.` };
+
+  const poTable = readTable(rawSheetName);
+  const PO_COL = poTable.columns;
   const newPoNumber = basicInfo.newPoNumber || poNumber;
 
-  if (lastRow <= 1) {
-    return { success: false, message: `The '${PO_RAW_DATA_SHEET}' sheet contains no data to process.` };
+  if (poTable.values.length === 0) {
+    return { success: false, message: `The '${rawSheetName}' sheet contains no data to process.` };
+  }
+
+  // Optimistic concurrency: the P/O must still be the version the editor loaded
+  if (expectedVersion) {
+    const poRows = poTable.values.filter(row => String(row[PO_COL.PO_NUMBER - 1]).trim() === String(poNumber).trim());
+    const conflict = checkPoVersion_(poNumber, expectedVersion, poRows.length > 0 ? buildPoVersionToken_(poRows, PO_COL) : undefined);
+    if (conflict) return conflict;
   }
   
-  const existingDataRange = poSheet.getRange(2, 1, lastRow - 1, numColumns);
-  const existingData = existingDataRange.getValues();
+  const existingData = poTable.values;
   
   let templateRow = null; 
-  let changesMade = false;
   let poFound = false; 
+  const statusUpdates = [];
+  const changeTime = new Date();
 
-  // 1. In-Memory Processing: Find template and update statuses
+  // 1. In-Memory Processing: Find template and collect status updates
   for (let i = 0; i < existingData.length; i++) {
     const row = existingData[i];
     const currentPoNumber = row[PO_COL.PO_NUMBER - 1];
@@ -298,10 +298,12 @@ function _savePoCorrectionsCore(poNumber, basicInfo, items) {
         
         // Mark active/unprocessed rows as 'Change'
         if (currentStatus === '') {
-            row[PO_COL.STATUS - 1] = 'Change';
-            row[PO_COL.CHANGE_NOTE - 1] = basicInfo.changeNote;
-            row[PO_COL.TIMESTAMP - 1] = new Date();
-            changesMade = true;
+            statusUpdates.push({
+              _rowNumber: i + poTable.firstDataRow,
+              STATUS: 'Change',
+              CHANGE_NOTE: basicInfo.changeNote,
+              TIMESTAMP: changeTime
+            });
         }
     }
   }
@@ -311,119 +313,231 @@ function _savePoCorrectionsCore(poNumber, basicInfo, items) {
     return { success: false, message: `Original PO #${poNumber} not found in the raw data for updating. Check if it was archived/deleted or if the PO number is missing.` };
   }
 
-  // 2. Vectorized Write I: Update old records' status
-  if (changesMade) {
-      poSheet.getRange(2, 1, existingData.length, numColumns).setValues(existingData);
+  if (items.length === 0) {
+    return { success: false, message: `Failed: No line items were provided to save for PO #${newPoNumber}.` };
   }
 
-  // 3. Prepare and Append New Records (Uses guaranteed 'templateRow')
+  // 2. Prepare New Records (Uses guaranteed 'templateRow')
   const fileUrl = templateRow[PO_COL.FILE_URL - 1]; 
   const poTotal = items.reduce((sum, item) => sum + (parseFloat(item.qty) || 0) * (parseFloat(item.unitPrice) || 0), 0);
 
-  const newRowsData = items.map(item => {
-    const newRow = new Array(numColumns).fill('');
-    
-    // Fill in data based on PO_COL mappings
-    newRow[PO_COL.PO_RECEIVED_DATE - 1] = new Date(basicInfo.poReceivedDate);
-    newRow[PO_COL.BUYER_NAME - 1] = basicInfo.buyerName; 
-    newRow[PO_COL.RSM - 1] = basicInfo.rsm;
-    newRow[PO_COL.PO_NUMBER - 1] = newPoNumber;  
-    newRow[PO_COL.PO_TOTAL - 1] = poTotal;
-    newRow[PO_COL.PAYMENT_TERM - 1] = basicInfo.paymentTerm;
-    newRow[PO_COL.COMPANY - 1] = basicInfo.company;
-    newRow[PO_COL.P_O_LINE_ITEMS - 1] = item.model;
-    newRow[PO_COL.P_O_UNIT_PRICE - 1] = parseFloat(item.unitPrice);
-    newRow[PO_COL.P_O_QTY - 1] = parseFloat(item.qty);
-    newRow[PO_COL.FILE_URL - 1] = fileUrl; // Critical data from template
-    newRow[PO_COL.SHIP_TO_CONTACT - 1] = basicInfo.contact; 
-    newRow[PO_COL.SHIP_TO_PHONE - 1] = basicInfo.phone;     
-    newRow[PO_COL.STREET_ADDRESS - 1] = basicInfo.street;    
-    newRow[PO_COL.CITY - 1] = basicInfo.city;
-    newRow[PO_COL.STATE - 1] = basicInfo.state;
-    newRow[PO_COL.ZIPCODE - 1] = basicInfo.zipcode;
-    newRow[PO_COL.CHANGE_NOTE - 1] = basicInfo.changeNote;
-    newRow[PO_COL.TIMESTAMP - 1] = new Date(); 
-    newRow[PO_COL.SPIFF - 1] = basicInfo.spiff;
-
-    return newRow;
+  const newRecords = items.map(item => ({
+    PO_RECEIVED_DATE: parseLocalDate_(basicInfo.poReceivedDate), // yyyy-MM-dd as a local date, not UTC midnight (DateUtils.js)
+    BUYER_NAME: basicInfo.buyerName,
+    RSM: basicInfo.rsm,
+    PO_NUMBER: newPoNumber,
+    PO_TOTAL: poTotal,
+    PAYMENT_TERM: basicInfo.paymentTerm,
+    COMPANY: basicInfo.company,
+    P_O_LINE_ITEMS: item.model,
+    P_O_UNIT_PRICE: parseFloat(item.unitPrice),
+    P_O_QTY: parseFloat(item.qty),
+    FILE_URL: fileUrl, // Critical data from template
+    SHIP_TO_CONTACT: basicInfo.contact,
+    SHIP_TO_PHONE: basicInfo.phone,
+    STREET_ADDRESS: basicInfo.street,
+    CITY: basicInfo.city,
+    STATE: basicInfo.state,
+    ZIPCODE: basicInfo.zipcode,
+    CHANGE_NOTE: basicInfo.changeNote,
+    TIMESTAMP: changeTime,
+    SPIFF: basicInfo.spiff
+  }));
+
+  // 3. Batched writes under one lock: mark old rows, then append the new ones.
+  // Only the touched columns are written, so the ARRAYFORMULA columns (E/Q/W) are never overwritten.
+  const writeResult = runWithSheetLock(() => {
+    if (statusUpdates.length > 0) {
+      const updateResult = updateRecords(rawSheetName, statusUpdates);
+      if (!updateResult.success) return updateResult;
+    }
+    return appendRecords(rawSheetName, newRecords);
   });
-
-  // 4. Vectorized Write II: Append new records
-  if (newRowsData.length > 0) {
-    const startRowForNewData = poSheet.getLastRow() + 1;
-    poSheet.getRange(startRowForNewData, 1, newRowsData.length, newRowsData[0].length).setValues(newRowsData);
-  } else {
-      return { success: false, message: `Failed: No line items were provided to save for PO #${newPoNumber}.` };
+  if (!writeResult.success) {
+    return { success: false, message: writeResult.message };
   }
   
   SpreadsheetApp.flush(); 
 
-  return { success: true, newPoNumber: newPoNumber };
+  // Credit check on the revised P/O (CreditHold.js); an existing hold follows a renamed P/O
+  const creditCheck = runCreditCheck_(newPoNumber, {
+    buyerName: basicInfo.buyerName,
+    poTotal: poTotal,
+    source: orderSource ? orderSource.id : undefined,
+    trigger: 'PO Editor',
+    previousPoNumber: poNumber
+  });
+
+  return { success: true, newPoNumber: newPoNumber, creditCheck: creditCheck };
 }
 
 
-// --- ONOPEN ALIGNMENT & INITIAL SETUP ---
+// --- VERSION TOKENS (optimistic concurrency) ---
+
+// Header fields compared between versions: [snapshot key, Raw Data field code, label]
+const PO_VERSION_FIELDS = [
+  ['buyerName', 'BUYER_NAME', 'Buyer Name'],
+  ['poReceivedDate', 'PO_RECEIVED_DATE', 'PO Received Date'],
+  ['rsm', 'RSM', 'RSM'],
+  ['paymentTerm', 'PAYMENT_TERM', 'Payment Term'],
+  ['company', 'COMPANY', 'Company'],
+  ['contact', 'SHIP_TO_CONTACT', 'Contact'],
+  ['phone', 'SHIP_TO_PHONE', 'Phone'],
+  ['street', 'STREET_ADDRESS', 'Street'],
+  ['city', 'CITY', 'City'],
+  ['state', 'STATE', 'State'],
+  ['zipcode', 'ZIPCODE', 'Zipcode'],
+  ['spiff', 'SPIFF', 'SPIFF']
+];
+// Snapshots are kept in the script cache by version token so a conflict can list what changed
+const PO_VERSION_CACHE_SECONDS = 6 * 3600;
 
 /**
- * Aligns with the user's custom menu to prevent errors.
+ * Builds the version of one P/O from its Raw Data rows: the active lines, their header fields and
+ * the latest change timestamp. Any save (even one with identical values) changes the token.
+ * @param {Array<Array<*>>} rows - All Raw Data rows of the P/O (any status).
+ * @param {Object<string, number>} col - Column positions from readTable.
+ * @returns {{version: string, snapshot: Object}}
  */
-function onOpen() {
-  SpreadsheetApp.getUi()
-    .createMenu('Customed Order Tools')
-    .addItem('Step 0: New/Revise/Void PO', 'openNewReviseVoidPO')
-    .addItem('Step 0: Manual New PO', 'showManualPOSidebar')
-    .addItem('Step 1: PO Editor', 'openPOEditor') // Aligned with the main editor
-    .addSeparator()
-    .addItem('Step 2: Shipping Mgt (Est.).', 'openShippingMgtTool')
-    .addItem('Step 3: BOL# Entry (Act.)', 'openBolEntryTool')
-    .addItem('Step 4: Serial Assignment', 'openSerialAssignmentTool')
-    .addItem('Step 5: Create Estimate in QBO', 'createEstimateSidebar')
-    .addSeparator()
-    .addItem('GIT Mgt. Tool', 'openGitEditor')
-    .addItem('Refresh PO Group Colors', 'recolorPoGroups')
-    .addToUi();
+function buildPoVersionToken_(rows, col) {
+  const active = rows.filter(row => String(row[col.STATUS - 1]).trim() === '');
+  const first = active[0] || [];
+  const snapshot = { items: [], lastChanged: '', lastNote: '' };
+  PO_VERSION_FIELDS.forEach(([key, field]) => {
+    const value = first[col[field] - 1];
+    snapshot[key] = value instanceof Date
+      ? Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+      : String(value === undefined || value === null ? '' : value).trim();
+  });
+  snapshot.items = active.map(row => ({
+    model: String(row[col.P_O_LINE_ITEMS - 1] || '').trim(),
+    qty: Number(row[col.P_O_QTY - 1]) || 0,
+    unitPrice: Number(row[col.P_O_UNIT_PRICE - 1]) || 0
+  }));
+  let latest = null;
+  rows.forEach(row => {
+    const timestamp = row[col.TIMESTAMP - 1];
+    if (timestamp instanceof Date && (!latest || timestamp > latest[col.TIMESTAMP - 1])) latest = row;
+  });
+  if (latest) {
+    snapshot.lastChanged = latest[col.TIMESTAMP - 1].toISOString();
+    snapshot.lastNote = String(latest[col.CHANGE_NOTE - 1] || '').trim();
+  }
+
+  const version = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, JSON.stringify(snapshot), Utilities.Charset.UTF_8)
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, 16);
+  return { version, snapshot };
 }
 
 /**
- * Opens the modal dialog interface for the PO Data Correction Tool.
+ * @returns {Map<string, {version: string, snapshot: Object}>} P/O → version, for every order source's Raw Data.
  */
-function openPOEditor() {
-  const html = HtmlService.createTemplateFromFile('POEditor')
-      .evaluate()
-      .setTitle('PO Data Correction Tool')
-      .setWidth(800)
-      .setHeight(750); 
-  SpreadsheetApp.getUi().showModalDialog(html, 'PO Data Correction Tool');
+function getPoVersions_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const versions = new Map();
+  getAllOrderSources_().filter(source => ss.getSheetByName(source.rawSheet)).forEach(source => {
+    const table = readTable(source.rawSheet);
+    const rowsByPo = new Map();
+    table.values.forEach(row => {
+      const po = String(row[table.columns.PO_NUMBER - 1]).trim();
+      if (!po) return;
+      if (!rowsByPo.has(po)) rowsByPo.set(po, []);
+      rowsByPo.get(po).push(row);
+    });
+    rowsByPo.forEach((rows, po) => {
+      if (!versions.has(po)) versions.set(po, buildPoVersionToken_(rows, table.columns));
+    });
+  });
+  return versions;
 }
 
-
-// ⚡️ STUB FUNCTIONS for Menu Alignment (These must exist to prevent "Script function not found" errors)
-function openNewReviseVoidPO() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
-}
-function showManualPOSidebar() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
-}
-function openShippingMgtTool() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
-}
-function openBolEntryTool() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
-}
-function openSerialAssignmentTool() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
-}
-function createEstimateSidebar() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
+/**
+ * Keeps the snapshots the editor was given, so describePoChanges_ can compare against them later.
+ * @param {Array<{version: string, snapshot: Object}>} versions
+ */
+function rememberPoVersionSnapshots_(versions) {
+  if (versions.length === 0) return;
+  const entries = {};
+  versions.forEach(entry => { entries[`poVersion_${entry.version}`] = JSON.stringify(entry.snapshot); });
+  try {
+    CacheService.getScriptCache().putAll(entries, PO_VERSION_CACHE_SECONDS);
+  } catch (e) {
+    // Only the conflict details depend on the cache; the version check itself does not
+    Logger.log(`rememberPoVersionSnapshots_ Error: ${e.toString()}`);
+  }
 }
-function openGitEditor() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
+
+/**
+ * @param {string} poNumber
+ * @param {string} expectedVersion - The token the editor loaded.
+ * @param {{version: string, snapshot: Object}|undefined} current - The P/O as it is now;
+ *   undefined when no Raw Data rows match it any more (voided, revised, split, merged or archived), which is a conflict too.
+ * @returns {Object|null} A conflict response, or null when the P/O is unchanged.
+ */
+function checkPoVersion_(poNumber, expectedVersion, current) {
+  if (!current) {
+    const changes = [`PO #${poNumber} no longer has any rows in the raw data. It may have been voided, revised, split or merged.`];
+    return {
+      success: false,
+      conflict: true,
+      currentVersion: '',
+      changes,
+      message: `PO #${poNumber} was changed by someone else after you opened it:\n- ${changes.join('\n- ')}`
+    };
+  }
+  if (current.version === expectedVersion) return null;
+  const changes = describePoChanges_(expectedVersion, current.snapshot);
+  return {
+    success: false,
+    conflict: true,
+    currentVersion: current.version,
+    changes,
+    message: `PO #${poNumber} was changed by someone else after you opened it:\n- ${changes.join('\n- ')}`
+  };
 }
-function recolorPoGroups() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
+
+/**
+ * Lists what changed between the snapshot of expectedVersion and the current one.
+ * When the old snapshot is no longer cached, only the latest change is described.
+ * @param {string} expectedVersion
+ * @param {Object} current - Current snapshot.
+ * @returns {Array<string>}
+ */
+function describePoChanges_(expectedVersion, current) {
+  const lastChange = current.lastChanged
+    ? `Last saved ${Utilities.formatDate(new Date(current.lastChanged), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm')}${current.lastNote ? ` (${current.lastNote})` : ''}.`
+    : 'The P/O rows were changed.';
+  const cached = CacheService.getScriptCache().get(`poVersion_${expectedVersion}`);
+  if (!cached) return [lastChange];
+
+  const previous = JSON.parse(cached);
+  const changes = [];
+  PO_VERSION_FIELDS.forEach(([key, , label]) => {
+    if (previous[key] !== current[key]) changes.push(`${label}: '${previous[key]}' → '${current[key]}'`);
+  });
+
+  const describeItem = item => `${item.model} × ${item.qty} @ ${item.unitPrice}`;
+  const remaining = current.items.map(describeItem);
+  previous.items.map(describeItem).forEach(line => {
+    const index = remaining.indexOf(line);
+    if (index === -1) changes.push(`Removed line: ${line}`);
+    else remaining.splice(index, 1);
+  });
+  remaining.forEach(line => changes.push(`Added line: ${line}`));
+  if (previous.items.length > 0 && current.items.length === 0) changes.push('The P/O no longer has active lines (it was revised under another number or voided).');
+
+  changes.push(lastChange);
+  return changes;
 }
 
 
+// --- INITIAL SETUP ---
+
+// onOpen and the menu entry points live in onOpenCustomedTool.js and in each tool's own file.
+// Re-declaring them here silently replaced the real tools with "under development" stubs.
+
 /**
  * CORE: This function must be run manually ONCE for initial authorization.
  */
@@ -1,83 +1,56 @@
 /**
- * 歸檔並刪除指定 PO 資料的【安全版本 v3 - 支援 W 欄 ARRAYFORMULA】。
- * 此版本會保護標題列，並在寫回資料時清空指定由 ARRAYFORMULA 控制的欄位，
- * 確保公式可以正常向下擴展。
+ * 歸檔並刪除指定 PO 資料的【安全版本 v6 - 由歸檔規則引擎執行，支援兩個訂單來源】。
+ * Void / Revise / PO Editor / Split / Merge 後立即呼叫，把 Status 為 PROCESSED_PO_STATUSES 的列搬到該來源的 Archive
+ * (例如 'Dealer PO | Archive'、'Direct Quote | Archive'，見 OrderSources.js)。
+ * 搬移、依標頭名稱對應欄位、以 deleteRecords 刪除來源列都由 ArchivePolicies.js 處理，有搬移資料時寫入 'Archive Manifest'。
+ * 規則固定在這裡，不受 'Archive Policies' 工作表的設定影響；BOL / Planning 等其他規則只由選單或每日觸發器執行。
+ * @param {string} [source] - 訂單來源，預設 Dealer PO。
+ * @returns {Object|undefined} runArchivePolicies 的結果；來源或歸檔工作表不存在時不做任何事。
  */
-function archiveProcessedPOs_Safe() {
-  const sourceSheetName = 'Dealer PO | Raw Data';
-  const archiveSheetName = 'Dealer PO | Archive';
-  const statusColumnIndex = 25; // Col Y
-  const headerRows = 1; // 您的標題只有 1 列
-
-  // --- 【關鍵修正：將 W 欄 (23) 加入 ARRAYFORMULA 保護名單】---
-  const arrayFormulaColumns = [5, 17, 23]; // E, Q, W 欄
-
+function archiveProcessedPOs_Safe(source) {
+  const orderSource = getOrderSource_(source);
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sourceSheet = ss.getSheetByName(sourceSheetName);
-  const archiveSheet = ss.getSheetByName(archiveSheetName);
-
-  if (!sourceSheet || !archiveSheet) {
+  if (!ss.getSheetByName(orderSource.rawSheet) || !ss.getSheetByName(orderSource.archiveSheet)) {
     Logger.log('錯誤：找不到來源或歸檔工作表。');
     return;
   }
 
-  const lastRow = sourceSheet.getLastRow();
-  const lastCol = sourceSheet.getLastColumn();
-
-  if (lastRow <= headerRows) {
-    Logger.log('來源工作表中沒有需要處理的資料。');
-    return;
-  }
-
-  // 1. 分開讀取標題和資料
-  const headers = sourceSheet.getRange(1, 1, headerRows, lastCol).getValues();
-  const dataRange = sourceSheet.getRange(headerRows + 1, 1, lastRow - headerRows, lastCol);
-  const sourceDataRows = dataRange.getValues();
-
-  const dataToArchive = [];
-  const keptRows = [];
-
-  // 2. 處理資料分類
-  for (let i = 0; i < sourceDataRows.length; i++) {
-    const row = sourceDataRows[i];
-    const status = row[statusColumnIndex - 1]; 
+  const result = runArchivePolicies({
+    policies: [{
+      name: `${orderSource.label} processed (automatic)`,
+      enabled: true,
+      sourceSheet: orderSource.rawSheet,
+      archiveSheet: orderSource.archiveSheet,
+      statusField: 'STATUS',
+      statusValues: PROCESSED_PO_STATUSES,
+      ageField: '',
+      minAgeDays: null,
+      conditions: [],
+      preserveColumns: []
+    }]
+  });
+  const policyResult = result.results[0];
+  if (policyResult.outcome === 'Error') throw new Error(`Archive failed: ${policyResult.message}`);
+  Logger.log(policyResult.moved > 0 ? `成功歸檔 ${policyResult.moved} 筆資料。` : '沒有找到需要歸檔的資料。');
+  return result;
+}
 
-    if (status === 'Change' || status === 'Voided' || status === 'Revised') {
-      dataToArchive.push(row);
-    } else {
-      keptRows.push(row);
-    }
-  }
-
-  if (dataToArchive.length > 0) {
-    const archiveLastRow = archiveSheet.getLastRow();
-    if (archiveLastRow === 0 && headers.length > 0) {
-      archiveSheet.getRange(1, 1, headers.length, headers[0].length).setValues(headers);
-    }
-    archiveSheet.getRange(archiveSheet.getLastRow() + 1, 1, dataToArchive.length, dataToArchive[0].length).setValues(dataToArchive);
-
-    // 在寫回資料前，遍歷所有要保留的資料列 (keptRows)
-    // 並將所有 ARRAYFORMULA 欄位的值設為空字串
-    const arrayFormulaIndices = arrayFormulaColumns.map(col => col - 1); // 轉換為 0-based 索引
-
-    keptRows.forEach(row => {
-      arrayFormulaIndices.forEach(index => {
-        if (index < row.length) { // 確保索引存在
-          row[index] = ''; // 將該欄位清空
-        }
-      });
-    });
-
-    // 只清除資料區域，不觸碰標題列
-    dataRange.clearContent();
-    
-    // 如果還有需要保留的資料，則把它們寫回去
-    if (keptRows.length > 0) {
-      sourceSheet.getRange(headerRows + 1, 1, keptRows.length, keptRows[0].length).setValues(keptRows);
-    }
-    
-    Logger.log(`成功歸檔 ${dataToArchive.length} 筆資料，保留 ${keptRows.length} 筆資料。`);
-  } else {
-    Logger.log('沒有找到需要歸檔的資料。');
-  }
-}
\ No newline at end of file
+/**
+ * 依標頭名稱將一列資料從來源欄位順序轉換為目標欄位順序。
+ * 目標表沒有的欄位會被略過，來源沒有的欄位留空。
+ * @param {Array<*>} row - 來源資料列。
+ * @param {Array<*>} sourceHeaders - 來源標頭列。
+ * @param {Array<*>} targetHeaders - 目標標頭列。
+ * @returns {Array<*>} 依目標欄位順序排列的資料列。
+ */
+function remapRowByHeaders_(row, sourceHeaders, targetHeaders) {
+  const sourceIndex = {};
+  sourceHeaders.forEach((header, index) => {
+    const key = normalizeHeader_(header);
+    if (key && !sourceIndex.hasOwnProperty(key)) sourceIndex[key] = index;
+  });
+  return targetHeaders.map(header => {
+    const index = sourceIndex[normalizeHeader_(header)];
+    return index === undefined ? '' : row[index];
+  });
+}
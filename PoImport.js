@@ -0,0 +1,372 @@
+/**
+ * @fileoverview
+ * 批次匯入 P/O：大型經銷商寄來的多行訂單試算表 (CSV；XLSX 在對話框中先轉成 CSV) 一次匯入 'Dealer PO | Raw Data'。
+ *
+ * 流程：選擇 Buyer 與檔案 → 對應欄位 (每個 Buyer 的對應會儲存，下次自動帶入) → 預覽 → 匯入。
+ * - 驗證：Buyer 必須在 Customers(QBO)；型號必須在 Price Book (也接受 SKU)；數量為正數；單價空白時使用 Price Book 價格；
+ *   P/O 不可已存在於 Raw Data；沒有 RSM 的列依 State 指派 RSM。
+ * - 同一張 P/O 只要有一行被拒絕，整張 P/O 都不匯入，避免寫入不完整的訂單；被拒絕的列與原因列在結果中。
+ * - 所有通過的 P/O 以一次 appendRecords 寫入 (ARRAYFORMULA 欄位 E / Q / W 不寫入)。
+ */
+
+const PO_IMPORT_MAPPINGS_PROPERTY = 'PO_IMPORT_MAPPINGS';
+// 可對應的欄位 (Config.SCHEMAS 的欄位代號)；Model / SKU / Helper Key 由 ARRAYFORMULA 產生，不可匯入
+const PO_IMPORT_FIELDS = [
+  { field: 'PO_NUMBER', label: 'P/O', required: true, aliases: ['po', 'po #', 'po number', 'purchase order'] },
+  { field: 'P_O_LINE_ITEMS', label: 'Model', required: true, aliases: ['model', 'item', 'product', 'sku', 'p/o line items'] },
+  { field: 'P_O_QTY', label: 'Qty', required: true, aliases: ['qty', 'quantity', 'p/o qty'] },
+  { field: 'P_O_UNIT_PRICE', label: 'Unit Price', aliases: ['unit price', 'price', 'p/o unit price'] },
+  { field: 'PO_RECEIVED_DATE', label: 'PO Date', aliases: ['date', 'po date', 'order date', 'created date'] },
+  { field: 'BUYER_NAME', label: 'Buyer Name', aliases: ['buyer', 'buyer name', 'customer'] },
+  { field: 'RSM', label: 'RSM', aliases: ['rsm'] },
+  { field: 'PAYMENT_TERM', label: 'Payment Term', aliases: ['payment term', 'terms'] },
+  { field: 'TYPE', label: 'Type', aliases: ['type'] },
+  { field: 'COMPANY', label: 'Company', aliases: ['company'] },
+  { field: 'SHIP_TO', label: 'Ship to', aliases: ['ship to', 'ship to address'] },
+  { field: 'STREET_ADDRESS', label: 'Street Address', aliases: ['street', 'street address', 'address'] },
+  { field: 'CITY', label: 'City', aliases: ['city'] },
+  { field: 'STATE', label: 'State', aliases: ['state'] },
+  { field: 'ZIPCODE', label: 'Zipcode', aliases: ['zip', 'zipcode', 'zip code'] },
+  { field: 'SHIP_TO_CONTACT', label: 'Contact Person', aliases: ['contact', 'contact person'] },
+  { field: 'SHIP_TO_PHONE', label: 'Phone', aliases: ['phone'] },
+  { field: 'SHIP_TO_EMAIL', label: 'Email', aliases: ['email'] }
+];
+
+/**
+ * 開啟 Import POs 對話框。
+ */
+function openPoImportDialog() {
+  const html = HtmlService.createTemplateFromFile('PoImport')
+    .evaluate()
+    .setWidth(1000)
+    .setHeight(720);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Import POs (CSV / XLSX)');
+}
+
+/**
+ * 對話框初始資料：Buyer 清單與可對應的欄位。
+ * @returns {{success: boolean, buyerNames?: string[], fields?: Array<Object>, message?: string}}
+ */
+function getPoImportInitialData() {
+  try {
+    return {
+      success: true,
+      buyerNames: getBuyerNames_(),
+      fields: PO_IMPORT_FIELDS.map(spec => ({ field: spec.field, label: spec.label, required: !!spec.required }))
+    };
+  } catch (e) {
+    Logger.log(`getPoImportInitialData Error: ${e.message}`);
+    return { success: false, message: e.toString() };
+  }
+}
+
+/**
+ * 讀取檔案標頭，並帶入該 Buyer 已儲存的欄位對應 (沒有時依標頭名稱猜測)。
+ * @param {string} buyerName
+ * @param {string} csvText - CSV 內容。
+ * @returns {{success: boolean, headers?: string[], mapping?: Object<string, string>, savedMapping?: boolean, message?: string}}
+ *   mapping: { 欄位代號: 檔案標頭 }。
+ */
+function getPoImportMapping(buyerName, csvText) {
+  try {
+    const { headers } = parsePoImportCsv_(csvText);
+    const saved = getSavedPoImportMappings_()[String(buyerName || '').trim()];
+    const mapping = saved
+      ? filterPoImportMapping_(saved, headers)
+      : guessPoImportMapping_(headers);
+    return { success: true, headers, mapping, savedMapping: !!saved };
+  } catch (e) {
+    Logger.log(`getPoImportMapping Error: ${e.message}`);
+    return { success: false, message: e.toString() };
+  }
+}
+
+/**
+ * 預覽匯入結果，不寫入任何資料。
+ * @param {{buyerName: string, csvText: string, mapping: Object<string, string>, fileName?: string}} request
+ * @returns {Object} 見 buildPoImport_。
+ */
+function previewPoImport(request) {
+  try {
+    return toPoImportResponse_(buildPoImport_(request));
+  } catch (e) {
+    Logger.log(`previewPoImport Error: ${e.message}`);
+    return { success: false, message: e.toString() };
+  }
+}
+
+/**
+ * 前端進入點：執行 importPos_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function importPos(request) {
+  return runLoggedOperation({ tool: 'PO Import', action: 'importPos', record: request && request.fileName }, () => importPos_(request));
+}
+
+/**
+ * 重新驗證後，把所有通過的 P/O 一次寫入 Raw Data，並儲存該 Buyer 的欄位對應。
+ * @param {{buyerName: string, csvText: string, mapping: Object<string, string>, fileName?: string}} request
+ * @returns {{success: boolean, message: string, importedPos?: string[], importedLines?: number, rejected?: Array<Object>}}
+ */
+function importPos_(request) {
+  try {
+    const result = runWithSheetLock(() => {
+      // 在鎖內驗證，避免兩個人同時匯入同一張 P/O (或與其他來源、已歸檔的 P/O 重號)
+      getAllOrderSources_().forEach(source => [source.rawSheet, source.archiveSheet].forEach(invalidateRecordCache));
+      const preview = buildPoImport_(request);
+      if (!preview.success) return preview;
+      if (preview.pos.length === 0) {
+        return Object.assign({}, preview, { success: false, message: 'No valid POs to import.' });
+      }
+
+      const importedAt = new Date();
+      const changeNote = `Imported from ${request.fileName || 'file'} by ${Session.getActiveUser().getEmail() || 'unknown user'}`;
+      const records = [];
+      preview.pos.forEach(po => po.lines.forEach(line => records.push(Object.assign({}, line.values, {
+        PO_TOTAL: po.total,
+        STATUS: '',
+        CHANGE_NOTE: changeNote,
+        TIMESTAMP: importedAt
+      }))));
+
+      const writeResult = appendRecords(Config.SHEET_NAMES.DEALER_PO_RAW, records);
+      if (!writeResult.success) throw new Error(`Failed to write to '${Config.SHEET_NAMES.DEALER_PO_RAW}': ${writeResult.message}`);
+
+      // 信用檢查 (CreditHold.js)
+      const creditChecks = preview.pos.map(po => Object.assign({ poNumber: po.poNumber },
+        runCreditCheck_(po.poNumber, { buyerName: po.buyerName, poTotal: po.total, trigger: 'PO Import' })));
+      const held = creditChecks.filter(check => check.status === 'On Hold').map(check => check.poNumber);
+      return Object.assign({}, preview, {
+        importedPos: preview.pos.map(po => po.poNumber),
+        importedLines: records.length,
+        creditChecks,
+        message: `Imported ${preview.pos.length} PO(s) (${records.length} lines). ${preview.rejected.length} row(s) rejected.` +
+          (held.length > 0 ? ` On credit hold: ${held.join(', ')}.` : '')
+      });
+    });
+
+    if (result.success) savePoImportMapping_(request.buyerName, request.mapping);
+    return toPoImportResponse_(result);
+  } catch (e) {
+    reportOperationError(e);
+    Logger.log(`importPos Error: ${e.message}`);
+    return { success: false, message: e.toString() };
+  }
+}
+
+/**
+ * 解析、對應並驗證所有列。
+ * @param {{buyerName: string, csvText: string, mapping: Object<string, string>}} request
+ * @returns {{success: boolean, message: string, pos: Array<{poNumber: string, buyerName: string, total: number, lines: Array<Object>}>, rejected: Array<{row: number, poNumber: string, reasons: string[]}>, rowCount: number}}
+ *   row 為檔案中的列號 (標頭為第 1 列)。
+ */
+function buildPoImport_(request) {
+  const defaultBuyer = String(request.buyerName || '').trim();
+  if (!defaultBuyer) throw new Error('Buyer Name is required.');
+  const { headers, rows, headerRowNumber } = parsePoImportCsv_(request.csvText);
+  const mapping = filterPoImportMapping_(request.mapping || {}, headers);
+  const unmapped = PO_IMPORT_FIELDS.filter(spec => spec.required && !mapping[spec.field]).map(spec => spec.label);
+  if (unmapped.length > 0) throw new Error(`Map a column for: ${unmapped.join(', ')}.`);
+
+  const buyers = new Map(getBuyerNames_().map(name => [String(name).trim().toLowerCase(), String(name).trim()]));
+  const priceBook = getPriceBook();
+  const modelsByName = {};
+  Object.keys(priceBook.modelToPrice).forEach(model => { modelsByName[model.toLowerCase()] = model; });
+  // P/O 在所有訂單來源 (含 Archive) 之間必須唯一
+  const existingPos = getUsedPoNumbers_();
+  const rsmTerritories = getRsmTerritories_();
+  const columnOf = field => headers.indexOf(mapping[field]);
+
+  const parsedRows = rows.map((values, index) => {
+    const cell = field => {
+      const column = mapping[field] ? columnOf(field) : -1;
+      return column === -1 ? '' : String(values[column] === undefined ? '' : values[column]).trim();
+    };
+    return validatePoImportRow_(headerRowNumber + 1 + index, cell, { defaultBuyer, buyers, priceBook, modelsByName, existingPos, rsmTerritories });
+  }).filter(row => !row.blank);
+
+  // 同一張 P/O 的 Buyer 必須一致，且所有行都通過才匯入
+  const byPo = new Map();
+  parsedRows.forEach(row => {
+    if (!row.poNumber) return;
+    if (!byPo.has(row.poNumber)) byPo.set(row.poNumber, []);
+    byPo.get(row.poNumber).push(row);
+  });
+  byPo.forEach(poRows => {
+    const buyerNames = new Set(poRows.map(row => row.values.BUYER_NAME));
+    if (buyerNames.size > 1) poRows.forEach(row => row.reasons.push(`PO has more than one buyer (${[...buyerNames].join(', ')})`));
+    if (poRows.some(row => row.reasons.length > 0)) {
+      poRows.filter(row => row.reasons.length === 0).forEach(row => row.reasons.push('Another line of this PO was rejected'));
+    }
+  });
+
+  const pos = [];
+  byPo.forEach((poRows, poNumber) => {
+    if (poRows.some(row => row.reasons.length > 0)) return;
+    const total = poRows.reduce((sum, row) => sum + row.values.P_O_QTY * row.values.P_O_UNIT_PRICE, 0);
+    pos.push({
+      poNumber,
+      buyerName: poRows[0].values.BUYER_NAME,
+      total: Math.round(total * 100) / 100,
+      lines: poRows.map(row => ({ row: row.row, values: row.values }))
+    });
+  });
+  const rejected = parsedRows
+    .filter(row => row.reasons.length > 0)
+    .map(row => ({ row: row.row, poNumber: row.poNumber, reasons: row.reasons }));
+
+  return {
+    success: true,
+    message: `${pos.length} PO(s) ready to import, ${rejected.length} row(s) rejected.`,
+    pos,
+    rejected,
+    rowCount: parsedRows.length
+  };
+}
+
+/**
+ * google.script.run 無法回傳物件中的 Date，PO Date 轉為 'yyyy-MM-dd'。
+ * @param {Object} result - buildPoImport_ 的結果。
+ * @returns {Object}
+ */
+function toPoImportResponse_(result) {
+  if (!result.pos) return result;
+  const timeZone = Session.getScriptTimeZone();
+  return Object.assign({}, result, {
+    pos: result.pos.map(po => Object.assign({}, po, {
+      lines: po.lines.map(line => ({
+        row: line.row,
+        values: Object.assign({}, line.values, {
+          PO_RECEIVED_DATE: Utilities.formatDate(line.values.PO_RECEIVED_DATE, timeZone, 'yyyy-MM-dd')
+        })
+      }))
+    }))
+  });
+}
+
+/**
+ * 驗證一列並轉為 Raw Data 的記錄值 (以欄位代號為鍵)。
+ * @param {number} rowNumber - 檔案中的列號。
+ * @param {function(string): string} cell - 依欄位代號取值。
+ * @param {Object} lookups - { defaultBuyer, buyers, priceBook, modelsByName, existingPos, rsmTerritories }。
+ * @returns {{row: number, blank: boolean, poNumber: string, values: Object, reasons: string[]}}
+ */
+function validatePoImportRow_(rowNumber, cell, lookups) {
+  const blank = PO_IMPORT_FIELDS.every(spec => cell(spec.field) === '');
+  const reasons = [];
+  const poNumber = normalizePoNumber_(cell('PO_NUMBER'));
+  const buyerText = cell('BUYER_NAME') || lookups.defaultBuyer;
+  const buyerName = lookups.buyers.get(buyerText.toLowerCase()) || buyerText;
+
+  if (!poNumber) reasons.push('P/O is blank');
+  else if (lookups.existingPos.has(poNumber)) reasons.push(`P/O ${poNumber} already exists`);
+  if (!lookups.buyers.has(buyerText.toLowerCase())) reasons.push(`Buyer '${buyerText}' is not in Customers(QBO)`);
+
+  // 型號欄也接受 SKU
+  const modelText = cell('P_O_LINE_ITEMS');
+  const model = lookups.modelsByName[modelText.toLowerCase()] || lookups.priceBook.skuToModel[normalizeSku(modelText)] || '';
+  if (!modelText) reasons.push('Model is blank');
+  else if (!model || lookups.priceBook.modelToPrice[model] === undefined) reasons.push(`Model '${modelText}' is not in the Price Book`);
+
+  const qty = parsePoImportNumber_(cell('P_O_QTY'));
+  if (qty === null || qty <= 0) reasons.push(`Qty '${cell('P_O_QTY')}' is not a positive number`);
+
+  const priceText = cell('P_O_UNIT_PRICE');
+  const unitPrice = priceText === '' && model ? Number(lookups.priceBook.modelToPrice[model]) : parsePoImportNumber_(priceText);
+  if ((priceText !== '' || model) && (unitPrice === null || isNaN(unitPrice) || unitPrice < 0)) {
+    reasons.push(`Unit Price '${priceText}' is not a number`);
+  }
+
+  const dateText = cell('PO_RECEIVED_DATE');
+  const poDate = dateText ? parseLocalDate_(dateText) : new Date();
+  if (isNaN(poDate.getTime())) reasons.push(`PO Date '${dateText}' is not a date`);
+
+  const values = {
+    PO_RECEIVED_DATE: poDate,
+    BUYER_NAME: buyerName,
+    PO_NUMBER: poNumber,
+    P_O_LINE_ITEMS: model || modelText,
+    P_O_QTY: qty,
+    P_O_UNIT_PRICE: unitPrice
+  };
+  PO_IMPORT_FIELDS.forEach(spec => {
+    if (!values.hasOwnProperty(spec.field) && cell(spec.field) !== '') values[spec.field] = cell(spec.field);
+  });
+  // 檔案沒有 RSM 時依州指派 (RsmReport.js)；沒有 State 欄時由 Ship to 地址取出
+  const state = normalizeRsmState_(values.STATE || (values.SHIP_TO ? parseUsAddress(values.SHIP_TO).state : ''));
+  if (!values.RSM && lookups.rsmTerritories.has(state)) values.RSM = lookups.rsmTerritories.get(state);
+
+  return { row: rowNumber, blank, poNumber, values, reasons };
+}
+
+/**
+ * @param {string} text - 可包含 $ 與千分位逗號。
+ * @returns {number|null}
+ */
+function parsePoImportNumber_(text) {
+  const cleaned = String(text).replace(/[$,\s]/g, '');
+  if (cleaned === '' || isNaN(Number(cleaned))) return null;
+  return Number(cleaned);
+}
+
+/**
+ * 解析 CSV；第一個非空白列為標頭。資料中的空白列保留 (由 validatePoImportRow_ 略過)，列號才會與檔案一致。
+ * @param {string} csvText
+ * @returns {{headers: string[], rows: Array<Array<string>>, headerRowNumber: number}}
+ */
+function parsePoImportCsv_(csvText) {
+  if (!csvText || !String(csvText).trim()) throw new Error('The file is empty.');
+  const rows = Utilities.parseCsv(String(csvText).replace(/^\uFEFF/, ''));
+  const isBlank = row => row.every(value => String(value).trim() === '');
+  const headerIndex = rows.findIndex(row => !isBlank(row));
+  const dataRows = rows.slice(headerIndex + 1);
+  if (headerIndex === -1 || dataRows.every(isBlank)) throw new Error('The file needs a header row and at least one data row.');
+  return { headers: rows[headerIndex].map(header => String(header).trim()), rows: dataRows, headerRowNumber: headerIndex + 1 };
+}
+
+/**
+ * 依標頭名稱猜測欄位對應 (比對 PO_IMPORT_FIELDS 的 aliases 與 Raw Data 的標頭文字)。
+ * @param {string[]} headers
+ * @returns {Object<string, string>}
+ */
+function guessPoImportMapping_(headers) {
+  const schemaColumns = Config.SCHEMAS[Config.SHEET_NAMES.DEALER_PO_RAW].columns;
+  const mapping = {};
+  PO_IMPORT_FIELDS.forEach(spec => {
+    const candidates = spec.aliases.concat([normalizeHeader_(schemaColumns[spec.field].header)]);
+    const header = headers.find(h => candidates.indexOf(normalizeHeader_(h)) !== -1 && Object.values(mapping).indexOf(h) === -1);
+    if (header) mapping[spec.field] = header;
+  });
+  return mapping;
+}
+
+/**
+ * 只保留可匯入的欄位，且檔案中確實存在的標頭。
+ * @param {Object<string, string>} mapping
+ * @param {string[]} headers
+ * @returns {Object<string, string>}
+ */
+function filterPoImportMapping_(mapping, headers) {
+  const filtered = {};
+  PO_IMPORT_FIELDS.forEach(spec => {
+    if (mapping[spec.field] && headers.indexOf(mapping[spec.field]) !== -1) filtered[spec.field] = mapping[spec.field];
+  });
+  return filtered;
+}
+
+/**
+ * @returns {Object<string, Object<string, string>>} { Buyer 名稱: 欄位對應 }。
+ */
+function getSavedPoImportMappings_() {
+  const stored = PropertiesService.getScriptProperties().getProperty(PO_IMPORT_MAPPINGS_PROPERTY);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * @param {string} buyerName
+ * @param {Object<string, string>} mapping
+ */
+function savePoImportMapping_(buyerName, mapping) {
+  const mappings = getSavedPoImportMappings_();
+  mappings[String(buyerName).trim()] = mapping;
+  PropertiesService.getScriptProperties().setProperty(PO_IMPORT_MAPPINGS_PROPERTY, JSON.stringify(mappings));
+}
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview
+ * PO PDF 重複檢查：以 SHA-256 比對上傳 PDF 的內容。
+ * - UPLOAD_FOLDER_ID 中每個檔案的雜湊存在隱藏的 'PO PDF Hashes' 工作表 (以 File ID 為鍵)。
+ *   檢查前先增量更新索引：只計算新檔案的雜湊，已不在資料夾中的檔案移除 (仍在上傳佇列中的暫存檔保留)。
+ *   雜湊在鎖外計算，每次最多 PO_PDF_HASH_BATCH_SIZE 個檔案；Script Lock 只用於寫回索引工作表。
+ *   其餘檔案由下一次檢查或 installPoPdfHashIndexTrigger() 建立的每小時觸發器補上，尚未索引的檔案數會附在檢查結果中。
+ * - processNewPoUpload / processPoUpdate 儲存檔案時直接寫入索引，佇列中尚未移動的上傳也能比對到。
+ * - New/Revise/Void 對話框在排入佇列 / 上傳前呼叫 checkPoPdfDuplicate，有相同內容的檔案時列出檔名與 P/O，由使用者決定是否繼續。
+ */
+
+const PO_PDF_HASH_SHEET_NAME = 'PO PDF Hashes';
+const PO_PDF_HASH_HEADERS = ['File ID', 'File Name', 'P/O', 'SHA-256', 'Indexed'];
+// 每次檢查 / 每次觸發最多計算雜湊的新檔案數 (下載整個 PDF，數量大時會超過執行時間)
+const PO_PDF_HASH_BATCH_SIZE = 25;
+const PO_PDF_HASH_SCHEDULED_BATCH_SIZE = 200;
+const PO_PDF_HASH_INDEX_HANDLER = 'runScheduledPoPdfHashIndex';
+
+/**
+ * 前端進入點：檢查 PDF 是否與已上傳 (或佇列中) 的檔案內容相同。只讀取，不寫入 Ops Log。
+ * @param {string} fileContent - Data URL (data:application/pdf;base64,...)。
+ * @param {string} poNumber - 要上傳 / 更新的 P/O。
+ * @returns {{success: boolean, hash?: string, duplicates?: Array<{fileId: string, fileName: string, poNumber: string,
+ *   url: string, samePo: boolean}>, unindexed?: number, message: string}}
+ *   unindexed: 資料夾中尚未計算雜湊、本次沒有比對到的檔案數。
+ */
+function checkPoPdfDuplicate(fileContent, poNumber) {
+  try {
+    const hash = computePoPdfHash_(decodeBase64_(fileContent).getBytes());
+    const target = String(poNumber || '').trim();
+    const index = refreshPoPdfHashIndex_(PO_PDF_HASH_BATCH_SIZE);
+    const duplicates = index.entries
+      .filter(entry => entry.hash === hash)
+      .map(entry => ({
+        fileId: entry.fileId,
+        fileName: entry.fileName,
+        poNumber: entry.poNumber,
+        url: `https://drive.google.com/file/d/${entry.fileId}/view`,
+        samePo: entry.poNumber !== '' && entry.poNumber === target
+      }));
+    const unindexed = index.unindexed;
+    const note = unindexed > 0 ? ` ${unindexed} older PDF(s) in the upload folder are not indexed yet and were not compared.` : '';
+    if (duplicates.length === 0) return { success: true, hash, duplicates, unindexed, message: `No uploaded PDF has the same content.${note}` };
+
+    const matches = duplicates.map(d => `${d.fileName} (P/O ${d.poNumber || 'unknown'})`).join(', ');
+    const message = duplicates.every(d => d.samePo)
+      ? `This PDF is identical to the PDF already uploaded for PO #${target}: ${matches}.`
+      : `This PDF is identical to ${matches}.`;
+    return { success: true, hash, duplicates, unindexed, message: message + note };
+  } catch (e) {
+    Logger.log(`checkPoPdfDuplicate Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 觸發器進入點：補上尚未索引的檔案並把結果寫入 Log。
+ */
+function runScheduledPoPdfHashIndex() {
+  const index = refreshPoPdfHashIndex_(PO_PDF_HASH_SCHEDULED_BATCH_SIZE);
+  Logger.log(`PO PDF hash index: ${index.entries.length} file(s) indexed, ${index.unindexed} still to hash.`);
+}
+
+/**
+ * 建立每小時一次的索引觸發器 (重複執行會先刪除舊的，不會重複建立)。需手動執行一次完成授權。
+ */
+function installPoPdfHashIndexTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === PO_PDF_HASH_INDEX_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  ScriptApp.newTrigger(PO_PDF_HASH_INDEX_HANDLER)
+    .timeBased()
+    .everyHours(1)
+    .create();
+  Logger.log('Hourly PO PDF hash index trigger installed.');
+}
+
+/**
+ * @param {Array<number>} bytes
+ * @returns {string} SHA-256 的十六進位字串。
+ */
+function computePoPdfHash_(bytes) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, bytes)
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * 把剛儲存的 PDF 加入索引。失敗時只記錄 log，不影響上傳：下一次更新索引時會由資料夾內容補上。
+ * @param {GoogleAppsScript.Drive.File} file
+ * @param {string} poNumber
+ * @param {string} [hash] - 已計算的雜湊；省略時由檔案內容計算 (在鎖外)。
+ */
+function indexPoPdf_(file, poNumber, hash) {
+  try {
+    const row = [file.getId(), file.getName(), String(poNumber || '').trim(), hash || computePoPdfHash_(file.getBlob().getBytes()), new Date()];
+    runWithSheetLock(() => getOrCreatePoPdfHashSheet_().appendRow(row));
+  } catch (e) {
+    Logger.log(`indexPoPdf_ Error for ${file.getName()}: ${e.toString()}`);
+  }
+}
+
+/**
+ * 依 UPLOAD_FOLDER_ID 的目前內容更新索引：新檔案計算雜湊 (最多 batchSize 個)、更名的檔案更新檔名、已移除的檔案刪除。
+ * 資料夾清單與雜湊在鎖外取得；不可在 runWithSheetLock 內呼叫。
+ * @param {number} batchSize - 本次最多計算雜湊的新檔案數。
+ * @returns {{entries: Array<{fileId: string, fileName: string, poNumber: string, hash: string}>, unindexed: number}}
+ *   entries: 更新後的索引；unindexed: 資料夾中超過 batchSize、留待下次計算的檔案數。
+ */
+function refreshPoPdfHashIndex_(batchSize) {
+  const indexSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PO_PDF_HASH_SHEET_NAME);
+  const snapshot = indexSheet ? readPoPdfHashRows_(indexSheet) : [];
+  const snapshotIds = new Set(snapshot.map(row => String(row[0])));
+
+  // 仍在上傳佇列中的暫存檔還不在 UPLOAD_FOLDER_ID，保留它們的索引 (以最終檔名顯示)
+  const pendingFileNames = new Map(readNewPoUploadTasks_()
+    .filter(task => NEW_PO_PENDING_UPLOAD_STATUSES.indexOf(task.status) !== -1)
+    .map(task => [task.tempFileId, task.fileName]));
+
+  const listed = new Map();
+  const hashed = [];
+  let unindexed = 0;
+  const files = DriveApp.getFolderById(UPLOAD_FOLDER_ID).getFiles();
+  while (files.hasNext()) {
+    const file = files.next();
+    const fileId = file.getId();
+    listed.set(fileId, file.getName());
+    if (snapshotIds.has(fileId)) continue;
+    if (hashed.length >= batchSize) {
+      unindexed++;
+      continue;
+    }
+    hashed.push([fileId, file.getName(), poFromPdfFileName_(file.getName()), computePoPdfHash_(file.getBlob().getBytes()), new Date()]);
+  }
+
+  const rows = runWithSheetLock(() => writePoPdfHashIndex_({ snapshotIds, listed, hashed, pendingFileNames }));
+  return {
+    entries: rows.map(row => ({ fileId: String(row[0]), fileName: String(row[1]), poNumber: String(row[2]), hash: String(row[3]) })),
+    unindexed
+  };
+}
+
+/**
+ * 在鎖內重新讀取索引並合併鎖外的結果後寫回。讀取快照之後才加入的列 (indexPoPdf_ 或另一次更新寫入) 一律保留。
+ * @param {{snapshotIds: Set<string>, listed: Map<string, string>, hashed: Array<Array<*>>, pendingFileNames: Map<string, string>}} update
+ *   snapshotIds: 鎖外讀到的 File ID；listed: 資料夾中的 File ID → 檔名；hashed: 新計算的索引列。
+ * @returns {Array<Array<*>>} 寫回後的索引列。
+ */
+function writePoPdfHashIndex_(update) {
+  const sheet = getOrCreatePoPdfHashSheet_();
+  const current = readPoPdfHashRows_(sheet);
+  const rows = [];
+  const present = new Set();
+  let changed = false;
+  current.forEach(row => {
+    const fileId = String(row[0]);
+    const name = update.listed.has(fileId) ? update.listed.get(fileId) : update.pendingFileNames.get(fileId);
+    if (name === undefined) {
+      if (update.snapshotIds.has(fileId)) {
+        changed = true;
+        return;
+      }
+    } else if (row[1] !== name) {
+      row = [fileId, name, row[2], row[3], row[4]];
+      changed = true;
+    }
+    present.add(fileId);
+    rows.push(row);
+  });
+  update.hashed.forEach(row => {
+    if (present.has(row[0])) return;
+    rows.push(row);
+    changed = true;
+  });
+
+  if (changed) {
+    if (current.length > 0) sheet.getRange(2, 1, current.length, PO_PDF_HASH_HEADERS.length).clearContent();
+    if (rows.length > 0) sheet.getRange(2, 1, rows.length, PO_PDF_HASH_HEADERS.length).setValues(rows);
+  }
+  return rows;
+}
+
+function readPoPdfHashRows_(sheet) {
+  const lastRow = sheet.getLastRow();
+  return lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, PO_PDF_HASH_HEADERS.length).getValues() : [];
+}
+
+/**
+ * 從上傳檔名取出 P/O：'Buyer_PO.pdf' 或 'Buyer_PO_updated_yyyy-MM-dd.pdf'。
+ * @param {string} fileName
+ * @returns {string} 無法辨識時為空字串。
+ */
+function poFromPdfFileName_(fileName) {
+  const base = String(fileName).replace(/\.pdf$/i, '').split('_updated_')[0];
+  const separator = base.indexOf('_');
+  return separator === -1 ? '' : base.slice(separator + 1).trim();
+}
+
+function getOrCreatePoPdfHashSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PO_PDF_HASH_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PO_PDF_HASH_SHEET_NAME, ss.getSheets().length);
+    sheet.getRange(1, 1, 1, PO_PDF_HASH_HEADERS.length).setValues([PO_PDF_HASH_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview
+ * PO Processing Queue：PO Editor 送出的修正以背景工作執行 (POEditorgs.js 的 _processPoCorrectionTrigger)。
+ * - Payload 以 Job ID 存在隱藏的 'PO Processing Payloads' 工作表，而不是 User Cache：
+ *   觸發器可能以其他使用者身分或在一小時後才執行，User Cache 此時讀不到資料。
+ * - 每個工作在 Script Lock 內執行。拋出錯誤 (服務逾時、鎖逾時等暫時性錯誤) 時回到 'Queued' 自動重試，
+ *   累計 PO_QUEUE_MAX_ATTEMPTS 次仍失敗才標記為 'Failed'；_savePoCorrectionsCore 回傳的驗證錯誤不重試。
+ * - 選單 'PO Processing Queue' 開啟側欄，即時顯示每個工作的狀態，並提供 Retry (Failed / Cancelled) 與 Cancel (Queued)。
+ * - 成功後刪除 payload；Failed 與 Cancelled 的 payload 保留，才能 Retry。
+ * - 執行中斷 (逾時、部署更新) 而停在 'In Progress' 的工作，Start Time 超過 PO_QUEUE_STALE_MS 後改為 'Failed'，
+ *   側欄讀取清單或下一次觸發器執行時檢查 (比照 NewPoUploadQueue.js 的 'Processing' 列)，之後可以 Retry。
+ */
+
+const PO_QUEUE_PAYLOAD_SHEET_NAME = 'PO Processing Payloads';
+const PO_QUEUE_PAYLOAD_HEADERS = ['Job ID', 'Payload', 'Created'];
+const PO_QUEUE_MAX_ATTEMPTS = 3;
+// 重試前等待的時間；新送出的工作仍在 5 秒後開始
+const PO_QUEUE_RETRY_DELAY_MS = 60 * 1000;
+// 儲存格上限為 50000 字元
+const PO_QUEUE_PAYLOAD_LIMIT = 50000;
+// 'In Progress' 超過此時間視為中斷 (Apps Script 單次執行上限為 6 分鐘)
+const PO_QUEUE_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * 開啟 'PO Processing Queue' 側欄。
+ */
+function openPoProcessingQueueSidebar() {
+  const html = HtmlService.createTemplateFromFile('PoProcessingQueue')
+    .evaluate()
+    .setTitle('PO Processing Queue');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * 側欄用的工作清單，新的在前。
+ * @param {number} [limit=50]
+ * @returns {{success: boolean, jobs?: Array<{jobId: string, poNumber: string, status: string, submittedBy: string,
+ *   submittedTime: string, startTime: string, attempts: number, message: string, canRetry: boolean, canCancel: boolean}>,
+ *   maxAttempts?: number, message?: string}}
+ */
+function getPoProcessingJobs(limit) {
+  try {
+    const max = Number(limit) > 0 ? Number(limit) : 50;
+    const toIso = value => value instanceof Date ? value.toISOString() : '';
+    // 先不取鎖檢查；有中斷的工作時才在鎖內重新讀取並標記
+    if (findStalePoJobs_(readPoQueueJobs_()).length > 0) runWithSheetLock(() => failStalePoJobs_());
+    const jobs = readPoQueueJobs_().reverse().slice(0, max).map(job => ({
+      jobId: job.jobId,
+      poNumber: job.poNumber,
+      status: job.status,
+      submittedBy: job.submittedBy,
+      submittedTime: toIso(job.submittedTime),
+      startTime: toIso(job.startTime),
+      attempts: job.attempts,
+      message: job.message,
+      canRetry: Boolean(job.jobId) && (job.status === 'Failed' || job.status === 'Cancelled'),
+      canCancel: Boolean(job.jobId) && job.status === 'Queued'
+    }));
+    return { success: true, jobs, maxAttempts: PO_QUEUE_MAX_ATTEMPTS };
+  } catch (e) {
+    Logger.log(`getPoProcessingJobs Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 前端進入點：重新排入 Failed 或 Cancelled 的工作 (嘗試次數歸零)。
+ * @param {string} jobId
+ * @returns {{success: boolean, message: string}}
+ */
+function retryPoProcessingJob(jobId) {
+  return runLoggedOperation({ tool: 'PO Processing Queue', action: 'retryPoProcessingJob', record: jobId, sheet: QUEUE_SHEET, field: 'JOB_ID' }, () => retryPoProcessingJob_(jobId));
+}
+
+function retryPoProcessingJob_(jobId) {
+  const result = runWithSheetLock(() => {
+    const job = findPoQueueJob_(jobId);
+    if (!job) return { success: false, message: `Job ${jobId} not found in '${QUEUE_SHEET}'.` };
+    if (job.status !== 'Failed' && job.status !== 'Cancelled') {
+      return { success: false, message: `Job ${jobId} is ${job.status}; only Failed or Cancelled jobs can be retried.` };
+    }
+    if (!readPoJobPayload_(jobId)) {
+      return { success: false, message: `Job ${jobId} has no stored payload. Please resubmit the correction from the PO Editor.` };
+    }
+    const update = updateRecords(QUEUE_SHEET, [{
+      _rowNumber: job.rowNumber,
+      STATUS: 'Queued',
+      ATTEMPTS: 0,
+      MESSAGE: `Retry requested by ${Session.getActiveUser().getEmail()}.`
+    }]);
+    if (!update.success) return { success: false, message: update.message };
+    return { success: true, message: `Job for PO #${job.poNumber} queued again.` };
+  });
+  if (result.success) _createProcessTrigger_();
+  return result;
+}
+
+/**
+ * 前端進入點：取消尚未開始 (或等待重試) 的工作。Payload 保留，之後仍可 Retry。
+ * @param {string} jobId
+ * @returns {{success: boolean, message: string}}
+ */
+function cancelPoProcessingJob(jobId) {
+  return runLoggedOperation({ tool: 'PO Processing Queue', action: 'cancelPoProcessingJob', record: jobId, sheet: QUEUE_SHEET, field: 'JOB_ID' }, () => cancelPoProcessingJob_(jobId));
+}
+
+function cancelPoProcessingJob_(jobId) {
+  return runWithSheetLock(() => {
+    const job = findPoQueueJob_(jobId);
+    if (!job) return { success: false, message: `Job ${jobId} not found in '${QUEUE_SHEET}'.` };
+    if (job.status !== 'Queued') {
+      return { success: false, message: `Job ${jobId} is ${job.status}; only Queued jobs can be cancelled.` };
+    }
+    const update = updateRecords(QUEUE_SHEET, [{
+      _rowNumber: job.rowNumber,
+      STATUS: 'Cancelled',
+      MESSAGE: `Cancelled by ${Session.getActiveUser().getEmail()}.`
+    }]);
+    if (!update.success) return { success: false, message: update.message };
+    return { success: true, message: `Job for PO #${job.poNumber} cancelled.` };
+  });
+}
+
+/**
+ * 在 Script Lock 內執行一個 'Queued' 的工作。取得鎖時重新讀取狀態，在等待期間被取消的工作不會執行。
+ * @param {string} jobId
+ * @returns {string|null} 工作的新狀態 ('Success' / 'Failed' / 'Queued' 表示稍後重試)；工作不存在時為 null。
+ */
+function processPoCorrectionJob_(jobId) {
+  return runWithSheetLock(() => {
+    const job = findPoQueueJob_(jobId);
+    if (!job || job.status !== 'Queued') return job ? job.status : null;
+
+    const attempts = job.attempts + 1;
+    const payload = readPoJobPayload_(jobId);
+    if (!payload) {
+      updateRecords(QUEUE_SHEET, [{ _rowNumber: job.rowNumber, STATUS: 'Failed', ATTEMPTS: attempts, MESSAGE: 'Processing failed: job payload not found.' }]);
+      return 'Failed';
+    }
+
+    updateRecords(QUEUE_SHEET, [{ _rowNumber: job.rowNumber, STATUS: 'In Progress', START_TIME: new Date(), ATTEMPTS: attempts }]);
+    SpreadsheetApp.flush(); // 讓側欄在工作執行期間看到 'In Progress'
+
+    let status;
+    let message;
+    try {
+      const result = _savePoCorrectionsCore(payload.poNumber, payload.basicInfo, payload.items, payload.expectedVersion);
+      status = result.success ? 'Success' : 'Failed';
+      message = result.success
+        ? `Successfully applied changes for PO #${result.newPoNumber}.` + describeCreditCheck_(result.creditCheck)
+        : `Processing failed (PO #${payload.poNumber}): ${result.message}`;
+    } catch (e) {
+      Logger.log(`processPoCorrectionJob_ ${jobId} attempt ${attempts} Error: ${e.toString()}`);
+      status = attempts >= PO_QUEUE_MAX_ATTEMPTS ? 'Failed' : 'Queued';
+      message = status === 'Failed'
+        ? `Failed after ${attempts} attempts: ${e.message}`
+        : `Attempt ${attempts} of ${PO_QUEUE_MAX_ATTEMPTS} failed: ${e.message}. Retrying automatically.`;
+    }
+
+    updateRecords(QUEUE_SHEET, [{ _rowNumber: job.rowNumber, STATUS: status, MESSAGE: message }]);
+    if (status === 'Success') deletePoJobPayload_(jobId);
+    return status;
+  });
+}
+
+/**
+ * @returns {Array<{rowNumber: number, jobId: string, poNumber: string, status: string, submittedBy: string,
+ *   submittedTime: *, startTime: *, attempts: number, message: string}>} 佇列中的工作，依送出順序。
+ */
+function readPoQueueJobs_() {
+  getOrCreateQueueSheet();
+  invalidateRecordCache(QUEUE_SHEET);
+  const table = readTable(QUEUE_SHEET);
+  const col = table.columns;
+  return table.values.map((row, index) => ({
+    rowNumber: index + table.firstDataRow,
+    jobId: String(row[col.JOB_ID - 1] || '').trim(),
+    poNumber: String(row[col.PO_NUMBER - 1] || '').trim(),
+    status: String(row[col.STATUS - 1] || '').trim(),
+    submittedBy: String(row[col.SUBMITTED_BY - 1] || ''),
+    submittedTime: row[col.SUBMITTED_TIME - 1],
+    startTime: row[col.START_TIME - 1],
+    attempts: Number(row[col.ATTEMPTS - 1]) || 0,
+    message: String(row[col.MESSAGE - 1] || '')
+  })).filter(job => job.poNumber || job.jobId);
+}
+
+/**
+ * @param {Array<Object>} jobs - readPoQueueJobs_ 的結果。
+ * @returns {Array<Object>} 'In Progress' 且 Start Time 超過 PO_QUEUE_STALE_MS (或沒有 Start Time) 的工作。
+ */
+function findStalePoJobs_(jobs) {
+  const now = Date.now();
+  return jobs.filter(job => job.status === 'In Progress'
+    && !(job.startTime instanceof Date && now - job.startTime.getTime() <= PO_QUEUE_STALE_MS));
+}
+
+/**
+ * 把中斷的 'In Progress' 工作改為 'Failed' (payload 保留，可以 Retry)。呼叫端必須持有 Script Lock。
+ * @returns {number} 標記的工作數。
+ */
+function failStalePoJobs_() {
+  const stale = findStalePoJobs_(readPoQueueJobs_());
+  if (stale.length === 0) return 0;
+  const minutes = PO_QUEUE_STALE_MS / 60000;
+  updateRecords(QUEUE_SHEET, stale.map(job => ({
+    _rowNumber: job.rowNumber,
+    STATUS: 'Failed',
+    MESSAGE: `Processing was interrupted (no result ${minutes} minutes after it started). Check PO #${job.poNumber} before retrying.`
+  })));
+  Logger.log(`Marked ${stale.length} interrupted PO processing job(s) as Failed: ${stale.map(job => job.jobId).join(', ')}`);
+  return stale.length;
+}
+
+function findPoQueueJob_(jobId) {
+  const target = String(jobId || '').trim();
+  if (!target) return null;
+  return readPoQueueJobs_().find(job => job.jobId === target) || null;
+}
+
+// --- Payload 儲存 ---
+
+function getOrCreatePoJobPayloadSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PO_QUEUE_PAYLOAD_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PO_QUEUE_PAYLOAD_SHEET_NAME, ss.getSheets().length);
+    sheet.getRange(1, 1, 1, PO_QUEUE_PAYLOAD_HEADERS.length).setValues([PO_QUEUE_PAYLOAD_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/**
+ * @param {string} jobId
+ * @param {Object} payload - { poNumber, basicInfo, items }
+ */
+function writePoJobPayload_(jobId, payload) {
+  const json = JSON.stringify(payload);
+  if (json.length > PO_QUEUE_PAYLOAD_LIMIT) {
+    throw new Error(`The correction is too large to queue (${json.length} characters, limit ${PO_QUEUE_PAYLOAD_LIMIT}).`);
+  }
+  getOrCreatePoJobPayloadSheet_().appendRow([jobId, json, new Date()]);
+}
+
+/**
+ * @param {string} jobId
+ * @returns {Object|null} 解析後的 payload；不存在時為 null。
+ */
+function readPoJobPayload_(jobId) {
+  const found = findPoJobPayloadRow_(jobId);
+  return found ? JSON.parse(found.json) : null;
+}
+
+function deletePoJobPayload_(jobId) {
+  const found = findPoJobPayloadRow_(jobId);
+  if (found) getOrCreatePoJobPayloadSheet_().deleteRow(found.rowNumber);
+}
+
+function findPoJobPayloadRow_(jobId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PO_QUEUE_PAYLOAD_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+  const target = String(jobId || '').trim();
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  const index = values.findIndex(row => String(row[0]).trim() === target);
+  return index === -1 ? null : { rowNumber: index + 2, json: String(values[index][1]) };
+}
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview
+ * P/O 版本歷史：從 'Dealer PO | Raw Data' 與 'Dealer PO | Archive' (Direct Quote 則為 'Direct Quote | Raw Data' / 'Direct Quote | Archive')
+ * 找出一張 P/O 的所有版本，並列出相鄰版本間的差異
+ * (新增 / 移除的型號、數量與單價變更、Ship-to 與付款條件變更，以及 Change Note)。
+ *
+ * 版本的判定 (依 Timestamp 欄 AA 排序)：
+ * - PO Editor (_savePoCorrectionsCore) 把舊列標為 'Change'，新舊兩組列寫入同一個 Timestamp；
+ *   因此同一時間點上，已被取代的列 ('Change' / 'Revised') 排在新版本之前。
+ *   狀態相同且 Timestamp 完全相同的列才是同一個版本 (相隔幾秒的兩次儲存是兩個版本)。
+ * - processPoUpdate 把舊列標為 'Revised' 並寫入同一個時間；舊版程式逐列寫入當下時間，同一批列可能相差數毫秒，
+ *   所以 'Revised' 列時間相差在 PO_REVISION_LEGACY_WINDOW_MS 內也視為同一個版本。
+ * - 'Voided' 不改 Timestamp，作廢的版本就是它建立時的版本。
+ * 注意：被取代版本的 Timestamp 是「被取代的時間」，現行版本的 Timestamp 是「建立的時間」。
+ */
+
+const PO_REVISION_LEGACY_WINDOW_MS = 5;
+const PO_REVISION_SUPERSEDED_STATUSES = ['Change', 'Revised'];
+// 版本層級比對的欄位 (取該版本第一列的值)
+const PO_REVISION_HEADER_FIELDS = [
+  { field: 'BUYER_NAME', label: 'Buyer Name' },
+  { field: 'COMPANY', label: 'Company' },
+  { field: 'RSM', label: 'RSM' },
+  { field: 'PAYMENT_TERM', label: 'Payment Term' },
+  { field: 'PO_TOTAL', label: 'P/O Total' },
+  { field: 'SHIP_TO', label: 'Ship to' },
+  { field: 'STREET_ADDRESS', label: 'Street Address' },
+  { field: 'CITY', label: 'City' },
+  { field: 'STATE', label: 'State' },
+  { field: 'ZIPCODE', label: 'Zipcode' },
+  { field: 'SHIP_TO_CONTACT', label: 'Contact Person' },
+  { field: 'SHIP_TO_PHONE', label: 'Phone' },
+  { field: 'SHIP_TO_EMAIL', label: 'Email' }
+];
+
+/**
+ * 開啟 PO Revision History 對話框。
+ */
+function openPoRevisionHistory() {
+  const html = HtmlService.createTemplateFromFile('PoRevisionHistory')
+    .evaluate()
+    .setWidth(900)
+    .setHeight(700);
+  SpreadsheetApp.getUi().showModalDialog(html, 'PO Revision History');
+}
+
+/**
+ * 對話框的 P/O 下拉選單：Raw Data 與 Archive 中所有的 P/O，依字母排序。
+ * @returns {{success: boolean, poNumbers?: string[], message?: string}}
+ */
+function getRevisionHistoryPoNumbers() {
+  try {
+    const poNumbers = new Set();
+    getPoRevisionSources_().forEach(source => {
+      readAllRecords(source.sheetName).forEach(record => {
+        const po = String(getRecordValue(source.sheetName, record, 'PO_NUMBER') || '').trim();
+        if (po) poNumbers.add(po);
+      });
+    });
+    return { success: true, poNumbers: [...poNumbers].sort() };
+  } catch (e) {
+    Logger.log(`getRevisionHistoryPoNumbers Error: ${e.message}`);
+    return { success: false, message: e.toString() };
+  }
+}
+
+/**
+ * 一張 P/O 的版本歷史與相鄰版本的差異。
+ * @param {string} poNumber - P/O 號碼 (前後空白與數字 / 文字型別不影響比對)。
+ * @returns {{success: boolean, message?: string, poNumber?: string, versions?: Array<Object>, diffs?: Array<Object>, links?: Array<Object>}}
+ *   versions: [{ version, source, status, timestamp, changeNote, rowNumbers, header, lines: [{ model, sku, qty, unitPrice }] }]，舊的在前。
+ *   diffs: [{ fromVersion, toVersion, changeNote, addedLines, removedLines, changedLines: [{ model, field, from, to }], headerChanges: [{ field, label, from, to }] }]。
+ *   links: Split / Merge 產生的舊 P/O → 新 P/O 連結 (PoSplitMerge.js 的 getPoLinks_)。
+ */
+function getPoRevisionHistory(poNumber) {
+  try {
+    const target = String(poNumber === null || poNumber === undefined ? '' : poNumber).trim();
+    if (!target) throw new Error('P/O number is required.');
+
+    const rows = [];
+    getPoRevisionSources_().forEach(source => {
+      rows.push(...readPoRevisionRows_(source.sheetName, source.label, target));
+    });
+    if (rows.length === 0) {
+      return { success: false, message: `P/O '${target}' was not found in Raw Data or Archive.` };
+    }
+
+    const versions = groupPoRevisionRows_(rows).map((group, index) => buildPoVersion_(group, index + 1));
+    const diffs = versions.slice(1).map((version, index) => diffPoVersions_(versions[index], version));
+    return { success: true, poNumber: target, versions, diffs, links: getPoLinks_(target) };
+  } catch (e) {
+    Logger.log(`getPoRevisionHistory Error: ${e.message}`);
+    return { success: false, message: e.toString() };
+  }
+}
+
+/**
+ * 所有訂單來源 (OrderSources.js) 的 Raw Data 與 Archive。Direct Quote 的標籤加上來源名稱，例如 'Direct Quote Archive'。
+ * @returns {Array<{sheetName: string, label: string}>} 存在的來源工作表 (Archive 不存在時只讀 Raw Data)。
+ */
+function getPoRevisionSources_() {
+  const ss = getWorkbook_();
+  const sources = [];
+  getAllOrderSources_().forEach(orderSource => {
+    const prefix = orderSource.id === DEFAULT_ORDER_SOURCE ? '' : `${orderSource.label} `;
+    sources.push({ sheetName: orderSource.rawSheet, label: `${prefix}Raw Data` });
+    sources.push({ sheetName: orderSource.archiveSheet, label: `${prefix}Archive` });
+  });
+  return sources.filter(source => ss.getSheetByName(source.sheetName));
+}
+
+/**
+ * 讀取一張表中屬於該 P/O 的列，轉為 groupPoRevisionRows_ 使用的格式。
+ * @param {string} sheetName
+ * @param {string} label - 來源名稱 ('Raw Data' / 'Archive')。
+ * @param {string} poNumber - 已去除前後空白的 P/O 號碼。
+ * @returns {Array<{source: string, rowNumber: number, status: string, time: (number|null), record: Object, value: function(string): *}>}
+ */
+function readPoRevisionRows_(sheetName, label, poNumber) {
+  const value = (record, field) => getRecordValue(sheetName, record, field);
+  return readAllRecords(sheetName)
+    .filter(record => String(value(record, 'PO_NUMBER')).trim() === poNumber)
+    .map(record => {
+      const timestamp = value(record, 'TIMESTAMP');
+      return {
+        source: label,
+        rowNumber: record._rowNumber,
+        status: String(value(record, 'STATUS') || '').trim(),
+        time: timestamp instanceof Date ? timestamp.getTime() : null,
+        record,
+        value: field => value(record, field)
+      };
+    });
+}
+
+/**
+ * 依 Timestamp 排序並分組為版本 (規則見檔案開頭說明)。
+ * @param {Array<Object>} rows
+ * @returns {Array<Array<Object>>}
+ */
+function groupPoRevisionRows_(rows) {
+  const timeOf = row => (row.time === null ? -Infinity : row.time);
+  const rank = row => (PO_REVISION_SUPERSEDED_STATUSES.indexOf(row.status) !== -1 ? 0 : 1);
+  const isSameVersion = (first, row) => {
+    if (first.status !== row.status) return false;
+    if (first.time === null || row.time === null) return first.time === row.time;
+    const window = row.status === 'Revised' ? PO_REVISION_LEGACY_WINDOW_MS : 0;
+    return row.time - first.time <= window;
+  };
+
+  // 先依時間分組，再排序版本：舊版 'Revised' 列的時間可能比下一個版本的建立時間還晚幾毫秒
+  const groups = [];
+  rows.slice().sort((a, b) => timeOf(a) - timeOf(b)).forEach(row => {
+    const group = groups.find(g => isSameVersion(g[0], row));
+    if (group) group.push(row);
+    else groups.push([row]);
+  });
+  return groups.sort((a, b) => timeOf(a[0]) - timeOf(b[0]) || rank(a[0]) - rank(b[0]));
+}
+
+/**
+ * @param {Array<Object>} group - 同一版本的列。
+ * @param {number} versionNumber
+ * @returns {Object} 版本資料 (可直接序列化給前端)。
+ */
+function buildPoVersion_(group, versionNumber) {
+  const first = group[0];
+  const header = {};
+  PO_REVISION_HEADER_FIELDS.forEach(spec => { header[spec.field] = toRevisionValue_(first.value(spec.field)); });
+
+  return {
+    version: versionNumber,
+    source: first.source,
+    status: first.status || 'Active',
+    timestamp: first.time === null ? null : new Date(first.time).toISOString(),
+    changeNote: String(group.map(row => row.value('CHANGE_NOTE')).find(note => note) || ''),
+    rowNumbers: group.map(row => row.rowNumber),
+    header,
+    lines: group.map(row => ({
+      model: String(row.value('P_O_LINE_ITEMS') || row.value('MODEL_FROM_SHEET') || '').trim(),
+      sku: String(row.value('SKU') || '').trim(),
+      qty: toRevisionValue_(row.value('P_O_QTY')),
+      unitPrice: toRevisionValue_(row.value('P_O_UNIT_PRICE'))
+    }))
+  };
+}
+
+/**
+ * 比對兩個相鄰版本。品項以型號 (不分大小寫) 對應；同一型號有多列時數量相加、單價取第一列。
+ * Change Note 取較新版本的備註 (PO Editor 的新列帶有本次修改的備註)，沒有時取較舊版本的。
+ * @param {Object} from - 較舊的版本。
+ * @param {Object} to - 較新的版本。
+ * @returns {Object}
+ */
+function diffPoVersions_(from, to) {
+  const summarize = lines => {
+    const byModel = new Map();
+    lines.forEach(line => {
+      const key = line.model.toLowerCase();
+      const existing = byModel.get(key);
+      if (existing) {
+        existing.qty = (Number(existing.qty) || 0) + (Number(line.qty) || 0);
+      } else {
+        byModel.set(key, Object.assign({}, line));
+      }
+    });
+    return byModel;
+  };
+  const fromLines = summarize(from.lines);
+  const toLines = summarize(to.lines);
+
+  const addedLines = [...toLines.keys()].filter(key => !fromLines.has(key)).map(key => toLines.get(key));
+  const removedLines = [...fromLines.keys()].filter(key => !toLines.has(key)).map(key => fromLines.get(key));
+  const changedLines = [];
+  [...toLines.keys()].filter(key => fromLines.has(key)).forEach(key => {
+    const before = fromLines.get(key);
+    const after = toLines.get(key);
+    [['qty', 'Qty'], ['unitPrice', 'Unit Price']].forEach(([field, label]) => {
+      if (!isSameRevisionValue_(before[field], after[field])) {
+        changedLines.push({ model: after.model, field: label, from: before[field], to: after[field] });
+      }
+    });
+  });
+
+  const headerChanges = PO_REVISION_HEADER_FIELDS
+    .filter(spec => !isSameRevisionValue_(from.header[spec.field], to.header[spec.field]))
+    .map(spec => ({ field: spec.field, label: spec.label, from: from.header[spec.field], to: to.header[spec.field] }));
+
+  // 被取代的列保存「取代它的那次儲存」的 Change Note；新版本的 Note 會在下一次儲存時被覆寫
+  const superseded = PO_REVISION_SUPERSEDED_STATUSES.indexOf(from.status) !== -1;
+  return {
+    fromVersion: from.version,
+    toVersion: to.version,
+    changeNote: superseded ? from.changeNote || to.changeNote : to.changeNote || from.changeNote,
+    addedLines,
+    removedLines,
+    changedLines,
+    headerChanges
+  };
+}
+
+/**
+ * 儲存格的值轉為可序列化、可比對的值：日期轉 ISO 字串，字串去除前後空白，空白為 ''。
+ * @param {*} value
+ * @returns {string|number|boolean}
+ */
+function toRevisionValue_(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string') return value.trim();
+  return value;
+}
+
+/**
+ * 數字與數字字串 ('10' 與 10) 視為相同，其餘以字串比對。
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameRevisionValue_(a, b) {
+  if (a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))) return Number(a) === Number(b);
+  return String(a) === String(b);
+}
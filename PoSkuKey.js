@@ -0,0 +1,225 @@
+/**
+ * @fileoverview
+ * PO|SKU 鍵 (Helper Key) 的建立、解析、正規化與驗證。BOL / Serial / Shipping 工具與 Web API 都透過這裡處理鍵，
+ * 不要再各自 split('|') 或以字串直接比對。
+ *
+ * 正規格式：'<P/O>|<SKU>'
+ * - P/O：去除前後空白、連續空白合併為一個；數字 P/O (12345 或試算表轉成的 '12345.0') 一律為 '12345'，
+ *   文字 P/O 保留原樣 (含開頭的 0 與大小寫)。P/O 本身可以含有 '|'。
+ * - SKU：去除前後空白、連續空白合併為一個，並轉為大寫。SKU 不可含有 '|'，因此解析時以「最後一個」'|' 分隔。
+ *
+ * 既有的 DB 資料可能仍是舊格式，比對時一律使用 isSamePoSkuKey / queryByPoSkuKey。
+ * 選單 'Scan PO|SKU Keys' (scanPoSkuKeys) 會列出 BOL_DB、Serial #_DB、Shipment_Planning_DB 中不符合正規格式的鍵。
+ */
+
+const PO_SKU_KEY_SEPARATOR = '|';
+const PO_SKU_KEY_REPORT_SHEET_NAME = 'PO|SKU Key Report';
+const PO_SKU_KEY_REPORT_HEADERS = ['Checked At', 'Sheet', 'Row', 'Key', 'Normalized Key', 'Problem'];
+
+/**
+ * 以 P/O 與 SKU 建立正規化的鍵。
+ * @param {string|number} poNumber - P/O 號碼。
+ * @param {string} sku - SKU。
+ * @returns {string} 正規化的 PO|SKU 鍵。
+ * @throws {Error} P/O 或 SKU 空白、型別不符，或 SKU 含有 '|' 時。
+ */
+function buildPoSkuKey(poNumber, sku) {
+  const po = normalizePoNumber_(poNumber);
+  const normalizedSku = normalizeSku(sku);
+  if (!po) throw new Error(`Invalid PO|SKU key: P/O number is empty (SKU '${sku}').`);
+  if (!normalizedSku) throw new Error(`Invalid PO|SKU key: SKU is empty (P/O '${poNumber}').`);
+  if (normalizedSku.indexOf(PO_SKU_KEY_SEPARATOR) !== -1) {
+    throw new Error(`Invalid PO|SKU key: SKU '${sku}' must not contain '${PO_SKU_KEY_SEPARATOR}'.`);
+  }
+  return `${po}${PO_SKU_KEY_SEPARATOR}${normalizedSku}`;
+}
+
+/**
+ * 解析鍵。以最後一個 '|' 分隔，因此含有 '|' 的 P/O 也能正確解析。
+ * @param {string} key - PO|SKU 鍵 (可以是未正規化的舊格式)。
+ * @returns {{key: string, poNumber: string, sku: string}|null} 正規化後的各部分；無法解析時為 null。
+ */
+function parsePoSkuKey(key) {
+  return validatePoSkuKey(key).parts;
+}
+
+/**
+ * 正規化鍵。
+ * @param {string} key - PO|SKU 鍵。
+ * @returns {string} 正規化的鍵；無法解析時為空字串。
+ */
+function normalizePoSkuKey(key) {
+  const parts = parsePoSkuKey(key);
+  return parts ? parts.key : '';
+}
+
+/**
+ * 驗證鍵並說明原因。
+ * @param {*} key - PO|SKU 鍵。
+ * @returns {{valid: boolean, key: string, reason: string, message: string, parts: ({key: string, poNumber: string, sku: string}|null)}}
+ *   key 為正規化的鍵 (無效時為空字串)；無效時 reason 為簡短原因，message 為可直接顯示的完整錯誤訊息。
+ */
+function validatePoSkuKey(key) {
+  const invalid = reason => ({ valid: false, key: '', reason, message: `Invalid PO|SKU key '${key}': ${reason}`, parts: null });
+
+  if (key === null || key === undefined || key === '') return invalid('key is empty.');
+  if (typeof key !== 'string') return invalid(`expected text, got ${key instanceof Date ? 'a date' : typeof key}.`);
+
+  const separatorIndex = key.lastIndexOf(PO_SKU_KEY_SEPARATOR);
+  if (separatorIndex === -1) return invalid(`missing '${PO_SKU_KEY_SEPARATOR}' between P/O and SKU.`);
+
+  const poNumber = normalizePoNumber_(key.slice(0, separatorIndex));
+  const sku = normalizeSku(key.slice(separatorIndex + 1));
+  if (!poNumber) return invalid('P/O number is empty.');
+  if (!sku) return invalid('SKU is empty.');
+
+  const normalized = `${poNumber}${PO_SKU_KEY_SEPARATOR}${sku}`;
+  return { valid: true, key: normalized, reason: '', message: '', parts: { key: normalized, poNumber, sku } };
+}
+
+/**
+ * @param {*} key
+ * @returns {boolean} 是否為可解析的鍵 (不論是否已正規化)。
+ */
+function isValidPoSkuKey(key) {
+  return validatePoSkuKey(key).valid;
+}
+
+/**
+ * 兩個鍵正規化後是否相同。任一方無法解析時為 false。
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSamePoSkuKey(a, b) {
+  const normalizedA = normalizePoSkuKey(a);
+  return normalizedA !== '' && normalizedA === normalizePoSkuKey(b);
+}
+
+/**
+ * 查詢 PO_SKU_KEY 欄與指定鍵相符 (正規化後) 的記錄，舊格式的鍵也能找到。
+ *   queryByPoSkuKey(Config.SHEET_NAMES.BOL_DB, key).all();
+ * @param {string} sheetName - 有 PO_SKU_KEY 欄位的工作表。
+ * @param {string|string[]} keys - 一個或多個鍵。
+ * @returns {Object} queryRecords 的查詢物件，可再串接其他條件。
+ */
+function queryByPoSkuKey(sheetName, keys) {
+  const wanted = new Set([].concat(keys).map(normalizePoSkuKey).filter(String));
+  return queryRecords(sheetName).where('PO_SKU_KEY', value => wanted.has(normalizePoSkuKey(value)));
+}
+
+/**
+ * @param {*} poNumber
+ * @returns {string} 正規化的 P/O；空白或型別不符時為空字串。
+ */
+function normalizePoNumber_(poNumber) {
+  if (typeof poNumber === 'number') return isFinite(poNumber) ? String(poNumber) : '';
+  if (typeof poNumber !== 'string') return '';
+  const text = poNumber.trim().replace(/\s+/g, ' ');
+  // 數字 P/O 被當成文字讀出時可能帶有 '.0'
+  return /^\d+\.0+$/.test(text) ? text.replace(/\.0+$/, '') : text;
+}
+
+/**
+ * 鍵中 SKU 部分的正規化。以 SKU 欄位與鍵中的 SKU 比對時，兩邊都先經過這裡。
+ * @param {*} sku
+ * @returns {string} 正規化的 SKU；空白或型別不符時為空字串。
+ */
+function normalizeSku(sku) {
+  if (typeof sku !== 'string' && typeof sku !== 'number') return '';
+  return String(sku).trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+
+// --- 既有資料掃描 ---
+
+/**
+ * 選單進入點：掃描 DB 表中的 PO|SKU 鍵、寫入報表，並以對話框顯示摘要。
+ */
+function scanPoSkuKeys() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = runPoSkuKeyScan();
+    if (result.issues.length === 0) {
+      ui.alert(`All ${result.checkedCount} PO|SKU keys are valid and normalized.`);
+    } else {
+      ui.alert(`Found ${result.issues.length} PO|SKU key problem(s) in ${result.checkedCount} rows. See the '${PO_SKU_KEY_REPORT_SHEET_NAME}' sheet for details.`);
+    }
+  } catch (e) {
+    Logger.log(`scanPoSkuKeys Error: ${e.message}`);
+    ui.alert(`PO|SKU key scan failed: ${e.message}`);
+  }
+}
+
+/**
+ * 掃描 BOL_DB、Serial #_DB、Shipment_Planning_DB，回報：
+ * - Invalid：無法解析 (空白、缺少 '|'、P/O 或 SKU 空白)。
+ * - Not Normalized：可解析，但與正規格式不同 (空白、大小寫、'12345.0' 等)。
+ * - Duplicate Key：主鍵 (Config.STORAGE) 含 PO_SKU_KEY 的表中，正規化後與另一列的主鍵重複。
+ * 只讀取資料並覆寫報表工作表，不會修改 DB。
+ * @returns {{success: boolean, checkedCount: number, issues: Array<{sheet: string, row: number, key: string, normalizedKey: string, problem: string}>}}
+ */
+function runPoSkuKeyScan() {
+  const names = Config.SHEET_NAMES;
+  const issues = [];
+  let checkedCount = 0;
+
+  [names.BOL_DB, names.SERIAL_DB, names.SHIPMENT_PLANNING_DB].forEach(sheetName => {
+    const storage = Config.STORAGE[sheetName];
+    const primaryKey = storage ? storage.primaryKey : ['PO_SKU_KEY'];
+    const checkDuplicates = primaryKey.indexOf('PO_SKU_KEY') !== -1;
+    const seenRows = {};
+
+    readAllRecords(sheetName).forEach(record => {
+      checkedCount++;
+      const rawKey = getRecordValue(sheetName, record, 'PO_SKU_KEY');
+      const result = validatePoSkuKey(rawKey);
+      const addIssue = problem => issues.push({
+        sheet: sheetName, row: record._rowNumber, key: rawKey === undefined ? '' : rawKey, normalizedKey: result.key, problem
+      });
+
+      if (!result.valid) {
+        addIssue(`Invalid: ${result.reason}`);
+        return;
+      }
+      if (result.key !== rawKey) addIssue('Not Normalized');
+      if (!checkDuplicates) return;
+
+      const recordKey = primaryKey
+        .map(field => (field === 'PO_SKU_KEY' ? result.key : toIndexKey_(getRecordValue(sheetName, record, field))))
+        .join('::');
+      if (seenRows[recordKey]) {
+        addIssue(`Duplicate Key: same ${primaryKey.join(' + ')} as row ${seenRows[recordKey]} after normalization`);
+      } else {
+        seenRows[recordKey] = record._rowNumber;
+      }
+    });
+  });
+
+  writePoSkuKeyReport_(issues);
+  return { success: issues.length === 0, checkedCount, issues };
+}
+
+/**
+ * 覆寫報表工作表 (不存在時建立)。沒有問題時寫入一列 OK。
+ * @param {Array<Object>} issues
+ */
+function writePoSkuKeyReport_(issues) {
+  const ss = getWorkbook_();
+  let sheet = ss.getSheetByName(PO_SKU_KEY_REPORT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PO_SKU_KEY_REPORT_SHEET_NAME, ss.getSheets().length);
+    sheet.setFrozenRows(1);
+  }
+  sheet.clearContents();
+
+  const checkedAt = new Date();
+  const rows = issues.length > 0
+    ? issues.map(issue => [checkedAt, issue.sheet, issue.row, issue.key, issue.normalizedKey, issue.problem])
+    : [[checkedAt, '', '', '', '', 'OK: no problems found']];
+
+  sheet.getRange(1, 1, 1, PO_SKU_KEY_REPORT_HEADERS.length).setValues([PO_SKU_KEY_REPORT_HEADERS]).setFontWeight('bold');
+  // Key / Normalized Key 以純文字寫入，避免 '12345.0' 之類的值被試算表轉成數字
+  sheet.getRange(2, 4, rows.length, 2).setNumberFormat('@');
+  sheet.getRange(2, 1, rows.length, PO_SKU_KEY_REPORT_HEADERS.length).setValues(rows);
+}
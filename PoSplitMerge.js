@@ -0,0 +1,641 @@
+/**
+ * @fileoverview
+ * PO Split / Merge (PO Editor)。
+ * - Split：把一張 P/O 的有效列依數量拆成多張新 P/O (例如不同的 Ship To 或出貨時間)，每張可覆寫 Ship To。
+ * - Merge：把重新開立的 P/O 與原始 P/O 合併成一張 (可沿用其中一個號碼)，同一 SKU 的數量相加。
+ * 兩者都會：
+ * - 把原始的有效列標為 'Split' / 'Merged' 並搬到該來源的 Archive (archiveProcessedPOs_Safe)，Change Note 記錄新 P/O；
+ *   新列的 Change Note 記錄原始 P/O。
+ * - 把 Shipment_Planning_DB、BOL_DB、Serial #_DB 中舊 PO|SKU 的列改指向新的鍵 (規則見 planSplitDbUpdates_ / planMergeDbUpdates_)。
+ * - 在 'PO Links' 工作表寫入舊 P/O → 新 P/O 的連結，PO Revision History 會列出。
+ * 新 P/O 號碼不可與任何來源 Raw Data / Archive 中的號碼重複。
+ * 全部在 Script Lock 內先驗證並建立所有寫入 (planPoLineReplacement_ 與 plan*DbUpdates_)，再一次套用 (applyPoChanges_)；
+ * 套用 DB 失敗時把 Raw Data 還原成原本的列。
+ */
+
+const PO_LINKS_SHEET_NAME = 'PO Links';
+const PO_LINKS_HEADERS = ['Timestamp', 'Operation', 'From P/O', 'To P/O', 'User', 'Note'];
+// Split 時每張新 P/O 可以覆寫的 Ship To 欄位 (鍵與 PO Editor 的 basicInfo 相同)
+const PO_SPLIT_SHIP_TO_FIELDS = {
+  company: 'COMPANY',
+  contact: 'SHIP_TO_CONTACT',
+  phone: 'SHIP_TO_PHONE',
+  street: 'STREET_ADDRESS',
+  city: 'CITY',
+  state: 'STATE',
+  zipcode: 'ZIPCODE'
+};
+
+/**
+ * 前端進入點：執行 splitPo_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function splitPo(poNumber, parts, note) {
+  return runLoggedOperation({ tool: 'PO Editor', action: 'splitPo', record: poNumber, sheet: PO_RAW_DATA_SHEET, field: 'PO_NUMBER' }, () => splitPo_(poNumber, parts, note));
+}
+
+/**
+ * 把 P/O 拆成多張新 P/O。每個 SKU 在各子訂單的數量加總必須等於原始數量。
+ * @param {string} poNumber - 原始 P/O。
+ * @param {Array<{poNumber: string, items: Array<{sku: string, qty: number}>, shipTo?: Object}>} parts
+ *   至少兩張；shipTo 的鍵見 PO_SPLIT_SHIP_TO_FIELDS，空白的欄位沿用原始 P/O。
+ * @param {string} [note] - 原因，寫入 Change Note 與 'PO Links'。
+ * @returns {{success: boolean, message: string, poNumbers?: string[], errors?: string[]}}
+ */
+function splitPo_(poNumber, parts, note) {
+  try {
+    return runWithSheetLock(() => {
+      const po = readActivePoLines_(poNumber);
+      const normalizedParts = normalizeSplitParts_(parts);
+      const errors = getCreditHoldErrors_([po.poNumber], 'splitting').concat(validateSplitParts_(po, normalizedParts));
+      if (errors.length > 0) return { success: false, message: errors.join('\n'), errors };
+
+      const now = new Date();
+      const reason = String(note || '').trim();
+      const partNumbers = normalizedParts.map(part => part.poNumber);
+      const dbPlan = planSplitDbUpdates_(po, normalizedParts, now);
+      if (dbPlan.errors.length > 0) return { success: false, message: dbPlan.errors.join('\n'), errors: dbPlan.errors };
+
+      const newRecords = [];
+      normalizedParts.forEach(part => {
+        const lines = po.lines.filter(line => part.qtyBySku.get(line.sku) > 0);
+        const total = lines.reduce((sum, line) => sum + part.qtyBySku.get(line.sku) * line.unitPrice, 0);
+        lines.forEach(line => {
+          const record = copyRawRecord_(po, line);
+          Object.assign(record, getSplitShipToOverrides_(part.shipTo), {
+            PO_NUMBER: part.poNumber,
+            P_O_QTY: part.qtyBySku.get(line.sku),
+            PO_TOTAL: total,
+            STATUS: '',
+            CHANGE_NOTE: withPoLinkNote_(`Split from ${po.poNumber}`, reason),
+            TIMESTAMP: now
+          });
+          newRecords.push(record);
+        });
+      });
+
+      const rawPlan = planPoLineReplacement_([po], 'Split', withPoLinkNote_(`Split into ${partNumbers.join(', ')}`, reason), newRecords, now);
+      applyPoChanges_(rawPlan, dbPlan);
+      appendPoLinks_(partNumbers.map(to => ['Split', po.poNumber, to]), reason, now);
+      archiveProcessedPOs_Safe(po.source.id);
+
+      return { success: true, message: `PO #${po.poNumber} was split into ${partNumbers.join(', ')}.`, poNumbers: partNumbers };
+    });
+  } catch (e) {
+    reportOperationError(e);
+    Logger.log(`splitPo Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 前端進入點：執行 mergePos_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function mergePos(poNumbers, targetPoNumber, note) {
+  return runLoggedOperation({ tool: 'PO Editor', action: 'mergePos', record: targetPoNumber, sheet: PO_RAW_DATA_SHEET, field: 'PO_NUMBER' }, () => mergePos_(poNumbers, targetPoNumber, note));
+}
+
+/**
+ * 把多張同一來源的 P/O 合併成 targetPoNumber。同一 SKU 的數量相加，單價必須相同。
+ * P/O 層級的欄位 (Buyer、RSM、Ship To...) 取自 targetPoNumber (若為其中一張) 或第一張。
+ * @param {string[]} poNumbers - 要合併的 P/O (至少兩張)。
+ * @param {string} targetPoNumber - 合併後的 P/O，可以是其中一張或未使用過的新號碼。
+ * @param {string} [note] - 原因，寫入 Change Note 與 'PO Links'。
+ * @returns {{success: boolean, message: string, poNumber?: string, errors?: string[]}}
+ */
+function mergePos_(poNumbers, targetPoNumber, note) {
+  try {
+    return runWithSheetLock(() => {
+      const numbers = [...new Set((poNumbers || []).map(po => String(po || '').trim()).filter(String))];
+      const target = String(targetPoNumber || '').trim();
+      if (numbers.length < 2) return { success: false, message: 'Select at least two P/Os to merge.' };
+      if (!target) return { success: false, message: 'The merged P/O number is required.' };
+
+      const pos = numbers.map(readActivePoLines_);
+      const errors = getCreditHoldErrors_(numbers, 'merging').concat(validateMergePos_(pos, target));
+      if (errors.length > 0) return { success: false, message: errors.join('\n'), errors };
+
+      const now = new Date();
+      const reason = String(note || '').trim();
+      const primary = pos.find(po => po.poNumber === target) || pos[0];
+      const merged = new Map();
+      pos.forEach(po => po.lines.forEach(line => {
+        if (!merged.has(line.sku)) merged.set(line.sku, { po, line, qty: 0 });
+        merged.get(line.sku).qty += line.qty;
+      }));
+      const total = [...merged.values()].reduce((sum, entry) => sum + entry.qty * entry.line.unitPrice, 0);
+      const newRecords = [...merged.values()].map(entry => Object.assign(copyRawRecord_(primary, primary.lines[0]), {
+        P_O_LINE_ITEMS: entry.line.model,
+        P_O_UNIT_PRICE: entry.line.unitPrice,
+        P_O_QTY: entry.qty,
+        PO_NUMBER: target,
+        PO_TOTAL: total,
+        STATUS: '',
+        CHANGE_NOTE: withPoLinkNote_(`Merged from ${numbers.join(', ')}`, reason),
+        TIMESTAMP: now
+      }));
+
+      const dbPlan = planMergeDbUpdates_(pos, target);
+      if (dbPlan.errors.length > 0) return { success: false, message: dbPlan.errors.join('\n'), errors: dbPlan.errors };
+
+      const rawPlan = planPoLineReplacement_(pos, 'Merged', withPoLinkNote_(`Merged into ${target}`, reason), newRecords, now);
+      applyPoChanges_(rawPlan, dbPlan);
+      appendPoLinks_(numbers.filter(po => po !== target).map(from => ['Merge', from, target]), reason, now);
+      archiveProcessedPOs_Safe(primary.source.id);
+
+      return { success: true, message: `${numbers.join(', ')} were merged into PO #${target}.`, poNumber: target };
+    });
+  } catch (e) {
+    reportOperationError(e);
+    Logger.log(`mergePos Error: ${e.toString()}`);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 'PO Links' 中與 P/O 有關的連結 (作為來源或結果)，依時間排序。
+ * @param {string} poNumber
+ * @returns {Array<{timestamp: string, operation: string, from: string, to: string, user: string, note: string}>}
+ */
+function getPoLinks_(poNumber) {
+  const target = String(poNumber || '').trim();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PO_LINKS_SHEET_NAME);
+  if (!target || !sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, PO_LINKS_HEADERS.length).getValues()
+    .filter(row => String(row[2]).trim() === target || String(row[3]).trim() === target)
+    .map(row => ({
+      timestamp: row[0] instanceof Date ? row[0].toISOString() : String(row[0]),
+      operation: String(row[1]),
+      from: String(row[2]).trim(),
+      to: String(row[3]).trim(),
+      user: String(row[4]),
+      note: String(row[5])
+    }));
+}
+
+// --- 讀取與驗證 ---
+
+/**
+ * 讀取 P/O 的有效列 (Status 空白)。同一 SKU 不可有兩列 (下游以 PO|SKU 為鍵)。
+ * @param {string} poNumber
+ * @returns {{poNumber: string, source: Object, table: Object, lines: Array<{rowNumber: number, row: Array<*>, sku: string, model: string, qty: number, unitPrice: number}>}}
+ */
+function readActivePoLines_(poNumber) {
+  const target = String(poNumber || '').trim();
+  if (!target) throw new Error('No PO number selected.');
+  const source = findOrderSourceOfPo_(target);
+  if (!source) throw new Error(`PO #${target} not found in Raw Data.`);
+
+  const table = readTable(source.rawSheet);
+  const col = table.columns;
+  const lines = [];
+  table.values.forEach((row, index) => {
+    if (String(row[col.PO_NUMBER - 1]).trim() !== target || String(row[col.STATUS - 1]).trim() !== '') return;
+    lines.push({
+      rowNumber: index + table.firstDataRow,
+      row,
+      sku: normalizeSku(row[col.SKU - 1]),
+      model: String(row[col.P_O_LINE_ITEMS - 1] || '').trim(),
+      qty: Number(row[col.P_O_QTY - 1]) || 0,
+      unitPrice: Number(row[col.P_O_UNIT_PRICE - 1]) || 0
+    });
+  });
+  if (lines.length === 0) throw new Error(`PO #${target} has no active lines.`);
+
+  const seen = new Set();
+  lines.forEach(line => {
+    if (!line.sku) throw new Error(`PO #${target}: line '${line.model}' has no SKU yet. Check the Price Book before splitting or merging.`);
+    if (seen.has(line.sku)) throw new Error(`PO #${target} has more than one line for SKU ${line.sku}. Combine them in the PO Editor first.`);
+    seen.add(line.sku);
+  });
+  return { poNumber: target, source, table, lines };
+}
+
+function normalizeSplitParts_(parts) {
+  return (Array.isArray(parts) ? parts : []).map(part => {
+    const qtyBySku = new Map();
+    ((part && part.items) || []).forEach(item => {
+      const sku = normalizeSku(item && item.sku);
+      if (!sku) return;
+      const qty = item.qty === '' || item.qty === null || item.qty === undefined ? 0 : Number(item.qty);
+      qtyBySku.set(sku, (qtyBySku.get(sku) || 0) + qty);
+    });
+    return { poNumber: String((part && part.poNumber) || '').trim(), shipTo: (part && part.shipTo) || {}, qtyBySku };
+  });
+}
+
+/**
+ * @returns {string[]} 驗證錯誤；空陣列表示可以拆分。
+ */
+function validateSplitParts_(po, parts) {
+  const errors = [];
+  if (parts.length < 2) return ['A split needs at least two new P/Os.'];
+
+  const used = getUsedPoNumbers_();
+  const seen = new Set();
+  parts.forEach((part, index) => {
+    const label = `New P/O ${index + 1}`;
+    if (!part.poNumber) {
+      errors.push(`${label}: P/O number is required.`);
+    } else if (seen.has(part.poNumber)) {
+      errors.push(`${label}: P/O number ${part.poNumber} is used twice.`);
+    } else if (used.has(part.poNumber)) {
+      errors.push(`${label}: P/O number ${part.poNumber} already exists.`);
+    }
+    seen.add(part.poNumber);
+
+    part.qtyBySku.forEach((qty, sku) => {
+      if (!po.lines.some(line => line.sku === sku)) errors.push(`${label}: SKU ${sku} is not on PO #${po.poNumber}.`);
+      else if (!Number.isInteger(qty) || qty < 0) errors.push(`${label}: Qty for SKU ${sku} must be a whole number of 0 or more.`);
+    });
+    if (![...part.qtyBySku.values()].some(qty => qty > 0)) errors.push(`${label}: at least one line needs a quantity.`);
+  });
+
+  po.lines.forEach(line => {
+    const allocated = parts.reduce((sum, part) => sum + (Number(part.qtyBySku.get(line.sku)) || 0), 0);
+    if (allocated !== line.qty) errors.push(`SKU ${line.sku}: the new P/Os have ${allocated} in total, PO #${po.poNumber} has ${line.qty}.`);
+  });
+  return errors;
+}
+
+/**
+ * @returns {string[]} 驗證錯誤；空陣列表示可以合併。
+ */
+function validateMergePos_(pos, target) {
+  const errors = [];
+  const sources = new Set(pos.map(po => po.source.id));
+  if (sources.size > 1) errors.push(`P/Os from different order sources (${pos.map(po => `${po.poNumber}: ${po.source.label}`).join(', ')}) cannot be merged.`);
+  if (!pos.some(po => po.poNumber === target) && getUsedPoNumbers_().has(target)) {
+    errors.push(`P/O number ${target} already exists. Use one of the merged P/Os or a new number.`);
+  }
+
+  const prices = new Map();
+  pos.forEach(po => po.lines.forEach(line => {
+    const first = prices.get(line.sku);
+    if (!first) prices.set(line.sku, { po: po.poNumber, unitPrice: line.unitPrice });
+    else if (first.unitPrice !== line.unitPrice) {
+      errors.push(`SKU ${line.sku} has different unit prices (${first.unitPrice} on ${first.po}, ${line.unitPrice} on ${po.poNumber}). Correct one P/O in the PO Editor first.`);
+    }
+  }));
+  return errors;
+}
+
+// --- Raw Data 寫入 ---
+
+/**
+ * 以原始列的值建立新記錄 (Schema 欄位代號為鍵)。ARRAYFORMULA 欄 (Model / SKU / Helper Key) 不寫入。
+ */
+function copyRawRecord_(po, line) {
+  const schema = getSheetSchema(po.source.rawSheet);
+  const record = {};
+  Object.keys(schema.columns).forEach(field => {
+    if (schema.columns[field].arrayFormula || !po.table.columns[field]) return;
+    record[field] = line.row[po.table.columns[field] - 1];
+  });
+  return record;
+}
+
+function getSplitShipToOverrides_(shipTo) {
+  const overrides = {};
+  Object.keys(PO_SPLIT_SHIP_TO_FIELDS).forEach(key => {
+    const value = String((shipTo && shipTo[key]) || '').trim();
+    if (value) overrides[PO_SPLIT_SHIP_TO_FIELDS[key]] = value;
+  });
+  if (overrides.STREET_ADDRESS || overrides.CITY || overrides.STATE || overrides.ZIPCODE) {
+    const text = key => String((shipTo && shipTo[key]) || '').trim();
+    overrides.SHIP_TO = `${text('street')}, ${text('city')}, ${text('state')} ${text('zipcode')}`.replace(/^[,\s]+|[,\s]+$/g, '');
+  }
+  return overrides;
+}
+
+function withPoLinkNote_(text, reason) {
+  return reason ? `${text}: ${reason}` : text;
+}
+
+/**
+ * Raw Data 的寫入計畫：把 pos (同一來源) 的有效列標為 status，並新增 newRecords。
+ * originals 記錄這些列原本的 Status / Change Note / Timestamp，套用失敗時由 restorePoLines_ 寫回。
+ * @returns {{rawSheet: string, updates: Array<Object>, originals: Array<Object>, appends: Array<Object>}}
+ */
+function planPoLineReplacement_(pos, status, changeNote, newRecords, now) {
+  const rawSheet = pos[0].source.rawSheet;
+  const lines = [];
+  pos.forEach(po => po.lines.forEach(line => lines.push({ po, line })));
+  return {
+    rawSheet,
+    updates: lines.map(({ line }) => ({ _rowNumber: line.rowNumber, STATUS: status, CHANGE_NOTE: changeNote, TIMESTAMP: now })),
+    originals: lines.map(({ po, line }) => {
+      const at = field => line.row[po.table.columns[field] - 1];
+      return { _rowNumber: line.rowNumber, STATUS: at('STATUS'), CHANGE_NOTE: at('CHANGE_NOTE'), TIMESTAMP: at('TIMESTAMP') };
+    }),
+    appends: newRecords
+  };
+}
+
+/**
+ * 套用 Raw Data 計畫後再套用 DB 計畫。任何一步失敗時先撤回已寫入的 DB 列 (rollbackPoDbPlan_)，
+ * 再還原 Raw Data (刪除已新增的列、寫回原本的狀態)，並拋出原本的錯誤。
+ * @param {Object} rawPlan - planPoLineReplacement_ 的結果。
+ * @param {Object} dbPlan - planSplitDbUpdates_ / planMergeDbUpdates_ 的結果。
+ */
+function applyPoChanges_(rawPlan, dbPlan) {
+  let appendedRows = [];
+  const dbJournal = [];
+  try {
+    assertPoWrite_(updateRecords(rawPlan.rawSheet, rawPlan.updates));
+    if (rawPlan.appends.length > 0) {
+      const appended = appendRecords(rawPlan.rawSheet, rawPlan.appends);
+      appendedRows = appended.results.filter(result => result.success).map(result => ({
+        _rowNumber: result.rowNumber,
+        PO_NUMBER: rawPlan.appends[result.index].PO_NUMBER
+      }));
+      assertPoWrite_(appended);
+    }
+    applyPoDbPlan_(dbPlan, dbJournal);
+  } catch (e) {
+    rollbackPoDbPlan_(dbJournal, e);
+    restorePoLines_(rawPlan, appendedRows, e);
+    throw e;
+  }
+}
+
+/**
+ * 刪除已新增的列 (在原本的列之後，刪除不影響原本列的列號)，再寫回原本的 Status / Change Note / Timestamp。
+ * 還原本身失敗時把原因附加到 error.message，讓使用者知道 Raw Data 需要人工檢查。
+ */
+function restorePoLines_(rawPlan, appendedRows, error) {
+  try {
+    if (appendedRows.length > 0) assertPoWrite_(deleteRecords(rawPlan.rawSheet, appendedRows));
+    assertPoWrite_(updateRecords(rawPlan.rawSheet, rawPlan.originals));
+    Logger.log(`Restored ${rawPlan.originals.length} row(s) of '${rawPlan.rawSheet}' after: ${error.message}`);
+  } catch (restoreError) {
+    Logger.log(`restorePoLines_ Error: ${restoreError.toString()}`);
+    error.message += ` '${rawPlan.rawSheet}' could not be restored (${restoreError.message}); check the rows of this P/O.`;
+  }
+}
+
+function assertPoWrite_(result) {
+  if (!result.success) throw new Error(result.message);
+  return result;
+}
+
+// --- Shipment_Planning_DB / BOL_DB / Serial #_DB ---
+
+/**
+ * Split 的 DB 對應規則 (同一 SKU 出現在多張新 P/O 時)：
+ * - BOL_DB：依列順序把每張 BOL 的 Shipped Qty 放進第一張還容納得下的新 P/O；放不下時不拆分並回報錯誤。
+ * - Serial #_DB：跟著同一 BOL # 的新 P/O；沒有 BOL # 的序號歸第一張。
+ * - Shipment_Planning_DB：Allocations 中的倉庫依序分配到各新 P/O (不超過該 P/O 的數量)；
+ *   原本的列改指向第一張，其餘新增列 (Est. Ship Date 與 Status 沿用)。
+ * @returns {{updates: Object<string, Array<Object>>, appends: Object<string, Array<Object>>, deletes: Object<string, Array<Object>>, errors: string[]}}
+ */
+function planSplitDbUpdates_(po, parts, now) {
+  const names = Config.SHEET_NAMES;
+  const plan = createPoDbPlan_();
+  const user = Session.getActiveUser().getEmail();
+  const warehouses = readWarehouses_();
+
+  po.lines.forEach(line => {
+    const oldKey = buildPoSkuKey(po.poNumber, line.sku);
+    const targets = parts
+      .filter(part => part.qtyBySku.get(line.sku) > 0)
+      .map(part => ({ key: buildPoSkuKey(part.poNumber, line.sku), qty: part.qtyBySku.get(line.sku), remaining: part.qtyBySku.get(line.sku) }));
+
+    const targetByBol = new Map();
+    readPoDbRecords_(names.BOL_DB, oldKey).forEach(record => {
+      const bol = String(getRecordValue(names.BOL_DB, record, 'BOL_NUMBER')).trim();
+      const shipped = Number(getRecordValue(names.BOL_DB, record, 'SHIPPED_QTY')) || 0;
+      const target = targets.find(candidate => candidate.remaining >= shipped);
+      if (!target) {
+        plan.errors.push(`BOL ${bol} shipped ${shipped} of SKU ${line.sku}, which does not fit in any new P/O. Adjust the quantities.`);
+        return;
+      }
+      target.remaining -= shipped;
+      targetByBol.set(bol, target);
+      plan.updates[names.BOL_DB].push({ _rowNumber: record._rowNumber, PO_SKU_KEY: target.key });
+    });
+
+    readPoDbRecords_(names.SERIAL_DB, oldKey).forEach(record => {
+      const target = targetByBol.get(String(getRecordValue(names.SERIAL_DB, record, 'BOL_NUMBER')).trim()) || targets[0];
+      plan.updates[names.SERIAL_DB].push({ _rowNumber: record._rowNumber, PO_SKU_KEY: target.key });
+    });
+
+    readPoDbRecords_(names.SHIPMENT_PLANNING_DB, oldKey).forEach((record, index) => {
+      if (index > 0) {
+        // 舊資料中重複的規劃列只改指向第一張
+        plan.updates[names.SHIPMENT_PLANNING_DB].push({ _rowNumber: record._rowNumber, PO_SKU_KEY: targets[0].key });
+        return;
+      }
+      const remaining = readPlanningAllocations_(names.SHIPMENT_PLANNING_DB, record);
+      const allocations = targets.map(target => {
+        const byWarehouse = {};
+        let room = target.qty;
+        Object.keys(remaining).forEach(code => {
+          byWarehouse[code] = Math.min(remaining[code], room);
+          remaining[code] -= byWarehouse[code];
+          room -= byWarehouse[code];
+        });
+        return { target, byWarehouse, qty: target.qty - room };
+      }).filter((allocation, i) => i === 0 || allocation.qty > 0);
+
+      allocations.forEach((allocation, i) => {
+        const values = Object.assign({ PO_SKU_KEY: allocation.target.key }, toPlanningAllocationFields_(names.SHIPMENT_PLANNING_DB, allocation.byWarehouse, warehouses));
+        if (i === 0) {
+          plan.updates[names.SHIPMENT_PLANNING_DB].push(Object.assign({ _rowNumber: record._rowNumber }, values));
+        } else {
+          plan.appends[names.SHIPMENT_PLANNING_DB].push(Object.assign({
+            TIMESTAMP: now,
+            USER: user,
+            EST_SHIP_DATE: getRecordValue(names.SHIPMENT_PLANNING_DB, record, 'EST_SHIP_DATE'),
+            STATUS: getRecordValue(names.SHIPMENT_PLANNING_DB, record, 'STATUS')
+          }, values));
+        }
+      });
+    });
+  });
+  return plan;
+}
+
+/**
+ * Merge 的 DB 對應規則：所有舊 PO|SKU 的列改指向 '<合併後 P/O>|<SKU>'。
+ * - 同一新鍵有多筆規劃列時合併成一筆：Allocations 依倉庫相加、Est. Ship Date 取最早，其餘刪除。
+ * - 兩張 P/O 在同一 SKU 有相同 BOL # 時無法合併 (BOL_DB 以 PO|SKU + BOL # 為鍵)。
+ */
+function planMergeDbUpdates_(pos, target) {
+  const names = Config.SHEET_NAMES;
+  const plan = createPoDbPlan_();
+  const bolKeys = new Set();
+  const planningByKey = new Map();
+
+  pos.forEach(po => po.lines.forEach(line => {
+    const oldKey = buildPoSkuKey(po.poNumber, line.sku);
+    const newKey = buildPoSkuKey(target, line.sku);
+    const moved = oldKey !== newKey;
+
+    readPoDbRecords_(names.BOL_DB, oldKey).forEach(record => {
+      const bol = String(getRecordValue(names.BOL_DB, record, 'BOL_NUMBER')).trim();
+      if (bolKeys.has(`${newKey}#${bol}`)) plan.errors.push(`BOL ${bol} is recorded for SKU ${line.sku} on more than one of the merged P/Os.`);
+      bolKeys.add(`${newKey}#${bol}`);
+      if (moved) plan.updates[names.BOL_DB].push({ _rowNumber: record._rowNumber, PO_SKU_KEY: newKey });
+    });
+    if (moved) {
+      readPoDbRecords_(names.SERIAL_DB, oldKey).forEach(record => {
+        plan.updates[names.SERIAL_DB].push({ _rowNumber: record._rowNumber, PO_SKU_KEY: newKey });
+      });
+    }
+    readPoDbRecords_(names.SHIPMENT_PLANNING_DB, oldKey).forEach(record => {
+      if (!planningByKey.has(newKey)) planningByKey.set(newKey, []);
+      planningByKey.get(newKey).push({ record, moved });
+    });
+  }));
+
+  const planning = names.SHIPMENT_PLANNING_DB;
+  const warehouses = readWarehouses_();
+  planningByKey.forEach((entries, newKey) => {
+    // 已經在新鍵上的列優先保留 (合併後沿用的 P/O)
+    const keep = entries.find(entry => !entry.moved) || entries[0];
+    const others = entries.filter(entry => entry !== keep);
+    const value = (entry, field) => getRecordValue(planning, entry.record, field);
+    const dates = entries.map(entry => value(entry, 'EST_SHIP_DATE')).filter(date => date instanceof Date);
+
+    const update = { _rowNumber: keep.record._rowNumber, PO_SKU_KEY: newKey };
+    if (others.length > 0) {
+      const total = {};
+      entries.forEach(entry => {
+        const allocation = readPlanningAllocations_(planning, entry.record);
+        Object.keys(allocation).forEach(code => { total[code] = (total[code] || 0) + allocation[code]; });
+      });
+      Object.assign(update, toPlanningAllocationFields_(planning, total, warehouses));
+      if (dates.length > 0) update.EST_SHIP_DATE = new Date(Math.min(...dates.map(date => date.getTime())));
+    }
+    if (keep.moved || others.length > 0) plan.updates[planning].push(update);
+    others.forEach(entry => plan.deletes[planning].push({ _rowNumber: entry.record._rowNumber, PO_SKU_KEY: value(entry, 'PO_SKU_KEY') }));
+  });
+  return plan;
+}
+
+function createPoDbPlan_() {
+  const names = Config.SHEET_NAMES;
+  const bySheet = () => ({ [names.SHIPMENT_PLANNING_DB]: [], [names.BOL_DB]: [], [names.SERIAL_DB]: [] });
+  return { updates: bySheet(), appends: bySheet(), deletes: bySheet(), errors: [] };
+}
+
+/**
+ * 讀取 DB 中該鍵的記錄。工作表不存在 (且未遷移到文件資料庫) 時視為沒有記錄。
+ */
+function readPoDbRecords_(sheetName, key) {
+  const storage = Config.STORAGE[sheetName];
+  const inSheets = !storage || storage.backend === 'sheets';
+  if (inSheets && !SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName)) return [];
+  return queryByPoSkuKey(sheetName, key).all();
+}
+
+/**
+ * 依序套用：先更新 (列號仍有效)、再新增、最後刪除。
+ * 每一步寫入成功的記錄都先記在 journal (更新前的值、新增的列號、刪除前的整列)，失敗時交給 rollbackPoDbPlan_ 撤回。
+ * @param {Object} plan - planSplitDbUpdates_ / planMergeDbUpdates_ 的結果。
+ * @param {Array<Object>} [journal] - 已套用的步驟，依套用順序附加。
+ */
+function applyPoDbPlan_(plan, journal = []) {
+  // 舊版 Planning 工作表在寫入前自動加上 Allocations 欄 (Warehouses.js)
+  const planning = Config.SHEET_NAMES.SHIPMENT_PLANNING_DB;
+  if (plan.updates[planning].length > 0 || plan.appends[planning].length > 0) ensurePlanningAllocationsColumns_();
+  const succeeded = (result, items) => result.results.filter(r => r.success).map(r => items[r.index]);
+
+  ['updates', 'appends', 'deletes'].forEach(kind => {
+    Object.keys(plan[kind]).forEach(sheetName => {
+      const records = plan[kind][sheetName];
+      if (records.length === 0) return;
+      if (kind === 'updates') {
+        const originals = snapshotPoDbRecords_(sheetName, records, record => Object.keys(record).filter(field => field !== '_rowNumber'));
+        const result = updateRecords(sheetName, records);
+        journal.push({ kind, sheetName, records: succeeded(result, originals) });
+        assertPoWrite_(result);
+      } else if (kind === 'appends') {
+        const result = appendRecords(sheetName, records);
+        journal.push({ kind, sheetName, records: result.results.filter(r => r.success).map(r => ({ _rowNumber: r.rowNumber })) });
+        assertPoWrite_(result);
+      } else {
+        const schema = getSheetSchema(sheetName);
+        const removed = snapshotPoDbRecords_(sheetName, records, () => Object.keys(schema.columns).filter(field => hasRecordField(sheetName, field)));
+        const result = deleteRecords(sheetName, records);
+        journal.push({ kind, sheetName, records: succeeded(result, removed) });
+        assertPoWrite_(result);
+      }
+    });
+  });
+}
+
+/**
+ * 讀取計畫中各列目前的值 (寫入前的快照)。
+ * @param {string} sheetName
+ * @param {Array<Object>} records - 含 _rowNumber 的計畫記錄。
+ * @param {function(Object): string[]} fieldsOf - 要保存的欄位。
+ * @returns {Array<Object>} 與 records 同順序；{ _rowNumber, 欄位: 原本的值 }。
+ */
+function snapshotPoDbRecords_(sheetName, records, fieldsOf) {
+  const byRow = new Map(queryRecords(sheetName).all().map(record => [record._rowNumber, record]));
+  return records.map(record => {
+    const current = byRow.get(record._rowNumber);
+    const snapshot = { _rowNumber: record._rowNumber };
+    if (current) fieldsOf(record).forEach(field => { snapshot[field] = getRecordValue(sheetName, current, field); });
+    return snapshot;
+  });
+}
+
+/**
+ * 依相反順序撤回 applyPoDbPlan_ 已寫入的記錄：刪除的列重新新增 (附加在表尾)、新增的列刪除、更新的欄位寫回原本的值。
+ * 工作表後端刪除列後，下方的列號會往上移，撤回時依同一張表已刪除的列數調整。
+ * 撤回本身失敗時把原因附加到 error.message，讓使用者知道 DB 需要人工檢查。
+ * @param {Array<Object>} journal - applyPoDbPlan_ 記錄的步驟。
+ * @param {Error} error - 原本的錯誤。
+ */
+function rollbackPoDbPlan_(journal, error) {
+  if (journal.length === 0) return;
+  const removedRows = {};
+  journal.filter(step => step.kind === 'deletes' && getStorageBackendName_(step.sheetName) === 'sheets').forEach(step => {
+    removedRows[step.sheetName] = (removedRows[step.sheetName] || []).concat(step.records.map(record => record._rowNumber));
+  });
+  const shifted = (sheetName, rowNumber) => rowNumber - (removedRows[sheetName] || []).filter(row => row < rowNumber).length;
+
+  try {
+    journal.slice().reverse().forEach(step => {
+      if (step.records.length === 0) return;
+      if (step.kind === 'deletes') {
+        assertPoWrite_(appendRecords(step.sheetName, step.records.map(record => {
+          const values = Object.assign({}, record);
+          delete values._rowNumber;
+          return values;
+        })));
+      } else if (step.kind === 'appends') {
+        assertPoWrite_(deleteRecords(step.sheetName, step.records.map(record => ({ _rowNumber: shifted(step.sheetName, record._rowNumber) }))));
+      } else {
+        assertPoWrite_(updateRecords(step.sheetName, step.records.map(record => Object.assign({}, record, { _rowNumber: shifted(step.sheetName, record._rowNumber) }))));
+      }
+    });
+    Logger.log(`Rolled back ${journal.length} DB write(s) after: ${error.message}`);
+  } catch (rollbackError) {
+    Logger.log(`rollbackPoDbPlan_ Error: ${rollbackError.toString()}`);
+    error.message += ` The planning / BOL / serial rows could not be rolled back (${rollbackError.message}); check the rows of this P/O.`;
+  }
+}
+
+// --- PO Links ---
+
+/**
+ * @param {Array<Array<string>>} links - [Operation, From P/O, To P/O]
+ * @param {string} note
+ * @param {Date} now
+ */
+function appendPoLinks_(links, note, now) {
+  if (links.length === 0) return;
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PO_LINKS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PO_LINKS_SHEET_NAME, ss.getSheets().length);
+    sheet.getRange(1, 1, 1, PO_LINKS_HEADERS.length).setValues([PO_LINKS_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  const user = Session.getActiveUser().getEmail();
+  const rows = links.map(([operation, from, to]) => [now, operation, from, to, user, note]);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, PO_LINKS_HEADERS.length).setValues(rows);
+}
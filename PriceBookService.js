@@ -0,0 +1,153 @@
+/**
+ * @fileoverview
+ * Price Book 服務：所有工具共用的 SKU → Model、Model → SKU、Model → Price 對照表。
+ *
+ * 資料來源：
+ * - 'New HSUS Order Status - HSUS Price Book(QBO)'：SKU → Model (Sales Description 經 cleanPriceBookModelName 淨化)。
+ * - 'HSUS Price Book'：Model → SKU / Price。Model 名稱以 Lookup Name 為準 (PO Editor 與 Manual New PO 的下拉選單都用它)，
+ *   Model 欄的名稱也可以查到同一筆 SKU / Price。
+ * SKU 一律以 normalizeSku (PoSkuKey.js) 正規化後作為鍵，與 PO|SKU 鍵中的 SKU 一致。
+ *
+ * 結果快取在 Script Cache (最長 6 小時)。執行一次 installPriceBookCacheTrigger()，編輯任一 Price Book 時會清除快取；
+ * 由外部同步 (例如 QBO 匯入) 更新而沒有觸發編輯事件時，可手動執行 invalidatePriceBookCache()。
+ */
+
+const PRICE_BOOK_CACHE_KEY = 'priceBook';
+const PRICE_BOOK_CACHE_SECONDS = 21600;
+const PRICE_BOOK_CHANGE_HANDLER = 'onPriceBookChange';
+
+/**
+ * 讀取 Price Book (優先使用快取)。
+ * @returns {{skuToModel: Object<string, string>, modelToSku: Object<string, string>, modelToPrice: Object<string, number>, modelNames: string[]}}
+ *   modelNames 為 Lookup Name 清單：非 Standard 的型號在前，Standard 在後，各自依字母排序。
+ */
+function getPriceBook() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(PRICE_BOOK_CACHE_KEY);
+  if (cached) return JSON.parse(cached);
+
+  const priceBook = loadPriceBook_();
+  const serialized = JSON.stringify(priceBook);
+  try {
+    cache.put(PRICE_BOOK_CACHE_KEY, serialized, PRICE_BOOK_CACHE_SECONDS);
+  } catch (e) {
+    // 超過 Cache 單一值的上限時照常回傳，只是每次都重新讀取工作表
+    Logger.log(`Price Book was not cached (${serialized.length} characters): ${e.message}`);
+  }
+  return priceBook;
+}
+
+/**
+ * SKU → Model 對照表。
+ * @returns {Map<string, string>} 鍵為正規化的 SKU，值為淨化後的 Model 名稱 (沒有描述時為 SKU)。
+ */
+function getSkuModelMap() {
+  const skuToModel = getPriceBook().skuToModel;
+  return new Map(Object.keys(skuToModel).map(sku => [sku, skuToModel[sku]]));
+}
+
+/**
+ * 淨化 QBO 的 Sales Description：移除 'Finished Goods:'、開頭的 450xxx 料號與 'Standard'，底線改為空白。
+ * @param {*} description - Sales Description。
+ * @returns {string}
+ */
+function cleanPriceBookModelName(description) {
+  return String(description === null || description === undefined ? '' : description).trim()
+    .replace(/Finished Goods:|^450\w+|Standard/g, '')
+    .trim()
+    .replace(/_/g, ' ');
+}
+
+/**
+ * 清除 Price Book 快取，下一次讀取時會重新讀取工作表。
+ */
+function invalidatePriceBookCache() {
+  CacheService.getScriptCache().remove(PRICE_BOOK_CACHE_KEY);
+  Logger.log('Price Book cache cleared.');
+}
+
+/**
+ * 可安裝觸發器 (onEdit / onChange) 的進入點：變動發生在 Price Book 工作表時清除快取。
+ * onChange 事件沒有 range，以使用者目前所在的工作表判斷。
+ * @param {Object} e - 觸發器事件物件。
+ */
+function onPriceBookChange(e) {
+  let sheetName = '';
+  if (e && e.range) {
+    sheetName = e.range.getSheet().getName();
+  } else if (e && e.source) {
+    sheetName = e.source.getActiveSheet().getName();
+  }
+  const names = Config.SHEET_NAMES;
+  if (sheetName === names.PRICE_BOOK || sheetName === names.PRICE_BOOK_QBO) {
+    invalidatePriceBookCache();
+  }
+}
+
+/**
+ * 建立清除快取用的 onEdit 與 onChange 觸發器 (重複執行會先刪除舊的)。需手動執行一次完成授權。
+ */
+function installPriceBookCacheTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === PRICE_BOOK_CHANGE_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  const ss = getWorkbook_();
+  ScriptApp.newTrigger(PRICE_BOOK_CHANGE_HANDLER).forSpreadsheet(ss).onEdit().create();
+  ScriptApp.newTrigger(PRICE_BOOK_CHANGE_HANDLER).forSpreadsheet(ss).onChange().create();
+  Logger.log('Price Book cache triggers installed.');
+}
+
+/**
+ * 從兩張 Price Book 工作表建立對照表。任一工作表不存在時，該部分為空 (並寫入 Log)。
+ * @returns {Object} 見 getPriceBook。
+ */
+function loadPriceBook_() {
+  const ss = getWorkbook_();
+  const names = Config.SHEET_NAMES;
+  const priceBook = { skuToModel: {}, modelToSku: {}, modelToPrice: {}, modelNames: [] };
+
+  if (ss.getSheetByName(names.PRICE_BOOK_QBO)) {
+    const qboTable = readTable(names.PRICE_BOOK_QBO);
+    const QBO_COL = qboTable.columns;
+    qboTable.values.forEach(row => {
+      const rawSku = String(row[QBO_COL.SKU - 1]).trim();
+      const sku = normalizeSku(rawSku);
+      if (sku) {
+        priceBook.skuToModel[sku] = cleanPriceBookModelName(row[QBO_COL.SALES_DESCRIPTION - 1]) || rawSku; // 預設回傳 SKU
+      }
+    });
+  } else {
+    Logger.log(`Price Book sheet "${names.PRICE_BOOK_QBO}" not found, proceeding without Model Names.`);
+  }
+
+  if (ss.getSheetByName(names.PRICE_BOOK)) {
+    const pbTable = readTable(names.PRICE_BOOK);
+    const PB_COL = pbTable.columns;
+    const lookupNames = [];
+    pbTable.values.forEach(row => {
+      const lookupName = String(row[PB_COL.LOOKUP_NAME - 1]).trim();
+      const model = String(row[PB_COL.MODEL - 1]).trim();
+      const sku = row[PB_COL.SKU - 1];
+      const price = row[PB_COL.PRICE - 1];
+      if (!lookupName || !sku) return;
+
+      if (lookupNames.indexOf(lookupName) === -1) lookupNames.push(lookupName);
+      priceBook.modelToSku[lookupName] = sku;
+      priceBook.modelToPrice[lookupName] = price;
+      // Model 欄的名稱作為別名，不覆蓋同名的 Lookup Name
+      if (model && lookupNames.indexOf(model) === -1) {
+        priceBook.modelToSku[model] = sku;
+        priceBook.modelToPrice[model] = price;
+      }
+    });
+
+    const standard = lookupNames.filter(name => name.includes('Standard')).sort();
+    const nonStandard = lookupNames.filter(name => !name.includes('Standard')).sort();
+    priceBook.modelNames = nonStandard.concat(standard);
+  } else {
+    Logger.log(`Price Book sheet "${names.PRICE_BOOK}" not found, proceeding without model prices.`);
+  }
+
+  return priceBook;
+}
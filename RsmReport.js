@@ -0,0 +1,320 @@
+/**
+ * @fileoverview
+ * RSM 報表與區域指派。
+ * - 報表：依期間 (月 'yyyy-MM'、季 'yyyy-Qn' 或年 'yyyy') 彙總每位 RSM 的
+ *   訂單 (期間內成立的 P/O 數與金額)、出貨金額 (BOL_DB 與其歸檔表的出貨數量 × P/O 單價)、發票金額 (QBO Invoice 的 Amount；
+ *   沒有 Amount 欄時以數量 × P/O 單價計算)、期末未出貨金額 (Open Backlog)，以及佣金 (發票金額 × 'RSM' 工作表的 Commission Rate)。
+ *   結果覆寫 'RSM Report' 工作表，最後一列為合計。
+ * - 區域指派：'RSM' 工作表的 States 欄列出每位 RSM 負責的州。Manual New PO 與 PO Import 在 P/O 沒有 RSM 時
+ *   依 Ship-to 的州指派；'Fill Missing RSMs' 補上 Raw Data 中既有的空白 RSM。
+ *
+ * 使用方式：選單 'RSM Report' 與 'Fill Missing RSMs'。
+ */
+
+const RSM_REPORT_SHEET_NAME = 'RSM Report';
+const RSM_REPORT_HEADERS = ['Period', 'RSM', 'Orders', 'Order Value', 'Shipped Value', 'Invoiced Value', 'Open Backlog', 'Commission Rate', 'Commission'];
+// P/O 沒有 RSM (或發票對不到 P/O) 時在報表中的名稱
+const RSM_UNASSIGNED = '(No RSM)';
+
+/**
+ * 選單進入點：詢問期間 (預設為上個月)，產生報表並以對話框顯示摘要。
+ */
+function generateRsmReport() {
+  const ui = SpreadsheetApp.getUi();
+  const defaultPeriod = getPreviousMonth_();
+  const response = ui.prompt('RSM Report', `Period: yyyy-MM, yyyy-Q1..Q4 or yyyy. Leave blank for ${defaultPeriod}.`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const result = runRsmReport(response.getResponseText().trim() || defaultPeriod);
+  ui.alert(result.success ? `${result.message}\n\nSee the '${RSM_REPORT_SHEET_NAME}' sheet.` : `RSM report failed: ${result.message}`);
+}
+
+/**
+ * 選單進入點：依州補上 Raw Data 中空白的 RSM。
+ */
+function fillMissingRsms() {
+  const ui = SpreadsheetApp.getUi();
+  const result = assignMissingRsms();
+  ui.alert(result.success ? result.message : `Fill Missing RSMs failed: ${result.message}`);
+}
+
+/**
+ * 產生一個期間的 RSM 報表並覆寫 'RSM Report'。
+ */
+function runRsmReport(period) {
+  return runLoggedOperation({ tool: 'RSM Report', action: 'runRsmReport', record: period, sheet: RSM_REPORT_SHEET_NAME }, () => runRsmReport_(period));
+}
+
+/**
+ * @param {string} period - 'yyyy-MM'、'yyyy-Qn' 或 'yyyy'。
+ * @returns {{success: boolean, period?: string, rows?: Array<{rsm: string, orders: number, orderValue: number, shippedValue: number,
+ *   invoicedValue: number, backlog: number, commissionRate: (number|null), commission: number}>, message: string}}
+ *   commissionRate 為小數 (0.05)；RSM 不在 'RSM' 工作表時為 null。
+ */
+function runRsmReport_(period) {
+  try {
+    const range = parseRsmPeriod_(period);
+    const reps = readRsmDirectory_().reps;
+    const rows = collectRsmRollup_(range, readOrderLines_(), reps);
+    writeRsmReport_(range.label, rows);
+
+    const total = rows.reduce((sum, row) => sum + row.commission, 0);
+    const invoiced = rows.reduce((sum, row) => sum + row.invoicedValue, 0);
+    return {
+      success: true,
+      period: range.label,
+      rows,
+      message: `${range.label}: ${rows.length} RSM(s), invoiced $${invoiced.toFixed(2)}, commission $${total.toFixed(2)}.`
+    };
+  } catch (e) {
+    Logger.log(`runRsmReport Error: ${e.toString()}`);
+    reportOperationError(e);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 依州補上 Raw Data 中空白的 RSM。
+ */
+function assignMissingRsms() {
+  return runLoggedOperation({ tool: 'RSM Report', action: 'assignMissingRsms' }, () => assignMissingRsms_());
+}
+
+/**
+ * 在 Script Lock 內，把各來源 Raw Data 中 RSM 空白的使用中列，依 State 欄指派 RSM。
+ * @returns {{success: boolean, assigned?: Array<{sheet: string, poNumber: string, rsm: string}>, unassigned?: string[], message: string}}
+ *   assigned 每張 P/O 一筆；unassigned 為沒有州或州不在任何區域的 P/O。
+ */
+function assignMissingRsms_() {
+  try {
+    const territories = readRsmDirectory_().byState;
+    const assigned = [];
+    const unassigned = [];
+    runWithSheetLock(() => {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      getAllOrderSources_().filter(source => ss.getSheetByName(source.rawSheet)).forEach(source => {
+        invalidateRecordCache(source.rawSheet);
+        const table = readTable(source.rawSheet);
+        const col = table.columns;
+        const updates = [];
+        table.values.forEach((row, index) => {
+          const poNumber = String(row[col.PO_NUMBER - 1] || '').trim();
+          if (!poNumber || String(row[col.RSM - 1] || '').trim() || !isActivePoStatus_(row[col.STATUS - 1])) return;
+          const rsm = territories.get(normalizeRsmState_(row[col.STATE - 1]));
+          if (!rsm) {
+            if (unassigned.indexOf(poNumber) === -1) unassigned.push(poNumber);
+            return;
+          }
+          updates.push({ _rowNumber: index + table.firstDataRow, RSM: rsm });
+          if (!assigned.some(a => a.sheet === source.rawSheet && a.poNumber === poNumber)) assigned.push({ sheet: source.rawSheet, poNumber, rsm });
+        });
+        if (updates.length === 0) return;
+        const result = updateRecords(source.rawSheet, updates);
+        if (!result.success) throw new Error(`Failed to update '${source.rawSheet}': ${result.message}`);
+      });
+    });
+
+    let message = assigned.length === 0 ? 'No P/O without an RSM could be assigned.' : `Assigned an RSM to ${assigned.length} P/O(s).`;
+    if (unassigned.length > 0) message += ` No territory matches the ship-to state of: ${unassigned.join(', ')}.`;
+    return { success: true, assigned, unassigned, message };
+  } catch (e) {
+    Logger.log(`assignMissingRsms Error: ${e.toString()}`);
+    reportOperationError(e);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 新 P/O 依州指派 RSM 用。'RSM' 工作表不存在或有錯誤時只記錄 log 並回傳空的對照表，不影響 P/O 儲存。
+ * @returns {Map<string, string>} 州代碼 (大寫) → RSM 名稱。
+ */
+function getRsmTerritories_() {
+  try {
+    return readRsmDirectory_().byState;
+  } catch (e) {
+    Logger.log(`getRsmTerritories_ Error: ${e.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * 讀取 'RSM' 工作表 (不存在時視為沒有 RSM)。
+ * @returns {{reps: Array<{name: string, email: string, commissionRate: number, states: string[]}>, byState: Map<string, string>}}
+ * @throws {Error} Commission Rate 不是數字，或同一個州屬於兩位 RSM 時。
+ */
+function readRsmDirectory_() {
+  const reps = [];
+  const byState = new Map();
+  const rsmSheet = Config.SHEET_NAMES.RSM;
+  if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(rsmSheet)) return { reps, byState };
+
+  const table = readTable(rsmSheet);
+  const col = table.columns;
+  table.values.forEach((row, index) => {
+    const name = String(row[col.RSM_NAME - 1] || '').trim();
+    if (!name) return;
+    const rowNumber = index + table.firstDataRow;
+    const commissionRate = parseCommissionRate_(row[col.COMMISSION_RATE - 1]);
+    if (commissionRate === null) {
+      throw new Error(`'${rsmSheet}' row ${rowNumber}: Commission Rate '${row[col.COMMISSION_RATE - 1]}' for ${name} is not a number.`);
+    }
+    const states = String(row[col.STATES - 1] || '').split(/[,;\s]+/).map(normalizeRsmState_).filter(String);
+    states.forEach(state => {
+      if (byState.has(state) && byState.get(state) !== name) {
+        throw new Error(`'${rsmSheet}' row ${rowNumber}: State ${state} is assigned to both ${byState.get(state)} and ${name}.`);
+      }
+      byState.set(state, name);
+    });
+    reps.push({ name, email: col.EMAIL ? String(row[col.EMAIL - 1] || '').trim() : '', commissionRate, states });
+  });
+  return { reps, byState };
+}
+
+/**
+ * @param {*} value - 0.05、5、'5%' 或 '0.05'。大於 1 的數字視為百分比。
+ * @returns {number|null} 小數比率；空白為 0；無法解析時為 null。
+ */
+function parseCommissionRate_(value) {
+  if (value === '' || value === null || value === undefined) return 0;
+  const text = String(value).trim();
+  const percent = /%$/.test(text);
+  const number = typeof value === 'number' ? value : Number(text.replace(/%$/, '').trim());
+  if (!isFinite(number) || number < 0 || text === '') return null;
+  return percent || number > 1 ? number / 100 : number;
+}
+
+function normalizeRsmState_(state) {
+  return String(state || '').trim().toUpperCase();
+}
+
+/**
+ * @param {string} period - 'yyyy-MM'、'yyyy-Qn' 或 'yyyy'。
+ * @returns {{label: string, startDay: string, endDay: string}} 起訖日 (含) 為 'yyyy-MM-dd'。
+ */
+function parseRsmPeriod_(period) {
+  const text = String(period || '').trim().toUpperCase();
+  const lastDay = (year, month) => `${year}-${String(month).padStart(2, '0')}-${String(new Date(Date.UTC(year, month, 0)).getUTCDate()).padStart(2, '0')}`;
+  let match = text.match(/^(\d{4})-(0[1-9]|1[0-2])$/);
+  if (match) return { label: text, startDay: `${text}-01`, endDay: lastDay(Number(match[1]), Number(match[2])) };
+  match = text.match(/^(\d{4})-Q([1-4])$/);
+  if (match) {
+    const firstMonth = (Number(match[2]) - 1) * 3 + 1;
+    return { label: text, startDay: `${match[1]}-${String(firstMonth).padStart(2, '0')}-01`, endDay: lastDay(Number(match[1]), firstMonth + 2) };
+  }
+  match = text.match(/^(\d{4})$/);
+  if (match) return { label: text, startDay: `${text}-01-01`, endDay: `${text}-12-31` };
+  throw new Error(`Period must be yyyy-MM, yyyy-Q1..Q4 or yyyy, got '${String(period || '').trim()}'.`);
+}
+
+/**
+ * @param {{startDay: string, endDay: string}} range
+ * @param {Array<Object>} lines - readOrderLines_ 的結果。
+ * @param {Array<Object>} reps - readRsmDirectory_ 的 reps。
+ * @returns {Array<Object>} 每位 RSM 一列 ('RSM' 工作表的順序，其次為只出現在 P/O 上的 RSM，RSM_UNASSIGNED 最後)。
+ */
+function collectRsmRollup_(range, lines, reps) {
+  const inRange = day => !!day && range.startDay <= day && day <= range.endDay;
+  const repsByName = new Map(reps.map(rep => [rep.name.toLowerCase(), rep]));
+  const rsmOf = name => {
+    const rep = repsByName.get(String(name || '').trim().toLowerCase());
+    return rep ? rep.name : (String(name || '').trim() || RSM_UNASSIGNED);
+  };
+
+  const rows = new Map();
+  const rowFor = rsm => {
+    if (!rows.has(rsm)) {
+      const rep = repsByName.get(rsm.toLowerCase());
+      rows.set(rsm, { rsm, poNumbers: new Set(), orderValue: 0, shippedValue: 0, invoicedValue: 0, backlog: 0, commissionRate: rep ? rep.commissionRate : null, commission: 0 });
+    }
+    return rows.get(rsm);
+  };
+  reps.forEach(rep => rowFor(rep.name));
+
+  const lineByKey = new Map(lines.map(line => [line.key, line]));
+  const rsmByPo = new Map();
+  lines.forEach(line => {
+    if (!rsmByPo.has(line.poNumber)) rsmByPo.set(line.poNumber, rsmOf(line.rsm));
+    if (!inRange(line.poDay)) return;
+    const row = rowFor(rsmOf(line.rsm));
+    row.poNumbers.add(line.poNumber);
+    row.orderValue += line.value;
+  });
+
+  // 出貨：期間內的出貨計入出貨金額；期末以前的出貨數量用於計算 Backlog
+  // BOL_DB 與 'BOL_DB | Archive' 都要讀：已歸檔的出貨仍計入出貨金額，也要從 Backlog 扣除
+  const shippedByKey = new Map();
+  readShippedBols_().forEach(bol => {
+    const line = lineByKey.get(bol.poSkuKey);
+    const day = toOrderDay_(bol.actShipDate);
+    if (!line || bol.shippedQty <= 0 || !day || day > range.endDay) return;
+    shippedByKey.set(line.key, (shippedByKey.get(line.key) || 0) + bol.shippedQty);
+    if (inRange(day)) rowFor(rsmOf(line.rsm)).shippedValue += bol.shippedQty * line.unitPrice;
+  });
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const invoiceSheet = Config.SHEET_NAMES.QBO_INVOICE_RAW;
+  if (ss.getSheetByName(invoiceSheet)) {
+    const invoices = readTable(invoiceSheet);
+    const col = invoices.columns;
+    invoices.values.forEach(row => {
+      if (!inRange(toOrderDay_(row[col.INVOICE_DATE - 1]))) return;
+      const poNumber = String(row[col.PO_NUMBER - 1] || '').trim();
+      const sku = normalizeSku(row[col.SKU - 1]);
+      const line = poNumber && sku ? lineByKey.get(normalizePoSkuKey(`${poNumber}${PO_SKU_KEY_SEPARATOR}${sku}`)) : null;
+      const amountCell = col.AMOUNT ? row[col.AMOUNT - 1] : '';
+      const amount = amountCell !== '' && isFinite(Number(amountCell))
+        ? Number(amountCell)
+        : (Number(row[col.QTY - 1]) || 0) * (line ? line.unitPrice : 0);
+      rowFor(rsmByPo.get(poNumber) || RSM_UNASSIGNED).invoicedValue += amount;
+    });
+  }
+
+  lines.forEach(line => {
+    if (line.poDay && line.poDay > range.endDay) return;
+    const openQty = line.qty - (shippedByKey.get(line.key) || 0);
+    if (openQty > 0) rowFor(rsmOf(line.rsm)).backlog += openQty * line.unitPrice;
+  });
+
+  const round = value => Math.round(value * 100) / 100;
+  const repOrder = reps.map(rep => rep.name);
+  return Array.from(rows.values())
+    .sort((a, b) => {
+      const rank = row => (row.rsm === RSM_UNASSIGNED ? 2 : (repOrder.indexOf(row.rsm) === -1 ? 1 : 0));
+      return rank(a) - rank(b) || (rank(a) === 0 ? repOrder.indexOf(a.rsm) - repOrder.indexOf(b.rsm) : a.rsm.localeCompare(b.rsm));
+    })
+    .map(row => ({
+      rsm: row.rsm,
+      orders: row.poNumbers.size,
+      orderValue: round(row.orderValue),
+      shippedValue: round(row.shippedValue),
+      invoicedValue: round(row.invoicedValue),
+      backlog: round(row.backlog),
+      commissionRate: row.commissionRate,
+      commission: round(row.invoicedValue * (row.commissionRate || 0))
+    }));
+}
+
+/**
+ * 覆寫 'RSM Report' (不存在時建立)，最後一列為合計。
+ */
+function writeRsmReport_(label, rows) {
+  const ss = getWorkbook_();
+  let sheet = ss.getSheetByName(RSM_REPORT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(RSM_REPORT_SHEET_NAME, ss.getSheets().length);
+    sheet.setFrozenRows(1);
+  }
+  sheet.clearContents();
+
+  const sum = field => Math.round(rows.reduce((total, row) => total + row[field], 0) * 100) / 100;
+  const values = rows.map(row => [
+    label, row.rsm, row.orders, row.orderValue, row.shippedValue, row.invoicedValue, row.backlog,
+    row.commissionRate === null ? '' : row.commissionRate, row.commission
+  ]).concat([[label, 'Total', sum('orders'), sum('orderValue'), sum('shippedValue'), sum('invoicedValue'), sum('backlog'), '', sum('commission')]]);
+
+  sheet.getRange(1, 1, 1, RSM_REPORT_HEADERS.length).setValues([RSM_REPORT_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, values.length, 1).setNumberFormat('@');
+  sheet.getRange(2, 1, values.length, RSM_REPORT_HEADERS.length).setValues(values);
+  sheet.getRange(2, 8, values.length, 1).setNumberFormat('0.00%');
+}
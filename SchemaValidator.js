@@ -0,0 +1,232 @@
+/**
+ * @fileoverview
+ * 工作表結構檢查 (Schema Drift Detector)。
+ * 逐一檢查 Config.SHEET_NAMES 中的每張工作表 (含 proc_shipping_management 與兩個 Price Book)：
+ * 1. 工作表是否存在 (Config.OPTIONAL_SHEETS 中的工作表缺少時只列為 INFO；Config.STORAGE 不是 'sheets' 的 DB 表不檢查)。
+ * 2. Config.SCHEMAS 中的標頭是否仍在預期的欄位字母上 (缺少、被改名、被搬移、重複；appended 的欄位只檢查是否存在)。
+ * 3. 標記為 arrayFormula 的欄位 (Raw Data 的 E / Q / W) 是否仍保有 ARRAYFORMULA，且沒有 #REF! 等錯誤。
+ * 結果寫入 'Schema Validation Report' 工作表，讓問題在工具寫錯欄之前就被發現。
+ *
+ * 使用方式：
+ * - 選單 'Validate Workbook Schema' → validateWorkbookSchema()
+ * - 手動執行一次 installSchemaValidationTrigger() 建立每日自動檢查。
+ */
+
+const SCHEMA_REPORT_SHEET_NAME = 'Schema Validation Report';
+const SCHEMA_VALIDATION_HANDLER = 'runScheduledSchemaValidation';
+const SCHEMA_REPORT_HEADERS = ['Checked At', 'Severity', 'Sheet', 'Issue', 'Field', 'Expected', 'Actual', 'Detail'];
+// 試算表公式錯誤的顯示值 (#REF!、#N/A、#VALUE!、#ERROR!、#NAME?)
+const SCHEMA_FORMULA_ERROR_PATTERN = /^#(REF|N\/A|VALUE|ERROR|NAME)/i;
+
+/**
+ * 選單進入點：執行檢查、寫入報表，並以對話框顯示摘要。
+ */
+function validateWorkbookSchema() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = runSchemaValidation();
+    if (result.errorCount === 0 && result.warningCount === 0) {
+      ui.alert(`Schema check passed: ${result.sheetCount} sheets match Config.SCHEMAS.`);
+    } else {
+      ui.alert(`Schema check found ${result.errorCount} error(s) and ${result.warningCount} warning(s). See the '${SCHEMA_REPORT_SHEET_NAME}' sheet for details.`);
+    }
+  } catch (e) {
+    Logger.log(`validateWorkbookSchema Error: ${e.message}`);
+    ui.alert(`Schema check failed: ${e.message}`);
+  }
+}
+
+/**
+ * 觸發器進入點 (沒有 UI)：執行檢查並把摘要寫入 Log。
+ */
+function runScheduledSchemaValidation() {
+  const result = runSchemaValidation();
+  Logger.log(`Scheduled schema check: ${result.errorCount} error(s), ${result.warningCount} warning(s) across ${result.sheetCount} sheets.`);
+}
+
+/**
+ * 建立每日一次的檢查觸發器 (重複執行會先刪除舊的，不會重複建立)。需手動執行一次完成授權。
+ */
+function installSchemaValidationTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === SCHEMA_VALIDATION_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  ScriptApp.newTrigger(SCHEMA_VALIDATION_HANDLER)
+    .timeBased()
+    .everyDays(1)
+    .atHour(6)
+    .create();
+  Logger.log('Daily schema validation trigger installed.');
+}
+
+/**
+ * 檢查所有工作表並覆寫報表工作表。
+ * @returns {{success: boolean, sheetCount: number, errorCount: number, warningCount: number, infoCount: number, issues: Array<Object>}}
+ */
+function runSchemaValidation() {
+  const ss = getWorkbook_();
+  const sheetNames = getSheetsToValidate_();
+  const issues = [];
+  sheetNames.forEach(sheetName => {
+    collectSheetSchemaIssues_(ss, sheetName).forEach(issue => issues.push(issue));
+  });
+
+  writeSchemaReport_(ss, issues);
+
+  const count = severity => issues.filter(issue => issue.severity === severity).length;
+  const errorCount = count('ERROR');
+  return {
+    success: errorCount === 0,
+    sheetCount: sheetNames.length,
+    errorCount,
+    warningCount: count('WARNING'),
+    infoCount: count('INFO'),
+    issues
+  };
+}
+
+/**
+ * 要檢查的工作表：Config.SHEET_NAMES 的所有值，加上有 Schema 但未列在其中的工作表。
+ * 存放在文件資料庫 (Config.STORAGE 的 backend 不是 'sheets') 的 DB 表沒有工作表，不檢查。
+ * @returns {string[]}
+ */
+function getSheetsToValidate_() {
+  const names = Object.keys(Config.SHEET_NAMES).map(key => Config.SHEET_NAMES[key]);
+  Object.keys(Config.SCHEMAS).forEach(name => {
+    if (names.indexOf(name) === -1) names.push(name);
+  });
+  return names.filter(name => getStorageBackendName_(name) === 'sheets');
+}
+
+/**
+ * 檢查單一工作表。
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} sheetName
+ * @returns {Array<{severity: string, sheet: string, issue: string, field: string, expected: string, actual: string, detail: string}>}
+ */
+function collectSheetSchemaIssues_(ss, sheetName) {
+  const issues = [];
+  const addIssue = (severity, issue, field, expected, actual, detail) => {
+    issues.push({ severity, sheet: sheetName, issue, field: field || '', expected: expected || '', actual: actual || '', detail: detail || '' });
+  };
+
+  const sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    if (Config.OPTIONAL_SHEETS.indexOf(sheetName) !== -1) {
+      addIssue('INFO', 'Sheet Not Created', '', sheetName, '', 'Optional sheet. It is created on first use or the tools fall back to defaults.');
+    } else {
+      addIssue('ERROR', 'Missing Sheet', '', sheetName, '', 'Sheet not found in the workbook. Tools that read it will fail.');
+    }
+    return issues;
+  }
+
+  const schema = getSheetSchema(sheetName);
+  if (!schema) return issues; // 尚未定義 Schema 的工作表只檢查是否存在
+
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0 ? sheet.getRange(schema.headerRow, 1, 1, lastColumn).getValues()[0] : [];
+
+  // 標頭文字 -> 出現的所有欄位編號
+  const positions = {};
+  headers.forEach((header, index) => {
+    const key = normalizeHeader_(header);
+    if (key) (positions[key] = positions[key] || []).push(index + 1);
+  });
+  const schemaHeaders = Object.keys(schema.columns).map(field => normalizeHeader_(schema.columns[field].header));
+
+  Object.keys(schema.columns).forEach(field => {
+    const spec = schema.columns[field];
+    const found = positions[normalizeHeader_(spec.header)] || [];
+    const missingSeverity = spec.required ? 'ERROR' : 'WARNING';
+
+    if (found.length === 0 && spec.appended) {
+      // 接在最後一欄之後的欄位沒有固定位置，不能依欄位字母判斷是否改名
+      addIssue('INFO', 'Column Not Created', field, `"${spec.header}"`, '', 'The tools append it after the last column on first use.');
+      return;
+    }
+    if (found.length === 0) {
+      const expectedIndex = columnLetterToIndex(spec.column);
+      const actualHeader = String(headers[expectedIndex - 1] === undefined ? '' : headers[expectedIndex - 1]).trim();
+      if (spec.arrayFormula && SCHEMA_FORMULA_ERROR_PATTERN.test(actualHeader)) {
+        // 標頭由 ={"Header"; ARRAYFORMULA(...)} 產生時，公式出錯會連標頭一起變成 #REF!
+        addIssue('ERROR', 'Broken Formula', field, `"${spec.header}" at ${spec.column}`, actualHeader,
+          'The header formula returns an error, usually because values were typed into its output range.');
+      } else if (actualHeader && schemaHeaders.indexOf(normalizeHeader_(actualHeader)) === -1) {
+        addIssue(missingSeverity, 'Renamed Column', field, `"${spec.header}" at ${spec.column}`, `"${actualHeader}" at ${spec.column}`,
+          'Header text changed. Rename it back or update Config.SCHEMAS.');
+      } else {
+        addIssue(missingSeverity, 'Missing Column', field, `"${spec.header}" at ${spec.column}`, '',
+          spec.required ? 'Required column not found. Tools using this sheet will stop with a Schema Error.' : 'Optional column not found.');
+      }
+      return;
+    }
+
+    const actualLetter = columnIndexToLetter(found[0]);
+    if (!spec.appended && actualLetter !== String(spec.column).toUpperCase()) {
+      addIssue('WARNING', 'Moved Column', field, spec.column, actualLetter,
+        'Tools resolve this column by header name, but formulas or reports that use the letter may be wrong.');
+    }
+    if (found.length > 1) {
+      addIssue('WARNING', 'Duplicate Header', field, spec.column, found.map(columnIndexToLetter).join(', '),
+        'Tools use the first occurrence only.');
+    }
+    if (spec.arrayFormula) {
+      collectArrayFormulaIssue_(sheet, schema.headerRow, found[0], field, spec, addIssue);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * 檢查 ARRAYFORMULA 欄：公式應位於標頭列或第一個資料列，且顯示值不能是錯誤 (例如資料列被手動輸入值而導致 #REF!)。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number} headerRow
+ * @param {number} column - 1-based 欄位編號。
+ * @param {string} field
+ * @param {Object} spec
+ * @param {Function} addIssue
+ */
+function collectArrayFormulaIssue_(sheet, headerRow, column, field, spec, addIssue) {
+  const range = sheet.getRange(headerRow, column, 2, 1);
+  const formulas = range.getFormulas().map(row => String(row[0]));
+  const displayValues = range.getDisplayValues().map(row => String(row[0]));
+  const formulaIndex = formulas.findIndex(formula => /ARRAYFORMULA\s*\(/i.test(formula));
+  const letter = columnIndexToLetter(column);
+
+  if (formulaIndex === -1) {
+    addIssue('ERROR', 'Broken Formula', field, `ARRAYFORMULA in ${letter}${headerRow} or ${letter}${headerRow + 1}`, formulas.filter(String).join(' ') || '(no formula)',
+      `"${spec.header}" is no longer generated by ARRAYFORMULA. Restore the formula before running the tools.`);
+    return;
+  }
+
+  // 公式所在格與其下方第一格 (第一個輸出值) 都不能是錯誤值
+  const display = displayValues.slice(formulaIndex).find(value => SCHEMA_FORMULA_ERROR_PATTERN.test(value));
+  if (display) {
+    addIssue('ERROR', 'Broken Formula', field, `ARRAYFORMULA in ${letter}${headerRow + formulaIndex}`, display,
+      'The formula returns an error, usually because values were typed into its output range.');
+  }
+}
+
+/**
+ * 覆寫報表工作表 (不存在時建立)。沒有問題時寫入一列 OK，方便確認最後一次檢查時間。
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Array<Object>} issues
+ */
+function writeSchemaReport_(ss, issues) {
+  let sheet = ss.getSheetByName(SCHEMA_REPORT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SCHEMA_REPORT_SHEET_NAME, ss.getSheets().length);
+    sheet.setFrozenRows(1);
+  }
+  sheet.clearContents();
+
+  const checkedAt = new Date();
+  const rows = issues.length > 0
+    ? issues.map(issue => [checkedAt, issue.severity, issue.sheet, issue.issue, issue.field, issue.expected, issue.actual, issue.detail])
+    : [[checkedAt, 'OK', '', 'No schema drift found', '', '', '', '']];
+
+  sheet.getRange(1, 1, 1, SCHEMA_REPORT_HEADERS.length).setValues([SCHEMA_REPORT_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, SCHEMA_REPORT_HEADERS.length).setValues(rows);
+}
@@ -42,41 +42,7 @@
 //   SpreadsheetApp.getUi().showSidebar(html);
 // }
 
-// // --- 輔助函式：獲取 SKU 到 Model Name 的對照表 ---
-
-// /**
-//  * Reads the HSUS Price Book(QBO) sheet to create a map of SKU# to Model Name.
-//  * @returns {Map<string, string>} A map where key is SKU# and value is Model Name.
-//  */
-// function getSkuModelMap() {
-//   const ss = SpreadsheetApp.getActiveSpreadsheet();
-//   const priceBookSheet = ss.getSheetByName(PRICE_BOOK_SHEET_NAME); 
-//   if (!priceBookSheet) {
-//     Logger.log("Price Book sheet not found, proceeding without Model Names.");
-//     return new Map();
-//   }
-
-//   const lastRow = priceBookSheet.getLastRow();
-//   if (lastRow < 2) return new Map();
-
-//   // 讀取 SKU 欄位到 Model Name 欄位的所有資料 (G 欄到 V 欄)
-//   const data = priceBookSheet.getRange(2, PB_SKU_COL, lastRow - 1, PB_MODEL_NAME_COL - PB_SKU_COL + 1).getValues();
-//   const skuModelMap = new Map();
-//   const modelNameRelativeIndex = PB_MODEL_NAME_COL - PB_SKU_COL;
-
-//   data.forEach(row => {
-//     const sku = String(row[0]).trim(); // SKU# (相對索引 0)
-//     const modelName = String(row[modelNameRelativeIndex]).trim(); // Sales Description 
-    
-//     if (sku) {
-//       // 淨化 Model Name，移除冗餘前綴
-//       const cleanModelName = modelName.replace(/Finished Goods:|^450\w+|Standard/g, '').trim().replace(/_/g, ' ');
-//       skuModelMap.set(sku, cleanModelName || 'Model Not Found');
-//     }
-//   });
-
-//   return skuModelMap;
-// }
+// // getSkuModelMap() 已移至 PriceBookService.js。
 
 
 // // --- 核心函式：獲取 PO/SKU 列表 (包含 Model Name 和狀態) ---
@@ -10,26 +10,11 @@ const BOL_DB_SHEET_NAME = 'BOL_DB';
 const SERIAL_RAW_DATA_SHEET_NAME = 'Serial # | Raw Data';
 const SERIAL_DB_SHEET_NAME = 'Serial #_DB'; 
 const ORDER_MGT_SHEET_NAME = 'Order Shipping Mgt. Table';
-const PRICE_BOOK_SHEET_NAME_Serial = 'New HSUS Order Status - HSUS Price Book(QBO)'; 
 
 // --- Column Definitions ---
-// Serial # | Raw Data
-const RAW_SKU_COL = 2;        // B: SKU
-const RAW_SERIAL_COL = 4;     // D: Serial #
-const RAW_POSKU_KEY_COL = 8;  // H: PO_SKU_Key (Helper)
-const RAW_INBOUND_COL = 13;   // M: Inbound Date
-
-// Serial #_DB
-const DB_SERIAL_COL = 1;      // A: Serial #
-const DB_POSKU_KEY_COL = 2;   // B: PO_SKU_Key
-const DB_BOL_COL = 3;         // C: BOL #
-const DB_COMPLETE_COL = 4;    // D: Complete
-const DB_USER_COL = 5;        // E: Assigned User
-const DB_TIMESTAMP_COL = 6;   // F: Assigned Timestamp
-
-// HSUS Price Book(QBO)
-const PB_SKU_COL = 7;
-const PB_MODEL_NAME_COL = 22;
+// Serial # | Raw Data, Serial #_DB and BOL_DB columns are
+// resolved by header name from Config.SCHEMAS. Serial #_DB and BOL_DB are read and
+// written through the record API (queryRecords / updateRecords) so they can live in the document store.
 
 const COMPLETE_STATUS_TEXT = 'Complete Assigned';
 
@@ -43,39 +28,7 @@ function openSerialAssignmentTool() {
   SpreadsheetApp.getUi().showSidebar(html);
 }
 
-// --- 輔助函式：獲取 SKU 到 Model Name 的對照表 ---
-
-/**
- * Reads the HSUS Price Book(QBO) sheet to create a map of SKU# to Model Name.
- * @returns {Map<string, string>} A map where key is SKU# and value is Model Name.
- */
-function getSkuModelMap() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const priceBookSheet = ss.getSheetByName(PRICE_BOOK_SHEET_NAME_Serial); 
-  if (!priceBookSheet) {
-    Logger.log("Price Book sheet not found, proceeding without Model Names.");
-    return new Map();
-  }
-
-  const lastRow = priceBookSheet.getLastRow();
-  if (lastRow < 2) return new Map();
-
-  const data = priceBookSheet.getRange(2, PB_SKU_COL, lastRow - 1, PB_MODEL_NAME_COL - PB_SKU_COL + 1).getValues();
-  const skuModelMap = new Map();
-  const modelNameRelativeIndex = PB_MODEL_NAME_COL - PB_SKU_COL;
-
-  data.forEach(row => {
-    const sku = String(row[0]).trim(); // SKU# (相對索引 0)
-    const modelName = String(row[modelNameRelativeIndex]).trim(); // Sales Description 
-    
-    if (sku) {
-      const cleanModelName = modelName.replace(/Finished Goods:|^450\w+|Standard/g, '').trim().replace(/_/g, ' ');
-      skuModelMap.set(sku, cleanModelName || sku); // 預設回傳 SKU
-    }
-  });
-
-  return skuModelMap;
-}
+// SKU → Model Name 對照表由 PriceBookService.js 的 getSkuModelMap() 提供 (含快取)。
 
 
 // --- 核心函式：獲取 PO/SKU 列表 (包含 Model Name 和狀態) ---
@@ -88,47 +41,36 @@ function getSkuModelMap() {
  */
 function getPoSkuLists() {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const serialDbSheet = ss.getSheetByName(SERIAL_DB_SHEET_NAME);
-    const bolSheet = ss.getSheetByName(BOL_DB_SHEET_NAME);
-    
     // --- 🚀 [V12.5 關鍵] 獲取 SKU -> Model 對照表 ---
     const skuModelMap = getSkuModelMap(); 
 
-    if (!serialDbSheet || !bolSheet) throw new Error("Required sheet not found: Serial #_DB or BOL_DB");
-
     // 輔助函式：取得格式化名稱
     const getFormattedKey = (poSkuKey) => {
-      const parts = poSkuKey.split('|');
-      // 確保 parts[parts.length - 1] 是 SKU
-      const sku = parts.length > 1 ? parts[parts.length - 1] : ''; 
+      const sku = parsePoSkuKey(poSkuKey).sku;
       const modelName = skuModelMap.get(sku) || sku; // 找不到 Model 時使用 SKU
       return `${poSkuKey} (${modelName})`;
     };
     
-    const dbLastRow = serialDbSheet.getLastRow();
-    const poSkuStatusMap = new Map(); // Key: PO_SKU_Key, Value: {timestamp, isComplete}
+    // Serial #_DB 與 BOL_DB 透過記錄 API 讀取 (可能存放在文件資料庫)
+    const poSkuStatusMap = new Map(); // Key: 正規化的 PO_SKU_Key, Value: {timestamp, isComplete}
     
-    if (dbLastRow >= 2) {
-      const dbData = serialDbSheet.getRange(2, DB_POSKU_KEY_COL, dbLastRow - 1, DB_TIMESTAMP_COL - DB_POSKU_KEY_COL + 1).getValues();
-      dbData.forEach(row => {
-        const poSkuKey = row[0];
-        const status = row[DB_COMPLETE_COL - DB_POSKU_KEY_COL];
-        const timestamp = row[DB_TIMESTAMP_COL - DB_POSKU_KEY_COL];
-        const isComplete = status === COMPLETE_STATUS_TEXT;
-        
-        const currentEntry = poSkuStatusMap.get(poSkuKey);
-        if (!currentEntry || (timestamp instanceof Date && timestamp > currentEntry.timestamp)) {
-             poSkuStatusMap.set(poSkuKey, {timestamp, isComplete});
-        }
-      });
-    }
+    queryRecords(SERIAL_DB_SHEET_NAME).all().forEach(record => {
+      const poSkuKey = normalizePoSkuKey(getRecordValue(SERIAL_DB_SHEET_NAME, record, 'PO_SKU_KEY'));
+      const status = getRecordValue(SERIAL_DB_SHEET_NAME, record, 'COMPLETE');
+      const timestamp = getRecordValue(SERIAL_DB_SHEET_NAME, record, 'ASSIGNED_TIMESTAMP');
+      const isComplete = status === COMPLETE_STATUS_TEXT;
+      
+      const currentEntry = poSkuStatusMap.get(poSkuKey);
+      if (!currentEntry || (timestamp instanceof Date && timestamp > currentEntry.timestamp)) {
+           poSkuStatusMap.set(poSkuKey, {timestamp, isComplete});
+      }
+    });
     
-    const bolLastRow = bolSheet.getLastRow();
     const allBolPoSkus = new Set();
-    if (bolLastRow >= 2) {
-      bolSheet.getRange('B2:B' + bolLastRow).getValues().flat().filter(String).forEach(poSku => allBolPoSkus.add(poSku));
-    }
+    queryRecords(BOL_DB_SHEET_NAME).all()
+      .map(record => normalizePoSkuKey(getRecordValue(BOL_DB_SHEET_NAME, record, 'PO_SKU_KEY')))
+      .filter(String)
+      .forEach(poSku => allBolPoSkus.add(poSku));
     
     const combinedList = [...allBolPoSkus].map(poSkuKey => {
         const statusEntry = poSkuStatusMap.get(poSkuKey);
@@ -172,54 +114,45 @@ function getPoSkuLists() {
 
 // --- 核心函式：狀態處理 (Check Box觸發) ---
 
+/**
+ * 前端進入點：執行 updateAssignmentCompletionStatus_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function updateAssignmentCompletionStatus(poSkuKey, isComplete) {
+  return runLoggedOperation({ tool: 'Serial Assignment', action: 'updateAssignmentCompletionStatus', record: poSkuKey, sheet: SERIAL_DB_SHEET_NAME, field: 'PO_SKU_KEY' }, () => updateAssignmentCompletionStatus_(poSkuKey, isComplete));
+}
+
 /**
  * 根據傳入的 PO|SKU 鍵和狀態，更新 Serial #_DB 中所有相關記錄的完成狀態。
  * @param {string} poSkuKey 要更新的 PO|SKU 鍵。
  * @param {boolean} isComplete 欲設定的新狀態 (true: Complete Assigned; false: 清空狀態)。
  * @returns {Object} 成功或失敗訊息。
  */
-function updateAssignmentCompletionStatus(poSkuKey, isComplete) {
+function updateAssignmentCompletionStatus_(poSkuKey, isComplete) {
   try {
     if (!poSkuKey) throw new Error("PO|SKU key is required for status update.");
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SERIAL_DB_SHEET_NAME);
-    if (!sheet) throw new Error(`Sheet "${SERIAL_DB_SHEET_NAME}" not found.`);
 
     const statusText = isComplete ? COMPLETE_STATUS_TEXT : ''; // 決定要寫入的狀態文本
     const userEmail = Session.getActiveUser().getEmail();
     const timestamp = new Date();
     
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 2) return { success: true, message: "No assignments found in DB." };
-
-    const dataRange = sheet.getRange(2, DB_POSKU_KEY_COL, lastRow - 1, DB_TIMESTAMP_COL - DB_POSKU_KEY_COL + 1);
-    const values = dataRange.getValues();
-    let updatedCount = 0;
-
-    const completeColRelative = DB_COMPLETE_COL - DB_POSKU_KEY_COL;
-    const userColRelative = DB_USER_COL - DB_POSKU_KEY_COL;
-    const timestampColRelative = DB_TIMESTAMP_COL - DB_POSKU_KEY_COL;
-    
-    values.forEach(row => {
-      if (row[0] === poSkuKey) {
-        row[completeColRelative] = statusText;
-        if (isComplete) {
-          row[userColRelative] = userEmail;
-          row[timestampColRelative] = timestamp;
-        } else {
-          row[userColRelative] = '';
-          row[timestampColRelative] = '';
-        }
-        updatedCount++;
-      }
-    });
+    // 只更新該 PO|SKU 的記錄，其餘記錄不會被寫回
+    const updates = queryByPoSkuKey(SERIAL_DB_SHEET_NAME, poSkuKey).all().map(record => ({
+      _rowNumber: record._rowNumber,
+      COMPLETE: statusText,
+      ASSIGNED_USER: isComplete ? userEmail : '',
+      ASSIGNED_TIMESTAMP: isComplete ? timestamp : ''
+    }));
+    const updatedCount = updates.length;
 
     if (updatedCount > 0) {
-      dataRange.setValues(values);
+      const result = updateRecords(SERIAL_DB_SHEET_NAME, updates);
+      if (!result.success) throw new Error(result.message);
     }
     
     const action = isComplete ? "標記為完成" : "重新開啟";
     return { success: true, message: `"${poSkuKey}" 已成功 ${action}，共更新 ${updatedCount} 筆記錄。` };
   } catch (e) {
+    reportOperationError(e);
     Logger.log(`updateAssignmentCompletionStatus Error: ${e.message}`);
     return { success: false, message: e.toString() };
   }
@@ -238,31 +171,24 @@ function getSerialsForEditing(sku, poSkuKey) {
     if (!sku || !poSkuKey) return [];
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const rawSheet = ss.getSheetByName(SERIAL_RAW_DATA_SHEET_NAME);
-    const dbSheet = ss.getSheetByName(SERIAL_DB_SHEET_NAME);
-    if (!rawSheet || !dbSheet) throw new Error("Required sheets not found.");
-    const rawLastRow = rawSheet.getLastRow();
+    if (!rawSheet) throw new Error("Required sheets not found.");
+    const rawTable = readTable(SERIAL_RAW_DATA_SHEET_NAME);
+    const RAW_COL = rawTable.columns;
     const allSkuSerials = new Set();
-    if (rawLastRow >= 2) {
-      const rawData = rawSheet.getRange(2, RAW_SKU_COL, rawLastRow - 1, RAW_INBOUND_COL - RAW_SKU_COL + 1).getValues();
-      rawData.forEach(row => {
-        const rowSku = row[0];
-        const serial = row[RAW_SERIAL_COL - RAW_SKU_COL];
-        const inboundDate = row[RAW_INBOUND_COL - RAW_SKU_COL];
-        if (rowSku === sku && inboundDate) { 
-          allSkuSerials.add(serial);
-        }
-      });
-    }
-    const dbLastRow = dbSheet.getLastRow();
+    rawTable.values.forEach(row => {
+      const rowSku = row[RAW_COL.SKU - 1];
+      const serial = row[RAW_COL.SERIAL_NUMBER - 1];
+      const inboundDate = row[RAW_COL.INBOUND_DATE - 1];
+      if (normalizeSku(rowSku) === normalizeSku(sku) && inboundDate) { 
+        allSkuSerials.add(serial);
+      }
+    });
     const usedSerialsMap = new Map();
-    if (dbLastRow >= 2) {
-      const dbData = dbSheet.getRange(2, DB_SERIAL_COL, dbLastRow - 1, DB_POSKU_KEY_COL).getValues();
-      dbData.forEach(row => {
-        usedSerialsMap.set(row[0], row[1]); 
-      });
-    }
+    queryRecords(SERIAL_DB_SHEET_NAME).all().forEach(record => {
+      usedSerialsMap.set(getRecordValue(SERIAL_DB_SHEET_NAME, record, 'SERIAL_NUMBER'), getRecordValue(SERIAL_DB_SHEET_NAME, record, 'PO_SKU_KEY'));
+    });
     const availableSerials = [...allSkuSerials].filter(serial => 
-      !usedSerialsMap.has(serial) || usedSerialsMap.get(serial) === poSkuKey
+      !usedSerialsMap.has(serial) || isSamePoSkuKey(usedSerialsMap.get(serial), poSkuKey)
     );
     return availableSerials.sort();
   } catch (e) {
@@ -278,17 +204,11 @@ function getSerialsForEditing(sku, poSkuKey) {
 function getAssignedSerialsForPoSku(poSkuKey) {
   try {
     if (!poSkuKey) return {};
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SERIAL_DB_SHEET_NAME);
-    if (!sheet) throw new Error(`Sheet "${SERIAL_DB_SHEET_NAME}" not found.`);
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 2) return {};
-    const data = sheet.getRange(2, DB_SERIAL_COL, lastRow - 1, DB_BOL_COL).getValues();
     const assignments = {};
-    data.forEach(row => {
-      const serial = row[0];
-      const rowPoSkuKey = row[DB_POSKU_KEY_COL - 1];
-      const bol = row[DB_BOL_COL - 1];
-      if (rowPoSkuKey === poSkuKey && bol && serial) {
+    queryByPoSkuKey(SERIAL_DB_SHEET_NAME, poSkuKey).all().forEach(record => {
+      const serial = getRecordValue(SERIAL_DB_SHEET_NAME, record, 'SERIAL_NUMBER');
+      const bol = getRecordValue(SERIAL_DB_SHEET_NAME, record, 'BOL_NUMBER');
+      if (bol && serial) {
         if (!assignments[bol]) {
           assignments[bol] = [];
         }
@@ -305,88 +225,89 @@ function getAssignedSerialsForPoSku(poSkuKey) {
 
 
 /**
- * REWRITTEN: Handles dual-write and preserves "Complete" status when editing.
+ * 前端進入點：執行 assignSerials_ 並寫入 Ops Log (OpsLog.js)。
  */
 function assignSerials(assignmentData) {
+  return runLoggedOperation({ tool: 'Serial Assignment', action: 'assignSerials', record: assignmentData && assignmentData.poSkuKey, sheet: SERIAL_DB_SHEET_NAME, field: 'PO_SKU_KEY' }, () => assignSerials_(assignmentData));
+}
+
+/**
+ * REWRITTEN: Handles dual-write and preserves "Complete" status when editing.
+ */
+function assignSerials_(assignmentData) {
   try {
-    const { poSkuKey, assignments } = assignmentData;
-    if (!poSkuKey) throw new Error("No PO|SKU key provided.");
+    const { assignments } = assignmentData;
+    if (!assignmentData.poSkuKey) throw new Error("No PO|SKU key provided.");
+    const keyCheck = validatePoSkuKey(assignmentData.poSkuKey);
+    if (!keyCheck.valid) throw new Error(keyCheck.message);
+    const poSkuKey = keyCheck.key; // 新寫入的值一律使用正規化的鍵
 
     const userEmail = Session.getActiveUser().getEmail();
     const timestamp = new Date();
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const dbSheet = ss.getSheetByName(SERIAL_DB_SHEET_NAME);
     const rawSheet = ss.getSheetByName(SERIAL_RAW_DATA_SHEET_NAME);
-    if (!dbSheet || !rawSheet) throw new Error("Required sheets not found.");
+    if (!rawSheet) throw new Error("Required sheets not found.");
 
     let allSerialsToAssign = new Set(Object.values(assignments).flat());
 
-    const dbLastRow = dbSheet.getLastRow();
-    let isAlreadyComplete = false;
-    if (dbLastRow >= 2) {
-      const dbData = dbSheet.getRange(2, DB_POSKU_KEY_COL, dbLastRow - 1, DB_COMPLETE_COL - DB_POSKU_KEY_COL + 1).getValues();
-      for (const row of dbData) {
-        if (row[0] === poSkuKey && row[DB_COMPLETE_COL - DB_POSKU_KEY_COL] === COMPLETE_STATUS_TEXT) {
-          isAlreadyComplete = true;
-          break;
-        }
-      }
-    }
-    const rawLastRow = rawSheet.getLastRow();
-    if (rawLastRow >= 2) {
-      const serialColValues = rawSheet.getRange(2, RAW_SERIAL_COL, rawLastRow - 1, 1).getValues().flat();
-      const helperKeyColRange = rawSheet.getRange(2, RAW_POSKU_KEY_COL, rawLastRow - 1, 1);
-      const helperKeyValues = helperKeyColRange.getValues();
-      const serialToRawIndex = new Map(serialColValues.map((serial, i) => [serial, i]));
-      const currentlyAssignedSerials = new Set();
-      if (dbLastRow >= 2) {
-        const poSkuKeysInDb = dbSheet.getRange(2, DB_POSKU_KEY_COL, dbLastRow - 1, 1).getValues();
-        const serialsInDb = dbSheet.getRange(2, DB_SERIAL_COL, dbLastRow - 1, 1).getValues();
-        poSkuKeysInDb.forEach((keyArr, index) => {
-          if (keyArr[0] === poSkuKey) {
-            currentlyAssignedSerials.add(serialsInDb[index][0]);
+    runWithSheetLock(() => {
+      // 取得鎖之後重新讀取，避免沿用本次執行稍早的查詢快取
+      invalidateRecordCache(SERIAL_DB_SHEET_NAME);
+      const currentRecords = queryByPoSkuKey(SERIAL_DB_SHEET_NAME, poSkuKey).all();
+      const dbValue = (record, field) => getRecordValue(SERIAL_DB_SHEET_NAME, record, field);
+      const isAlreadyComplete = currentRecords.some(record => dbValue(record, 'COMPLETE') === COMPLETE_STATUS_TEXT);
+      const rawTable = readTable(SERIAL_RAW_DATA_SHEET_NAME);
+      const RAW_COL = rawTable.columns;
+      if (rawTable.values.length > 0) {
+        const serialColValues = rawTable.values.map(row => row[RAW_COL.SERIAL_NUMBER - 1]);
+        const helperKeyColRange = rawSheet.getRange(rawTable.firstDataRow, RAW_COL.PO_SKU_KEY, rawTable.values.length, 1);
+        const helperKeyValues = rawTable.values.map(row => [row[RAW_COL.PO_SKU_KEY - 1]]);
+        const serialToRawIndex = new Map(serialColValues.map((serial, i) => [serial, i]));
+        const currentlyAssignedSerials = new Set(currentRecords.map(record => dbValue(record, 'SERIAL_NUMBER')));
+        currentlyAssignedSerials.forEach(serial => {
+          if (!allSerialsToAssign.has(serial) && serialToRawIndex.has(serial)) {
+            const rowIndex = serialToRawIndex.get(serial);
+            if (isSamePoSkuKey(helperKeyValues[rowIndex][0], poSkuKey)) {
+              helperKeyValues[rowIndex][0] = '';
+            }
           }
         });
-      }
-      currentlyAssignedSerials.forEach(serial => {
-        if (!allSerialsToAssign.has(serial) && serialToRawIndex.has(serial)) {
-          const rowIndex = serialToRawIndex.get(serial);
-          if (helperKeyValues[rowIndex][0] === poSkuKey) {
-            helperKeyValues[rowIndex][0] = '';
+        allSerialsToAssign.forEach(serial => {
+          if (serialToRawIndex.has(serial)) {
+            const rowIndex = serialToRawIndex.get(serial);
+            helperKeyValues[rowIndex][0] = poSkuKey;
           }
-        }
-      });
-      allSerialsToAssign.forEach(serial => {
-        if (serialToRawIndex.has(serial)) {
-          const rowIndex = serialToRawIndex.get(serial);
-          helperKeyValues[rowIndex][0] = poSkuKey;
-        }
-      });
-      helperKeyColRange.setValues(helperKeyValues);
-    }
-    if (dbLastRow >= 2) {
-      const poSkuKeys = dbSheet.getRange(2, DB_POSKU_KEY_COL, dbLastRow - 1, 1).getValues();
-      const rowsToDelete = [];
-      for (let i = poSkuKeys.length - 1; i >= 0; i--) {
-        if (poSkuKeys[i][0] === poSkuKey) {
-          rowsToDelete.push(i + 2);
-        }
+        });
+        helperKeyColRange.setValues(helperKeyValues);
       }
-      rowsToDelete.forEach(rowNum => dbSheet.deleteRow(rowNum));
-    }
-    const newDbRows = [];
-    const completeStatus = isAlreadyComplete ? COMPLETE_STATUS_TEXT : '';
-    for (const bolNumber in assignments) {
-      assignments[bolNumber].forEach(serial => {
-        newDbRows.push([serial, poSkuKey, bolNumber, completeStatus, userEmail, timestamp]);
-      });
-    }
-    if (newDbRows.length > 0) {
-      dbSheet.getRange(dbSheet.getLastRow() + 1, 1, newDbRows.length, newDbRows[0].length).setValues(newDbRows);
-    }
+
+      const oldRecords = currentRecords.map(record => ({ _rowNumber: record._rowNumber, PO_SKU_KEY: dbValue(record, 'PO_SKU_KEY') }));
+      const deleteResult = deleteRecords(SERIAL_DB_SHEET_NAME, oldRecords);
+      if (!deleteResult.success) throw new Error(deleteResult.message);
+
+      const newRecords = [];
+      const completeStatus = isAlreadyComplete ? COMPLETE_STATUS_TEXT : '';
+      for (const bolNumber in assignments) {
+        assignments[bolNumber].forEach(serial => {
+          newRecords.push({
+            SERIAL_NUMBER: serial,
+            PO_SKU_KEY: poSkuKey,
+            BOL_NUMBER: bolNumber,
+            COMPLETE: completeStatus,
+            ASSIGNED_USER: userEmail,
+            ASSIGNED_TIMESTAMP: timestamp
+          });
+        });
+      }
+      if (newRecords.length > 0) {
+        const appendResult = appendRecords(SERIAL_DB_SHEET_NAME, newRecords);
+        if (!appendResult.success) throw new Error(appendResult.message);
+      }
+    });
     updateOrderMgtSerials(poSkuKey, [...allSerialsToAssign]);
     return { success: true, message: "Serial numbers updated successfully!" };
   } catch (e) {
+    reportOperationError(e);
     Logger.log(`assignSerials Error: ${e.message}\n${e.stack}`);
     return { success: false, message: e.toString() };
   }
@@ -398,31 +319,21 @@ function assignSerials(assignmentData) {
 function updateOrderMgtSerials(poSkuKey, serials) {
     const orderSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ORDER_MGT_SHEET_NAME);
     if (!orderSheet) return;
-    const lastRow = orderSheet.getLastRow();
-    if (lastRow < 2) return;
-    const ORDER_KEY_COL = 18; // R
-    const SERIALS_WRITE_COL = 28; // AB
-    const orderKeys = orderSheet.getRange(2, ORDER_KEY_COL, lastRow - 1, 1).getValues();
-    const targetRowIndex = orderKeys.findIndex(row => row[0] === poSkuKey);
+    const orderTable = readTable(ORDER_MGT_SHEET_NAME);
+    const ORDER_COL = orderTable.columns;
+    const targetRowIndex = orderTable.values.findIndex(row => isSamePoSkuKey(row[ORDER_COL.PO_SKU_KEY - 1], poSkuKey));
     if (targetRowIndex !== -1) {
-        const serialsCell = orderSheet.getRange(targetRowIndex + 2, SERIALS_WRITE_COL); 
+        const serialsCell = orderSheet.getRange(targetRowIndex + orderTable.firstDataRow, ORDER_COL.SERIALS); 
         serialsCell.setValue(serials.join(', '));
     }
 }
 
 function getBolsForPoSku(poSkuKey) {
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BOL_DB_SHEET_NAME);
-    if (!sheet) throw new Error(`Sheet "${BOL_DB_SHEET_NAME}" not found.`);
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 2) return [];
-    const data = sheet.getRange('A2:C' + lastRow).getValues();
-    const results = [];
-    data.forEach(row => {
-      if (row[1] === poSkuKey) {
-        results.push({ bolNumber: row[0], shippedQty: row[2] });
-      }
-    });
+    const results = queryByPoSkuKey(BOL_DB_SHEET_NAME, poSkuKey).all().map(record => ({
+      bolNumber: getRecordValue(BOL_DB_SHEET_NAME, record, 'BOL_NUMBER'),
+      shippedQty: getRecordValue(BOL_DB_SHEET_NAME, record, 'SHIPPED_QTY')
+    }));
     return results;
   } catch (e) {
     Logger.log(`getBolsForPoSku Error: ${e.message}`);
@@ -434,35 +345,24 @@ function getBolsForPoSku(poSkuKey) {
 function getSerialStatus(serialNumber) {
   try {
     if (!serialNumber) return { status: 'Error', message: 'Serial number cannot be empty.' };
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const rawSheet = ss.getSheetByName(SERIAL_RAW_DATA_SHEET_NAME);
-    const dbSheet = ss.getSheetByName(SERIAL_DB_SHEET_NAME);
-    if (!rawSheet || !dbSheet) throw new Error("Required sheets not found.");
-    const rawLastRow = rawSheet.getLastRow();
     let inboundDate = '';
-    if (rawLastRow >= 2) {
-      const rawData = rawSheet.getRange('D2:M' + rawLastRow).getValues(); 
-      const rawRow = rawData.find(r => r[0] === serialNumber);
-      if (rawRow) inboundDate = rawRow[9]; 
-    }
+    const rawRecord = queryRecords(SERIAL_RAW_DATA_SHEET_NAME).equals('SERIAL_NUMBER', serialNumber).first();
+    if (rawRecord) inboundDate = getRecordValue(SERIAL_RAW_DATA_SHEET_NAME, rawRecord, 'INBOUND_DATE');
     if (inboundDate === '') return { status: 'Non-Inbound' };
-    const dbLastRow = dbSheet.getLastRow();
-    if (dbLastRow >= 2) {
-      const dbData = dbSheet.getRange(2, 1, dbLastRow - 1, DB_TIMESTAMP_COL).getValues();
-      const dbRow = dbData.find(r => r[0] === serialNumber);
-      if (dbRow) {
-        const timestamp = dbRow[DB_TIMESTAMP_COL - 1];
-        let formattedDate = '';
-        if (timestamp instanceof Date) {
-          formattedDate = `${timestamp.getFullYear()}/${('0' + (timestamp.getMonth() + 1)).slice(-2)}/${('0' + timestamp.getDate()).slice(-2)}`;
-        }
-        return {
-          status: 'Used',
-          poQuote: dbRow[DB_POSKU_KEY_COL - 1] || 'N/A',
-          bol: dbRow[DB_BOL_COL - 1] || 'N/A',
-          date: formattedDate || 'N/A'
-        };
+    const dbRecord = queryRecords(SERIAL_DB_SHEET_NAME).equals('SERIAL_NUMBER', serialNumber).first();
+    if (dbRecord) {
+      const db = field => getRecordValue(SERIAL_DB_SHEET_NAME, dbRecord, field);
+      const timestamp = db('ASSIGNED_TIMESTAMP');
+      let formattedDate = '';
+      if (timestamp instanceof Date) {
+        formattedDate = `${timestamp.getFullYear()}/${('0' + (timestamp.getMonth() + 1)).slice(-2)}/${('0' + timestamp.getDate()).slice(-2)}`;
       }
+      return {
+        status: 'Used',
+        poQuote: db('PO_SKU_KEY') || 'N/A',
+        bol: db('BOL_NUMBER') || 'N/A',
+        date: formattedDate || 'N/A'
+      };
     }
     return { status: 'Available' };
   } catch (e) {
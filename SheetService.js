@@ -5,6 +5,7 @@
  * 1. 根據欄位名稱 (Header Name) 查找欄位索引 (Column Index)。
  * 2. 獲取數據時，將每行數據轉換為 Key-Value Object 格式 (例如: { 'P/O': '12345', 'QTY': 2 })。
  * 3. 優化讀取性能 (使用 getValues() 一次性讀取)。
+ * 4. 依 Config.STORAGE 為每張 DB 表選擇儲存後端 (Sheets 或文件資料庫，見 DocumentStore.js)，記錄 API 的呼叫方式不變。
  */
 
 /**
@@ -12,7 +13,7 @@
  * @param {string} sheetName - 要獲取的工作表名稱 (從 Config.SHEET_NAMES 獲取)。
  * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: string[]}} - 包含工作表物件和標頭陣列的物件。
  */
-function getSheetAndHeaders(sheetName) {
+function getSheetAndHeaders(sheetName, headerRowIndex = 1) {
   const spreadsheet = SpreadsheetApp.openById(Config.DOCUMENT_ID);
   const sheet = spreadsheet.getSheetByName(sheetName);
 
@@ -21,9 +22,9 @@ function getSheetAndHeaders(sheetName) {
     throw new Error(`SheetService Error: Cannot find sheet named "${sheetName}". Please check Config.js.`);
   }
 
-  // 假設標頭總是在第一行 (Row 1)
+  // 標頭預設在第一行 (Row 1)；Schema 中 headerRow 不同的工作表由呼叫端傳入
   const lastColumn = sheet.getLastColumn();
-  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const headers = sheet.getRange(headerRowIndex, 1, 1, lastColumn).getValues()[0];
 
   return { sheet, headers };
 }
@@ -32,66 +33,91 @@ function getSheetAndHeaders(sheetName) {
  * 從指定工作表中讀取所有資料，並轉換為物件陣列。
  * (解決問題 1：雖然仍在讀取 Sheets，但我們使用更高效的 getValues() 一次性讀取。)
  * @param {string} sheetName - 要讀取的工作表名稱 (e.g., Config.SHEET_NAMES.DEALER_PO_RAW)。
- * @param {number} headerRowIndex - 標頭所在的行數 (預設為 1)。
+ * @param {number} headerRowIndex - 標頭所在的行數 (預設為 Config.SCHEMAS 中的 headerRow，沒有 Schema 時為 1)。
  * @returns {Array<Object>} - 包含每個記錄物件的陣列。
  */
-function readAllRecords(sheetName, headerRowIndex = 1) {
+function readAllRecords(sheetName, headerRowIndex = getDefaultHeaderRow_(sheetName)) {
   try {
-    const { sheet, headers } = getSheetAndHeaders(sheetName);
-    const lastRow = sheet.getLastRow();
-
-    if (lastRow <= headerRowIndex) {
-      Logger.log(`Sheet "${sheetName}" is empty or only contains headers.`);
-      return []; // 如果沒有資料，返回空陣列
-    }
-
-    // 從標頭行下一行開始讀取到最後一行
-    const dataRange = sheet.getRange(headerRowIndex + 1, 1, lastRow - headerRowIndex, headers.length);
-    const values = dataRange.getValues();
-    const records = [];
-
-    // 將二維陣列的每一行 (Row) 轉換為以標頭 (Header) 為鍵的物件 (Object)
-    values.forEach((row, rowIndex) => {
-      const record = {};
-      row.forEach((value, colIndex) => {
-        const header = headers[colIndex];
-        if (header) {
-          // 清除標頭的空格和換行符，確保鍵值一致
-          const cleanHeader = header.trim().replace(/\n/g, ' ').replace(/\r/g, '');
-          record[cleanHeader] = value;
-        }
-      });
-      // 在物件中添加一個隱藏的欄位，用於記錄此行在 Sheet 中的實際行數，
-      // 對於後續的寫入和更新非常重要！
-      record._rowNumber = rowIndex + headerRowIndex + 1;
-      records.push(record);
-    });
-
-    return records;
+    return getStorageBackend(sheetName).readRecords(sheetName, headerRowIndex);
   } catch (e) {
     Logger.log(`Failed to read records from ${sheetName}: ${e.message}`);
     return [];
   }
 }
 
+/**
+ * Sheets 後端的 readAllRecords 實作；錯誤 (例如工作表不存在) 會直接拋出，供查詢層使用。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {number} [headerRowIndex] - 標頭所在的行數 (預設為 Schema 的 headerRow)。
+ * @returns {Array<Object>}
+ */
+function readSheetRecords_(sheetName, headerRowIndex = getDefaultHeaderRow_(sheetName)) {
+  const { sheet, headers } = getSheetAndHeaders(sheetName, headerRowIndex);
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= headerRowIndex) {
+    Logger.log(`Sheet "${sheetName}" is empty or only contains headers.`);
+    return []; // 如果沒有資料，返回空陣列
+  }
+
+  // 從標頭行下一行開始讀取到最後一行
+  const dataRange = sheet.getRange(headerRowIndex + 1, 1, lastRow - headerRowIndex, headers.length);
+  const values = dataRange.getValues();
+  const records = [];
+
+  // 將二維陣列的每一行 (Row) 轉換為以標頭 (Header) 為鍵的物件 (Object)
+  values.forEach((row, rowIndex) => {
+    const record = {};
+    row.forEach((value, colIndex) => {
+      const header = headers[colIndex];
+      if (header) {
+        // 清除標頭的空格和換行符，確保鍵值一致
+        const cleanHeader = String(header).trim().replace(/\n/g, ' ').replace(/\r/g, '');
+        record[cleanHeader] = value;
+      }
+    });
+    // 在物件中添加一個隱藏的欄位，用於記錄此行在 Sheet 中的實際行數，
+    // 對於後續的寫入和更新非常重要！
+    record._rowNumber = rowIndex + headerRowIndex + 1;
+    records.push(record);
+  });
+
+  return records;
+}
+
+/**
+ * 取得工作表的標頭列位置：有 Schema 時使用其 headerRow，否則為第 1 列。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {number}
+ */
+function getDefaultHeaderRow_(sheetName) {
+  const schema = getSheetSchema(sheetName);
+  return schema ? schema.headerRow : 1;
+}
+
 /**
  * 根據特定的鍵和值，在工作表中找到第一個匹配的記錄並返回。
+ * 透過查詢層的索引搜尋，同一次執行內重複查找不會重新讀取工作表。
  * @param {string} sheetName - 工作表名稱。
- * @param {string} keyName - 要搜尋的欄位名稱 (e.g., 'P/O')。
+ * @param {string} keyName - 要搜尋的欄位名稱 (e.g., 'P/O') 或 Schema 欄位代號 (e.g., 'PO_NUMBER')。
  * @param {*} keyValue - 要匹配的欄位值。
  * @returns {Object|null} - 匹配的記錄物件，或 null。
  */
 function findRecordByKey(sheetName, keyName, keyValue) {
-  const records = readAllRecords(sheetName);
-  // 使用 Array.find() 進行記憶體內搜尋，效率優於 Sheets 內的單元格循環。
-  return records.find(record => record[keyName] === keyValue) || null;
+  try {
+    return queryRecords(sheetName).equals(keyName, keyValue).first();
+  } catch (e) {
+    Logger.log(`findRecordByKey Error (${sheetName}): ${e.message}`);
+    return null;
+  }
 }
 
 
 /**
  * 根據記錄的 _rowNumber 更新 Sheets 中的單行資料。
+ * 只會寫入 record 中明確提供的欄位，其餘欄位保留原值。(內部改由 updateRecords 批次處理)
  * @param {string} sheetName - 工作表名稱。
- * @param {Object} record - 包含要更新值的物件，必須包含 _rowNumber。
+ * @param {Object} record - 包含要更新值的物件，必須包含 _rowNumber。鍵可以是欄位名稱或 Schema 欄位代號。
  * @returns {boolean} - 更新是否成功。
  */
 function updateRecord(sheetName, record) {
@@ -101,36 +127,11 @@ function updateRecord(sheetName, record) {
   }
 
   try {
-    const { sheet, headers } = getSheetAndHeaders(sheetName);
-    const rowNumber = record._rowNumber;
-    const valuesToUpdate = [];
-
-    // 依據標頭順序，構建要寫入的單行陣列
-    headers.forEach(header => {
-      const cleanHeader = header.trim().replace(/\n/g, ' ').replace(/\r/g, '');
-
-      // 獲取物件中匹配標頭的值。如果記錄物件中沒有這個鍵，則使用空值或保留原值 (這裡我們選擇更新欄位有提供的資料)
-      // 為了安全起見，這裡應該只更新 record 內明確提供的欄位。
-      // 對於更新，我們必須拉取原行資料，否則沒有提供的欄位會被設為 undefined。
-      // 由於 App Script 沒有內建合併功能，我們使用更安全的 "只寫入提供的資料" 邏輯。
-
-      // 1. 獲取原始行數據
-      const originalRowValues = sheet.getRange(rowNumber, 1, 1, headers.length).getValues()[0];
-      const newRowValues = [...originalRowValues]; // 複製原始值
-
-      // 2. 遍歷標頭，用新值覆蓋舊值
-      headers.forEach((header, index) => {
-        const cleanHeader = header.trim().replace(/\n/g, ' ').replace(/\r/g, '');
-        if (record.hasOwnProperty(cleanHeader)) {
-          newRowValues[index] = record[cleanHeader];
-        }
-      });
-
-      // 3. 寫入單行資料
-      sheet.getRange(rowNumber, 1, 1, headers.length).setValues([newRowValues]);
-    });
-
-    return true;
+    const result = updateRecords(sheetName, [record]);
+    if (!result.success) {
+      Logger.log(`Failed to update record in ${sheetName} at row ${record._rowNumber}: ${result.message}`);
+    }
+    return result.success;
   } catch (e) {
     Logger.log(`Failed to update record in ${sheetName} at row ${record._rowNumber}: ${e.message}`);
     return false;
@@ -139,29 +140,924 @@ function updateRecord(sheetName, record) {
 
 
 /**
- * 將單一記錄 (Key-Value Object) 附加到工作表底部。
+ * 將單一記錄 (Key-Value Object) 附加到工作表底部。(內部改由 appendRecords 批次處理)
  * @param {string} sheetName - 工作表名稱。
  * @param {Object} record - 要寫入的記錄物件 (e.g., { 'P/O': '12345', 'QTY': 2 })。
  * @returns {boolean} - 寫入是否成功。
  */
 function appendRecord(sheetName, record) {
   try {
-    const { sheet, headers } = getSheetAndHeaders(sheetName);
-    const newRowValues = [];
+    const result = appendRecords(sheetName, [record]);
+    if (!result.success) {
+      Logger.log(`Failed to append record to ${sheetName}: ${result.message}`);
+    }
+    return result.success;
+  } catch (e) {
+    Logger.log(`Failed to append record to ${sheetName}: ${e.message}`);
+    return false;
+  }
+}
+
+
+// --- Schema 解析 (Config.SCHEMAS) ---
+
+/**
+ * 每次執行 (Execution) 內的 Schema 解析快取。
+ * Apps Script 每次伺服器呼叫都會重新載入全域變數，因此不需要手動失效。
+ */
+const SCHEMA_CONTEXT_CACHE_ = {};
+
+/**
+ * 取得目前的試算表。在觸發器或 Web App 等沒有作用中試算表的情境下，改用 Config.DOCUMENT_ID 開啟。
+ * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet}
+ */
+function getWorkbook_() {
+  return SpreadsheetApp.getActiveSpreadsheet() || SpreadsheetApp.openById(Config.DOCUMENT_ID);
+}
+
+/**
+ * 標準化標頭文字以便比對 (忽略大小寫、換行與多餘空白)。
+ * @param {*} header - 原始標頭值。
+ * @returns {string}
+ */
+function normalizeHeader_(header) {
+  return String(header === null || header === undefined ? '' : header)
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * 將欄位字母轉換為 1-based 欄位編號 (例如 'AA' -> 27)。
+ * @param {string} letter - 欄位字母。
+ * @returns {number}
+ */
+function columnLetterToIndex(letter) {
+  return String(letter).toUpperCase().split('').reduce((sum, char) => sum * 26 + (char.charCodeAt(0) - 64), 0);
+}
+
+/**
+ * 將 1-based 欄位編號轉換為欄位字母 (例如 27 -> 'AA')。
+ * @param {number} index - 欄位編號。
+ * @returns {string}
+ */
+function columnIndexToLetter(index) {
+  let letter = '';
+  let n = index;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * 取得工作表在 Config.SCHEMAS 中的定義。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {{headerRow: number, columns: Object<string, Object>}|null}
+ */
+function getSheetSchema(sheetName) {
+  return Config.SCHEMAS[sheetName] || null;
+}
 
-    // 依據標頭順序，構建要寫入的單行陣列
+/**
+ * 依據 Schema 將實際標頭列解析為 { 欄位代號: 1-based 欄位編號 }。
+ * 必填欄位 (required) 找不到時直接拋出錯誤，避免工具把資料寫進錯誤的欄位。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {Array<*>} headers - 實際的標頭列。
+ * @returns {Object<string, number>} 欄位代號對應的欄位編號；找不到的選填欄位不會出現在結果中。
+ */
+function resolveSchemaColumns(sheetName, headers) {
+  const schema = getSheetSchema(sheetName);
+  if (!schema) {
+    throw new Error(`SheetService Error: No schema defined for sheet "${sheetName}". Please check Config.SCHEMAS.`);
+  }
+
+  // 同名標頭只取第一個出現的位置
+  const positions = {};
+  headers.forEach((header, index) => {
+    const key = normalizeHeader_(header);
+    if (key && !positions.hasOwnProperty(key)) {
+      positions[key] = index + 1;
+    }
+  });
+
+  const columns = {};
+  const missing = [];
+  Object.keys(schema.columns).forEach(field => {
+    const spec = schema.columns[field];
+    const position = positions[normalizeHeader_(spec.header)];
+    if (position) {
+      columns[field] = position;
+    } else if (spec.required) {
+      missing.push(`"${spec.header}" (expected at ${spec.column})`);
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`SheetService Schema Error: Sheet "${sheetName}" is missing required column(s): ${missing.join(', ')}. Please check the header row or Config.SCHEMAS.`);
+  }
+  return columns;
+}
+
+/**
+ * 取得工作表、標頭以及依 Schema 解析後的欄位位置 (同一次執行內快取)。
+ * @param {string} sheetName - 工作表名稱 (需定義於 Config.SCHEMAS)。
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: Array<*>, headerRow: number, firstDataRow: number, columns: Object<string, number>}}
+ */
+function getSchemaContext(sheetName) {
+  if (SCHEMA_CONTEXT_CACHE_[sheetName]) {
+    return SCHEMA_CONTEXT_CACHE_[sheetName];
+  }
+
+  const schema = getSheetSchema(sheetName);
+  if (!schema) {
+    throw new Error(`SheetService Error: No schema defined for sheet "${sheetName}". Please check Config.SCHEMAS.`);
+  }
+  assertSheetsBackend_(sheetName);
+
+  const sheet = getWorkbook_().getSheetByName(sheetName);
+  if (!sheet) {
+    throw new Error(`SheetService Error: Cannot find sheet named "${sheetName}". Please check Config.js.`);
+  }
+
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0 ? sheet.getRange(schema.headerRow, 1, 1, lastColumn).getValues()[0] : [];
+  const context = {
+    sheet,
+    headers,
+    headerRow: schema.headerRow,
+    firstDataRow: schema.headerRow + 1,
+    columns: resolveSchemaColumns(sheetName, headers)
+  };
+
+  SCHEMA_CONTEXT_CACHE_[sheetName] = context;
+  return context;
+}
+
+/**
+ * 同一次執行內以程式修改了標頭列 (例如 Warehouses.js 新增 Allocations 欄) 時，清除該表的 Schema 解析與查詢快取。
+ * @param {string} sheetName - 工作表名稱。
+ */
+function invalidateSchemaContext_(sheetName) {
+  delete SCHEMA_CONTEXT_CACHE_[sheetName];
+  invalidateRecordCache(sheetName);
+}
+
+/**
+ * 一次性讀取工作表所有資料列 (標頭列之後)，並附上欄位位置。
+ * 使用方式：row[columns.PO_NUMBER - 1]、sheet.getRange(firstDataRow + i, columns.STATUS)。
+ * @param {string} sheetName - 工作表名稱 (需定義於 Config.SCHEMAS)。
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: Array<*>, headerRow: number, firstDataRow: number, columns: Object<string, number>, values: Array<Array<*>>}}
+ */
+function readTable(sheetName) {
+  const context = getSchemaContext(sheetName);
+  const { sheet, firstDataRow } = context;
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+
+  const values = (lastRow >= firstDataRow && lastColumn > 0)
+    ? sheet.getRange(firstDataRow, 1, lastRow - firstDataRow + 1, lastColumn).getValues()
+    : [];
+
+  return Object.assign({}, context, { values });
+}
+
+/**
+ * 取得 Schema 中標記為 ARRAYFORMULA 的欄位編號 (僅包含實際存在於工作表中的欄位)。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {number[]} 1-based 欄位編號。
+ */
+function getArrayFormulaColumns(sheetName) {
+  const schema = getSheetSchema(sheetName);
+  const { columns } = getSchemaContext(sheetName);
+  return Object.keys(schema.columns)
+    .filter(field => schema.columns[field].arrayFormula && columns[field])
+    .map(field => columns[field]);
+}
+
+
+// --- 儲存後端 (Storage Backend) ---
+
+/**
+ * 儲存後端介面。readAllRecords / queryRecords / updateRecords / appendRecords / deleteRecords
+ * 依 Config.STORAGE 為每張表選擇後端，工具不需要知道資料實際存放在哪裡。
+ * 記錄一律以「清理後的標頭文字」為鍵，並帶有 _rowNumber (文件資料庫後端另有 _id)。
+ *
+ * @typedef {Object} StorageBackend
+ * @property {string} name - 'sheets' | 'firestore' | 'memory'。
+ * @property {function(string, number=): Array<Object>} readRecords - 讀取所有記錄。
+ * @property {function(string): Array<string>} getHeaders - 記錄上可用的欄位名稱。
+ * @property {function(string, Array<Object>): Object} updateRecords - 批次更新 (不需處理鎖與快取)。
+ * @property {function(string, Array<Object>): Object} appendRecords - 批次新增。
+ * @property {function(string, Array<Object>): Object} deleteRecords - 批次刪除。
+ */
+
+/** 直接讀寫工作表的後端 (預設)。 */
+const SHEETS_STORAGE_BACKEND_ = {
+  name: 'sheets',
+  readRecords: readSheetRecords_,
+  getHeaders: sheetName => getSheetAndHeaders(sheetName, getDefaultHeaderRow_(sheetName)).headers,
+  updateRecords: updateSheetRecords_,
+  appendRecords: appendSheetRecords_,
+  deleteRecords: deleteSheetRecords_
+};
+
+/**
+ * 取得工作表在 Config.STORAGE 中設定的後端名稱；沒有設定的工作表一律為 'sheets'。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {string}
+ */
+function getStorageBackendName_(sheetName) {
+  const storage = Config.STORAGE[sheetName];
+  return storage && storage.backend ? storage.backend : 'sheets';
+}
+
+/**
+ * 取得工作表的儲存後端。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {StorageBackend}
+ */
+function getStorageBackend(sheetName) {
+  const name = getStorageBackendName_(sheetName);
+  if (name === 'sheets') return SHEETS_STORAGE_BACKEND_;
+  return getDocumentStoreBackend(name);
+}
+
+/**
+ * 直接以 Range 讀寫 (getSchemaContext / readTable) 只適用於存放在工作表中的資料。
+ * 已切換到文件資料庫的表若還被以 Range 存取，直接拋出錯誤，避免讀到搬移前留下的舊資料。
+ * @param {string} sheetName - 工作表名稱。
+ */
+function assertSheetsBackend_(sheetName) {
+  const name = getStorageBackendName_(sheetName);
+  if (name !== 'sheets') {
+    throw new Error(`SheetService Error: "${sheetName}" is stored in the '${name}' backend. Use readAllRecords / queryRecords / updateRecords instead of direct range access.`);
+  }
+}
+
+
+// --- 批次寫入 (LockService + 單次 getValues/setValues) ---
+
+/** 等待 Script Lock 的最長時間 (毫秒)。 */
+const SHEET_LOCK_TIMEOUT_MS = 30000;
+
+/** 目前執行中持有 Script Lock 的巢狀深度，讓 runWithSheetLock 可以重入。 */
+let sheetLockDepth_ = 0;
+
+/**
+ * 在 Script Lock 保護下執行 callback，避免多位使用者同時寫入同一張表造成資料錯位。
+ * 可巢狀呼叫：已持有鎖時直接執行 callback，因此工具可以把「刪除 + 新增」包成一個原子操作。
+ * 釋放鎖之前會先 SpreadsheetApp.flush()，確保下一位取得鎖的執行看到的是最新資料。
+ * @param {function(): *} callback - 要在鎖內執行的函數。
+ * @returns {*} callback 的回傳值。
+ */
+function runWithSheetLock(callback) {
+  if (sheetLockDepth_ > 0) {
+    return callback();
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(SHEET_LOCK_TIMEOUT_MS)) {
+    throw new Error('SheetService Lock Error: The sheet is busy with another update. Please try again in a moment.');
+  }
+
+  sheetLockDepth_++;
+  try {
+    return callback();
+  } finally {
+    sheetLockDepth_--;
+    SpreadsheetApp.flush();
+    lock.releaseLock();
+  }
+}
+
+/**
+ * 取得寫入所需的工作表資訊。有 Schema 的工作表使用 getSchemaContext；
+ * 沒有 Schema 的工作表退回 getSheetAndHeaders (標頭在第 1 列、沒有欄位代號)。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: Array<*>, firstDataRow: number, columns: Object<string, number>}}
+ */
+function getWriteContext_(sheetName) {
+  if (getSheetSchema(sheetName)) {
+    return getSchemaContext(sheetName);
+  }
+  const { sheet, headers } = getSheetAndHeaders(sheetName);
+  return { sheet, headers, headerRow: 1, firstDataRow: 2, columns: {} };
+}
+
+/**
+ * 依 Schema 欄位型別轉換寫入值。空值一律寫成空字串；無法轉換時拋出錯誤，由呼叫端記錄在該筆結果中。
+ * @param {*} value - 原始值。
+ * @param {string} [type] - 'string' | 'number' | 'date' | 'boolean'。
+ * @returns {*} 轉換後的值。
+ */
+function coerceSchemaValue_(value, type) {
+  if (value === null || value === undefined || value === '') return '';
+
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return value;
+      const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+      if (isNaN(number)) throw new Error(`"${value}" is not a valid number`);
+      return number;
+    }
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) throw new Error(`"${value}" is not a valid date`);
+      return date;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (text === 'true') return true;
+      if (text === 'false') return false;
+      throw new Error(`"${value}" is not a valid boolean`);
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * 建立「記錄鍵 -> 欄位」的解析器。鍵可以是 Schema 欄位代號 (e.g., 'PO_SKU_KEY') 或標頭文字 (e.g., 'Helper Key')。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {{headers: Array<*>, columns: Object<string, number>}} context - getWriteContext_ 的結果。
+ * @returns {function(string): ({column: number, type: (string|undefined), arrayFormula: boolean}|null)}
+ */
+function createColumnResolver_(sheetName, context) {
+  const schema = getSheetSchema(sheetName);
+  const specByColumn = {};
+  if (schema) {
+    Object.keys(context.columns).forEach(field => {
+      specByColumn[context.columns[field]] = schema.columns[field];
+    });
+  }
+
+  const headerPositions = {};
+  context.headers.forEach((header, index) => {
+    const key = normalizeHeader_(header);
+    if (key && !headerPositions.hasOwnProperty(key)) {
+      headerPositions[key] = index + 1;
+    }
+  });
+
+  return key => {
+    const column = context.columns[key] || headerPositions[normalizeHeader_(key)];
+    if (!column) return null;
+    const spec = specByColumn[column] || {};
+    return { column, type: spec.type, arrayFormula: !!spec.arrayFormula };
+  };
+}
+
+/**
+ * 將一筆記錄的值套用到列陣列上 (就地修改)。
+ * @param {Array<*>} row - 目標列 (0-based 陣列)。
+ * @param {Object} record - 記錄物件；以 '_' 開頭的鍵 (如 _rowNumber) 會被忽略。
+ * @param {function(string): Object} resolveColumn - createColumnResolver_ 的結果。
+ * @returns {number[]} 本次寫入的 1-based 欄位編號。
+ */
+function applyRecordToRow_(row, record, resolveColumn) {
+  const keys = Object.keys(record).filter(key => key.charAt(0) !== '_');
+  const unknown = keys.filter(key => !resolveColumn(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column(s): ${unknown.join(', ')}`);
+  }
+
+  return keys.map(key => {
+    const target = resolveColumn(key);
+    if (target.arrayFormula) {
+      throw new Error(`Column "${key}" is generated by ARRAYFORMULA and cannot be written`);
+    }
+    row[target.column - 1] = coerceSchemaValue_(record[key], target.type);
+    return target.column;
+  });
+}
+
+/**
+ * 將一個資料區塊寫回工作表，跳過 ARRAYFORMULA 欄位 (寫入靜態值會讓標頭列的公式出現 #REF!)。
+ * 沒有 ARRAYFORMULA 欄位時就是一次 setValues。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - 工作表。
+ * @param {number} startRow - 區塊起始列 (1-based)。
+ * @param {Array<Array<*>>} rows - 區塊資料，每列長度需相同。
+ * @param {number[]} skipColumns - 不可寫入的 1-based 欄位編號。
+ */
+function writeBlockSkippingColumns_(sheet, startRow, rows, skipColumns) {
+  if (rows.length === 0) return;
+  const width = rows[0].length;
+  let segmentStart = null;
+
+  for (let column = 1; column <= width + 1; column++) {
+    const writable = column <= width && skipColumns.indexOf(column) === -1;
+    if (writable && segmentStart === null) {
+      segmentStart = column;
+    } else if (!writable && segmentStart !== null) {
+      const segment = rows.map(row => row.slice(segmentStart - 1, column - 1));
+      sheet.getRange(startRow, segmentStart, rows.length, column - segmentStart).setValues(segment);
+      segmentStart = null;
+    }
+  }
+}
+
+/**
+ * 讀取一段資料列，並把「有公式的儲存格」換成公式字串，整段寫回時才不會把公式蓋成靜態值。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - 工作表。
+ * @param {number} startRow - 起始列 (1-based)。
+ * @param {number} numRows - 列數。
+ * @param {number} width - 欄數。
+ * @returns {Array<Array<*>>}
+ */
+function readBlockPreservingFormulas_(sheet, startRow, numRows, width) {
+  const range = sheet.getRange(startRow, 1, numRows, width);
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  return values.map((row, r) => row.map((value, c) => formulas[r][c] || value));
+}
+
+/**
+ * 批次更新多筆記錄，在 Script Lock 內執行，寫入後清除該表的查詢快取。
+ * 每筆記錄必須包含 _rowNumber (文件資料庫後端亦可用 _id)；只會寫入記錄中提供的欄位。
+ * 單筆失敗 (欄位不存在、型別錯誤、列號超出範圍) 不會影響其他記錄，結果會逐筆列在 results 中。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {Array<Object>} records - 要更新的記錄。鍵可以是欄位名稱或 Schema 欄位代號。
+ * @returns {{success: boolean, message: string, results: Array<{index: number, rowNumber: number, success: boolean, message: string}>}}
+ */
+function updateRecords(sheetName, records) {
+  return runBackendWrite_(sheetName, backend => backend.updateRecords(sheetName, records));
+}
+
+/**
+ * 批次新增多筆記錄，在 Script Lock 內執行。
+ * 無效的記錄會被略過 (不佔列)，成功的記錄會在結果中回傳實際寫入的列號 (文件資料庫後端為序號)。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {Array<Object>} records - 要新增的記錄。鍵可以是欄位名稱或 Schema 欄位代號。
+ * @returns {{success: boolean, message: string, results: Array<{index: number, rowNumber: (number|null), success: boolean, message: string}>}}
+ */
+function appendRecords(sheetName, records) {
+  return runBackendWrite_(sheetName, backend => backend.appendRecords(sheetName, records));
+}
+
+/**
+ * 批次刪除多筆記錄，在 Script Lock 內執行。
+ * 記錄中除了 _rowNumber 以外的欄位會與目前的值比對，不一致 (例如該列已被其他人移動或刪除) 時該筆不刪除並回報失敗。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {Array<Object>} records - 要刪除的記錄，必須包含 _rowNumber (e.g., { _rowNumber: 12, PO_SKU_KEY: 'PO123|SKU1' })。
+ * @returns {{success: boolean, message: string, results: Array<{index: number, rowNumber: number, success: boolean, message: string}>}}
+ */
+function deleteRecords(sheetName, records) {
+  return runBackendWrite_(sheetName, backend => backend.deleteRecords(sheetName, records));
+}
+
+/**
+ * 在 Script Lock 內對工作表的儲存後端執行寫入，完成後清除該表的查詢快取。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {function(Object): Object} write - 接收後端物件並回傳批次結果。
+ * @returns {{success: boolean, message: string, results: Array<Object>}}
+ */
+function runBackendWrite_(sheetName, write) {
+  return runWithSheetLock(() => {
+    try {
+      return write(getStorageBackend(sheetName));
+    } finally {
+      invalidateRecordCache(sheetName);
+    }
+  });
+}
+
+/**
+ * Sheets 後端的 updateRecords：所有目標列以一次 getValues 讀入、一次 setValues 寫回。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {Array<Object>} records - 要更新的記錄，必須包含 _rowNumber。
+ * @returns {{success: boolean, message: string, results: Array<Object>}}
+ */
+function updateSheetRecords_(sheetName, records) {
+  const context = getWriteContext_(sheetName);
+  const { sheet, firstDataRow } = context;
+  const lastRow = sheet.getLastRow();
+  const width = sheet.getLastColumn();
+  const resolveColumn = createColumnResolver_(sheetName, context);
+
+  const results = records.map((record, index) => {
+    const rowNumber = Number(record._rowNumber);
+    if (!rowNumber || rowNumber < firstDataRow || rowNumber > lastRow) {
+      return { index, rowNumber, success: false, message: `Invalid _rowNumber "${record._rowNumber}".` };
+    }
+    return { index, rowNumber, success: true, message: 'Updated.' };
+  });
+
+  const validRows = results.filter(result => result.success).map(result => result.rowNumber);
+  if (validRows.length > 0) {
+    const startRow = Math.min.apply(null, validRows);
+    const endRow = Math.max.apply(null, validRows);
+    const block = readBlockPreservingFormulas_(sheet, startRow, endRow - startRow + 1, width);
+
+    results.forEach(result => {
+      if (!result.success) return;
+      const row = block[result.rowNumber - startRow];
+      const draft = row.slice();
+      try {
+        applyRecordToRow_(draft, records[result.index], resolveColumn);
+        draft.forEach((value, i) => { row[i] = value; });
+      } catch (e) {
+        result.success = false;
+        result.message = e.message;
+      }
+    });
+
+    if (results.some(result => result.success)) {
+      writeBlockSkippingColumns_(sheet, startRow, block, getArrayFormulaColumnsSafe_(sheetName));
+    }
+  }
+
+  return summarizeBatchResults_('updated', results);
+}
+
+/**
+ * Sheets 後端的 appendRecords：新增到工作表底部，一次 setValues 寫入。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {Array<Object>} records - 要新增的記錄。
+ * @returns {{success: boolean, message: string, results: Array<Object>}}
+ */
+function appendSheetRecords_(sheetName, records) {
+  const context = getWriteContext_(sheetName);
+  const { sheet, firstDataRow } = context;
+  const width = Math.max(sheet.getLastColumn(), context.headers.length);
+  const resolveColumn = createColumnResolver_(sheetName, context);
+  const startRow = Math.max(sheet.getLastRow() + 1, firstDataRow);
+
+  const newRows = [];
+  const results = records.map((record, index) => {
+    const row = new Array(width).fill('');
+    try {
+      applyRecordToRow_(row, record, resolveColumn);
+    } catch (e) {
+      return { index, rowNumber: null, success: false, message: e.message };
+    }
+    newRows.push(row);
+    return { index, rowNumber: startRow + newRows.length - 1, success: true, message: 'Appended.' };
+  });
+
+  if (newRows.length > 0) {
+    const requiredRows = startRow + newRows.length - 1;
+    if (sheet.getMaxRows() < requiredRows) {
+      sheet.insertRowsAfter(sheet.getMaxRows(), requiredRows - sheet.getMaxRows());
+    }
+    writeBlockSkippingColumns_(sheet, startRow, newRows, getArrayFormulaColumnsSafe_(sheetName));
+  }
+
+  return summarizeBatchResults_('appended', results);
+}
+
+/**
+ * Sheets 後端的 deleteRecords：以一次 getValues 讀取涉及的列並驗證，
+ * 再把相鄰的列合併成一次 deleteRows，由下往上刪除，避免列號位移。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {Array<Object>} records - 要刪除的記錄，必須包含 _rowNumber。
+ * @returns {{success: boolean, message: string, results: Array<Object>}}
+ */
+function deleteSheetRecords_(sheetName, records) {
+  const context = getWriteContext_(sheetName);
+  const { sheet, firstDataRow } = context;
+  const lastRow = sheet.getLastRow();
+  const width = sheet.getLastColumn();
+  const resolveColumn = createColumnResolver_(sheetName, context);
+
+  const results = records.map((record, index) => {
+    const rowNumber = Number(record._rowNumber);
+    if (!rowNumber || rowNumber < firstDataRow || rowNumber > lastRow) {
+      return { index, rowNumber, success: false, message: `Invalid _rowNumber "${record._rowNumber}".` };
+    }
+    return { index, rowNumber, success: true, message: 'Deleted.' };
+  });
+
+  const candidateRows = results.filter(result => result.success).map(result => result.rowNumber);
+  if (candidateRows.length === 0) {
+    return summarizeBatchResults_('deleted', results);
+  }
+
+  const startRow = Math.min.apply(null, candidateRows);
+  const endRow = Math.max.apply(null, candidateRows);
+  const block = sheet.getRange(startRow, 1, endRow - startRow + 1, width).getValues();
+
+  const rowsToDelete = new Set();
+  results.forEach(result => {
+    if (!result.success) return;
+    const current = block[result.rowNumber - startRow];
+    const expected = current.slice();
+    try {
+      applyRecordToRow_(expected, records[result.index], resolveColumn);
+    } catch (e) {
+      result.success = false;
+      result.message = e.message;
+      return;
+    }
+    const changed = expected.some((value, i) => String(value) !== String(current[i]));
+    if (changed) {
+      result.success = false;
+      result.message = `Row ${result.rowNumber} no longer matches the expected values.`;
+      return;
+    }
+    rowsToDelete.add(result.rowNumber);
+  });
+
+  // 由下往上，把連續的列合併成一次 deleteRows
+  const sortedRows = Array.from(rowsToDelete).sort((a, b) => b - a);
+  let i = 0;
+  while (i < sortedRows.length) {
+    let runStart = sortedRows[i];
+    let runLength = 1;
+    while (i + runLength < sortedRows.length && sortedRows[i + runLength] === runStart - 1) {
+      runStart--;
+      runLength++;
+    }
+    sheet.deleteRows(runStart, runLength);
+    i += runLength;
+  }
+
+  return summarizeBatchResults_('deleted', results);
+}
+
+/**
+ * 取得 ARRAYFORMULA 欄位；沒有 Schema 的工作表回傳空陣列。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {number[]}
+ */
+function getArrayFormulaColumnsSafe_(sheetName) {
+  return getSheetSchema(sheetName) ? getArrayFormulaColumns(sheetName) : [];
+}
+
+/**
+ * 彙整批次操作結果為統一的 { success, message, results } 格式。
+ * @param {string} verb - 動詞 (e.g., 'updated')，用於訊息。
+ * @param {Array<{success: boolean, message: string}>} results - 逐筆結果。
+ * @returns {{success: boolean, message: string, results: Array<Object>}}
+ */
+function summarizeBatchResults_(verb, results) {
+  const failed = results.filter(result => !result.success);
+  const message = failed.length === 0
+    ? `${results.length} record(s) ${verb}.`
+    : `${results.length - failed.length} of ${results.length} record(s) ${verb}; ${failed.length} failed: ${failed.map(result => `#${result.index} ${result.message}`).join('; ')}`;
+  return { success: failed.length === 0, message, results };
+}
+
+
+// --- 查詢與索引 (queryRecords) ---
+
+/**
+ * 每次執行內的記錄快取：{ sheetName: { records, recordKeys, indexes } }。
+ * 經由 updateRecords / appendRecords / deleteRecords 寫入時會自動失效；
+ * 直接以 Range 寫入的工具若在同一次執行內還要再查詢，需自行呼叫 invalidateRecordCache()。
+ */
+const RECORD_CACHE_ = {};
+
+/**
+ * 取得 (或建立) 工作表的記錄快取。
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {{records: Array<Object>, recordKeys: Object<string, string>, indexes: Object<string, Map<string, Array<Object>>>}}
+ */
+function getRecordCache_(sheetName) {
+  if (!RECORD_CACHE_[sheetName]) {
+    const backend = getStorageBackend(sheetName);
+    const records = backend.readRecords(sheetName);
+    const headers = backend.getHeaders(sheetName);
+    const recordKeys = {};
     headers.forEach(header => {
-      const cleanHeader = header.trim().replace(/\n/g, ' ').replace(/\r/g, '');
-      // 根據標頭名稱查找 record 物件中對應的值
-      newRowValues.push(record.hasOwnProperty(cleanHeader) ? record[cleanHeader] : '');
+      const key = normalizeHeader_(header);
+      if (key && !recordKeys.hasOwnProperty(key)) {
+        recordKeys[key] = String(header).trim().replace(/\n/g, ' ').replace(/\r/g, '');
+      }
     });
+    RECORD_CACHE_[sheetName] = { records, recordKeys, indexes: {} };
+  }
+  return RECORD_CACHE_[sheetName];
+}
 
-    sheet.appendRow(newRowValues);
-    return true;
-  } catch (e) {
-    Logger.log(`Failed to append record to ${sheetName}: ${e.message}`);
-    return false;
+/**
+ * 清除工作表的記錄快取與索引。不傳入名稱時清除全部。
+ * @param {string} [sheetName] - 工作表名稱。
+ */
+function invalidateRecordCache(sheetName) {
+  if (sheetName) {
+    delete RECORD_CACHE_[sheetName];
+    return;
+  }
+  Object.keys(RECORD_CACHE_).forEach(name => delete RECORD_CACHE_[name]);
+}
+
+/**
+ * 將欄位名稱或 Schema 欄位代號解析為記錄物件上的鍵 (清理後的標頭文字)。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {string} field - 欄位名稱 (e.g., 'Helper Key') 或 Schema 欄位代號 (e.g., 'PO_SKU_KEY')。
+ * @returns {string}
+ */
+function resolveRecordKey_(sheetName, field) {
+  const cache = getRecordCache_(sheetName);
+  const schema = getSheetSchema(sheetName);
+  const header = schema && schema.columns[field] ? schema.columns[field].header : field;
+  const key = cache.recordKeys[normalizeHeader_(header)];
+  if (!key) {
+    throw new Error(`SheetService Query Error: Unknown column "${field}" in sheet "${sheetName}".`);
   }
+  return key;
+}
+
+/**
+ * 以欄位名稱或 Schema 欄位代號讀取記錄中的值。
+ * @param {string} sheetName - 記錄所屬的工作表名稱。
+ * @param {Object} record - queryRecords / readAllRecords 回傳的記錄。
+ * @param {string} field - 欄位名稱或 Schema 欄位代號。
+ * @returns {*}
+ */
+function getRecordValue(sheetName, record, field) {
+  return record[resolveRecordKey_(sheetName, field)];
+}
+
+/**
+ * 工作表 (或文件資料庫的集合) 是否有這個欄位。讀取選填欄位前先確認，getRecordValue 對不存在的欄位會拋出錯誤。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {string} field - 欄位名稱或 Schema 欄位代號。
+ * @returns {boolean}
+ */
+function hasRecordField(sheetName, field) {
+  const schema = getSheetSchema(sheetName);
+  const header = schema && schema.columns[field] ? schema.columns[field].header : field;
+  return !!getRecordCache_(sheetName).recordKeys[normalizeHeader_(header)];
+}
+
+/**
+ * 索引與比對用的鍵值：日期轉為時間戳，其餘轉為去除前後空白的字串 (因此 12345 與 '12345' 視為相同)。
+ * @param {*} value
+ * @returns {string}
+ */
+function toIndexKey_(value) {
+  if (value instanceof Date) return String(value.getTime());
+  return String(value === null || value === undefined ? '' : value).trim();
+}
+
+/**
+ * 範圍比對用的值：日期轉為時間戳，可解析的數字字串轉為數字，其餘維持字串。
+ * @param {*} value
+ * @returns {number|string}
+ */
+function toComparable_(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  return text !== '' && !isNaN(Number(text)) ? Number(text) : text;
+}
+
+/**
+ * 取得 (或建立) 指定欄位的索引：Map<鍵值, 記錄陣列 (依列號排序)>。
+ * 僅對主鍵欄位 (Config.PRIMARY_KEYS：P/O、Helper Key、Serial #、BOL #) 建立，其餘欄位以掃描比對。
+ * @param {string} sheetName - 工作表名稱。
+ * @param {string} field - 欄位名稱或 Schema 欄位代號。
+ * @returns {Map<string, Array<Object>>|null} 非索引欄位回傳 null。
+ */
+function getRecordIndex_(sheetName, field) {
+  const schema = getSheetSchema(sheetName);
+  const recordKey = resolveRecordKey_(sheetName, field);
+  const primaryHeaders = Object.keys(Config.PRIMARY_KEYS).map(name =>
+    schema && schema.columns[name] ? schema.columns[name].header : Config.PRIMARY_KEYS[name]
+  );
+  if (!primaryHeaders.some(header => normalizeHeader_(header) === normalizeHeader_(recordKey))) return null;
+
+  const cache = getRecordCache_(sheetName);
+  if (!cache.indexes[recordKey]) {
+    const index = new Map();
+    cache.records.forEach(record => {
+      const key = toIndexKey_(record[recordKey]);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(record);
+    });
+    cache.indexes[recordKey] = index;
+  }
+  return cache.indexes[recordKey];
+}
+
+/**
+ * 建立工作表查詢。條件可串接，全部條件皆成立的記錄才會回傳 (AND)。
+ * 主鍵欄位上的 equals / in 會使用同一次執行內共用的索引，其餘條件在記憶體中比對。
+ *
+ * 範例：
+ *   queryRecords(Config.SHEET_NAMES.BOL_DB).equals('PO_SKU_KEY', key).all();
+ *   queryRecords(Config.SHEET_NAMES.SERIAL_DB).in('SERIAL_NUMBER', serials).groupBy('BOL_NUMBER');
+ *   queryRecords(Config.SHEET_NAMES.DEALER_PO_RAW).range('TIMESTAMP', startDate, null).first();
+ *
+ * @param {string} sheetName - 工作表名稱。
+ * @returns {Object} 查詢物件，提供 where / equals / in / range / all / first / count / groupBy。
+ */
+function queryRecords(sheetName) {
+  const filters = [];
+
+  const addFilter = (field, test, indexValues) => {
+    filters.push({ field, test, indexValues });
+    return api;
+  };
+
+  const run = () => {
+    const cache = getRecordCache_(sheetName);
+    const resolved = filters.map(filter => Object.assign({}, filter, {
+      recordKey: filter.field ? resolveRecordKey_(sheetName, filter.field) : null
+    }));
+
+    // 以第一個可使用索引的條件縮小候選範圍
+    let candidates = cache.records;
+    for (const filter of resolved) {
+      if (!filter.indexValues) continue;
+      const index = getRecordIndex_(sheetName, filter.field);
+      if (!index) continue;
+      const matched = [];
+      new Set(filter.indexValues.map(toIndexKey_)).forEach(key => {
+        (index.get(key) || []).forEach(record => matched.push(record));
+      });
+      candidates = matched.sort((a, b) => a._rowNumber - b._rowNumber);
+      break;
+    }
+
+    return candidates.filter(record => resolved.every(filter =>
+      filter.recordKey ? filter.test(record[filter.recordKey], record) : filter.test(record)
+    ));
+  };
+
+  const api = {
+    /**
+     * 通用條件。where(fn) 以整筆記錄判斷；where(field, op, value) 支援 '=', '!=', '>', '>=', '<', '<=', 'in', 'range'；
+     * where(field, fn) 以欄位值判斷。
+     */
+    where(field, operator, value) {
+      if (typeof field === 'function') return addFilter(null, field);
+      if (typeof operator === 'function') return addFilter(field, operator);
+
+      switch (operator) {
+        case '=': return api.equals(field, value);
+        case '!=': return addFilter(field, v => toIndexKey_(v) !== toIndexKey_(value));
+        case '>': return addFilter(field, v => toComparable_(v) > toComparable_(value));
+        case '>=': return api.range(field, value, null);
+        case '<': return addFilter(field, v => toComparable_(v) < toComparable_(value));
+        case '<=': return api.range(field, null, value);
+        case 'in': return api.in(field, value);
+        case 'range': return api.range(field, value[0], value[1]);
+        default:
+          throw new Error(`SheetService Query Error: Unsupported operator "${operator}".`);
+      }
+    },
+
+    /** 欄位值等於 value (以字串比對，日期以時間戳比對)。 */
+    equals(field, value) {
+      const key = toIndexKey_(value);
+      return addFilter(field, v => toIndexKey_(v) === key, [value]);
+    },
+
+    /** 欄位值為 values 其中之一。 */
+    in(field, values) {
+      const keys = new Set((values || []).map(toIndexKey_));
+      return addFilter(field, v => keys.has(toIndexKey_(v)), values || []);
+    },
+
+    /** 欄位值介於 min 與 max 之間 (含端點)；傳入 null 表示該端不設限。空白儲存格不會被選中。 */
+    range(field, min, max) {
+      return addFilter(field, v => {
+        if (v === '' || v === null || v === undefined) return false;
+        const comparable = toComparable_(v);
+        if (min !== null && min !== undefined && comparable < toComparable_(min)) return false;
+        if (max !== null && max !== undefined && comparable > toComparable_(max)) return false;
+        return true;
+      });
+    },
+
+    /** @returns {Array<Object>} 所有符合的記錄 (依列號排序)。 */
+    all() {
+      return run();
+    },
+
+    /** @returns {Object|null} 第一筆符合的記錄。 */
+    first() {
+      return run()[0] || null;
+    },
+
+    /** @returns {number} 符合的筆數。 */
+    count() {
+      return run().length;
+    },
+
+    /**
+     * 依欄位值分組。
+     * @param {string} field - 欄位名稱或 Schema 欄位代號。
+     * @returns {Object<string, Array<Object>>} { 欄位值: 記錄陣列 }
+     */
+    groupBy(field) {
+      const recordKey = resolveRecordKey_(sheetName, field);
+      return run().reduce((groups, record) => {
+        const key = toIndexKey_(record[recordKey]);
+        (groups[key] = groups[key] || []).push(record);
+        return groups;
+      }, {});
+    }
+  };
+
+  return api;
 }
 
 
@@ -190,7 +1086,7 @@ function demoSheetServiceUsage() {
     const updateData = {
       _rowNumber: targetRecord._rowNumber, // 必須包含這個內部鍵
       'P/O - Total': 9999.00, // 使用欄位名稱
-      'Note': 'Updated by SheetService demo at ' + new Date().toISOString() // 使用欄位名稱
+      'Change Note': 'Updated by SheetService demo at ' + new Date().toISOString() // 使用欄位名稱
     };
 
     Logger.log('[Demo] 3. Attempting to update record...');
@@ -8,6 +8,8 @@
 
 * [VERSION 2.1 - Corrected column ranges after address split]
 
+* [VERSION 2.2 - Per-warehouse allocations from the 'Warehouses' sheet (Warehouses.js)]
+
 */
 
 
@@ -42,7 +44,9 @@ SpreadsheetApp.getUi().showSidebar(html);
 
 * [CORRECTED] Fetches data for planning, filtering by non-empty SKU and including existing plan details.
 
-* @returns {object} An object containing the list of pending items and their details.
+* @returns {object} An object containing the list of pending items, their details (with estShipDate / allocations of an
+
+* existing plan) and the active warehouses ({code, name, address}) to allocate from.
 
 */
 
@@ -54,41 +58,39 @@ const ss = SpreadsheetApp.getActiveSpreadsheet();
 
 const orderSheet = ss.getSheetByName(ORDER_SHEET_NAME);
 
-const planningSheet = ss.getSheetByName(PLANNING_SHEET_NAME1);
-
 
 
-if (!orderSheet || !planningSheet) {
+if (!orderSheet) {
 
-throw new Error("Required sheets ('Order Shipping Mgt. Table' or 'Shipment_Planning_DB') not found.");
+throw new Error("Required sheet 'Order Shipping Mgt. Table' not found.");
 
 }
 
 
 
-// Step 1: Get all data from the planning sheet to find fulfilled items and existing plans.
+// Step 1: Get all planning records (record API, so the planning DB may live in the document store) to find fulfilled items and existing plans.
 
-const planningLastRow = planningSheet.getLastRow();
+const planningRecords = queryRecords(PLANNING_SHEET_NAME1).all();
+
+const warehouses = readWarehouses_().filter(w => w.active).map(w => ({ code: w.code, name: w.name, address: w.address }));
 
 const fulfilledKeys = new Set();
 
 const existingPlanDetails = {};
 
-if (planningLastRow >= 2) {
-
-const planningData = planningSheet.getRange('C2:G' + planningLastRow).getValues();
+if (planningRecords.length > 0) {
 
-planningData.forEach(row => {
+planningRecords.forEach(record => {
 
-const key = row[0];
+const plan = field => getRecordValue(PLANNING_SHEET_NAME1, record, field);
 
-const estShipDate = row[1];
+const key = normalizePoSkuKey(plan('PO_SKU_KEY'));
 
-const qtyE = row[2];
+const estShipDate = plan('EST_SHIP_DATE');
 
-const qtyW = row[3];
+const allocations = readPlanningAllocations_(PLANNING_SHEET_NAME1, record);
 
-const status = row[4];
+const status = plan('STATUS');
 
 if (key) {
 
@@ -102,9 +104,7 @@ existingPlanDetails[key] = {
 
 estShipDate: estShipDate instanceof Date ? Utilities.formatDate(estShipDate, Session.getScriptTimeZone(), "yyyy-MM-dd") : '',
 
-qtyE: qtyE,
-
-qtyW: qtyW
+allocations: allocations
 
 };
 
@@ -118,18 +118,20 @@ qtyW: qtyW
 
 // Step 2: Get total required quantities from the order sheet, filtering by SKU.
 
-const lastRow = orderSheet.getLastRow();
+const orderTable = readTable(ORDER_SHEET_NAME);
 
-if (lastRow < 3) {
+const ORDER_COL = orderTable.columns;
 
-return { success: true, pendingList: [], itemDetails: {} };
+if (orderTable.values.length === 0) {
+
+return { success: true, pendingList: [], itemDetails: {}, warehouses: warehouses };
 
 }
 
 
-// --- ⭐ 修正點 1: 將讀取範圍擴大至 J3，以包含 Model Name ---
+// --- ⭐ 修正點 1: 欄位依標頭名稱解析 (Config.SCHEMAS)，包含 Model Name ---
 
-const fullOrderData = orderSheet.getRange('J3:U' + lastRow).getValues();
+const fullOrderData = orderTable.values;
 
 const itemDetails = {};
 
@@ -137,15 +139,13 @@ const itemDetails = {};
 
 fullOrderData.forEach((row) => {
 
-// 根據新的範圍 'K3:U' 調整索引
-
-const modelName = row[1]; // K 欄 (Model Name)
+const modelName = row[ORDER_COL.MODEL_NAME - 1]; // Model Name
 
-const totalQty = row[2]; // L 欄 (Total Qty)
+const totalQty = row[ORDER_COL.TOTAL_QTY - 1]; // Total Qty
 
-const sku = row[6]; // P 欄 (SKU)
+const sku = row[ORDER_COL.SKU - 1]; // SKU
 
-const key = row[11]; // U 欄 (Key PO|SKU)
+const key = normalizePoSkuKey(row[ORDER_COL.PO_SKU_KEY - 1]); // Key PO|SKU (正規化，與 Planning DB 的鍵一致)
 
 
 if (key && sku) {
@@ -165,7 +165,13 @@ itemDetails[key].totalQty += parseInt(totalQty, 10) || 0;
 });
 
 
-// Step 3 & 4 (合併計畫細節和過濾 fulfilled keys) 保持不變。
+// Step 3: 合併既有計畫 (預計出貨日與各倉庫分配)，讓側邊欄帶出上次儲存的值
+
+Object.keys(existingPlanDetails).forEach(key => {
+
+if (itemDetails[key]) Object.assign(itemDetails[key], existingPlanDetails[key]);
+
+});
 
 
 
@@ -192,7 +198,9 @@ success: true,
 
 pendingList: finalPendingList, // 這是包含 Model Name 的顯示字串
 
-itemDetails: itemDetails // 這是包含原始 key 和 modelName 的數據結構
+itemDetails: itemDetails, // 這是包含原始 key 和 modelName 的數據結構
+
+warehouses: warehouses
 
 };
 
@@ -212,122 +220,104 @@ return { success: false, message: e.toString() };
 
 
 
+/**
+ * 前端進入點：執行 savePlanningData_ 並寫入 Ops Log (OpsLog.js)。
+ */
+function savePlanningData(data) {
+  return runLoggedOperation({ tool: 'Shipping Mgt', action: 'savePlanningData', record: data && data.poSkuKey, sheet: PLANNING_SHEET_NAME1, field: 'PO_SKU_KEY' }, () => savePlanningData_(data));
+}
+
 /**
 
 * [MODIFIED] Saves planning data by updating existing rows or appending new ones.
 
-* @param {object} data The data object from the frontend form.
+* @param {object} data The data object from the frontend form: {poSkuKey, totalQty, estShipDate, allocations: {warehouseCode: qty}}.
+
+*   Callers of the old two-warehouse form may still send qtyE / qtyW instead of allocations.
 
 * @returns {object} An object containing the result of the operation.
 
 */
 
-function savePlanningData(data) {
+function savePlanningData_(data) {
 
 try {
 
-const ss = SpreadsheetApp.getActiveSpreadsheet();
-
-const planningSheet = ss.getSheetByName(PLANNING_SHEET_NAME1);
-
 const user = Session.getActiveUser().getEmail();
 
 const timestamp = new Date();
 
 
 
-if (!planningSheet) {
-
-throw new Error(`Sheet not found: ${PLANNING_SHEET_NAME1}`);
-
-}
-
-
-const totalQty = parseInt(data.totalQty, 10);
-
-const qtyE = parseInt(data.qtyE, 10) || 0;
-
-const qtyW = parseInt(data.qtyW, 10) || 0;
-
-
+const keyCheck = validatePoSkuKey(data.poSkuKey);
 
-if (qtyE + qtyW !== totalQty) {
+if (!keyCheck.valid) {
 
-throw new Error(`Quantity mismatch! East (${qtyE}) + West (${qtyW}) does not equal Total Required (${totalQty}).`);
+throw new Error(keyCheck.message);
 
 }
 
+const poSkuKey = keyCheck.key;
 
+assertNoCreditHold_(keyCheck.parts.poNumber, 'shipment planning');
 
-// Find if the row already exists
 
-const lastRow = planningSheet.getLastRow();
 
-let targetRowIndex = -1;
-
-if (lastRow >= 2) {
-
-const keys = planningSheet.getRange('C2:C' + lastRow).getValues();
-
-for (let i = 0; i < keys.length; i++) {
+const totalQty = parseInt(data.totalQty, 10);
 
-if (keys[i][0] === data.poSkuKey) {
+const requested = data.allocations || { E: data.qtyE, W: data.qtyW };
 
-targetRowIndex = i + 2;
+const allocations = validateWarehouseAllocations_(requested, readWarehouses_(), totalQty);
 
-break;
 
-}
 
-}
+// 舊版 Planning 工作表在第一次儲存時自動加上 Allocations 欄 (Warehouses.js)
+ensurePlanningAllocationsColumns_();
 
-}
+// Find if the record already exists
 
+const existing = queryByPoSkuKey(PLANNING_SHEET_NAME1, poSkuKey).first();
 
 
-const rowData = [
 
-timestamp,
+// Only the managed fields are written, so columns we don't manage (e.g. Status) are kept
 
-user,
+const planRecord = Object.assign({
 
-data.poSkuKey,
+TIMESTAMP: timestamp,
 
-new Date(data.estShipDate),
+USER: user,
 
-qtyE,
+PO_SKU_KEY: poSkuKey,
 
-qtyW
+EST_SHIP_DATE: new Date(data.estShipDate)
 
-];
+}, toPlanningAllocationFields_(PLANNING_SHEET_NAME1, allocations));
 
 
 
-if (targetRowIndex !== -1) {
+// Update the existing record, or append a new one
 
-// Update existing row (Columns A to F)
+const result = existing
 
-planningSheet.getRange(targetRowIndex, 1, 1, 6).setValues([rowData]);
+? updateRecords(PLANNING_SHEET_NAME1, [Object.assign({ _rowNumber: existing._rowNumber }, planRecord)])
 
-} else {
+: appendRecords(PLANNING_SHEET_NAME1, [planRecord]);
 
-// Append new row
+if (!result.success) {
 
-planningSheet.appendRow(rowData);
+throw new Error(result.message);
 
 }
 
 
 
-SpreadsheetApp.flush();
-
-
-
 return { success: true, message: 'Planning data saved successfully!' };
 
 
 
 } catch (e) {
+reportOperationError(e);
 
 Logger.log(e);
 
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview
+ * SPIFF 計算：依 'SPIFF' 工作表的方案，計算每位業務 (P/O 的 RSM) 每個月應發的 SPIFF。
+ * - 方案：每列為一個方案 (Program) 對一個型號的每台金額，在 Start Date ~ End Date (含) 之間成立的 P/O 適用。
+ * - P/O 的 SPIFF 欄 (Dealer PO 的 AD 欄)：'Yes' 套用所有適用的方案；填方案名稱時只套用該方案；空白或 'No' 不發。
+ *   同一品項符合多個方案時取每台金額最高的一個。
+ * - 發放依據：方案的 Basis 為 'Shipped' 時以 BOL_DB (含 'BOL_DB | Archive') 的出貨數量與 Act. Ship Date 計算，'Invoiced' 時以 QBO 發票的數量與日期計算；
+ *   金額 = 數量 × 每台金額，歸入出貨 / 發票日期所在的月份。
+ * - 結果覆寫 'SPIFF Statements' (每位業務一段明細加一列合計)；Script Property SPIFF_STATEMENT_FOLDER_ID 有設定時，
+ *   另外在該資料夾為每位業務建立一個 CSV。
+ * - SPIFF 欄與任何適用的方案都對不上的 P/O 寫入 'SPIFF Flags'，這些 P/O 不會發放。
+ *
+ * 使用方式：選單 'SPIFF: Monthly Statements' 與 'SPIFF: Check P/O Selections'。
+ */
+
+const SPIFF_STATEMENT_SHEET_NAME = 'SPIFF Statements';
+const SPIFF_STATEMENT_HEADERS = ['Month', 'Salesperson', 'P/O', 'Buyer Name', 'Model', 'SKU', 'Program', 'Basis', 'Basis Date', 'Reference', 'Qty', 'SPIFF / Unit', 'Payout'];
+const SPIFF_FLAG_SHEET_NAME = 'SPIFF Flags';
+const SPIFF_FLAG_HEADERS = ['Checked At', 'P/O', 'Order Source', 'Buyer Name', 'Salesperson', 'P/O Date', 'SPIFF', 'Issue'];
+const SPIFF_STATEMENT_FOLDER_PROPERTY = 'SPIFF_STATEMENT_FOLDER_ID';
+const SPIFF_BASES = ['Shipped', 'Invoiced'];
+// RSM 空白的 P/O 在報表中的業務名稱
+const SPIFF_NO_SALESPERSON = '(No RSM)';
+
+/**
+ * 選單進入點：詢問月份 (預設為上個月)，產生報表並以對話框顯示摘要。
+ */
+function generateSpiffStatements() {
+  const ui = SpreadsheetApp.getUi();
+  const defaultMonth = getPreviousMonth_();
+  const response = ui.prompt('SPIFF Statements', `Month to calculate (yyyy-MM). Leave blank for ${defaultMonth}.`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const result = runSpiffStatements(response.getResponseText().trim() || defaultMonth);
+  ui.alert(result.success ? `${result.message}\n\nSee the '${SPIFF_STATEMENT_SHEET_NAME}' sheet.` : `SPIFF statements failed: ${result.message}`);
+}
+
+/**
+ * 選單進入點：只檢查 P/O 的 SPIFF 欄，結果寫入 'SPIFF Flags'。
+ */
+function checkSpiffSelections() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const flags = runSpiffSelectionCheck_();
+    ui.alert(flags.length === 0
+      ? 'Every P/O with a SPIFF selection matches an active program.'
+      : `${flags.length} P/O(s) have a SPIFF selection that matches no active program. See the '${SPIFF_FLAG_SHEET_NAME}' sheet.`);
+  } catch (e) {
+    Logger.log(`checkSpiffSelections Error: ${e.message}`);
+    ui.alert(`SPIFF check failed: ${e.message}`);
+  }
+}
+
+/**
+ * 計算一個月份的 SPIFF 並覆寫報表。
+ */
+function runSpiffStatements(month) {
+  return runLoggedOperation({ tool: 'SPIFF', action: 'runSpiffStatements', record: month, sheet: SPIFF_STATEMENT_SHEET_NAME }, () => runSpiffStatements_(month));
+}
+
+/**
+ * @param {string} month - 'yyyy-MM'。
+ * @returns {{success: boolean, month?: string, statements?: Array<{salesperson: string, lines: Array<Object>, qty: number, payout: number}>,
+ *   flags?: Array<Object>, files?: Array<{salesperson: string, fileName: string, url: string}>, message: string}}
+ */
+function runSpiffStatements_(month) {
+  try {
+    const target = String(month || '').trim();
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(target)) throw new Error(`Month must be in yyyy-MM format, got '${target}'.`);
+
+    const programs = readSpiffPrograms_();
+    const lines = readSpiffPoLines_();
+    const selections = evaluateSpiffSelections_(lines, programs);
+    const payouts = collectSpiffPayouts_(target, lines, selections.programsByKey);
+    const statements = groupSpiffStatements_(payouts);
+
+    writeSpiffStatements_(target, statements);
+    writeSpiffFlags_(selections.flags);
+    const files = exportSpiffStatementCsvs_(target, statements);
+
+    const total = statements.reduce((sum, statement) => sum + statement.payout, 0);
+    let message = `${target}: $${total.toFixed(2)} SPIFF for ${statements.length} salesperson(s) from ${payouts.length} line(s).`;
+    if (selections.flags.length > 0) message += ` ${selections.flags.length} P/O(s) were skipped because their SPIFF selection matches no active program (see '${SPIFF_FLAG_SHEET_NAME}').`;
+    if (files.length > 0) message += ` ${files.length} CSV file(s) saved.`;
+    return { success: true, month: target, statements, flags: selections.flags, files, message };
+  } catch (e) {
+    Logger.log(`runSpiffStatements Error: ${e.toString()}`);
+    reportOperationError(e);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 檢查所有 P/O 的 SPIFF 欄並覆寫 'SPIFF Flags'。
+ * @returns {Array<Object>} 問題清單 (見 evaluateSpiffSelections_)。
+ */
+function runSpiffSelectionCheck_() {
+  const flags = evaluateSpiffSelections_(readSpiffPoLines_(), readSpiffPrograms_()).flags;
+  writeSpiffFlags_(flags);
+  return flags;
+}
+
+/**
+ * PO Editor 的 SPIFF 下拉選單用：今天有效的方案名稱。'SPIFF' 工作表有錯誤時只記錄 log，不影響 PO Editor 載入。
+ * @returns {string[]}
+ */
+function getActiveSpiffProgramNames_() {
+  try {
+    const today = toOrderDay_(new Date());
+    const names = [];
+    readSpiffPrograms_().forEach(program => {
+      if (isSpiffProgramActive_(program, today) && names.indexOf(program.name) === -1) names.push(program.name);
+    });
+    return names.sort();
+  } catch (e) {
+    Logger.log(`getActiveSpiffProgramNames_ Error: ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * 讀取 'SPIFF' 工作表 (不存在時視為沒有方案)。
+ * @returns {Array<{name: string, model: string, amount: number, startDay: string, endDay: string, basis: string}>}
+ *   startDay / endDay 為 'yyyy-MM-dd'；endDay 空白表示沒有截止日。
+ */
+function readSpiffPrograms_() {
+  const programSheet = Config.SHEET_NAMES.SPIFF;
+  if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(programSheet)) return [];
+  const table = readTable(programSheet);
+  const col = table.columns;
+  const programs = [];
+  table.values.forEach((row, index) => {
+    const name = String(row[col.PROGRAM - 1] || '').trim();
+    if (!name) return;
+    const rowNumber = index + table.firstDataRow;
+    const model = String(row[col.MODEL - 1] || '').trim();
+    const amount = Number(row[col.AMOUNT - 1]);
+    const startDay = toOrderDay_(row[col.START_DATE - 1]);
+    const endDay = toOrderDay_(row[col.END_DATE - 1]);
+    const basisText = col.BASIS ? String(row[col.BASIS - 1] || '').trim() : '';
+    const basis = SPIFF_BASES.find(b => b.toLowerCase() === basisText.toLowerCase()) || (basisText ? null : SPIFF_BASES[0]);
+
+    if (!model) throw new Error(`'${programSheet}' row ${rowNumber}: Model is required for program '${name}'.`);
+    if (!isFinite(amount) || amount <= 0) throw new Error(`'${programSheet}' row ${rowNumber}: SPIFF / Unit must be a positive number.`);
+    if (!startDay) throw new Error(`'${programSheet}' row ${rowNumber}: Start Date is required for program '${name}'.`);
+    if (!basis) throw new Error(`'${programSheet}' row ${rowNumber}: Basis must be ${SPIFF_BASES.join(' or ')}, got '${basisText}'.`);
+    programs.push({ name, model, amount, startDay, endDay, basis });
+  });
+  return programs;
+}
+
+/**
+ * @returns {Array<Object>} readOrderLines_ 的品項，加上 salesperson (RSM 空白時為 SPIFF_NO_SALESPERSON) 與 priceBookModel。
+ */
+function readSpiffPoLines_() {
+  const skuToModel = getPriceBook().skuToModel;
+  return readOrderLines_().map(line => Object.assign({}, line, {
+    salesperson: line.rsm || SPIFF_NO_SALESPERSON,
+    priceBookModel: String(skuToModel[line.sku] || '')
+  }));
+}
+
+/**
+ * 依 P/O 的 SPIFF 欄為每個品項選出方案，並找出對不上任何方案的 P/O。
+ * @param {Array<Object>} lines - readSpiffPoLines_ 的結果。
+ * @param {Array<Object>} programs - readSpiffPrograms_ 的結果。
+ * @returns {{programsByKey: Map<string, Object>, flags: Array<{poNumber: string, source: string, buyerName: string,
+ *   salesperson: string, poDay: string, spiff: string, issue: string}>}}
+ */
+function evaluateSpiffSelections_(lines, programs) {
+  const programsByKey = new Map();
+  const flags = [];
+  const byPo = new Map();
+  lines.forEach(line => {
+    if (!byPo.has(line.poNumber)) byPo.set(line.poNumber, []);
+    byPo.get(line.poNumber).push(line);
+  });
+
+  byPo.forEach((poLines, poNumber) => {
+    const first = poLines[0];
+    const selection = first.spiff;
+    if (!selection || selection.toLowerCase() === 'no') return;
+
+    const named = selection.toLowerCase() !== 'yes';
+    const candidates = named ? programs.filter(p => p.name.toLowerCase() === selection.toLowerCase()) : programs;
+    const active = candidates.filter(p => isSpiffProgramActive_(p, first.poDay));
+    poLines.forEach(line => {
+      const best = active.filter(p => spiffProgramCoversLine_(p, line)).sort((a, b) => b.amount - a.amount)[0];
+      if (best) programsByKey.set(line.key, best);
+    });
+    if (poLines.some(line => programsByKey.has(line.key))) return;
+
+    let issue;
+    if (named && candidates.length === 0) {
+      issue = `SPIFF program '${selection}' is not in the '${Config.SHEET_NAMES.SPIFF}' sheet.`;
+    } else if (named && active.length === 0) {
+      issue = `SPIFF program '${selection}' is not active on the P/O date ${first.poDay || '(blank)'}.`;
+    } else if (named) {
+      issue = `SPIFF program '${selection}' does not cover any model on this P/O.`;
+    } else {
+      issue = `No active SPIFF program covers the models on this P/O (P/O date ${first.poDay || '(blank)'}).`;
+    }
+    flags.push({ poNumber, source: first.source, buyerName: first.buyerName, salesperson: first.salesperson, poDay: first.poDay, spiff: selection, issue });
+  });
+  return { programsByKey, flags };
+}
+
+/**
+ * @returns {boolean} 方案在 P/O 日期 ('yyyy-MM-dd') 有效。
+ */
+function isSpiffProgramActive_(program, day) {
+  return !!day && program.startDay <= day && (!program.endDay || day <= program.endDay);
+}
+
+/**
+ * 方案的 Model 可以是 Lookup Name、Price Book 的 Model 或 SKU。
+ * @returns {boolean}
+ */
+function spiffProgramCoversLine_(program, line) {
+  const model = program.model.toLowerCase();
+  return model === line.model.toLowerCase()
+    || model === line.priceBookModel.toLowerCase()
+    || normalizeSku(program.model) === line.sku;
+}
+
+/**
+ * 月份內的出貨 (BOL_DB 與其歸檔表) 與發票 (QBO Invoice) 中，有方案的品項依方案的 Basis 計算金額。
+ * @param {string} month - 'yyyy-MM'。
+ * @param {Array<Object>} lines
+ * @param {Map<string, Object>} programsByKey
+ * @returns {Array<{salesperson: string, poNumber: string, buyerName: string, model: string, sku: string, program: string,
+ *   basis: string, basisDay: string, reference: string, qty: number, amount: number, payout: number}>}
+ */
+function collectSpiffPayouts_(month, lines, programsByKey) {
+  const lineByKey = new Map(lines.map(line => [line.key, line]));
+  const payouts = [];
+  const addPayout = (basis, key, date, qty, reference) => {
+    const program = programsByKey.get(key);
+    const day = toOrderDay_(date);
+    if (!program || program.basis !== basis || day.slice(0, 7) !== month || !(qty > 0)) return;
+    const line = lineByKey.get(key);
+    payouts.push({
+      salesperson: line.salesperson,
+      poNumber: line.poNumber,
+      buyerName: line.buyerName,
+      model: line.model,
+      sku: line.sku,
+      program: program.name,
+      basis,
+      basisDay: day,
+      reference,
+      qty,
+      amount: program.amount,
+      payout: Math.round(qty * program.amount * 100) / 100
+    });
+  };
+
+  readShippedBols_().forEach(bol => {
+    addPayout('Shipped', bol.poSkuKey, bol.actShipDate, bol.shippedQty, `BOL ${bol.bolNumber}`);
+  });
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const invoiceSheet = Config.SHEET_NAMES.QBO_INVOICE_RAW;
+  if (ss.getSheetByName(invoiceSheet)) {
+    const invoices = readTable(invoiceSheet);
+    invoices.values.forEach(row => {
+      // 運費等沒有 P/O 或 SKU 的發票列不計
+      const poNumber = String(row[invoices.columns.PO_NUMBER - 1] || '').trim();
+      const sku = normalizeSku(row[invoices.columns.SKU - 1]);
+      if (!poNumber || !sku || sku.indexOf(PO_SKU_KEY_SEPARATOR) !== -1) return;
+      addPayout('Invoiced', buildPoSkuKey(poNumber, sku), row[invoices.columns.INVOICE_DATE - 1],
+        Number(row[invoices.columns.QTY - 1]) || 0, `Invoice ${String(row[invoices.columns.NUM - 1]).trim()}`);
+    });
+  }
+  return payouts;
+}
+
+/**
+ * @param {Array<Object>} payouts
+ * @returns {Array<{salesperson: string, lines: Array<Object>, qty: number, payout: number}>} 依業務名稱排序；明細依日期、P/O 排序。
+ */
+function groupSpiffStatements_(payouts) {
+  const bySalesperson = new Map();
+  payouts.forEach(payout => {
+    if (!bySalesperson.has(payout.salesperson)) bySalesperson.set(payout.salesperson, []);
+    bySalesperson.get(payout.salesperson).push(payout);
+  });
+  return Array.from(bySalesperson.keys()).sort().map(salesperson => {
+    const lines = bySalesperson.get(salesperson).sort((a, b) =>
+      a.basisDay.localeCompare(b.basisDay) || a.poNumber.localeCompare(b.poNumber) || a.reference.localeCompare(b.reference));
+    return {
+      salesperson,
+      lines,
+      qty: lines.reduce((sum, line) => sum + line.qty, 0),
+      payout: Math.round(lines.reduce((sum, line) => sum + line.payout, 0) * 100) / 100
+    };
+  });
+}
+
+/**
+ * @returns {Array<Array<*>>} 一位業務的明細列加一列合計 (SPIFF_STATEMENT_HEADERS 的順序)。
+ */
+function toSpiffStatementRows_(month, statement) {
+  return statement.lines.map(line => [
+    month, statement.salesperson, line.poNumber, line.buyerName, line.model, line.sku, line.program, line.basis,
+    line.basisDay, line.reference, line.qty, line.amount, line.payout
+  ]).concat([[month, statement.salesperson, '', '', '', '', '', '', '', 'Total', statement.qty, '', statement.payout]]);
+}
+
+/**
+ * 覆寫 'SPIFF Statements' (不存在時建立)。沒有任何 SPIFF 時寫入一列說明。
+ */
+function writeSpiffStatements_(month, statements) {
+  const ss = getWorkbook_();
+  let sheet = ss.getSheetByName(SPIFF_STATEMENT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SPIFF_STATEMENT_SHEET_NAME, ss.getSheets().length);
+    sheet.setFrozenRows(1);
+  }
+  sheet.clearContents();
+
+  const rows = [];
+  statements.forEach(statement => toSpiffStatementRows_(month, statement).forEach(row => rows.push(row)));
+  if (rows.length === 0) rows.push([month, '', '', '', '', '', '', '', '', 'No SPIFF for this month.', '', '', '']);
+
+  sheet.getRange(1, 1, 1, SPIFF_STATEMENT_HEADERS.length).setValues([SPIFF_STATEMENT_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, 1).setNumberFormat('@');
+  sheet.getRange(2, 1, rows.length, SPIFF_STATEMENT_HEADERS.length).setValues(rows);
+}
+
+/**
+ * 覆寫 'SPIFF Flags' (不存在時建立)。沒有問題時寫入一列 OK，方便確認最後一次檢查時間。
+ */
+function writeSpiffFlags_(flags) {
+  const ss = getWorkbook_();
+  let sheet = ss.getSheetByName(SPIFF_FLAG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SPIFF_FLAG_SHEET_NAME, ss.getSheets().length);
+    sheet.setFrozenRows(1);
+  }
+  sheet.clearContents();
+
+  const checkedAt = new Date();
+  const rows = flags.length > 0
+    ? flags.map(flag => [checkedAt, flag.poNumber, flag.source, flag.buyerName, flag.salesperson, flag.poDay, flag.spiff, flag.issue])
+    : [[checkedAt, '', '', '', '', '', '', 'OK: every SPIFF selection matches an active program.']];
+
+  sheet.getRange(1, 1, 1, SPIFF_FLAG_HEADERS.length).setValues([SPIFF_FLAG_HEADERS]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, SPIFF_FLAG_HEADERS.length).setValues(rows);
+}
+
+/**
+ * SPIFF_STATEMENT_FOLDER_ID 有設定時，為每位業務建立 'SPIFF yyyy-MM - 業務.csv'。
+ * @returns {Array<{salesperson: string, fileName: string, url: string}>}
+ */
+function exportSpiffStatementCsvs_(month, statements) {
+  const folderId = PropertiesService.getScriptProperties().getProperty(SPIFF_STATEMENT_FOLDER_PROPERTY);
+  if (!folderId) return [];
+  const folder = DriveApp.getFolderById(folderId);
+  return statements.map(statement => {
+    const fileName = `SPIFF ${month} - ${statement.salesperson}.csv`;
+    const csv = [SPIFF_STATEMENT_HEADERS].concat(toSpiffStatementRows_(month, statement))
+      .map(row => row.map(toSpiffCsvCell_).join(','))
+      .join('\r\n');
+    const file = folder.createFile(Utilities.newBlob(csv, MimeType.CSV, fileName));
+    return { salesperson: statement.salesperson, fileName, url: file.getUrl() };
+  });
+}
+
+function toSpiffCsvCell_(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
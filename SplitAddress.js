@@ -1,61 +1,76 @@
 /**
  * @fileoverview
- * 將 'Dealer PO | Raw Data' S 欄中的地址拆分，並填入同一工作表的 AH-AK 欄。
- * 僅在 D 欄 (PO Number) 有值時執行。
- * 版本: 2.1
+ * 將各訂單來源 Raw Data ('Dealer PO | Raw Data'、'Direct Quote | Raw Data'，見 OrderSources.js) Ship to 欄中的地址拆分，
+ * 並填入同一工作表的 Street Address / City / State / Zipcode 欄。
+ * 僅在 P/O 欄有值時執行。欄位位置依 Config.SCHEMAS 的標頭名稱解析 (兩個來源使用相同的欄位代號)。
+ * 版本: 2.4 (依訂單來源處理每張 Raw Data，不再只處理 Dealer PO)
  */
 
-// --- 常數設定 ---
-const SHEET_NAME = 'Dealer PO | Raw Data';
-
-// 欄位對應 (1-based index)
-const COL = {
-  PO_NUMBER: 4,         // D欄 (判斷條件)
-  ADDRESS: 19,          // S欄 (來源)
-  STREET_ADDRESS: 34,   // AH欄 (目標)
-  CITY: 35,             // AI欄 (目標)
-  STATE: 36,            // AJ欄 (目標)
-  ZIPCODE: 37           // AK欄 (目標)
+// 欄位位置依標頭名稱從 Config.SCHEMAS 解析：
+// P/O (判斷條件)、Ship to (來源)、Street Address / City / State / Zipcode (目標)
+const ADDRESS_TARGET_FIELDS = {
+  STREET_ADDRESS: 'street',
+  CITY: 'city',
+  STATE: 'state',
+  ZIPCODE: 'zipcode'
 };
 
 /**
- * 主函式：讀取來源資料、拆分地址，並寫回同一工作表。
+ * 主函式：逐一處理每個訂單來源的 Raw Data (不存在的工作表略過)。
  */
 function splitAddressInPlace() {
-  const ss = SpreadsheetApp.getActiveSpreadpreasheet();
-  const sheet = ss.getSheetByName(SHEET_NAME);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetNames = getAllOrderSources_().map(source => source.rawSheet).filter(name => ss.getSheetByName(name));
 
-  if (!sheet) {
-    SpreadsheetApp.getUi().alert(`錯誤：找不到工作表 "${SHEET_NAME}"`);
+  if (sheetNames.length === 0) {
+    SpreadsheetApp.getUi().alert(`錯誤：找不到工作表 "${getOrderSource_().rawSheet}"`);
     return;
   }
 
-  // 1. 一次性讀取工作表中所有資料 (從第二列開始)
-  const dataRange = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn());
-  const data = dataRange.getValues();
+  sheetNames.forEach(name => splitAddressesInSheet_(ss.getSheetByName(name), name));
+
+  SpreadsheetApp.getUi().alert('地址拆分並更新完成！');
+}
+
+/**
+ * 讀取一張 Raw Data、拆分地址，並寫回同一工作表。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} sheetName - 有 Config.SCHEMAS 的訂單來源工作表。
+ */
+function splitAddressesInSheet_(sheet, sheetName) {
+  // 1. 一次性讀取工作表中所有資料 (從標頭列之後開始)
+  const table = readTable(sheetName);
+  const COL = table.columns;
+  const data = table.values;
+  if (data.length === 0) return;
+
+  // 每個目標欄位各自收集一欄的值，最後只寫回這四欄，避免覆蓋 ARRAYFORMULA 欄位
+  const targetColumns = {};
+  Object.keys(ADDRESS_TARGET_FIELDS).forEach(field => {
+    targetColumns[field] = data.map(row => [row[COL[field] - 1]]);
+  });
 
   // 2. 遍歷每一列資料，進行地址拆分
-  data.forEach(row => {
-    const poNumber = row[COL.PO_NUMBER - 1]; // 讀取 D 欄的 PO 編號
-    const fullAddress = row[COL.ADDRESS - 1]; // 讀取 S 欄的地址
+  data.forEach((row, index) => {
+    const poNumber = row[COL.PO_NUMBER - 1]; // 讀取 P/O 編號
+    const fullAddress = row[COL.SHIP_TO - 1]; // 讀取 Ship to 地址
 
     // --- ⭐ 核心修改：增加 PO 編號的判斷條件 ---
-    // 只有當 D 欄有值，且 S 欄的地址也是有效的字串時，才執行拆分
+    // 只有當 P/O 有值，且地址也是有效的字串時，才執行拆分
     if (poNumber && fullAddress && typeof fullAddress === 'string' && fullAddress.trim() !== '') {
       const parsedAddress = parseUsAddress(fullAddress);
       
-      // 將拆分後的結果，填入記憶體中 data 陣列的對應位置
-      row[COL.STREET_ADDRESS - 1] = parsedAddress.street;
-      row[COL.CITY - 1] = parsedAddress.city;
-      row[COL.STATE - 1] = parsedAddress.state;
-      row[COL.ZIPCODE - 1] = parsedAddress.zipcode;
+      // 將拆分後的結果，填入記憶體中對應欄位的位置
+      Object.keys(ADDRESS_TARGET_FIELDS).forEach(field => {
+        targetColumns[field][index][0] = parsedAddress[ADDRESS_TARGET_FIELDS[field]];
+      });
     }
   });
 
-  // 3. 將包含更新後地址的整個 data 陣列，一次性寫回工作表，效能最佳
-  dataRange.setValues(data);
-  
-  SpreadsheetApp.getUi().alert('地址拆分並更新完成！');
+  // 3. 逐欄一次性寫回，效能仍為每欄一次 setValues
+  Object.keys(ADDRESS_TARGET_FIELDS).forEach(field => {
+    sheet.getRange(table.firstDataRow, COL[field], data.length, 1).setValues(targetColumns[field]);
+  });
 }
 
 /**
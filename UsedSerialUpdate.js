@@ -1,9 +1,10 @@
 /**
  * @file AutoAssignOrder.gs
- * @version 3.0
+ * @version 3.1
  * @description Automatically assigns or removes an order number from serial numbers
  * when the list in 'Order Shipping Mgt. Table' is updated, added to, or deleted from.
  * @last-updated 2025-08-12
+ * Column positions are resolved by header name from Config.SCHEMAS.
  */
 
 /**
@@ -14,21 +15,22 @@
 function onEditSerial(e) {
   // --- Configuration Section ---
   const sourceSheetName = "Order Shipping Mgt. Table"; // Name of the trigger sheet
-  const sourceSerialCol = 24; // Trigger column: Serial number column (Col X)
-  const sourceOrderCol = 2;   // Order number column (Col B)
-
   const targetSheetName = "Serial # | Raw Data"; // Name of the sheet to be updated
-  const targetSerialCol = 4;  // Serial number column in the target sheet (Col D)
-  const targetOrderCol = 14; // Column for the order number to be written to (Col N)
   // --- End of Configuration ---
 
   const range = e.range;
   const editedSheet = range.getSheet();
   
   // 1. Check: Was the edit in the correct sheet and column?
-  if (editedSheet.getName() !== sourceSheetName || range.getColumn() !== sourceSerialCol) {
+  if (editedSheet.getName() !== sourceSheetName) {
     return; // If not, abort the script
   }
+  const sourceColumns = getSchemaContext(sourceSheetName).columns;
+  const sourceSerialCol = sourceColumns.SERIALS; // Trigger column: Serial number column
+  const sourceOrderCol = sourceColumns.PO_NUMBER; // Order number column
+  if (range.getColumn() !== sourceSerialCol) {
+    return;
+  }
 
   // 2. Get new and old data
   const orderNumber = editedSheet.getRange(range.getRow(), sourceOrderCol).getValue();
@@ -64,12 +66,16 @@ function onEditSerial(e) {
   }
   
   // --- Performance Optimization Start: Batch read and write ---
-  const lastRow = targetSheet.getLastRow();
-  if (lastRow < 2) return;
-  
   // Read all data from the target sheet into memory at once
-  const serialData = targetSheet.getRange(2, 1, lastRow - 1, targetSheet.getLastColumn()).getValues();
+  const targetTable = readTable(targetSheetName);
+  const targetSerialCol = targetTable.columns.SERIAL_NUMBER; // Serial number column in the target sheet
+  const targetOrderCol = targetTable.columns.PO_NUMBER;      // Column for the order number to be written to
+  const serialData = targetTable.values;
+  if (serialData.length === 0) return;
   
+  // Only the order number column is written back
+  const orderValues = serialData.map(row => [row[targetOrderCol - 1]]);
+
   const serialMap = new Map();
   serialData.forEach((row, index) => {
     const serialValue = row[targetSerialCol - 1];
@@ -85,18 +91,18 @@ function onEditSerial(e) {
   serialsToAdd.forEach(serial => {
     if (serialMap.has(serial)) {
       const rowIndex = serialMap.get(serial);
-      serialData[rowIndex][targetOrderCol - 1] = orderNumber;
+      orderValues[rowIndex][0] = orderNumber;
     }
   });
 
   serialsToRemove.forEach(serial => {
     if (serialMap.has(serial)) {
       const rowIndex = serialMap.get(serial);
-      serialData[rowIndex][targetOrderCol - 1] = ''; // Clear the cell
+      orderValues[rowIndex][0] = ''; // Clear the cell
     }
   });
   
-  // Write all the modified data back to the sheet in one go
-  targetSheet.getRange(2, 1, serialData.length, serialData[0].length).setValues(serialData);
+  // Write the modified order number column back to the sheet in one go
+  targetSheet.getRange(targetTable.firstDataRow, targetOrderCol, orderValues.length, 1).setValues(orderValues);
   // --- Performance Optimization End: Batch read and write ---
 }
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview
+ * 出貨倉庫設定與 Shipment_Planning_DB 的倉庫分配。
+ * - 'Warehouses' 工作表 (Code / Name / Address / Active) 定義可出貨的倉庫；Shipping Mgt 為每個 Active 的倉庫顯示一個數量欄。
+ *   工作表不存在時沿用舊版的兩個倉庫 (WAREHOUSE_DEFAULTS：E = East、W = West)。
+ * - Shipment_Planning_DB 的 Allocations 欄以 'CODE:QTY' 逗號分隔記錄各倉庫數量，例如 'E:2, W:1'；數量為 0 的倉庫不寫入。
+ *   Allocations 接在最後一欄之後，舊版的 Qty (E) / Qty (W) 與 Status 維持原位置，引用這些欄的公式不受影響：
+ *   · 儲存出貨規劃或 Split / Merge 寫入前，ensurePlanningAllocationsColumns_ 自動新增此欄 (含 Planning 的歸檔表) 並以 Qty (E) / Qty (W) 填入；
+ *     已有此欄時不做任何事。
+ *   · 讀取時 Allocations 空白的列沿用 Qty (E) / Qty (W) (readPlanningAllocations_)；寫入時同步更新這兩欄 (toPlanningAllocationFields_)，
+ *     文件資料庫中的 QTY_E / QTY_W 欄位也維持最新。
+ * - 選單 'Migrate Warehouse Allocations' 立即執行同樣的步驟，並在 'Warehouses' 不存在時以 WAREHOUSE_DEFAULTS 建立。
+ */
+
+const WAREHOUSE_HEADERS = ['Code', 'Name', 'Address', 'Active'];
+const WAREHOUSE_DEFAULTS = [
+  { code: 'E', name: 'East', address: '', active: true },
+  { code: 'W', name: 'West', address: '', active: true }
+];
+// 舊版 Shipment_Planning_DB 的倉庫欄位 (Config.SCHEMAS 欄位代號) → 倉庫代碼
+const LEGACY_PLANNING_QTY_FIELDS = { QTY_E: 'E', QTY_W: 'W' };
+
+/**
+ * 選單進入點：確認後新增 Allocations 欄並建立 'Warehouses'。
+ */
+function migrateWarehouseAllocations() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert('Migrate Warehouse Allocations', "Add an 'Allocations' column (filled from 'Qty (E)' and 'Qty (W)') to the shipment planning sheets now? Existing columns are kept.", ui.ButtonSet.YES_NO);
+  if (answer !== ui.Button.YES) return;
+  const result = runWarehouseAllocationMigration();
+  ui.alert(result.success ? result.message : `Warehouse migration failed: ${result.message}`);
+}
+
+/**
+ * 新增 Shipment_Planning_DB (與其歸檔表) 的 Allocations 欄，並在需要時建立 'Warehouses'。
+ */
+function runWarehouseAllocationMigration() {
+  return runLoggedOperation({ tool: 'Shipping Mgt', action: 'runWarehouseAllocationMigration', sheet: Config.SHEET_NAMES.SHIPMENT_PLANNING_DB }, () => runWarehouseAllocationMigration_());
+}
+
+/**
+ * 在 Script Lock 內執行；已有 Allocations 欄的工作表不會變動，可以重複執行。
+ * @returns {{success: boolean, migrated?: Array<{sheet: string, rows: number}>, message: string}}
+ */
+function runWarehouseAllocationMigration_() {
+  try {
+    const warehouseSheet = Config.SHEET_NAMES.WAREHOUSES;
+    let migrated = [];
+    let createdWarehouses = false;
+    runWithSheetLock(() => {
+      const ss = getWorkbook_();
+      if (!ss.getSheetByName(warehouseSheet)) {
+        const sheet = ss.insertSheet(warehouseSheet);
+        const rows = [WAREHOUSE_HEADERS].concat(WAREHOUSE_DEFAULTS.map(w => [w.code, w.name, w.address, w.active]));
+        sheet.getRange(1, 1, rows.length, WAREHOUSE_HEADERS.length).setValues(rows);
+        sheet.getRange(1, 1, 1, WAREHOUSE_HEADERS.length).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+        createdWarehouses = true;
+      }
+      migrated = ensurePlanningAllocationsColumns_();
+    });
+
+    let message = migrated.length === 0
+      ? 'The shipment planning sheets already have the Allocations column.'
+      : `Added an Allocations column filled from Qty (E) / Qty (W): ${migrated.map(m => `'${m.sheet}' (${m.rows} row(s))`).join(', ')}.`;
+    if (createdWarehouses) message += ` Created the '${warehouseSheet}' sheet with East (E) and West (W).`;
+    return { success: true, migrated, message };
+  } catch (e) {
+    Logger.log(`runWarehouseAllocationMigration Error: ${e.toString()}`);
+    reportOperationError(e);
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * 確保 Shipment_Planning_DB 與其歸檔表有 Allocations 欄：沒有時接在最後一欄之後新增，並以 Qty (E) / Qty (W) 填入。
+ * 已有此欄的工作表不變動，可以重複呼叫；存放在文件資料庫的 Planning 不需要 (欄位由 Schema 決定)。
+ * @returns {Array<{sheet: string, rows: number}>} 本次新增了欄位的工作表與填入的資料列數。
+ */
+function ensurePlanningAllocationsColumns_() {
+  const planningSheet = Config.SHEET_NAMES.SHIPMENT_PLANNING_DB;
+  const sheetNames = [`${planningSheet} | Archive`];
+  if (getStorageBackendName_(planningSheet) === 'sheets') sheetNames.unshift(planningSheet);
+  return runWithSheetLock(() => sheetNames.map(name => {
+    const sheet = getWorkbook_().getSheetByName(name);
+    if (!sheet) return null;
+    const rows = addPlanningAllocationsColumn_(sheet);
+    if (rows === null) return null;
+    invalidateSchemaContext_(name);
+    return { sheet: name, rows };
+  }).filter(Boolean));
+}
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Shipment_Planning_DB 或其歸檔表。
+ * @returns {number|null} 填入的資料列數；已有 Allocations 欄 (或是空白工作表) 時為 null。
+ */
+function addPlanningAllocationsColumn_(sheet) {
+  const schema = Config.SCHEMAS[Config.SHEET_NAMES.SHIPMENT_PLANNING_DB];
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn === 0) return null;
+  const headers = sheet.getRange(schema.headerRow, 1, 1, lastColumn).getValues()[0].map(normalizeHeader_);
+  if (headers.indexOf(normalizeHeader_(schema.columns.ALLOCATIONS.header)) !== -1) return null;
+
+  const legacy = Object.keys(LEGACY_PLANNING_QTY_FIELDS)
+    .map(field => ({ index: headers.indexOf(normalizeHeader_(schema.columns[field].header)), code: LEGACY_PLANNING_QTY_FIELDS[field] }))
+    .filter(entry => entry.index !== -1);
+  const dataRows = Math.max(sheet.getLastRow() - schema.headerRow, 0);
+  const values = dataRows > 0 ? sheet.getRange(schema.headerRow + 1, 1, dataRows, lastColumn).getValues() : [];
+  const allocations = values.map(row => {
+    const allocation = {};
+    legacy.forEach(entry => { allocation[entry.code] = Number(row[entry.index]) || 0; });
+    return [formatWarehouseAllocations_(allocation)];
+  });
+
+  sheet.getRange(schema.headerRow, lastColumn + 1).setValue(schema.columns.ALLOCATIONS.header);
+  if (allocations.length > 0) sheet.getRange(schema.headerRow + 1, lastColumn + 1, allocations.length, 1).setValues(allocations);
+  return allocations.length;
+}
+
+/**
+ * 讀取規劃記錄的倉庫分配。Allocations 空白 (新增此欄之前的列或尚未同步的文件) 時沿用 Qty (E) / Qty (W)。
+ * @param {string} sheetName - Shipment_Planning_DB (記錄所屬的工作表名稱)。
+ * @param {Object} record - queryRecords 回傳的記錄。
+ * @returns {Object<string, number>} 見 parseWarehouseAllocations_。
+ * @throws {Error} Allocations 格式錯誤時。
+ */
+function readPlanningAllocations_(sheetName, record) {
+  const value = field => hasRecordField(sheetName, field) ? getRecordValue(sheetName, record, field) : '';
+  const raw = value('ALLOCATIONS');
+  const text = String(raw === null || raw === undefined ? '' : raw).trim();
+  if (text) return parseWarehouseAllocations_(text);
+
+  const allocations = {};
+  Object.keys(LEGACY_PLANNING_QTY_FIELDS).forEach(field => {
+    const qty = Number(value(field)) || 0;
+    if (qty > 0) allocations[LEGACY_PLANNING_QTY_FIELDS[field]] = qty;
+  });
+  return allocations;
+}
+
+/**
+ * 寫入規劃記錄的分配欄位：Allocations，以及 Planning 仍有的 Qty (E) / Qty (W) (E / W 倉庫的數量；其他倉庫不計入)。
+ * @param {string} sheetName - Shipment_Planning_DB。
+ * @param {Object<string, number>} allocations - 倉庫代碼 → 數量。
+ * @param {Array<{code: string}>} [warehouses] - Allocations 的輸出順序 (見 formatWarehouseAllocations_)。
+ * @returns {Object} 可直接併入 updateRecords / appendRecords 的欄位。
+ */
+function toPlanningAllocationFields_(sheetName, allocations, warehouses = []) {
+  const fields = { ALLOCATIONS: formatWarehouseAllocations_(allocations, warehouses) };
+  Object.keys(LEGACY_PLANNING_QTY_FIELDS).forEach(field => {
+    if (hasRecordField(sheetName, field)) fields[field] = Number(allocations[LEGACY_PLANNING_QTY_FIELDS[field]]) || 0;
+  });
+  return fields;
+}
+
+/**
+ * 讀取 'Warehouses' (不存在時為 WAREHOUSE_DEFAULTS)，依工作表順序。
+ * @returns {Array<{code: string, name: string, address: string, active: boolean}>}
+ * @throws {Error} Code 格式錯誤或重複時。
+ */
+function readWarehouses_() {
+  const warehouseSheet = Config.SHEET_NAMES.WAREHOUSES;
+  if (!getWorkbook_().getSheetByName(warehouseSheet)) return WAREHOUSE_DEFAULTS.map(w => Object.assign({}, w));
+
+  const table = readTable(warehouseSheet);
+  const col = table.columns;
+  const warehouses = [];
+  table.values.forEach((row, index) => {
+    const code = normalizeWarehouseCode_(row[col.CODE - 1]);
+    if (!code) return;
+    const rowNumber = index + table.firstDataRow;
+    if (!/^[A-Z0-9_-]+$/.test(code)) {
+      throw new Error(`'${warehouseSheet}' row ${rowNumber}: Code '${code}' may only contain letters, digits, '-' and '_'.`);
+    }
+    if (warehouses.some(w => w.code === code)) {
+      throw new Error(`'${warehouseSheet}' row ${rowNumber}: Code ${code} is listed more than once.`);
+    }
+    const active = row[col.ACTIVE - 1];
+    warehouses.push({
+      code,
+      name: String(row[col.NAME - 1] || '').trim() || code,
+      address: String(row[col.ADDRESS - 1] || '').trim(),
+      // 空白視為使用中；核取方塊未勾選或填 'No' 為停用
+      active: active === true || active === '' || /^(true|yes|y|active)$/i.test(String(active).trim())
+    });
+  });
+  return warehouses;
+}
+
+function normalizeWarehouseCode_(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * @param {*} value - Allocations 欄的值，例如 'E:2, W:1'。
+ * @returns {Object<string, number>} 倉庫代碼 (大寫) → 數量，依欄位中的順序；空白為 {}。
+ * @throws {Error} 不是 'CODE:QTY' 格式或數量不是非負整數時。
+ */
+function parseWarehouseAllocations_(value) {
+  const allocations = {};
+  String(value === null || value === undefined ? '' : value).split(/[,;]/).map(part => part.trim()).filter(String).forEach(part => {
+    const match = part.match(/^([^:\s]+)\s*:\s*(\d+)$/);
+    if (!match) throw new Error(`Invalid warehouse allocation '${value}'. Use CODE:QTY pairs such as 'E:2, W:1'.`);
+    const code = normalizeWarehouseCode_(match[1]);
+    allocations[code] = (allocations[code] || 0) + Number(match[2]);
+  });
+  return allocations;
+}
+
+/**
+ * @param {Object<string, number>} allocations - 倉庫代碼 → 數量。
+ * @param {Array<{code: string}>} [warehouses] - 依此順序輸出；不在清單中的代碼排在後面。
+ * @returns {string} 'E:2, W:1'；略過數量為 0 的倉庫。
+ */
+function formatWarehouseAllocations_(allocations, warehouses = []) {
+  const order = warehouses.map(w => w.code);
+  Object.keys(allocations).forEach(code => { if (order.indexOf(code) === -1) order.push(code); });
+  return order.filter(code => Number(allocations[code]) > 0).map(code => `${code}:${Number(allocations[code])}`).join(', ');
+}
+
+/**
+ * 驗證 Shipping Mgt 送出的分配數量。
+ * @param {Object<string, *>} allocations - 倉庫代碼 → 數量 (前端輸入)。
+ * @param {Array<Object>} warehouses - readWarehouses_ 的結果。
+ * @param {number} totalQty - 需出貨的總數。
+ * @returns {Object<string, number>} 依 warehouses 順序的分配 (僅含 Active 的倉庫)。
+ * @throws {Error} 代碼不存在、倉庫已停用、數量不是非負整數，或總和不等於 totalQty 時。
+ */
+function validateWarehouseAllocations_(allocations, warehouses, totalQty) {
+  const input = {};
+  Object.keys(allocations || {}).forEach(key => {
+    const code = normalizeWarehouseCode_(key);
+    const raw = allocations[key];
+    const qty = raw === '' || raw === null || raw === undefined ? 0 : Number(raw);
+    if (!Number.isInteger(qty) || qty < 0) throw new Error(`Quantity for warehouse ${code} must be a whole number of 0 or more, got '${raw}'.`);
+    const warehouse = warehouses.find(w => w.code === code);
+    if (!warehouse) throw new Error(`Unknown warehouse '${code}'. Check the '${Config.SHEET_NAMES.WAREHOUSES}' sheet.`);
+    if (!warehouse.active && qty > 0) throw new Error(`Warehouse ${warehouse.name} (${code}) is not active.`);
+    input[code] = qty;
+  });
+
+  const active = warehouses.filter(w => w.active);
+  if (active.length === 0) throw new Error(`No active warehouse in the '${Config.SHEET_NAMES.WAREHOUSES}' sheet.`);
+  const normalized = {};
+  active.forEach(w => { normalized[w.code] = input[w.code] || 0; });
+  const allocated = active.reduce((sum, w) => sum + normalized[w.code], 0);
+  if (allocated !== totalQty) {
+    const parts = active.map(w => `${w.name} (${normalized[w.code]})`).join(' + ');
+    throw new Error(`Quantity mismatch! ${parts} does not equal Total Required (${totalQty}).`);
+  }
+  return normalized;
+}
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview
+ * 訂單狀態 JSON API (Web App 的 doGet / doPost)。讓業務與經銷商直接查詢工作表中已有的狀態，不必再詢問 Ops。
+ *
+ * 路由 (GET 使用網址 .../exec/<path> 或 ?path=<path>；POST 使用 JSON body 的 path)：
+ *   orders/{P/O}       訂單狀態：品項、預計出貨日、BOL、序號、Estimate #。回應不包含價格。
+ *   serials/{Serial #} 序號狀態 (沿用 getSerialStatus)。
+ *   pis/{PI #}         PI / GIT 運輸狀態 (沿用 getPiDetails)。僅限 '*' 的 key。
+ *
+ * 驗證：每個請求都要帶 API key (GET 的 ?key=...，或 POST body 的 apiKey)。
+ * Web App 讀不到 HTTP 標頭，因此 key 只能放在參數或 body 中；建議用 POST，避免 key 出現在網址紀錄裡。
+ * Key 存在 Script Properties 的 API_KEYS ({ 用戶名稱: { key, buyers } })，從編輯器執行
+ * createApiKey('dealer-portal', ['Acme Supply']) / revokeApiKey('dealer-portal') 管理。
+ * 每個 key 只能讀取 Buyer Name 或 Company 在其 buyers 清單中的 P/O (不分大小寫)；'*' 表示全部 P/O (內部使用)。
+ * 範圍外的 P/O 以 403 FORBIDDEN 拒絕；序號屬於範圍外的 P/O 時同樣拒絕。舊格式 (只有 key、沒有 buyers) 的 key 讀不到任何 P/O。
+ * PI 不對應特定 P/O / buyer，且包含內部 Memo，因此只有 '*' 的 key 可以查詢。
+ *
+ * 回應格式一律為 (Web App 無法設定 HTTP 狀態碼，狀態碼放在 body 中)：
+ *   成功 { success: true, data: {...} }
+ *   失敗 { success: false, status: 404, code: 'NOT_FOUND', message: '...' }
+ */
+
+const API_KEYS_PROPERTY = 'API_KEYS';
+
+/**
+ * Web App GET 進入點。
+ * @param {GoogleAppsScript.Events.DoGet} e
+ * @returns {GoogleAppsScript.Content.TextOutput}
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  return jsonResponse_(handleApiRequest_((e && e.pathInfo) || params.path, params.key));
+}
+
+/**
+ * Web App POST 進入點。Body 為 JSON：{ "path": "orders/PO-1001", "apiKey": "..." }。
+ * @param {GoogleAppsScript.Events.DoPost} e
+ * @returns {GoogleAppsScript.Content.TextOutput}
+ */
+function doPost(e) {
+  let body;
+  try {
+    body = JSON.parse((e && e.postData && e.postData.contents) || '{}');
+  } catch (err) {
+    return jsonResponse_(apiErrorBody_(createApiError_(400, 'BAD_REQUEST', 'Request body must be valid JSON.')));
+  }
+  const params = (e && e.parameter) || {};
+  return jsonResponse_(handleApiRequest_(body.path || (e && e.pathInfo), body.apiKey || params.key));
+}
+
+/**
+ * 驗證 API key 並依路由分派。所有錯誤都轉成統一的錯誤格式，不會拋出。
+ * @param {string} path - 例如 'orders/PO-1001'。
+ * @param {string} apiKey - 呼叫端提供的 API key。
+ * @returns {Object} 回應 body。
+ */
+function handleApiRequest_(path, apiKey) {
+  try {
+    const client = authenticateApiKey_(apiKey);
+    if (!client) throw createApiError_(401, 'UNAUTHORIZED', 'Missing or invalid API key.');
+
+    const segments = String(path || '').split('/').filter(segment => segment !== '');
+    const resource = (segments[0] || '').toLowerCase();
+    // P/O 號碼可能含有 '/'，因此資源名稱之後的部分全部視為 ID
+    const id = segments.slice(1).join('/').trim();
+    Logger.log(`API request from ${client.name}: ${resource}/${id}`);
+
+    if (['orders', 'serials', 'pis'].indexOf(resource) === -1) {
+      throw createApiError_(404, 'UNKNOWN_ROUTE', `Unknown route "${path || ''}". Use orders/{P/O}, serials/{Serial #} or pis/{PI #}.`);
+    }
+    if (!id) throw createApiError_(400, 'MISSING_ID', `Route "${resource}" needs an ID, e.g. ${resource}/12345.`);
+
+    switch (resource) {
+      case 'orders':
+        return { success: true, data: getOrderStatusForApi_(id, client) };
+      case 'serials':
+        return { success: true, data: getSerialStatusForApi_(id, client) };
+      default:
+        return { success: true, data: getPiStatusForApi_(id, client) };
+    }
+  } catch (e) {
+    if (!e.apiStatus) Logger.log(`API Error (${path}): ${e.message}\n${e.stack}`);
+    return apiErrorBody_(e);
+  }
+}
+
+/**
+ * 訂單狀態：Raw Data 的品項，加上 Planning / BOL / Serial DB 與 Operation Dashboard 的資訊。
+ * Dealer PO 與 Direct Quote 兩個來源都會查詢 (OrderSources.js)，回應中的 source 為來源名稱。
+ * @param {string} poNumber - P/O 號碼。
+ * @param {{name: string, buyers: string[]}} client - authenticateApiKey_ 的結果。
+ * @returns {Object}
+ */
+function getOrderStatusForApi_(poNumber, client) {
+  const names = Config.SHEET_NAMES;
+  const { orderSource, lines } = findApiOrderLines_(poNumber);
+  if (lines.length === 0) throw createApiError_(404, 'NOT_FOUND', `P/O '${poNumber}' not found.`);
+  assertApiOrderScope_(client, orderSource, lines[0], poNumber);
+
+  const raw = (record, field) => getRecordValue(orderSource.rawSheet, record, field);
+  const lineKeys = lines.map(record => normalizePoSkuKey(raw(record, 'PO_SKU_KEY'))
+    || (raw(record, 'SKU') ? buildPoSkuKey(raw(record, 'PO_NUMBER'), raw(record, 'SKU')) : ''));
+
+  // 各 DB 的記錄依正規化的 PO|SKU 鍵分組，舊格式的鍵也能對上
+  const groupByKey = sheetName => {
+    const groups = {};
+    queryByPoSkuKey(sheetName, lineKeys).all().forEach(record => {
+      const key = normalizePoSkuKey(getRecordValue(sheetName, record, 'PO_SKU_KEY'));
+      (groups[key] = groups[key] || []).push(record);
+    });
+    return groups;
+  };
+  const planningByKey = groupByKey(names.SHIPMENT_PLANNING_DB);
+  const bolsByKey = groupByKey(names.BOL_DB);
+  const serialsByKey = groupByKey(names.SERIAL_DB);
+  const dashboard = queryRecords(names.OPERATION_DASHBOARD).equals('PO_NUMBER', poNumber).first();
+
+  const first = lines[0];
+  return {
+    poNumber: String(raw(first, 'PO_NUMBER')),
+    source: orderSource.label,
+    buyerName: raw(first, 'BUYER_NAME'),
+    company: raw(first, 'COMPANY'),
+    receivedDate: formatApiDate_(raw(first, 'PO_RECEIVED_DATE')),
+    status: raw(first, 'STATUS') || 'Active',
+    estimateNumber: dashboard ? String(getRecordValue(names.OPERATION_DASHBOARD, dashboard, 'ESTIMATE_NUMBER') || '') : '',
+    lines: lines.map((record, index) => {
+      const key = lineKeys[index];
+      const planning = (planningByKey[key] || [])[0];
+      const plan = field => getRecordValue(names.SHIPMENT_PLANNING_DB, planning, field);
+      const allocations = planning ? readPlanningAllocations_(names.SHIPMENT_PLANNING_DB, planning) : null;
+      const bol = (bolRecord, field) => getRecordValue(names.BOL_DB, bolRecord, field);
+      const serial = (serialRecord, field) => getRecordValue(names.SERIAL_DB, serialRecord, field);
+
+      return {
+        sku: raw(record, 'SKU'),
+        model: raw(record, 'P_O_LINE_ITEMS') || raw(record, 'MODEL_FROM_SHEET'),
+        qty: raw(record, 'P_O_QTY'),
+        plannedShipDate: planning ? formatApiDate_(plan('EST_SHIP_DATE')) : null,
+        // east / west 沿用舊版欄位；byWarehouse 為倉庫代碼 → 數量 ('Warehouses' 工作表)
+        plannedQty: planning ? { east: allocations.E || 0, west: allocations.W || 0, byWarehouse: allocations } : null,
+        fulfilled: planning ? plan('STATUS') === 'Fulfilled' : false,
+        bols: (bolsByKey[key] || []).map(bolRecord => ({
+          bolNumber: String(bol(bolRecord, 'BOL_NUMBER')),
+          shippedQty: bol(bolRecord, 'SHIPPED_QTY'),
+          actShipDate: formatApiDate_(bol(bolRecord, 'ACT_SHIP_DATE')),
+          signed: bol(bolRecord, 'SIGNED') === true
+        })),
+        serials: (serialsByKey[key] || []).map(serialRecord => ({
+          serialNumber: String(serial(serialRecord, 'SERIAL_NUMBER')),
+          bolNumber: String(serial(serialRecord, 'BOL_NUMBER'))
+        }))
+      };
+    })
+  };
+}
+
+/**
+ * 在各訂單來源的 Raw Data 中找出 P/O 的品項 (第一個有資料的來源)。
+ * @param {string} poNumber
+ * @returns {{orderSource: (Object|null), lines: Array<Object>}}
+ */
+function findApiOrderLines_(poNumber) {
+  let orderSource = null;
+  let lines = [];
+  getAllOrderSources_()
+    .filter(source => getWorkbook_().getSheetByName(source.rawSheet))
+    .some(source => {
+      lines = queryRecords(source.rawSheet).equals('PO_NUMBER', poNumber).all();
+      orderSource = source;
+      return lines.length > 0;
+    });
+  return { orderSource, lines };
+}
+
+/**
+ * P/O 的 Buyer Name 或 Company 不在 key 的 buyers 範圍內時拋出 403。
+ * @param {{name: string, buyers: string[]}} client
+ * @param {Object} orderSource - P/O 所在的訂單來源。
+ * @param {Object} line - P/O 的任一品項記錄。
+ * @param {string} poNumber
+ */
+function assertApiOrderScope_(client, orderSource, line, poNumber) {
+  if (client.buyers.indexOf('*') !== -1) return;
+  const owners = ['BUYER_NAME', 'COMPANY']
+    .map(field => normalizeApiBuyer_(getRecordValue(orderSource.rawSheet, line, field)))
+    .filter(String);
+  if (!owners.some(owner => client.buyers.indexOf(owner) !== -1)) {
+    throw createApiError_(403, 'FORBIDDEN', `API key "${client.name}" is not allowed to read P/O '${poNumber}'.`);
+  }
+}
+
+/**
+ * @param {*} name - Buyer Name / Company。
+ * @returns {string} 比對用的名稱 (去除多餘空白、小寫)；'*' 保持不變。
+ */
+function normalizeApiBuyer_(name) {
+  return String(name === null || name === undefined ? '' : name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * 序號狀態 (getSerialStatus 的結果)。序號已指派給 P/O 時，該 P/O 必須在 key 的範圍內。
+ * @param {string} serialNumber
+ * @param {{name: string, buyers: string[]}} client - authenticateApiKey_ 的結果。
+ * @returns {Object}
+ */
+function getSerialStatusForApi_(serialNumber, client) {
+  const result = getSerialStatus(serialNumber);
+  if (result.status === 'Error') throw new Error(result.message);
+  const parts = result.poQuote ? parsePoSkuKey(result.poQuote) : null;
+  if (parts) {
+    const { orderSource, lines } = findApiOrderLines_(parts.poNumber);
+    if (lines.length === 0 && client.buyers.indexOf('*') === -1) {
+      throw createApiError_(403, 'FORBIDDEN', `API key "${client.name}" is not allowed to read serial '${serialNumber}'.`);
+    }
+    if (lines.length > 0) assertApiOrderScope_(client, orderSource, lines[0], parts.poNumber);
+  }
+  return Object.assign({ serialNumber }, result);
+}
+
+/**
+ * PI / GIT 運輸狀態 (getPiDetails 的結果)。PI 沒有對應的 buyer，只開放給 '*' 的 key；先檢查權限，範圍外的 key 也無法得知 PI 是否存在。
+ * @param {string} piNumber
+ * @param {{name: string, buyers: string[]}} client - authenticateApiKey_ 的結果。
+ * @returns {Object}
+ */
+function getPiStatusForApi_(piNumber, client) {
+  if (client.buyers.indexOf('*') === -1) {
+    throw createApiError_(403, 'FORBIDDEN', `API key "${client.name}" is not allowed to read PI status. Only keys created with '*' can.`);
+  }
+  if (!queryRecords(Config.SHEET_NAMES.GIT_DB).equals('PI_NUMBER', piNumber).first()) {
+    throw createApiError_(404, 'NOT_FOUND', `PI# '${piNumber}' not found.`);
+  }
+  const result = getPiDetails(piNumber);
+  if (!result.success) throw new Error(result.message);
+  return Object.assign({ piNumber }, result.details);
+}
+
+
+// --- API key 管理 (從 Apps Script 編輯器執行) ---
+
+/**
+ * 為用戶建立 (或重新產生) API key，並寫入 Log。重新產生後舊 key 立即失效。
+ * @param {string} clientName - 用戶名稱，例如 'dealer-portal'。
+ * @param {string[]|string} buyers - 可讀取的 Buyer Name / Company 清單；'*' 表示全部 P/O。
+ * @returns {string} 新的 API key。
+ */
+function createApiKey(clientName, buyers) {
+  if (!clientName) throw new Error('Client name is required.');
+  const scope = [].concat(buyers === undefined || buyers === null ? [] : buyers).map(normalizeApiBuyer_).filter(String);
+  if (scope.length === 0) {
+    throw new Error(`Buyers are required: pass the Buyer Name / Company values "${clientName}" may read, or '*' for every P/O.`);
+  }
+  const keys = getApiKeys_();
+  const key = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  keys[clientName] = { key, buyers: scope };
+  PropertiesService.getScriptProperties().setProperty(API_KEYS_PROPERTY, JSON.stringify(keys));
+  Logger.log(`API key for "${clientName}" (buyers: ${scope.join(', ')}): ${key}`);
+  return key;
+}
+
+/**
+ * 撤銷用戶的 API key。
+ * @param {string} clientName - 用戶名稱。
+ * @returns {boolean} 是否有 key 被移除。
+ */
+function revokeApiKey(clientName) {
+  const keys = getApiKeys_();
+  if (!keys.hasOwnProperty(clientName)) return false;
+  delete keys[clientName];
+  PropertiesService.getScriptProperties().setProperty(API_KEYS_PROPERTY, JSON.stringify(keys));
+  Logger.log(`API key for "${clientName}" revoked.`);
+  return true;
+}
+
+/**
+ * @returns {Object<string, {key: string, buyers: string[]}>} { 用戶名稱: { key, buyers } }；屬性不存在或格式錯誤時為空物件。
+ *   舊格式的值 (只有 key 字串) 讀成 buyers 為空的 key。
+ */
+function getApiKeys_() {
+  const stored = PropertiesService.getScriptProperties().getProperty(API_KEYS_PROPERTY);
+  if (!stored) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(stored) || {};
+  } catch (e) {
+    Logger.log(`Script property ${API_KEYS_PROPERTY} is not valid JSON; all API requests will be rejected.`);
+    return {};
+  }
+  const keys = {};
+  Object.keys(parsed).forEach(client => {
+    const entry = parsed[client];
+    keys[client] = typeof entry === 'string'
+      ? { key: entry, buyers: [] }
+      : { key: entry && entry.key, buyers: ((entry && entry.buyers) || []).map(normalizeApiBuyer_).filter(String) };
+  });
+  return keys;
+}
+
+/**
+ * @param {string} apiKey - 呼叫端提供的 key。
+ * @returns {{name: string, buyers: string[]}|null} 對應的用戶名稱與可讀取的 buyers，不符合時為 null。
+ */
+function authenticateApiKey_(apiKey) {
+  if (!apiKey) return null;
+  const keys = getApiKeys_();
+  const name = Object.keys(keys).find(client => keys[client].key && keys[client].key === String(apiKey));
+  return name ? { name, buyers: keys[name].buyers } : null;
+}
+
+
+// --- 回應格式 ---
+
+/**
+ * 建立帶有 API 狀態碼的錯誤。
+ * @param {number} status - HTTP 語意的狀態碼 (400 / 401 / 404 ...)。
+ * @param {string} code - 機器可讀的錯誤代碼。
+ * @param {string} message - 錯誤訊息。
+ * @returns {Error}
+ */
+function createApiError_(status, code, message) {
+  const error = new Error(message);
+  error.apiStatus = status;
+  error.apiCode = code;
+  return error;
+}
+
+/**
+ * 將錯誤轉為回應 body。非預期的錯誤一律為 500 INTERNAL_ERROR。
+ * @param {Error} error
+ * @returns {{success: boolean, status: number, code: string, message: string}}
+ */
+function apiErrorBody_(error) {
+  return {
+    success: false,
+    status: error.apiStatus || 500,
+    code: error.apiCode || 'INTERNAL_ERROR',
+    message: error.message
+  };
+}
+
+/**
+ * @param {*} value - 儲存格的值。
+ * @returns {string|null} 試算表時區的 yyyy-MM-dd，非日期時為 null。
+ */
+function formatApiDate_(value) {
+  if (!(value instanceof Date)) return null;
+  return Utilities.formatDate(value, getWorkbook_().getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * @param {Object} body
+ * @returns {GoogleAppsScript.Content.TextOutput}
+ */
+function jsonResponse_(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
@@ -6,7 +6,6 @@ function recolorPoGroups() {
   // --- 設定區 ---
   const sheetName = "Order Shipping Mgt. Table";
   const dataStartRow = 4; // 資料開始的列數
-  const poCol = 2;        // PO# 所在的欄位 (B欄)
   const color1 = "#FFFFFF"; // 顏色一 (白色)
   const color2 = "#F2F2F2"; // 顏色二 (淡灰色)
   // --- 設定結束 ---
@@ -18,6 +17,7 @@ function recolorPoGroups() {
     return;
   }
 
+  const poCol = getSchemaContext(sheetName).columns.PO_NUMBER; // PO# 所在的欄位 (依標頭名稱解析)
   const lastRow = sheet.getLastRow();
   
   // 如果資料列數少於起始列，先清除舊顏色後再停止
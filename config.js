@@ -23,6 +23,8 @@ const SHEET_NAMES = {
 
   // 管理與儀表板 (Mgt. Table & Dashboard)
   PO_PROCESSING_QUEUE: 'PO Processing Queue',
+  PO_UPLOAD_QUEUE: 'PO Upload Queue',
+  CREDIT_HOLDS: 'Credit Holds',
   ORDER_SHIPPING_MGT: 'Order Shipping Mgt. Table',
   AR_MGT: 'AR ｜Mgt. Table',
   OPERATION_DASHBOARD: 'Operation | Pending Order Dashboard',
@@ -33,9 +35,17 @@ const SHEET_NAMES = {
   VENDORS: 'Vendors',
   RSM: 'RSM',
   CUSTOMERS_QBO: 'Customers(QBO)',
+  CUSTOMER_CREDIT_LIMITS: 'Customer Credit Limits',
   SPIFF: 'SPIFF',
+  WAREHOUSES: 'Warehouses',
   STATUS_REMIND: 'Status & Remind',
-  PANDADOC_STATUS: 'PandaDoc Status Definition'
+  PANDADOC_STATUS: 'PandaDoc Status Definition',
+
+  // 歸檔與衍生工作表 (由工具直接讀寫)
+  DEALER_PO_ARCHIVE: 'Dealer PO | Archive',
+  DIRECT_QUOTE_ARCHIVE: 'Direct Quote | Archive',
+  PROC_SHIPPING_MGT: 'proc_shipping_management',
+  PRICE_BOOK_QBO: 'New HSUS Order Status - HSUS Price Book(QBO)'
 };
 
 // 由於您的核心操作是透過 PO# 或 Helper Key，我們定義主要的鍵 (Key) 欄位名稱。
@@ -46,6 +56,409 @@ const PRIMARY_KEYS = {
   BOL_NUMBER: 'BOL #'
 };
 
+/**
+ * 各工作表的欄位結構 (Schema)。
+ * 工具一律透過欄位「名稱」讀寫，由 SheetService.getSchemaContext() 對照實際標頭列解析出欄位位置，
+ * 因此在工作表中插入或搬移欄位不會讓工具寫錯欄。
+ *
+ * 每個欄位定義：
+ * - header:       標頭文字 (比對時忽略大小寫、前後空白與換行)。
+ * - column:       預期所在的欄位字母，僅作為文件與結構檢查用途，不參與讀寫。
+ * - type:         'string' | 'number' | 'date' | 'boolean'，寫入時用於轉型。
+ * - required:     為 true 時，標頭缺少會直接拋出錯誤，避免寫入錯誤欄位。
+ * - arrayFormula: 該欄由標頭列的 ARRAYFORMULA 產生，工具不可寫入資料列。
+ * - appended:     該欄由工具接在最後一欄之後新增，位置不固定；column 只是新工作表中的位置，結構檢查不比對欄位字母。
+ */
+const DEALER_PO_COLUMNS = {
+  PO_RECEIVED_DATE: { header: 'Created Date', column: 'A', type: 'date', required: true },
+  BUYER_NAME: { header: 'Buyer Name', column: 'B', type: 'string', required: true },
+  RSM: { header: 'RSM', column: 'C', type: 'string', required: true },
+  PO_NUMBER: { header: 'P/O', column: 'D', type: 'string', required: true },
+  MODEL_FROM_SHEET: { header: 'Model', column: 'E', type: 'string', arrayFormula: true },
+  PO_TOTAL: { header: 'P/O - Total', column: 'H', type: 'number', required: true },
+  PAYMENT_TERM: { header: 'Payment term', column: 'I', type: 'string', required: true },
+  TYPE: { header: 'Type', column: 'J', type: 'string', required: true },
+  COMPANY: { header: 'Company', column: 'K', type: 'string', required: true },
+  P_O_LINE_ITEMS: { header: 'P/O Line Items', column: 'M', type: 'string', required: true },
+  P_O_UNIT_PRICE: { header: 'P/O Unit Price', column: 'N', type: 'number', required: true },
+  P_O_QTY: { header: 'P/O QTY', column: 'O', type: 'number', required: true },
+  FILE_URL: { header: 'File URL', column: 'P', type: 'string', required: true },
+  SKU: { header: 'SKU', column: 'Q', type: 'string', arrayFormula: true },
+  SHIP_TO: { header: 'Ship to', column: 'S', type: 'string', required: true },
+  SHIP_TO_CONTACT: { header: 'Contact Person', column: 'T', type: 'string', required: true },
+  SHIP_TO_PHONE: { header: 'Phone', column: 'U', type: 'string', required: true },
+  SHIP_TO_EMAIL: { header: 'Email', column: 'V', type: 'string', required: true },
+  PO_SKU_KEY: { header: 'Helper Key', column: 'W', type: 'string', arrayFormula: true },
+  STATUS: { header: 'Status', column: 'Y', type: 'string', required: true },
+  CHANGE_NOTE: { header: 'Change Note', column: 'Z', type: 'string', required: true },
+  TIMESTAMP: { header: 'Timestamp', column: 'AA', type: 'date', required: true },
+  SPIFF: { header: 'SPIFF', column: 'AD', type: 'string', required: true },
+  STREET_ADDRESS: { header: 'Street Address', column: 'AH', type: 'string', required: true },
+  CITY: { header: 'City', column: 'AI', type: 'string', required: true },
+  STATE: { header: 'State', column: 'AJ', type: 'string', required: true },
+  ZIPCODE: { header: 'Zipcode', column: 'AK', type: 'string', required: true }
+};
+
+// Direct Quote 使用相同的欄位代號 (工具可共用同一套讀寫邏輯)，但標頭文字與欄位順序是自己的。
+// Model / SKU / Helper Key 與 Dealer PO 一樣由 ARRAYFORMULA 產生。
+// 這裡的標頭文字以 Direct Quote 表單的欄名為準；每一欄 (含 ARRAYFORMULA 欄) 都是 required，
+// 實際工作表的標頭不同時，讀寫會以 SheetService Schema Error 列出缺少的欄位，Validate Workbook Schema 也會報 ERROR，
+// 不會改用其他欄位繼續執行。
+const DIRECT_QUOTE_COLUMNS = {
+  PO_RECEIVED_DATE: { header: 'Quote Date', column: 'A', type: 'date', required: true },
+  BUYER_NAME: { header: 'Customer Name', column: 'B', type: 'string', required: true },
+  RSM: { header: 'RSM', column: 'C', type: 'string', required: true },
+  COMPANY: { header: 'Company', column: 'D', type: 'string', required: true },
+  MODEL_FROM_SHEET: { header: 'Model', column: 'E', type: 'string', required: true, arrayFormula: true },
+  PO_NUMBER: { header: 'Quote #', column: 'F', type: 'string', required: true },
+  PO_TOTAL: { header: 'Quote Total', column: 'G', type: 'number', required: true },
+  PAYMENT_TERM: { header: 'Payment term', column: 'H', type: 'string', required: true },
+  TYPE: { header: 'Type', column: 'I', type: 'string', required: true },
+  P_O_LINE_ITEMS: { header: 'Quote Line Items', column: 'J', type: 'string', required: true },
+  P_O_UNIT_PRICE: { header: 'Unit Price', column: 'K', type: 'number', required: true },
+  P_O_QTY: { header: 'QTY', column: 'L', type: 'number', required: true },
+  FILE_URL: { header: 'File URL', column: 'M', type: 'string', required: true },
+  SKU: { header: 'SKU', column: 'N', type: 'string', required: true, arrayFormula: true },
+  SHIP_TO: { header: 'Ship to', column: 'O', type: 'string', required: true },
+  SHIP_TO_CONTACT: { header: 'Contact Person', column: 'P', type: 'string', required: true },
+  SHIP_TO_PHONE: { header: 'Phone', column: 'Q', type: 'string', required: true },
+  SHIP_TO_EMAIL: { header: 'Email', column: 'R', type: 'string', required: true },
+  PO_SKU_KEY: { header: 'Helper Key', column: 'S', type: 'string', required: true, arrayFormula: true },
+  STATUS: { header: 'Status', column: 'T', type: 'string', required: true },
+  CHANGE_NOTE: { header: 'Change Note', column: 'U', type: 'string', required: true },
+  TIMESTAMP: { header: 'Timestamp', column: 'W', type: 'date', required: true },
+  SPIFF: { header: 'SPIFF', column: 'X', type: 'string', required: true },
+  STREET_ADDRESS: { header: 'Street Address', column: 'Y', type: 'string', required: true },
+  CITY: { header: 'City', column: 'Z', type: 'string', required: true },
+  STATE: { header: 'State', column: 'AA', type: 'string', required: true },
+  ZIPCODE: { header: 'Zipcode', column: 'AB', type: 'string', required: true }
+};
+
+/**
+ * Archive 與 Raw Data 欄位相同，但 ARRAYFORMULA 欄在 Archive 中是靜態值。
+ * @param {Object} rawColumns
+ * @returns {Object}
+ */
+function toArchiveColumns_(rawColumns) {
+  return Object.keys(rawColumns).reduce((columns, field) => {
+    const spec = Object.assign({}, rawColumns[field]);
+    delete spec.arrayFormula;
+    columns[field] = spec;
+    return columns;
+  }, {});
+}
+
+const DEALER_PO_ARCHIVE_COLUMNS = toArchiveColumns_(DEALER_PO_COLUMNS);
+const DIRECT_QUOTE_ARCHIVE_COLUMNS = toArchiveColumns_(DIRECT_QUOTE_COLUMNS);
+
+const SHEET_SCHEMAS = {
+  [SHEET_NAMES.DEALER_PO_RAW]: { headerRow: 1, columns: DEALER_PO_COLUMNS },
+
+  // Archive 與 Raw Data 欄位相同 (歸檔時依標頭複製)，但 Model / SKU / Helper Key 在 Archive 中是靜態值，不是 ARRAYFORMULA
+  [SHEET_NAMES.DEALER_PO_ARCHIVE]: { headerRow: 1, columns: DEALER_PO_ARCHIVE_COLUMNS },
+
+  [SHEET_NAMES.DIRECT_QUOTE_RAW]: { headerRow: 1, columns: DIRECT_QUOTE_COLUMNS },
+  [SHEET_NAMES.DIRECT_QUOTE_ARCHIVE]: { headerRow: 1, columns: DIRECT_QUOTE_ARCHIVE_COLUMNS },
+
+  [SHEET_NAMES.SERIAL_RAW]: {
+    headerRow: 1,
+    columns: {
+      SKU: { header: 'SKU', column: 'B', type: 'string', required: true },
+      SERIAL_NUMBER: { header: 'Serial #', column: 'D', type: 'string', required: true },
+      PO_SKU_KEY: { header: 'PO_SKU_Key', column: 'H', type: 'string', required: true },
+      INBOUND_DATE: { header: 'Inbound Date', column: 'M', type: 'date', required: true },
+      PO_NUMBER: { header: 'P/O', column: 'N', type: 'string', required: true }
+    }
+  },
+
+  [SHEET_NAMES.SERIAL_DB]: {
+    headerRow: 1,
+    columns: {
+      SERIAL_NUMBER: { header: 'Serial #', column: 'A', type: 'string', required: true },
+      PO_SKU_KEY: { header: 'PO_SKU_Key', column: 'B', type: 'string', required: true },
+      BOL_NUMBER: { header: 'BOL #', column: 'C', type: 'string', required: true },
+      COMPLETE: { header: 'Complete', column: 'D', type: 'string', required: true },
+      ASSIGNED_USER: { header: 'Assigned User', column: 'E', type: 'string', required: true },
+      ASSIGNED_TIMESTAMP: { header: 'Assigned Timestamp', column: 'F', type: 'date', required: true }
+    }
+  },
+
+  [SHEET_NAMES.BOL_DB]: {
+    headerRow: 1,
+    columns: {
+      BOL_NUMBER: { header: 'BOL #', column: 'A', type: 'string', required: true },
+      PO_SKU_KEY: { header: 'PO_SKU_Key', column: 'B', type: 'string', required: true },
+      SHIPPED_QTY: { header: 'Shipped Qty', column: 'C', type: 'number', required: true },
+      SHIPPING_FEE: { header: 'Shipping Fee', column: 'D', type: 'number', required: true },
+      ACT_SHIP_DATE: { header: 'Act. Ship Date', column: 'E', type: 'date', required: true },
+      SIGNED: { header: 'Signed', column: 'F', type: 'boolean', required: true },
+      STATUS: { header: 'Status', column: 'G', type: 'string', required: true },
+      TIMESTAMP: { header: 'Timestamp', column: 'H', type: 'date', required: true }
+    }
+  },
+
+  [SHEET_NAMES.SHIPMENT_PLANNING_DB]: {
+    headerRow: 1,
+    columns: {
+      TIMESTAMP: { header: 'Timestamp', column: 'A', type: 'date', required: true },
+      USER: { header: 'User', column: 'B', type: 'string', required: true },
+      PO_SKU_KEY: { header: 'PO_SKU_Key', column: 'C', type: 'string', required: true },
+      EST_SHIP_DATE: { header: 'Est. Ship Date', column: 'D', type: 'date', required: true },
+      // 舊版的兩個倉庫欄。保留原位置 (引用 E:G 的公式不受影響)，儲存時與 Allocations 同步寫入 E / W 的數量
+      QTY_E: { header: 'Qty (E)', column: 'E', type: 'number', required: false },
+      QTY_W: { header: 'Qty (W)', column: 'F', type: 'number', required: false },
+      STATUS: { header: 'Status', column: 'G', type: 'string', required: true },
+      // 各倉庫的分配數量，例如 'E:2, W:1' (Warehouses.js)。接在最後一欄之後，第一次儲存時自動新增；空白時沿用 Qty (E) / Qty (W)
+      ALLOCATIONS: { header: 'Allocations', column: 'H', type: 'string', required: false, appended: true }
+    }
+  },
+
+  [SHEET_NAMES.GIT_DB]: {
+    headerRow: 1,
+    columns: {
+      PI_NUMBER: { header: 'PI #', column: 'A', type: 'string', required: true },
+      ETC: { header: 'ETC', column: 'B', type: 'date', required: true },
+      ETD: { header: 'ETD', column: 'C', type: 'date', required: true },
+      ETA: { header: 'ETA', column: 'D', type: 'date', required: true },
+      MEMO: { header: 'Memo', column: 'E', type: 'string', required: true },
+      INBOUND_DATE: { header: 'Inbound Date', column: 'F', type: 'date', required: true },
+      FINISH: { header: 'Finish', column: 'G', type: 'boolean', required: true }
+    }
+  },
+
+  [SHEET_NAMES.PO_PROCESSING_QUEUE]: {
+    headerRow: 1,
+    columns: {
+      PO_NUMBER: { header: 'PO Number', column: 'A', type: 'string', required: true },
+      STATUS: { header: 'Status', column: 'B', type: 'string', required: true },
+      SUBMITTED_BY: { header: 'Submitted By', column: 'C', type: 'string', required: true },
+      SUBMITTED_TIME: { header: 'Submitted Time', column: 'D', type: 'date', required: true },
+      START_TIME: { header: 'Start Time', column: 'E', type: 'date', required: true },
+      MESSAGE: { header: 'Completion Message', column: 'F', type: 'string', required: true },
+      // 佇列工作的 payload 以 Job ID 存在隱藏的 'PO Processing Payloads' 工作表 (PoProcessingQueue.js)
+      JOB_ID: { header: 'Job ID', column: 'G', type: 'string', required: true },
+      ATTEMPTS: { header: 'Attempts', column: 'H', type: 'number', required: true }
+    }
+  },
+
+  // New PO 上傳佇列 (NewPoUploadQueue.js)：暫存檔移到 UPLOAD_FOLDER_ID 失敗的工作留在 'Failed' (dead-letter)
+  [SHEET_NAMES.PO_UPLOAD_QUEUE]: {
+    headerRow: 1,
+    columns: {
+      TASK_ID: { header: 'Task ID', column: 'A', type: 'string', required: true },
+      PO_NUMBER: { header: 'PO Number', column: 'B', type: 'string', required: true },
+      FILE_NAME: { header: 'File Name', column: 'C', type: 'string', required: true },
+      TEMP_FILE_ID: { header: 'Temp File ID', column: 'D', type: 'string', required: true },
+      STATUS: { header: 'Status', column: 'E', type: 'string', required: true },
+      SUBMITTED_BY: { header: 'Submitted By', column: 'F', type: 'string', required: true },
+      SUBMITTED_TIME: { header: 'Submitted Time', column: 'G', type: 'date', required: true },
+      PROCESSED_TIME: { header: 'Processed Time', column: 'H', type: 'date', required: true },
+      ATTEMPTS: { header: 'Attempts', column: 'I', type: 'number', required: true },
+      MESSAGE: { header: 'Message', column: 'J', type: 'string', required: true }
+    }
+  },
+
+  // 標頭在第 2 列，資料從第 3 列開始
+  [SHEET_NAMES.ORDER_SHIPPING_MGT]: {
+    headerRow: 2,
+    columns: {
+      PO_NUMBER: { header: 'P/O', column: 'B', type: 'string', required: true },
+      MODEL_NAME: { header: 'Model Name', column: 'K', type: 'string', required: true },
+      TOTAL_QTY: { header: 'Total Qty', column: 'L', type: 'number', required: true },
+      SKU: { header: 'SKU#', column: 'P', type: 'string', required: true },
+      PO_SKU_KEY: { header: 'Key (PO|SKU)', column: 'U', type: 'string', required: true },
+      SERIALS: { header: 'Serial #', column: 'AB', type: 'string', required: true }
+    }
+  },
+
+  [SHEET_NAMES.OPERATION_DASHBOARD]: {
+    headerRow: 2,
+    columns: {
+      BOL_NUMBER: { header: 'BOL #', column: 'F', type: 'string', required: true },
+      ESTIMATE_NUMBER: { header: 'Estimate #', column: 'H', type: 'string', required: true },
+      PO_NUMBER: { header: 'P/O', column: 'P', type: 'string', required: true }
+    }
+  },
+
+  [SHEET_NAMES.PROC_SHIPPING_MGT]: {
+    headerRow: 1,
+    columns: {
+      DATE: { header: 'Date', column: 'A', type: 'date', required: true },
+      PO_NUMBER: { header: 'P/O', column: 'B', type: 'string', required: true },
+      BUYER_NAME: { header: 'Buyer Name', column: 'C', type: 'string', required: true },
+      STREET: { header: 'Street Address', column: 'D', type: 'string', required: true },
+      CITY: { header: 'City', column: 'E', type: 'string', required: true },
+      STATE: { header: 'State', column: 'F', type: 'string', required: true },
+      ZIP: { header: 'Zipcode', column: 'G', type: 'string', required: true },
+      CONTACT: { header: 'Contact Person', column: 'H', type: 'string', required: true },
+      PHONE: { header: 'Phone', column: 'I', type: 'string', required: true },
+      MODEL: { header: 'Model', column: 'J', type: 'string', required: true },
+      QTY: { header: 'QTY', column: 'K', type: 'number', required: true },
+      UNIT_PRICE: { header: 'Unit Price', column: 'L', type: 'number', required: true },
+      SKU: { header: 'SKU', column: 'N', type: 'string', required: true },
+      STATUS: { header: 'Status', column: 'O', type: 'string', required: true },
+      RSM: { header: 'RSM', column: 'P', type: 'string', required: true },
+      PAYMENT_TERM: { header: 'Payment term', column: 'Q', type: 'string', required: true },
+      FILE_URL: { header: 'File URL', column: 'R', type: 'string', required: true },
+      COMPANY: { header: 'Company', column: 'S', type: 'string', required: true },
+      SPIFF: { header: 'SPIFF', column: 'T', type: 'string' }
+    }
+  },
+
+  // 標頭在第 2 列，資料從第 3 列開始
+  [SHEET_NAMES.PRICE_BOOK]: {
+    headerRow: 2,
+    columns: {
+      LOOKUP_NAME: { header: 'Lookup Name', column: 'A', type: 'string', required: true },
+      SKU: { header: 'SKU#', column: 'B', type: 'string', required: true },
+      MODEL: { header: 'Model', column: 'C', type: 'string', required: true },
+      PRICE: { header: 'Price', column: 'D', type: 'number', required: true }
+    }
+  },
+
+  [SHEET_NAMES.PRICE_BOOK_QBO]: {
+    headerRow: 1,
+    columns: {
+      SKU: { header: 'SKU', column: 'G', type: 'string', required: true },
+      SALES_DESCRIPTION: { header: 'Sales Description', column: 'V', type: 'string', required: true }
+    }
+  },
+
+  [SHEET_NAMES.CUSTOMERS_QBO]: {
+    headerRow: 1,
+    columns: {
+      CUSTOMER_NAME: { header: 'Customer', column: 'B', type: 'string', required: true }
+    }
+  },
+
+  // 業務 (RsmReport.js)：佣金比率 (0.05 或 5 都代表 5%) 與負責的州 (以逗號分隔的州代碼，例如 'TX, OK')。
+  // 一個州只能屬於一位 RSM；沒有 RSM 的新 P/O 依 Ship-to 的州自動指派
+  [SHEET_NAMES.RSM]: {
+    headerRow: 1,
+    columns: {
+      RSM_NAME: { header: 'RSM', column: 'A', type: 'string', required: true },
+      EMAIL: { header: 'Email', column: 'B', type: 'string' },
+      COMMISSION_RATE: { header: 'Commission Rate', column: 'C', type: 'number', required: true },
+      STATES: { header: 'States', column: 'D', type: 'string', required: true }
+    }
+  },
+
+  // SPIFF 方案 (SpiffEngine.js)：每列為一個方案對一個型號的每台金額。Model 可填 Lookup Name、Model 或 SKU；
+  // End Date 空白表示沒有截止日；Basis 為 'Shipped' (依 BOL 出貨，預設) 或 'Invoiced' (依 QBO 發票)
+  [SHEET_NAMES.SPIFF]: {
+    headerRow: 1,
+    columns: {
+      PROGRAM: { header: 'Program', column: 'A', type: 'string', required: true },
+      MODEL: { header: 'Model', column: 'B', type: 'string', required: true },
+      AMOUNT: { header: 'SPIFF / Unit', column: 'C', type: 'number', required: true },
+      START_DATE: { header: 'Start Date', column: 'D', type: 'date', required: true },
+      END_DATE: { header: 'End Date', column: 'E', type: 'date', required: true },
+      BASIS: { header: 'Basis', column: 'F', type: 'string' }
+    }
+  },
+
+  // 出貨倉庫 (Warehouses.js)：Shipping Mgt 為每個 Active 的倉庫顯示一個數量欄；Code 寫入 Shipment_Planning_DB 的 Allocations
+  [SHEET_NAMES.WAREHOUSES]: {
+    headerRow: 1,
+    columns: {
+      CODE: { header: 'Code', column: 'A', type: 'string', required: true },
+      NAME: { header: 'Name', column: 'B', type: 'string', required: true },
+      ADDRESS: { header: 'Address', column: 'C', type: 'string', required: true },
+      ACTIVE: { header: 'Active', column: 'D', type: 'boolean', required: true }
+    }
+  },
+
+  // QBO 'Sales by Product/Service Detail' 報表 (每張發票的每個品項一列)；P.O. Number 為 QBO 發票的自訂欄位
+  [SHEET_NAMES.QBO_INVOICE_RAW]: {
+    headerRow: 1,
+    columns: {
+      INVOICE_DATE: { header: 'Date', column: 'A', type: 'date', required: true },
+      TXN_TYPE: { header: 'Transaction Type', column: 'B', type: 'string' },
+      NUM: { header: 'Num', column: 'C', type: 'string', required: true },
+      CUSTOMER: { header: 'Customer', column: 'D', type: 'string', required: true },
+      PO_NUMBER: { header: 'P.O. Number', column: 'E', type: 'string', required: true },
+      SKU: { header: 'SKU', column: 'F', type: 'string', required: true },
+      QTY: { header: 'Qty', column: 'G', type: 'number', required: true },
+      AMOUNT: { header: 'Amount', column: 'H', type: 'number' }
+    }
+  },
+
+  // 信用額度與 Customers(QBO) 分開存放：Customers(QBO) 由 QBO 同步，額外的欄位會被覆寫
+  [SHEET_NAMES.CUSTOMER_CREDIT_LIMITS]: {
+    headerRow: 1,
+    columns: {
+      CUSTOMER_NAME: { header: 'Customer', column: 'A', type: 'string', required: true },
+      CREDIT_LIMIT: { header: 'Credit Limit', column: 'B', type: 'number', required: true },
+      NOTE: { header: 'Note', column: 'C', type: 'string' }
+    }
+  },
+
+  // QBO Open Invoices 報表 (每張未結發票 / 貸項一列)；Customer 為 'Parent:Sub' 時歸入 Parent
+  [SHEET_NAMES.AR_QBO_RAW]: {
+    headerRow: 1,
+    columns: {
+      CUSTOMER: { header: 'Customer', column: 'A', type: 'string', required: true },
+      TXN_DATE: { header: 'Date', column: 'B', type: 'date' },
+      TXN_TYPE: { header: 'Transaction Type', column: 'C', type: 'string' },
+      NUM: { header: 'Num', column: 'D', type: 'string' },
+      DUE_DATE: { header: 'Due Date', column: 'E', type: 'date', required: true },
+      OPEN_BALANCE: { header: 'Open Balance', column: 'F', type: 'number', required: true }
+    }
+  },
+
+  // 信用檢查的紀錄 (CreditHold.js)：'On Hold' 擋住出貨規劃與 BOL，由信用主管 Release；'Flagged' 只提示
+  [SHEET_NAMES.CREDIT_HOLDS]: {
+    headerRow: 1,
+    columns: {
+      PO_NUMBER: { header: 'P/O', column: 'A', type: 'string', required: true },
+      ORDER_SOURCE: { header: 'Order Source', column: 'B', type: 'string', required: true },
+      BUYER_NAME: { header: 'Buyer Name', column: 'C', type: 'string', required: true },
+      STATUS: { header: 'Status', column: 'D', type: 'string', required: true },
+      REASON: { header: 'Reason', column: 'E', type: 'string', required: true },
+      PO_TOTAL: { header: 'P/O Total', column: 'F', type: 'number', required: true },
+      OPEN_AR: { header: 'Open AR', column: 'G', type: 'number', required: true },
+      OVERDUE_AR: { header: 'Overdue AR', column: 'H', type: 'number', required: true },
+      CREDIT_LIMIT: { header: 'Credit Limit', column: 'I', type: 'number', required: true },
+      CHECKED_BY: { header: 'Checked By', column: 'J', type: 'string', required: true },
+      CHECKED_TIME: { header: 'Checked Time', column: 'K', type: 'date', required: true },
+      CHECK_TRIGGER: { header: 'Trigger', column: 'L', type: 'string', required: true },
+      RELEASED_BY: { header: 'Released By', column: 'M', type: 'string', required: true },
+      RELEASED_TIME: { header: 'Released Time', column: 'N', type: 'date', required: true },
+      RELEASE_NOTE: { header: 'Release Note', column: 'O', type: 'string', required: true }
+    }
+  }
+};
+
+/**
+ * DB 表的儲存後端 (依工作表名稱設定)，由 SheetService.getStorageBackend() 讀取。
+ * - backend:    'sheets' (預設，直接讀寫工作表) | 'firestore' | 'memory' (僅存在於本次執行，供測試使用)。
+ * - collection: 文件資料庫中的集合名稱。
+ * - primaryKey: 組成文件 ID 的 Schema 欄位代號；多個欄位依序以 '::' 串接。
+ * 切換為 'firestore' 之前，先執行 migrateSheetToDocumentStore() 搬移資料並核對筆數與 checksum。
+ */
+const STORAGE_COLLECTIONS = {
+  [SHEET_NAMES.GIT_DB]: { backend: 'sheets', collection: 'git_db', primaryKey: ['PI_NUMBER'] },
+  [SHEET_NAMES.SERIAL_DB]: { backend: 'sheets', collection: 'serial_db', primaryKey: ['SERIAL_NUMBER'] },
+  [SHEET_NAMES.BOL_DB]: { backend: 'sheets', collection: 'bol_db', primaryKey: ['PO_SKU_KEY', 'BOL_NUMBER'] },
+  [SHEET_NAMES.SHIPMENT_PLANNING_DB]: { backend: 'sheets', collection: 'shipment_planning_db', primaryKey: ['PO_SKU_KEY'] }
+};
+
+// 第一次使用時才由工具建立，或不存在時有預設值的工作表。Schema 檢查 (SchemaValidator.js) 對這些缺少的工作表只列為 INFO。
+const OPTIONAL_SHEETS = [
+  SHEET_NAMES.PO_PROCESSING_QUEUE,    // getOrCreateQueueSheet
+  SHEET_NAMES.PO_UPLOAD_QUEUE,        // getOrCreateQueueSheet
+  SHEET_NAMES.CREDIT_HOLDS,           // 第一次信用檢查時建立
+  SHEET_NAMES.CUSTOMER_CREDIT_LIMITS, // 不存在時視為所有客戶都未設定額度
+  SHEET_NAMES.WAREHOUSES,             // 預設 East (E) / West (W)
+  SHEET_NAMES.DIRECT_QUOTE_ARCHIVE    // 第一次歸檔 Direct Quote 時建立
+];
+
+// Firestore 連線設定。存取權限來自 appsscript.json oauthScopes 中的 https://www.googleapis.com/auth/datastore
+const FIRESTORE_SETTINGS = {
+  PROJECT_ID: '',
+  DATABASE_ID: '(default)'
+};
+
 // 導出配置供其他 .gs 檔案使用
 // 在 App Script 中，所有變數都是全域的，但為了程式碼可讀性，我們用一個 Object 集中定義。
 const Config = {
@@ -53,8 +466,11 @@ const Config = {
   PRIMARY_KEYS,
   // 您的 Google Sheet 文件 ID (請替換為您的實際 ID)
   // 您可以在瀏覽器 URL 中找到它：.../d/[YOUR_DOCUMENT_ID]/edit
-  DOCUMENT_ID: 1WdJZkuiLCH- fM5LMX6leJ0XIpZCreItCSLAPN2VasqA
-  // TODO: 請您手動替換上方 YOUR_GOOGLE_SHEET_ID_HERE
+  DOCUMENT_ID: '1WdJZkuiLCH-fM5LMX6leJ0XIpZCreItCSLAPN2VasqA',
+  SCHEMAS: SHEET_SCHEMAS,
+  STORAGE: STORAGE_COLLECTIONS,
+  OPTIONAL_SHEETS,
+  FIRESTORE: FIRESTORE_SETTINGS
 };
 
 // 警告: App Script 舊版運行環境不支持 ES6 模組導出 (export default)。
@@ -8,7 +8,10 @@ function onOpen() {
     .createMenu('Customed Order Tools')
     .addItem('Step 0: New/Revise/Void PO', 'openNewReviseVoidPO')
     .addItem('Step 0: Manual New PO', 'showManualPOSidebar')
+    .addItem('Step 0: Import POs (CSV/XLSX)', 'openPoImportDialog')
     .addItem('Step 1: PO Editor', 'openPOEditor')
+    .addItem('PO Processing Queue', 'openPoProcessingQueueSidebar')
+    .addItem('Credit Holds', 'openCreditHoldsSidebar')
     .addSeparator()
     .addItem('Step 2: Shipping Mgt (Est.).', 'openShippingMgtTool')
     .addItem('Step 3: BOL# Entry (Act.)', 'openBolEntryTool')
@@ -17,31 +20,22 @@ function onOpen() {
     .addSeparator()
     .addItem('GIT Mgt. Tool', 'openGitEditor')
     .addItem('Refresh PO Group Colors', 'recolorPoGroups')
+    .addItem('Validate Workbook Schema', 'validateWorkbookSchema')
+    .addItem('Scan PO|SKU Keys', 'scanPoSkuKeys')
+    .addItem('Migrate Warehouse Allocations', 'migrateWarehouseAllocations')
+    .addItem('PO Revision History', 'openPoRevisionHistory')
+    .addItem('Archive Policies: Dry Run', 'previewArchivePolicies')
+    .addItem('Archive Policies: Run', 'applyArchivePolicies')
+    .addItem('SPIFF: Monthly Statements', 'generateSpiffStatements')
+    .addItem('SPIFF: Check P/O Selections', 'checkSpiffSelections')
+    .addItem('RSM Report', 'generateRsmReport')
+    .addItem('Fill Missing RSMs', 'fillMissingRsms')
+    .addItem('Recent Errors', 'openRecentErrorsSidebar')
     .addToUi();
 }
 
-/**
- * Opens the modal dialog interface for the PO Data Correction Tool.
- */
-function openPOEditor() {
-  const html = HtmlService.createTemplateFromFile('POEditor')
-      .evaluate()
-      .setTitle('PO Data Correction Tool')
-      .setWidth(800)
-      .setHeight(750); 
-  SpreadsheetApp.getUi().showModalDialog(html, 'PO Data Correction Tool');
-}
-
-/**
- * ⚡️ [重要提醒] 您的菜單中也包含以下函數，為確保 onOpen 正常運作，它們也必須被定義：
- */
-function openNewReviseVoidPO() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
-}
-function showManualPOSidebar() {
-  SpreadsheetApp.getUi().alert('This feature is currently under development.');
-}
-//... (And all other functions called in your onOpen menu)
+// 選單中的各個函數 (openPOEditor、openNewReviseVoidPO、showManualPOSidebar ...) 定義在各工具自己的檔案中，
+// 這裡不要再放同名的佔位函數，否則 Apps Script 會以後載入的版本覆蓋真正的工具。
 
 // --- 我們將共用的工具函式放在這裡 ---
 
@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+
+function setup() {
+  const project = loadProject();
+  project.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-1', STATUS: 'Change' }),
+    dealerPoRow({ PO_NUMBER: 'PO-2', STATUS: '' }),
+    dealerPoRow({ PO_NUMBER: 'PO-3', STATUS: 'Voided' }),
+    dealerPoRow({ PO_NUMBER: 'PO-4', STATUS: 'Revised' }),
+    dealerPoRow({ PO_NUMBER: 'PO-5', STATUS: 'Pending' })
+  ]);
+  // Archive 的欄位順序與 Raw Data 不同，且少了部分欄位
+  project.addSheet(ARCHIVE, [
+    ['Status', 'P/O', 'Helper Key', 'Buyer Name', 'P/O - Total', 'Archive Note'],
+    ['Change', 'PO-0', 'PO-0|SKU-A', 'Old Buyer', 10, 'kept']
+  ]);
+  return project;
+}
+
+test('archiving moves Change/Voided/Revised rows and maps them by header name', () => {
+  const project = setup();
+  // PO-5 (第 6 列) 的 P/O - Total 是逐列公式，歸檔後必須保留
+  project.spreadsheet.getSheetByName(RAW).getRange(6, 8).setFormula('=G6*2');
+
+  project.call('archiveProcessedPOs_Safe');
+
+  const archive = project.spreadsheet.getSheetByName(ARCHIVE).dump();
+  assert.deepEqual(archive.slice(1), [
+    ['Change', 'PO-0', 'PO-0|SKU-A', 'Old Buyer', 10, 'kept'],
+    ['Change', 'PO-1', 'PO-1|SKU-A', 'Acme Supply', 200, ''],
+    ['Voided', 'PO-3', 'PO-3|SKU-A', 'Acme Supply', 200, ''],
+    ['Revised', 'PO-4', 'PO-4|SKU-A', 'Acme Supply', 200, '']
+  ]);
+
+  const raw = project.readSchemaSheet(RAW);
+  assert.deepEqual(raw.map(r => r.PO_NUMBER), ['PO-2', 'PO-5']);
+  assert.deepEqual(raw.map(r => r.PO_SKU_KEY), ['PO-2|SKU-A', 'PO-5|SKU-A'], 'kept rows are not rewritten');
+  assert.deepEqual(raw.map(r => r.BUYER_NAME), ['Acme Supply', 'Acme Supply']);
+  assert.equal(project.spreadsheet.getSheetByName(RAW).getRange(3, 8).getFormula(), '=G6*2', 'the formula moves up with its row');
+});
+
+test('archiving with nothing to move leaves both sheets untouched', () => {
+  const project = loadProject();
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-2' })]);
+  project.addSheet(ARCHIVE, [['Status', 'P/O']]);
+  const before = project.readSchemaSheet(RAW);
+
+  project.call('archiveProcessedPOs_Safe');
+
+  assert.deepEqual(project.readSchemaSheet(RAW), before);
+  assert.equal(project.spreadsheet.getSheetByName(ARCHIVE).getLastRow(), 1);
+  assert.equal(project.spreadsheet.getSheetByName('Archive Manifest').getLastRow(), 1, 'no manifest row when nothing moved');
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+const OLD = new Date('2024-09-01T12:00:00Z');
+const RECENT = new Date('2025-01-10T12:00:00Z');
+
+function setup() {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-1', STATUS: 'Voided' }),
+    dealerPoRow({ PO_NUMBER: 'PO-2' })
+  ]);
+  project.addSchemaSheet(ARCHIVE, []);
+  project.addSchemaSheet('BOL_DB', [
+    { BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A', ACT_SHIP_DATE: OLD, STATUS: 'Fulfilled' },
+    { BOL_NUMBER: 'B-2', PO_SKU_KEY: 'PO-2|SKU-A', ACT_SHIP_DATE: OLD, STATUS: 'Fulfilled' },
+    { BOL_NUMBER: 'B-3', PO_SKU_KEY: 'PO-1|SKU-B', ACT_SHIP_DATE: RECENT, STATUS: 'Fulfilled' },
+    { BOL_NUMBER: 'B-4', PO_SKU_KEY: 'PO-1|SKU-C', ACT_SHIP_DATE: OLD, STATUS: '' }
+  ]);
+  project.addSchemaSheet('Shipment_Planning_DB', [
+    { PO_SKU_KEY: 'PO-1|SKU-A', EST_SHIP_DATE: OLD, QTY_E: 1, QTY_W: 0, STATUS: 'Fulfilled' }
+  ]);
+  // 只有 PO-1 已開 Estimate
+  project.addSchemaSheet('Operation | Pending Order Dashboard', [
+    { PO_NUMBER: 'PO-1', ESTIMATE_NUMBER: 'EST-100' },
+    { PO_NUMBER: 'PO-2', ESTIMATE_NUMBER: '' }
+  ]);
+  return project;
+}
+
+function sheetRecords(project, name) {
+  const [headers, ...rows] = project.spreadsheet.getSheetByName(name).dump();
+  return rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]])));
+}
+
+test('a dry run lists matching rows from the default policies without moving anything', () => {
+  const project = setup();
+  const bolBefore = project.readSchemaSheet('BOL_DB');
+
+  const result = project.call('runArchivePolicies', { dryRun: true });
+
+  assert.deepEqual(result.results.map(r => [r.policy, r.outcome, r.matched]), [
+    ['Dealer PO processed', 'Dry Run', 1],
+    ['Direct Quote processed', 'Skipped', 0],
+    ['BOL fulfilled and estimated > 90 days', 'Dry Run', 1],
+    ['Planning fulfilled and estimated > 90 days', 'Dry Run', 1]
+  ]);
+  assert.deepEqual(result.results[2].rows.map(r => [r.rowNumber, r.key]), [[2, 'PO-1|SKU-A']]);
+  assert.deepEqual(project.readSchemaSheet('BOL_DB'), bolBefore);
+  assert.equal(project.readSchemaSheet(RAW).length, 2);
+
+  const report = sheetRecords(project, 'Archive Dry Run');
+  assert.deepEqual(report.map(r => [r.Policy, r.Row, r.Key]), [
+    ['Dealer PO processed', 2, 'PO-1'],
+    ['BOL fulfilled and estimated > 90 days', 2, 'PO-1|SKU-A'],
+    ['Planning fulfilled and estimated > 90 days', 2, 'PO-1|SKU-A']
+  ]);
+  const manifest = sheetRecords(project, 'Archive Manifest');
+  assert.deepEqual(manifest.map(r => r.Mode), ['Dry Run', 'Dry Run', 'Dry Run', 'Dry Run']);
+  assert.equal(manifest[0]['Run ID'], result.runId);
+  assert.ok(project.spreadsheet.getSheetByName('Archive Policies'), 'the default policies are written to a sheet');
+});
+
+test('a run moves matching rows, tags them with the run ID and records a manifest', () => {
+  const project = setup();
+
+  const result = project.call('runArchivePolicies', { dryRun: false });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(project.readSchemaSheet('BOL_DB').map(r => r.BOL_NUMBER), ['B-2', 'B-3', 'B-4']);
+  const bolArchive = sheetRecords(project, 'BOL_DB | Archive');
+  assert.deepEqual(bolArchive.map(r => [r['BOL #'], r['Archive Run ID']]), [['B-1', result.runId]]);
+
+  const raw = project.readSchemaSheet(RAW);
+  assert.deepEqual(raw.map(r => [r.PO_NUMBER, r.PO_SKU_KEY]), [['PO-2', 'PO-2|SKU-A']], 'kept rows are left as they were');
+  assert.deepEqual(project.readSchemaSheet(ARCHIVE).map(r => r.PO_NUMBER), ['PO-1']);
+
+  const manifest = sheetRecords(project, 'Archive Manifest');
+  assert.deepEqual(manifest.map(r => [r.Mode, r.Policy, r.Outcome, r['Rows Moved'], r.Keys]), [
+    ['Archive', 'Dealer PO processed', 'Archived', 1, 'PO-1'],
+    ['Archive', 'BOL fulfilled and estimated > 90 days', 'Archived', 1, 'PO-1|SKU-A'],
+    ['Archive', 'Planning fulfilled and estimated > 90 days', 'Archived', 1, 'PO-1|SKU-A']
+  ]);
+  assert.equal(manifest[0].User, 'ops@example.com');
+});
+
+test('incomplete policy rows are reported as errors and never archive the whole sheet', () => {
+  const project = setup();
+  project.addSheet('Archive Policies', [
+    project.get('ARCHIVE_POLICY_HEADERS'),
+    ['Everything', true, 'BOL_DB', '', 'STATUS', '', '', '', ''],
+    ['Typo', 'yes', 'BOL_DB', '', 'STATUS', 'Fulfilled', '', '', 'invoiced'],
+    ['Disabled', false, 'BOL_DB', '', 'STATUS', 'Fulfilled', '', '', '']
+  ]);
+
+  const result = project.call('runArchivePolicies', { dryRun: false });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.results.map(r => [r.policy, r.outcome]), [['Everything', 'Error'], ['Typo', 'Error']]);
+  assert.match(result.results[0].message, /would archive every row/);
+  assert.match(result.results[1].message, /Unknown condition\(s\): invoiced/);
+  assert.equal(project.readSchemaSheet('BOL_DB').length, 4);
+});
+
+test('preserved ARRAYFORMULA columns keep their formula in the source and are not written into a formula-driven archive column', () => {
+  const project = setup();
+  const ss = project.spreadsheet;
+  // Label 的 ARRAYFORMULA 放在第一個資料列；歸檔表的 Label 由標頭列的公式產生
+  const returns = ss.addSheet('Returns', [
+    ['Status', 'Ref', 'Label'],
+    ['Done', 'R-1', 'r-1'],
+    ['Open', 'R-2', 'r-2'],
+    ['Done', 'R-3', 'r-3']
+  ]);
+  returns.formulas.set('2,3', '=ARRAYFORMULA(LOWER(B2:B))');
+  const returnsArchive = ss.addSheet('Returns | Archive', [['Status', 'Ref', 'Label', 'Archive Run ID']], { arrayFormulaColumns: [3] });
+  returnsArchive.formulas.set('1,3', '={"Label";ARRAYFORMULA(LOWER(B2:B))}');
+
+  const policies = project.call('parseArchivePolicy_', header => ({
+    'Policy': 'Returns done', 'Enabled': true, 'Source Sheet': 'Returns', 'Status Values': 'Done', 'Preserve Columns': 'Label'
+  })[header] || '');
+  assert.deepEqual(JSON.parse(JSON.stringify(policies.preserveColumns)), ['Label']);
+
+  const result = project.call('runArchivePolicies', { dryRun: false, policies: [policies] });
+
+  assert.equal(result.success, true, JSON.stringify(result.results));
+  assert.equal(result.results[0].moved, 2);
+  assert.deepEqual(returns.dump().map(row => row.slice(0, 2)), [['Status', 'Ref'], ['', ''], ['Open', 'R-2']],
+    'the row holding the formula is cleared instead of deleted');
+  assert.equal(returns.formulas.get('2,3'), '=ARRAYFORMULA(LOWER(B2:B))');
+  assert.deepEqual(returnsArchive.dump().slice(1).map(row => row.slice(0, 3)), [['Done', 'R-1', ''], ['Done', 'R-3', '']]);
+  assert.equal(returnsArchive.formulas.get('1,3'), '={"Label";ARRAYFORMULA(LOWER(B2:B))}');
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+
+function setup() {
+  const project = loadProject();
+  project.addSchemaSheet('BOL_DB', [
+    { BOL_NUMBER: 'OLD-1', PO_SKU_KEY: 'PO-1|SKU-A', SHIPPED_QTY: 1, SHIPPING_FEE: 10, SIGNED: false },
+    { BOL_NUMBER: 'KEEP-1', PO_SKU_KEY: 'PO-2|SKU-B', SHIPPED_QTY: 4, SHIPPING_FEE: 0, SIGNED: true },
+    { BOL_NUMBER: 'OLD-2', PO_SKU_KEY: 'PO-1|SKU-A', SHIPPED_QTY: 1, SHIPPING_FEE: 10, SIGNED: false }
+  ]);
+  project.addSchemaSheet('Shipment_Planning_DB', [
+    { PO_SKU_KEY: 'PO-1|SKU-A', EST_SHIP_DATE: new Date('2025-01-20'), QTY_E: 2, QTY_W: 1, STATUS: '' },
+    { PO_SKU_KEY: 'PO-2|SKU-B', EST_SHIP_DATE: new Date('2025-01-22'), QTY_E: 4, QTY_W: 0, STATUS: '' }
+  ]);
+  return project;
+}
+
+test('saveBolData replaces the BOL rows of one PO|SKU and leaves the others alone', () => {
+  const project = setup();
+  const cache = project.call('CacheService.getScriptCache');
+  cache.put('pendingBolData', '[]');
+  cache.put('fulfilledBolData', '[]');
+
+  const result = project.call('saveBolData', {
+    poSkuKey: 'PO-1|SKU-A',
+    actShipDate: '2025-01-25',
+    isFulfilled: true,
+    bols: [
+      { bolNumber: 'NEW-1', shippedQty: '2', shippingFee: '35.5', signed: true },
+      { bolNumber: 'NEW-2', shippedQty: '1', shippingFee: '', signed: false },
+      { bolNumber: '', shippedQty: '3', shippingFee: '1', signed: false },
+      { bolNumber: 'ZERO', shippedQty: '0', shippingFee: '1', signed: false }
+    ]
+  });
+  assert.equal(result.success, true, result.message);
+
+  const bols = project.readSchemaSheet('BOL_DB');
+  assert.deepEqual(bols.map(r => r.BOL_NUMBER), ['KEEP-1', 'NEW-1', 'NEW-2']);
+  assert.deepEqual(bols.slice(1).map(r => r.SHIPPED_QTY), [2, 1]);
+  assert.deepEqual(bols.slice(1).map(r => r.SHIPPING_FEE), [35.5, 0]);
+  assert.deepEqual(bols.slice(1).map(r => r.STATUS), ['Fulfilled', 'Fulfilled']);
+  assert.equal(bols[1].ACT_SHIP_DATE.getTime(), new Date('2025-01-25').getTime());
+
+  const planning = project.readSchemaSheet('Shipment_Planning_DB');
+  assert.equal(planning[0].STATUS, 'Fulfilled');
+  assert.equal(planning[1].STATUS, '');
+
+  assert.equal(cache.get('pendingBolData'), null);
+  assert.equal(cache.get('fulfilledBolData'), null);
+  assert.equal(project.lockStates.script.holder, null, 'the lock is released');
+});
+
+test('getExistingBolData reads back what saveBolData wrote', () => {
+  const project = setup();
+  project.call('saveBolData', {
+    poSkuKey: 'PO-1|SKU-A',
+    actShipDate: '2025-01-25T12:00:00Z',
+    isFulfilled: false,
+    bols: [{ bolNumber: 'NEW-1', shippedQty: '2', shippingFee: '5', signed: true }]
+  });
+
+  project.newExecution();
+  const data = project.call('getExistingBolData', 'PO-1|SKU-A');
+  assert.equal(data.success, true);
+  assert.deepEqual(data.bols, [{ bolNumber: 'NEW-1', shippedQty: 2, shippingFee: 5, signed: true }]);
+  assert.equal(data.actShipDate, '2025-01-25');
+  assert.equal(data.isFulfilled, false);
+});
+
+test('saveBolData without a PO|SKU key is rejected', () => {
+  const project = setup();
+  const result = project.call('saveBolData', { poSkuKey: '', bols: [] });
+  assert.equal(result.success, false);
+  assert.match(result.message, /PO\|SKU Key is missing/);
+  assert.equal(project.readSchemaSheet('BOL_DB').length, 3);
+});
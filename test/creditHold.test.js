@@ -0,0 +1,189 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+const AR = 'AR from QBO | Raw Data';
+const LIMITS = 'Customer Credit Limits';
+const HOLDS = 'Credit Holds';
+
+function setup({ ar = [], limits = [], raw = [] } = {}) {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet('HSUS Price Book', [{ LOOKUP_NAME: 'Alpha 100', SKU: 'F101601', MODEL: 'Alpha-100', PRICE: 1200 }]);
+  project.addSchemaSheet('New HSUS Order Status - HSUS Price Book(QBO)', [{ SKU: 'F101601', SALES_DESCRIPTION: 'Alpha_100' }]);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }]);
+  project.addSchemaSheet(RAW, raw);
+  project.addSchemaSheet(ARCHIVE, []);
+  project.addSchemaSheet(AR, ar);
+  project.addSchemaSheet(LIMITS, limits);
+  project.addSchemaSheet('Shipment_Planning_DB', []);
+  project.addSchemaSheet('BOL_DB', []);
+  return project;
+}
+
+function poData() {
+  return {
+    poNumber: 'POM00001',
+    createdDate: '2025-01-15',
+    buyerName: 'acme supply',
+    paymentTerm: 'Net 30',
+    type: 'Dealer',
+    lineItems: [{ model: 'Alpha 100', quantity: 2, unitPrice: 1150 }],
+    shipToInfo: { address: '1 Pool Way\nAustin, TX 78701', contactPerson: 'Sam Ortiz', phone: '555-0111', email: 'sam@example.com' },
+    total: 1
+  };
+}
+
+const bolData = {
+  poSkuKey: 'POM00001|F101601',
+  actShipDate: '2025-01-20',
+  isFulfilled: false,
+  bols: [{ bolNumber: 'BOL-1', shippedQty: '2', shippingFee: '', signed: false }]
+};
+
+test('a new PO over the credit limit is held until a credit manager releases it', () => {
+  const project = setup({
+    ar: [{ CUSTOMER: 'Acme Supply', DUE_DATE: new Date('2025-02-01'), OPEN_BALANCE: 8000 }],
+    limits: [{ CUSTOMER_NAME: 'Acme Supply', CREDIT_LIMIT: 10000 }]
+  });
+
+  const saved = project.call('processAndSavePo', poData());
+  assert.equal(saved.status, 'success');
+  assert.equal(saved.creditCheck.status, 'On Hold');
+  assert.match(saved.message, / Credit check: On Hold\. Open AR \$8000\.00 \+ this P\/O \$2300\.00 exceeds the credit limit \$10000\.00\.$/);
+  const [hold] = project.readSchemaSheet(HOLDS);
+  assert.deepEqual([hold.PO_NUMBER, hold.BUYER_NAME, hold.STATUS, hold.PO_TOTAL, hold.OPEN_AR, hold.CREDIT_LIMIT, hold.CHECKED_BY, hold.CHECK_TRIGGER],
+    ['POM00001', 'Acme Supply', 'On Hold', 2300, 8000, 10000, 'ops@example.com', 'Manual New PO']);
+
+  const planning = project.call('savePlanningData', { poSkuKey: 'POM00001|F101601', estShipDate: '2025-01-20', totalQty: 2, qtyE: 2, qtyW: 0 });
+  assert.equal(planning.success, false);
+  assert.match(planning.message, /PO #POM00001 is on credit hold\. Open AR .* A credit manager must release it before shipment planning\.$/);
+  const blocked = project.call('saveBolData', bolData);
+  assert.equal(blocked.success, false);
+  assert.match(blocked.message, /must release it before BOL entry/);
+
+  const notManager = project.call('releaseCreditHold', 'POM00001', 'Paid by wire');
+  assert.equal(notManager.success, false);
+  assert.match(notManager.message, /^ops@example\.com is not a credit manager/);
+
+  project.properties.script.setProperty('CREDIT_MANAGER_EMAILS', 'cfo@example.com, Ops@Example.com');
+  assert.equal(project.call('getCreditHolds').canRelease, true);
+  assert.equal(project.call('releaseCreditHold', 'POM00001', ' ').message, 'A release note is required.');
+  const released = project.call('releaseCreditHold', 'POM00001', 'Paid by wire');
+  assert.equal(released.success, true, released.message);
+  assert.equal(released.message, 'Credit hold on PO #POM00001 released.');
+  const row = project.readSchemaSheet(HOLDS)[0];
+  assert.deepEqual([row.STATUS, row.RELEASED_BY, row.RELEASE_NOTE], ['Released', 'ops@example.com', 'Paid by wire']);
+  assert.deepEqual(project.call('getCreditHolds').holds, [], 'released holds are hidden by default');
+  assert.equal(project.call('getCreditHolds', true).holds.length, 1);
+
+  project.newExecution();
+  const cache = project.call('CacheService.getScriptCache');
+  cache.put('pendingBolData', '[]');
+  cache.put('fulfilledBolData', '[]');
+  assert.equal(project.call('saveBolData', bolData).success, true);
+  assert.equal(project.call('releaseCreditHold', 'POM00001', 'again').message, 'PO #POM00001 is not on credit hold.');
+});
+
+test('overdue AR, sub-customers, credit memos and missing limits are weighed by the credit check', () => {
+  const project = setup({
+    ar: [
+      { CUSTOMER: 'Acme Supply', DUE_DATE: new Date('2025-01-10'), OPEN_BALANCE: '$1,234.00' },
+      { CUSTOMER: 'acme supply:Austin Store', DUE_DATE: new Date('2025-03-01'), OPEN_BALANCE: 500 },
+      { CUSTOMER: 'Acme Supply', DUE_DATE: new Date('2025-03-01'), OPEN_BALANCE: '(200.00)' },
+      { CUSTOMER: 'Acme Supply Two', DUE_DATE: new Date('2024-01-01'), OPEN_BALANCE: 9999 },
+      { CUSTOMER: 'Best Pools', DUE_DATE: new Date('2024-11-01'), OPEN_BALANCE: 300 }
+    ],
+    limits: [{ CUSTOMER_NAME: 'Acme Supply', CREDIT_LIMIT: 5000 }, { CUSTOMER_NAME: 'Best Pools', CREDIT_LIMIT: 5000 }]
+  });
+
+  const acme = project.call('evaluateCredit_', 'Acme Supply', 1000);
+  assert.deepEqual([acme.status, acme.openAr, acme.overdueAr], ['Flagged', 1534, 1234]);
+  assert.deepEqual(acme.reasons, ['$1234.00 is overdue (within 30 days).']);
+  assert.equal(project.call('evaluateCredit_', 'Acme Supply', 4000).status, 'On Hold');
+
+  const best = project.call('evaluateCredit_', 'Best Pools', 100);
+  assert.deepEqual([best.status, best.reasons], ['On Hold', ['$300.00 is more than 30 days overdue.']]);
+
+  const noLimit = project.call('runCreditCheck_', 'PO-9', { buyerName: 'New Dealer', poTotal: 10, trigger: 'PO Import' });
+  assert.deepEqual([noLimit.status, noLimit.reasons], ['Flagged', ["No credit limit set for New Dealer in 'Customer Credit Limits'."]]);
+  assert.deepEqual(project.readSchemaSheet(HOLDS).map(r => [r.PO_NUMBER, r.STATUS]), [['PO-9', 'Flagged']]);
+  assert.equal(project.call('assertNoCreditHold_', 'PO-9', 'BOL entry'), undefined, 'a flag does not block shipping');
+
+  const again = project.call('runCreditCheck_', 'PO-10', { buyerName: 'New Dealer', poTotal: 10, trigger: 'PO Import' });
+  assert.equal(again.status, 'Flagged', 'the caller is still told the limit is missing');
+  project.call('runCreditCheck_', 'PO-11', { buyerName: 'Other Dealer', poTotal: 10, trigger: 'PO Import' });
+  assert.deepEqual(project.readSchemaSheet(HOLDS).map(r => [r.PO_NUMBER, r.BUYER_NAME]), [['PO-9', 'New Dealer'], ['PO-11', 'Other Dealer']],
+    'a missing limit is recorded once per customer');
+});
+
+test('hold errors for several P/Os read the Credit Holds sheet once', () => {
+  const project = setup();
+  project.addSchemaSheet(HOLDS, [
+    { PO_NUMBER: 'PO-1', STATUS: 'On Hold', REASON: 'Over limit.' },
+    { PO_NUMBER: 'PO-2', STATUS: 'Released', REASON: 'Over limit.' },
+    { PO_NUMBER: 'PO-3', STATUS: 'On Hold', REASON: 'Overdue.' }
+  ]);
+  project.get(`(() => { const read = readCreditHolds_; globalThis.holdReads = 0; readCreditHolds_ = () => { holdReads++; return read(); }; })()`);
+
+  const errors = project.call('getCreditHoldErrors_', ['PO-1', 'PO-2', 'PO-3', 'PO-4'], 'merging');
+  assert.deepEqual(JSON.parse(JSON.stringify(errors)), [
+    'PO #PO-1 is on credit hold; release it before merging.',
+    'PO #PO-3 is on credit hold; release it before merging.'
+  ]);
+  assert.equal(project.get('holdReads'), 1);
+});
+
+test('a hold follows the P/O through a PO Editor renumber and blocks a split', () => {
+  const project = setup({
+    raw: [dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'F101601', P_O_LINE_ITEMS: 'Alpha 100', P_O_QTY: 2 })],
+    limits: [{ CUSTOMER_NAME: 'Acme Supply', CREDIT_LIMIT: 100000 }]
+  });
+  project.addSchemaSheet('proc_shipping_management', [{ PO_NUMBER: 'PO-1001', STATUS: '', MODEL: 'Alpha 100', QTY: 2, UNIT_PRICE: 100 }]);
+  project.addSchemaSheet('Serial #_DB', []);
+  project.addSchemaSheet(HOLDS, [{ PO_NUMBER: 'PO-1001', BUYER_NAME: 'Acme Supply', STATUS: 'On Hold', REASON: 'Past due.' }]);
+
+  const split = project.call('splitPo', 'PO-1001', [{ poNumber: 'PO-1001-A', items: [{ sku: 'F101601', qty: 1 }] }], 'Two trucks');
+  assert.equal(split.success, false);
+  assert.match(split.message, /^PO #PO-1001 is on credit hold; release it before splitting\./);
+
+  const basicInfo = {
+    newPoNumber: 'PO-1001-R1', poReceivedDate: '2025-01-02', buyerName: 'Acme Supply', rsm: 'Amy Chen', paymentTerm: 'Net 30',
+    company: 'Acme Supply LLC', contact: 'Pat Lee', phone: '555-0100', street: '', city: '', state: '', zipcode: '',
+    changeNote: 'Renumbered', spiff: ''
+  };
+  const result = project.call('_savePoCorrectionsCore', 'PO-1001', basicInfo, [{ model: 'Alpha 100', qty: 2, unitPrice: 100 }]);
+  assert.equal(result.creditCheck.status, 'On Hold');
+  const holds = project.readSchemaSheet(HOLDS);
+  assert.deepEqual(holds.map(r => [r.PO_NUMBER, r.STATUS, r.REASON]), [['PO-1001-R1', 'On Hold', 'Past due. (carried over from PO #PO-1001)']]);
+});
+
+test('PDF uploads run the credit check inside the lock before the P/O is queued or revised', () => {
+  const project = setup({
+    ar: [{ CUSTOMER: 'Acme Supply', DUE_DATE: new Date('2025-02-01'), OPEN_BALANCE: 9500 }],
+    limits: [{ CUSTOMER_NAME: 'Acme Supply', CREDIT_LIMIT: 10000 }],
+    raw: [dealerPoRow({ PO_NUMBER: 'PO-1001', P_O_QTY: 2, P_O_UNIT_PRICE: 400 })]
+  });
+  const pdf = `data:application/pdf;base64,${Buffer.from('%PDF order').toString('base64')}`;
+  project.context.creditCheckState = [];
+  project.get(`runCreditCheck_ = (check => (po, details) => {
+    creditCheckState.push([po, sheetLockDepth_, isPoActiveInRawData_(po), readNewPoUploadTasks_().length]);
+    return check(po, details);
+  })(runCreditCheck_)`);
+
+  const queued = project.call('processNewPoUpload', pdf, 'Acme Supply', 'PO-2002');
+  assert.equal(queued.success, true);
+  assert.equal(queued.creditCheck.status, 'OK', 'the new P/O has no rows yet, so only the AR counts');
+  assert.equal(queued.message, 'Acme Supply_PO-2002.pdf queued for upload.');
+
+  project.newExecution();
+  const revised = project.call('processPoUpdate', pdf, 'PO-1001');
+  assert.match(revised, /^Success: .* Credit check: On Hold\. Open AR \$9500\.00 \+ this P\/O \$800\.00 exceeds the credit limit \$10000\.00\.$/);
+  assert.deepEqual(JSON.parse(JSON.stringify(project.context.creditCheckState)), [['PO-2002', 1, false, 0], ['PO-1001', 1, true, 1]]);
+  assert.deepEqual(project.readSchemaSheet(HOLDS).map(r => [r.PO_NUMBER, r.STATUS, r.PO_TOTAL, r.CHECK_TRIGGER]),
+    [['PO-1001', 'On Hold', 800, 'Revise PO Upload']]);
+});
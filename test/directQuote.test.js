@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const QUOTES = 'Direct Quote | Raw Data';
+const QUOTE_ARCHIVE = 'Direct Quote | Archive';
+
+// Direct Quote 與 Dealer PO 使用相同的欄位代號，dealerPoRow 的資料可直接放入 Direct Quote 的欄位對應
+function setup() {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet('HSUS Price Book', [{ LOOKUP_NAME: 'Alpha 100', SKU: 'F101601', MODEL: 'Alpha-100', PRICE: 1200 }]);
+  project.addSchemaSheet('New HSUS Order Status - HSUS Price Book(QBO)', [{ SKU: 'F101601', SALES_DESCRIPTION: 'Alpha_100' }]);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }, { CUSTOMER_NAME: 'Pool Owner' }]);
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-1' })]);
+  project.addSchemaSheet('Dealer PO | Archive', []);
+  project.addSchemaSheet(QUOTES, [
+    dealerPoRow({ PO_NUMBER: 'DQ00001', BUYER_NAME: 'Pool Owner', RSM: 'Ben Wu', COMPANY: 'Pool Owner Inc', SKU: 'SKU-A' }),
+    dealerPoRow({ PO_NUMBER: 'DQ00001', BUYER_NAME: 'Pool Owner', RSM: 'Ben Wu', COMPANY: 'Pool Owner Inc', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B', P_O_QTY: 1 })
+  ]);
+  project.addSchemaSheet(QUOTE_ARCHIVE, []);
+  return project;
+}
+
+test('Manual New PO creates a Direct Quote in its own sheet with its own numbering', () => {
+  const project = setup();
+  const initial = project.call('getInitialData');
+  assert.deepEqual(initial.orderSources.map(s => s.id), ['DEALER_PO', 'DIRECT_QUOTE']);
+  assert.deepEqual(initial.nextPoNumbers, { DEALER_PO: 'POM00001', DIRECT_QUOTE: 'DQ00002' });
+
+  const result = project.call('processAndSavePo', {
+    source: 'DIRECT_QUOTE',
+    createdDate: '2025-01-15',
+    buyerName: 'Pool Owner',
+    paymentTerm: 'Prepaid',
+    type: 'Direct',
+    lineItems: [{ model: 'Alpha 100', quantity: 1, unitPrice: 1200 }],
+    shipToInfo: { address: '9 Lake Rd, Reno, NV 89501' }
+  });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.poNumber, 'DQ00002');
+  assert.equal(result.nextPoNumber, 'DQ00003');
+  const quote = project.readSchemaSheet(QUOTES).pop();
+  assert.deepEqual([quote.PO_NUMBER, quote.BUYER_NAME, quote.RSM, quote.COMPANY, quote.PO_TOTAL, quote.CITY], ['DQ00002', 'Pool Owner', 'Ben Wu', 'Pool Owner Inc', 1200, 'Reno']);
+  assert.equal(project.readSchemaSheet(RAW).length, 1, 'nothing is written to Dealer PO');
+  assert.equal(project.spreadsheet.getSheetByName(QUOTES).dump()[0][5], 'Quote #', 'Direct Quote has its own column mapping');
+
+  const unknown = project.call('processAndSavePo', { source: 'WEB_ORDER' });
+  assert.equal(unknown.status, 'error');
+  assert.match(unknown.message, /Unknown order source 'WEB_ORDER'/);
+});
+
+test('void and restore work on Direct Quotes and keep their own archive and history', () => {
+  const project = setup();
+  const data = project.call('getPoMgtInitialData', 'DIRECT_QUOTE');
+  assert.equal(data.source, 'DIRECT_QUOTE');
+  assert.deepEqual(data.activePoNumbers, ['DQ00001']);
+
+  assert.equal(project.call('voidPo', 'DQ00001', 'DIRECT_QUOTE').success, true);
+  assert.equal(project.readSchemaSheet(QUOTES).length, 0);
+  assert.deepEqual(project.readSchemaSheet(QUOTE_ARCHIVE).map(r => [r.PO_NUMBER, r.STATUS, r.PO_SKU_KEY]), [
+    ['DQ00001', 'Voided', 'DQ00001|SKU-A'],
+    ['DQ00001', 'Voided', 'DQ00001|SKU-B']
+  ]);
+  assert.deepEqual(project.call('getPoMgtInitialData', 'DIRECT_QUOTE').restorablePoNumbers, ['DQ00001']);
+  assert.deepEqual(project.call('getPoMgtInitialData').restorablePoNumbers, [], 'Dealer PO lists are unchanged');
+
+  assert.throws(() => project.call('voidPo', 'DQ00001'), /DQ00001 not found/);
+  assert.equal(project.call('restorePo', 'DQ00001', 'Customer paid', 'DIRECT_QUOTE').success, true);
+  assert.deepEqual(project.readSchemaSheet(QUOTES).map(r => [r.PO_NUMBER, r.STATUS]), [['DQ00001', ''], ['DQ00001', '']]);
+
+  const history = project.call('getPoRevisionHistory', 'DQ00001');
+  assert.deepEqual(history.versions.map(v => [v.source, v.status]), [['Direct Quote Archive', 'Voided'], ['Direct Quote Raw Data', 'Active']]);
+});
+
+test('PO Editor corrections and the order API find a Direct Quote in its own sheet', () => {
+  const project = setup();
+  ['Shipment_Planning_DB', 'BOL_DB', 'Serial #_DB', 'Operation | Pending Order Dashboard'].forEach(name => project.addSchemaSheet(name, []));
+
+  const result = project.call('_savePoCorrectionsCore', 'DQ00001', {
+    poReceivedDate: '2025-01-10', buyerName: 'Pool Owner', rsm: 'Ben Wu', paymentTerm: 'Prepaid', company: 'Pool Owner Inc',
+    contact: '', phone: '', street: '', city: '', state: '', zipcode: '', changeNote: 'Added a unit', spiff: ''
+  }, [{ model: 'Model A', qty: 3, unitPrice: 100 }]);
+
+  assert.equal(result.success, true);
+  const quotes = project.readSchemaSheet(QUOTES);
+  assert.deepEqual(quotes.map(r => [r.STATUS, r.P_O_QTY]), [['Change', 2], ['Change', 1], ['', 3]]);
+  assert.equal(project.readSchemaSheet(RAW).length, 1);
+
+  const client = { name: 'ops', buyers: ['*'] };
+  const status = project.call('getOrderStatusForApi_', 'DQ00001', client);
+  assert.equal(status.source, 'Direct Quote');
+  assert.equal(status.buyerName, 'Pool Owner');
+  assert.equal(project.call('getOrderStatusForApi_', 'PO-1', client).source, 'Dealer PO');
+});
+
+test('the Zapier PDF link and the address split reach Direct Quote rows, and a renamed header fails loudly', () => {
+  const project = setup();
+  project.spreadsheet.getSheetByName(QUOTES).getRange(2, 15).setValue('9 Lake Rd, Reno, NV 89501');
+
+  assert.equal(project.call('savePdfUrl', 'DQ00001', 'https://example.com/dq1.pdf'), 'success: PDF URL for PO DQ00001 saved.');
+  assert.equal(project.readSchemaSheet(QUOTES)[0].FILE_URL, 'https://example.com/dq1.pdf');
+  assert.equal(project.call('savePdfUrl', 'PO-404', 'https://example.com/x.pdf'), 'fail: PO PO-404 not found in sheet.');
+
+  project.call('splitAddressInPlace');
+  assert.deepEqual(project.readSchemaSheet(QUOTES).map(r => [r.STREET_ADDRESS, r.CITY, r.STATE, r.ZIPCODE])[0], ['9 Lake Rd', 'Reno', 'NV', '89501']);
+
+  const renamed = loadProject();
+  const { PO_SKU_KEY, ...row } = dealerPoRow({ PO_NUMBER: 'DQ00001' });
+  renamed.addSchemaSheet(QUOTES, [row], { omit: ['PO_SKU_KEY'] });
+  assert.throws(() => renamed.call('readTable', QUOTES), /"Direct Quote \| Raw Data" is missing required column\(s\): "Helper Key" \(expected at S\)/);
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+
+const BOL = 'BOL_DB';
+const PLANNING = 'Shipment_Planning_DB';
+const GIT = 'GIT Tool | DB';
+const SERIAL = 'Serial #_DB';
+
+function setup() {
+  const project = loadProject();
+  project.addSchemaSheet(BOL, [
+    { BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A', SHIPPED_QTY: 1, SHIPPING_FEE: 10, ACT_SHIP_DATE: new Date('2025-01-03'), SIGNED: false },
+    { BOL_NUMBER: 'B-2', PO_SKU_KEY: 'PO-2|SKU-B', SHIPPED_QTY: 4, SHIPPING_FEE: 0, ACT_SHIP_DATE: new Date('2025-01-04'), SIGNED: true }
+  ]);
+  project.addSchemaSheet(PLANNING, [
+    { PO_SKU_KEY: 'PO-1|SKU-A', EST_SHIP_DATE: new Date('2025-01-20'), QTY_E: 1, QTY_W: 0, STATUS: '' }
+  ]);
+  return project;
+}
+
+function useBackend(project, sheetName, backend) {
+  project.get('Config').STORAGE[sheetName].backend = backend;
+  project.newExecution();
+}
+
+test('migration copies a DB sheet and verifies row count and checksum', () => {
+  const project = setup();
+
+  const result = project.call('migrateSheetToDocumentStore', BOL, { target: 'memory' });
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.rowCount, 2);
+  assert.equal(result.documentCount, 2);
+  assert.match(result.sourceChecksum, /^[0-9a-f]{64}$/);
+  assert.equal(result.targetChecksum, result.sourceChecksum);
+
+  const stored = project.get('MEMORY_DOCUMENT_STORE_').bol_db;
+  assert.deepEqual(Object.keys(stored).sort(), ['PO-1|SKU-A::B-1', 'PO-2|SKU-B::B-2']);
+  assert.equal(stored['PO-1|SKU-A::B-1']._seq, 2, 'the sheet row number becomes the document sequence');
+
+  const again = project.call('migrateSheetToDocumentStore', BOL, { target: 'memory' });
+  assert.equal(again.success, false);
+  assert.match(again.message, /already has 2 document\(s\)/);
+  assert.equal(project.call('migrateSheetToDocumentStore', BOL, { target: 'memory', replace: true }).success, true);
+});
+
+test('migration refuses duplicate keys and unmapped columns without writing', () => {
+  const project = loadProject();
+  project.addSchemaSheet(BOL, [
+    { BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A' },
+    { BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A' }
+  ]);
+  const duplicate = project.call('migrateSheetToDocumentStore', BOL, { target: 'memory' });
+  assert.equal(duplicate.success, false);
+  assert.match(duplicate.message, /duplicate primary key "PO-1\|SKU-A::B-1" in rows 2 and 3/);
+
+  const other = loadProject();
+  other.addSchemaSheet(BOL, [{ BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A' }], { extraHeaders: { K: 'Carrier' } });
+  other.spreadsheet.getSheetByName(BOL).getRange('K2').setValue('UPS');
+  const unmapped = other.call('migrateSheetToDocumentStore', BOL, { target: 'memory' });
+  assert.match(unmapped.message, /"Carrier" hold data but are not in Config.SCHEMAS/);
+  assert.equal(other.get('MEMORY_DOCUMENT_STORE_').bol_db, undefined);
+});
+
+test('the checksum detects a value that changed type or content', () => {
+  const project = loadProject();
+  const docs = [{ id: 'a', fields: { QTY: 1, NOTE: '' } }];
+  const base = project.call('computeDocumentChecksum_', docs);
+  assert.equal(project.call('computeDocumentChecksum_', [{ id: 'a', fields: { NOTE: '', QTY: 1 } }]), base);
+  assert.notEqual(project.call('computeDocumentChecksum_', [{ id: 'a', fields: { QTY: '1', NOTE: '' } }]), base);
+  assert.notEqual(project.call('computeDocumentChecksum_', [{ id: 'a', fields: { QTY: 2, NOTE: '' } }]), base);
+});
+
+test('tools keep working when BOL_DB and the planning DB live in the document store', () => {
+  const project = setup();
+  project.call('migrateSheetToDocumentStore', BOL, { target: 'memory' });
+  project.call('migrateSheetToDocumentStore', PLANNING, { target: 'memory' });
+  useBackend(project, BOL, 'memory');
+  useBackend(project, PLANNING, 'memory');
+
+  const result = project.call('saveBolData', {
+    poSkuKey: 'PO-1|SKU-A',
+    actShipDate: '2025-01-25',
+    isFulfilled: true,
+    bols: [{ bolNumber: 'B-9', shippedQty: '1', shippingFee: '5', signed: true }]
+  });
+  assert.equal(result.success, true, result.message);
+
+  project.newExecution();
+  assert.deepEqual(project.call('getExistingBolData', 'PO-1|SKU-A').bols,
+    [{ bolNumber: 'B-9', shippedQty: 1, shippingFee: 5, signed: true }]);
+  assert.equal(project.call('queryRecords', PLANNING).equals('PO_SKU_KEY', 'PO-1|SKU-A').first().Status, 'Fulfilled');
+
+  // 工作表本身沒有被改動
+  assert.deepEqual(project.readSchemaSheet(BOL).map(r => r.BOL_NUMBER), ['B-1', 'B-2']);
+  assert.throws(() => project.call('readTable', BOL), /stored in the 'memory' backend/);
+});
+
+test('document store batch writes report per-record failures like the sheet backend', () => {
+  const project = setup();
+  project.call('migrateSheetToDocumentStore', BOL, { target: 'memory' });
+  useBackend(project, BOL, 'memory');
+
+  const appended = project.call('appendRecords', BOL, [
+    { BOL_NUMBER: 'B-3', PO_SKU_KEY: 'PO-1|SKU-A', SHIPPED_QTY: '2' },
+    { BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A' },
+    { BOL_NUMBER: '', PO_SKU_KEY: 'PO-1|SKU-A' },
+    { BOL_NUMBER: 'B-4', PO_SKU_KEY: 'PO-1|SKU-A', Bogus: 1 }
+  ]);
+  assert.deepEqual(appended.results.map(r => r.success), [true, false, false, false]);
+  assert.equal(appended.results[0].rowNumber, 4);
+  assert.match(appended.results[1].message, /Duplicate primary key/);
+  assert.match(appended.results[3].message, /Unknown column/);
+
+  const updated = project.call('updateRecords', BOL, [
+    { _rowNumber: 2, SHIPPED_QTY: '7' },
+    { _rowNumber: 99, SHIPPED_QTY: 1 },
+    { _id: 'PO-2|SKU-B::B-2', BOL_NUMBER: 'B-2X' }
+  ]);
+  assert.deepEqual(updated.results.map(r => r.success), [true, false, true]);
+
+  const deleted = project.call('deleteRecords', BOL, [
+    { _rowNumber: 4, PO_SKU_KEY: 'PO-9|SKU-Z' },
+    { _rowNumber: 4, PO_SKU_KEY: 'PO-1|SKU-A' }
+  ]);
+  assert.deepEqual(deleted.results.map(r => r.success), [false, true]);
+
+  const records = project.call('readAllRecords', BOL);
+  assert.deepEqual(records.map(r => [r._rowNumber, r['BOL #'], r['Shipped Qty']]), [[2, 'B-1', 7], [3, 'B-2X', 4]]);
+  assert.equal(records[1]._id, 'PO-2|SKU-B::B-2X', 'changing a key field re-keys the document');
+});
+
+test('the planning, serial and GIT tools read and write only through the document store once switched', () => {
+  const project = setup();
+  project.addSchemaSheet(GIT, [
+    { PI_NUMBER: 'PI-2', MEMO: '', FINISH: false },
+    { PI_NUMBER: 'PI-1', MEMO: 'Booked', FINISH: true }
+  ]);
+  project.addSchemaSheet(SERIAL, [{ SERIAL_NUMBER: 'S-1', PO_SKU_KEY: 'PO-2|SKU-B', BOL_NUMBER: 'B-2', COMPLETE: '' }]);
+  project.addSchemaSheet('Serial # | Raw Data', [
+    { SKU: 'SKU-B', SERIAL_NUMBER: 'S-1', PO_SKU_KEY: 'PO-2|SKU-B', INBOUND_DATE: new Date('2025-01-02') },
+    { SKU: 'SKU-B', SERIAL_NUMBER: 'S-2', PO_SKU_KEY: '', INBOUND_DATE: new Date('2025-01-02') }
+  ]);
+  project.addSchemaSheet('Order Shipping Mgt. Table', [
+    { PO_NUMBER: 'PO-1', MODEL_NAME: 'Model A', TOTAL_QTY: 1, SKU: 'SKU-A', PO_SKU_KEY: 'PO-1|SKU-A' },
+    { PO_NUMBER: 'PO-2', MODEL_NAME: 'Model B', TOTAL_QTY: 4, SKU: 'SKU-B', PO_SKU_KEY: 'PO-2|SKU-B' }
+  ]);
+  [BOL, PLANNING, GIT, SERIAL].forEach(sheetName => {
+    assert.equal(project.call('migrateSheetToDocumentStore', sheetName, { target: 'memory' }).success, true, sheetName);
+    useBackend(project, sheetName, 'memory');
+  });
+  const sheetsBefore = [BOL, PLANNING, GIT, SERIAL].map(name => project.spreadsheet.getSheetByName(name).dump());
+
+  const planning = project.call('getPlanningData');
+  assert.equal(planning.success, true, planning.message);
+  assert.deepEqual(planning.itemDetails['PO-1|SKU-A'].allocations, { E: 1 });
+  assert.equal(project.call('savePlanningData', { poSkuKey: 'PO-1|SKU-A', totalQty: 1, estShipDate: '2025-01-22', allocations: { W: 1 } }).success, true);
+  assert.equal(project.call('savePlanningData', { poSkuKey: 'PO-2|SKU-B', totalQty: 4, estShipDate: '2025-01-23', allocations: { E: 4 } }).success, true);
+  assert.deepEqual(JSON.parse(project.call('getInitialBolData')).pendingList.map(item => item.key), ['PO-1|SKU-A', 'PO-2|SKU-B']);
+
+  const git = project.call('saveGitDetails', { piNumber: 'PI-2', etc: '', etd: '2025-01-10', eta: '2025-02-01', memo: 'On the water', inboundDate: '', isFinished: false });
+  assert.equal(git.success, true, git.message);
+  assert.deepEqual(project.call('getGitData').piList, ['PI-2']);
+  assert.equal(project.call('getPiDetails', 'PI-2').details.memo, 'On the water');
+
+  const assigned = project.call('assignSerials', { poSkuKey: 'PO-2|SKU-B', assignments: { 'B-2': ['S-1', 'S-2'] } });
+  assert.equal(assigned.success, true, assigned.message);
+  assert.equal(project.call('updateAssignmentCompletionStatus', 'PO-2|SKU-B', true).success, true);
+  assert.deepEqual(project.call('getSerialsForEditing', 'SKU-B', 'PO-2|SKU-B'), ['S-1', 'S-2']);
+  assert.deepEqual(JSON.parse(project.call('getPoSkuLists')).finished.map(item => item.key), ['PO-2|SKU-B']);
+
+  project.newExecution();
+  const store = project.get('MEMORY_DOCUMENT_STORE_');
+  assert.deepEqual(Object.keys(store.shipment_planning_db).map(id => [id, store.shipment_planning_db[id].ALLOCATIONS]),
+    [['PO-1|SKU-A', 'W:1'], ['PO-2|SKU-B', 'E:4']]);
+  assert.equal(store.git_db['PI-2'].MEMO, 'On the water');
+  assert.deepEqual(Object.keys(store.serial_db).sort().map(id => [id, store.serial_db[id].COMPLETE]),
+    [['S-1', 'Complete Assigned'], ['S-2', 'Complete Assigned']]);
+  assert.deepEqual([BOL, PLANNING, GIT, SERIAL].map(name => project.spreadsheet.getSheetByName(name).dump()), sheetsBefore,
+    'the DB sheets themselves are not touched');
+});
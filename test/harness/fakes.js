@@ -0,0 +1,929 @@
+/**
+ * @fileoverview
+ * Apps Script 服務的記憶體內替身 (fakes)，讓 .gs 邏輯可以在 Node 中離線執行。
+ * 只實作專案實際用到的 API；呼叫到未實作的方法會直接拋出 TypeError，提醒補上而不是默默通過。
+ *
+ * - SpreadsheetApp: 工作表以二維陣列儲存，行為比照 Sheets (1-based 座標、setValues 尺寸檢查、
+ *   ARRAYFORMULA 欄位寫入非空值會報錯)。
+ * - CacheService: 支援 TTL，時間由 clock 控制 (clock.advance(ms))。
+ * - DriveApp: 資料夾與檔案存在記憶體中 (見 createDrive)。
+ * - PropertiesService / LockService / ScriptApp (triggers) / Session / Utilities / Logger / HtmlService / ContentService。
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/** Apps Script 的 Cache 單一值上限 (100KB)。 */
+const CACHE_MAX_VALUE_LENGTH = 100 * 1024;
+/** Apps Script 的 Cache TTL 上限 (6 小時)。 */
+const CACHE_MAX_TTL_SECONDS = 21600;
+
+/**
+ * 可控制的時鐘。預設凍結在固定時間，測試可用 advance() 推進 (影響 Cache TTL)。
+ */
+function createClock(start = Date.UTC(2025, 0, 15, 17, 0, 0)) {
+  let now = start;
+  return {
+    now: () => now,
+    advance(ms) { now += ms; },
+    set(ms) { now = ms; }
+  };
+}
+
+// --- SpreadsheetApp ---
+
+function columnToLetter(column) {
+  let letter = '';
+  let n = column;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+function letterToColumn(letter) {
+  return letter.toUpperCase().split('').reduce((sum, char) => sum * 26 + (char.charCodeAt(0) - 64), 0);
+}
+
+/** 解析 'A1'、'A1:C3'、'A:A'、'A3:D' 形式的 A1 表示法。 */
+function parseA1(a1, sheet) {
+  const match = /^([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/i.exec(a1.replace(/\$/g, ''));
+  if (!match) throw new Error(`FakeSheet: unsupported A1 notation "${a1}"`);
+  const startCol = letterToColumn(match[1]);
+  const startRow = match[2] ? Number(match[2]) : 1;
+  const endCol = match[3] ? letterToColumn(match[3]) : startCol;
+  const endRow = match[3]
+    ? (match[4] ? Number(match[4]) : Math.max(sheet.getMaxRows(), startRow))
+    : (match[2] ? startRow : Math.max(sheet.getMaxRows(), 1));
+  return { row: startRow, column: startCol, numRows: endRow - startRow + 1, numColumns: endCol - startCol + 1 };
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`FakeRange: invalid coordinates (${row}, ${column}, ${numRows}, ${numColumns})`);
+    }
+    if (row + numRows - 1 > sheet.getMaxRows() || column + numColumns - 1 > sheet.getMaxColumns()) {
+      throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+
+  getA1Notation() {
+    const start = `${columnToLetter(this.column)}${this.row}`;
+    if (this.numRows === 1 && this.numColumns === 1) return start;
+    return `${start}:${columnToLetter(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  forEachCell_(callback) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        callback(this.row + r, this.column + c, r, c);
+      }
+    }
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet.readCell_(this.row + r, this.column + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() { return this.sheet.readCell_(this.row, this.column); }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => (value instanceof Date ? value.toISOString() : String(value))));
+  }
+
+  getDisplayValue() { return this.getDisplayValues()[0][0]; }
+
+  getFormulas() {
+    const formulas = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet.formulas.get(`${this.row + r},${this.column + c}`) || '');
+      }
+      formulas.push(row);
+    }
+    return formulas;
+  }
+
+  getFormula() { return this.getFormulas()[0][0]; }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${Array.isArray(values) ? values.length : 0} but the range has ${this.numRows}.`);
+    }
+    values.forEach(row => {
+      if (!Array.isArray(row) || row.length !== this.numColumns) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${Array.isArray(row) ? row.length : 0} but the range has ${this.numColumns}.`);
+      }
+    });
+    this.forEachCell_((row, column, r, c) => this.sheet.writeCell_(row, column, values[r][c]));
+    return this;
+  }
+
+  setValue(value) {
+    this.forEachCell_((row, column) => this.sheet.writeCell_(row, column, value));
+    return this;
+  }
+
+  setFormula(formula) { return this.setValue(formula); }
+
+  clearContent() {
+    this.forEachCell_((row, column) => this.sheet.clearCell_(row, column));
+    return this;
+  }
+
+  clear() { return this.clearContent(); }
+
+  // 格式相關方法在測試中沒有可觀察的效果，只保留鏈式呼叫
+  setFontWeight() { return this; }
+  setFontColor() { return this; }
+  setBackground() { return this; }
+  setBackgrounds() { return this; }
+  setNumberFormat() { return this; }
+  setHorizontalAlignment() { return this; }
+  setWrap() { return this; }
+  setNote() { return this; }
+  getProtections() { return []; }
+}
+
+class FakeSheet {
+  /**
+   * @param {FakeSpreadsheet} spreadsheet
+   * @param {string} name
+   * @param {Array<Array<*>>} rows - 初始資料 (含標頭列)。
+   * @param {{arrayFormulaColumns?: number[], headerRow?: number, hidden?: boolean}} [options]
+   *   arrayFormulaColumns: 由標頭列 ARRAYFORMULA 產生的欄位 (1-based)；資料列寫入非空值會報錯，比照 Sheets 的 #REF!。
+   */
+  constructor(spreadsheet, name, rows = [], options = {}) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.sheetId = spreadsheet.nextSheetId_++;
+    this.data = rows.map(row => row.slice());
+    this.formulas = new Map();
+    this.arrayFormulaColumns = options.arrayFormulaColumns || [];
+    this.arrayFormulaHeaderRow = options.headerRow || 1;
+    this.hidden = !!options.hidden;
+    this.frozenRows = 0;
+    this.extraRows = 100;
+    this.extraColumns = 0;
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getSheetId() { return this.sheetId; }
+  getParent() { return this.spreadsheet; }
+  activate() { return this; }
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+  isSheetHidden() { return this.hidden; }
+  setFrozenRows(rows) { this.frozenRows = rows; return this; }
+  getFrozenRows() { return this.frozenRows; }
+  setColumnWidth() { return this; }
+  autoResizeColumns() { return this; }
+
+  width_() {
+    return this.data.reduce((max, row) => Math.max(max, row.length), 0);
+  }
+
+  isEmptyValue_(value) {
+    return value === '' || value === null || value === undefined;
+  }
+
+  getLastRow() {
+    for (let r = this.data.length; r > 0; r--) {
+      if (this.data[r - 1].some(value => !this.isEmptyValue_(value))) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.data.forEach(row => {
+      for (let c = row.length; c > last; c--) {
+        if (!this.isEmptyValue_(row[c - 1])) { last = c; break; }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() { return this.data.length + this.extraRows; }
+  getMaxColumns() { return Math.max(this.width_(), 26) + this.extraColumns; }
+
+  getRange(rowOrA1, column, numRows = 1, numColumns = 1) {
+    if (typeof rowOrA1 === 'string') {
+      const parsed = parseA1(rowOrA1, this);
+      return new FakeRange(this, parsed.row, parsed.column, parsed.numRows, parsed.numColumns);
+    }
+    return new FakeRange(this, rowOrA1, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  readCell_(row, column) {
+    const value = (this.data[row - 1] || [])[column - 1];
+    return value === undefined || value === null ? '' : value;
+  }
+
+  writeCell_(row, column, value) {
+    if (typeof value === 'string' && value.charAt(0) === '=') {
+      this.formulas.set(`${row},${column}`, value);
+      value = '';
+    } else {
+      this.formulas.delete(`${row},${column}`);
+    }
+    if (row > this.arrayFormulaHeaderRow && this.arrayFormulaColumns.includes(column) && !this.isEmptyValue_(value)) {
+      throw new Error(`FakeSheet "${this.name}": writing "${value}" into ${columnToLetter(column)}${row} would break the ARRAYFORMULA in column ${columnToLetter(column)} (#REF!).`);
+    }
+    while (this.data.length < row) this.data.push([]);
+    const target = this.data[row - 1];
+    while (target.length < column) target.push('');
+    target[column - 1] = value === undefined || value === null ? '' : value;
+  }
+
+  clearCell_(row, column) {
+    this.formulas.delete(`${row},${column}`);
+    if (this.data[row - 1] && this.data[row - 1].length >= column) {
+      this.data[row - 1][column - 1] = '';
+    }
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, index) => this.writeCell_(row, index + 1, value));
+    return this;
+  }
+
+  deleteRow(row) { return this.deleteRows(row, 1); }
+
+  deleteRows(row, howMany) {
+    if (row < 1 || row + howMany - 1 > this.getMaxRows()) {
+      throw new Error('Those rows are out of bounds.');
+    }
+    this.data.splice(row - 1, howMany);
+    this.shiftFormulas_(row, -howMany);
+    return this;
+  }
+
+  deleteColumn(column) {
+    if (column < 1 || column > this.getMaxColumns()) {
+      throw new Error('Those columns are out of bounds.');
+    }
+    this.data.forEach(row => { if (row.length >= column) row.splice(column - 1, 1); });
+    const shifted = new Map();
+    this.formulas.forEach((formula, key) => {
+      const [row, col] = key.split(',').map(Number);
+      if (col < column) shifted.set(key, formula);
+      else if (col > column) shifted.set(`${row},${col - 1}`, formula);
+    });
+    this.formulas = shifted;
+    return this;
+  }
+
+  insertRowsAfter(afterRow, howMany) {
+    this.data.splice(afterRow, 0, ...Array.from({ length: howMany }, () => []));
+    this.shiftFormulas_(afterRow + 1, howMany);
+    return this;
+  }
+
+  insertRowAfter(afterRow) { return this.insertRowsAfter(afterRow, 1); }
+  insertRowBefore(beforeRow) { return this.insertRowsAfter(beforeRow - 1, 1); }
+
+  shiftFormulas_(fromRow, delta) {
+    const shifted = new Map();
+    this.formulas.forEach((formula, key) => {
+      const [row, column] = key.split(',').map(Number);
+      if (row < fromRow) {
+        shifted.set(key, formula);
+      } else if (delta > 0 || row >= fromRow - delta) {
+        shifted.set(`${row + delta},${column}`, formula);
+      }
+    });
+    this.formulas = shifted;
+  }
+
+  clear() {
+    this.data = [];
+    this.formulas = new Map();
+    return this;
+  }
+
+  clearContents() { return this.clear(); }
+
+  /** 測試用：回傳目前的二維資料 (補齊成矩形，方便斷言)。 */
+  dump() {
+    const width = this.getLastColumn();
+    return this.data.slice(0, this.getLastRow()).map(row =>
+      Array.from({ length: width }, (_, i) => (row[i] === undefined || row[i] === null ? '' : row[i]))
+    );
+  }
+}
+
+class FakeSpreadsheet {
+  constructor({ id = 'fake-spreadsheet-id', timeZone = 'America/Los_Angeles' } = {}) {
+    this.id = id;
+    this.timeZone = timeZone;
+    this.sheets = [];
+    this.nextSheetId_ = 1;
+  }
+
+  getId() { return this.id; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getName() { return 'HSUS Order Status (fake)'; }
+  getSpreadsheetTimeZone() { return this.timeZone; }
+  getSheets() { return this.sheets.slice(); }
+  getSheetByName(name) { return this.sheets.find(sheet => sheet.getName() === name) || null; }
+  getActiveSheet() { return this.sheets[0] || null; }
+
+  insertSheet(name, index) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this, name);
+    if (typeof index === 'number') this.sheets.splice(index, 0, sheet);
+    else this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+
+  /**
+   * 測試用：加入一張工作表。
+   * @param {string} name
+   * @param {Array<Array<*>>} rows - 含標頭列的資料。
+   * @param {Object} [options] - 見 FakeSheet。
+   */
+  addSheet(name, rows, options) {
+    if (this.getSheetByName(name)) throw new Error(`Fixture sheet "${name}" already exists.`);
+    const sheet = new FakeSheet(this, name, rows, options);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+}
+
+class FakeUi {
+  constructor() {
+    this.alerts = [];
+    this.dialogs = [];
+    this.sidebars = [];
+    this.menus = [];
+    this.nextPromptResponse = null;
+    this.Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+    this.ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+  }
+
+  alert(titleOrPrompt, prompt) {
+    this.alerts.push(prompt === undefined || typeof prompt !== 'string' ? String(titleOrPrompt) : `${titleOrPrompt}: ${prompt}`);
+    return this.Button.OK;
+  }
+
+  prompt() {
+    const response = this.nextPromptResponse || { button: this.Button.CANCEL, text: '' };
+    return { getSelectedButton: () => response.button, getResponseText: () => response.text };
+  }
+
+  showModalDialog(html, title) { this.dialogs.push({ html, title }); }
+  showModelessDialog(html, title) { this.dialogs.push({ html, title }); }
+  showSidebar(html) { this.sidebars.push(html); }
+
+  createMenu(name) {
+    const menu = { name, items: [] };
+    this.menus.push(menu);
+    const builder = {
+      addItem(caption, functionName) { menu.items.push({ caption, functionName }); return builder; },
+      addSeparator() { menu.items.push({ separator: true }); return builder; },
+      addSubMenu(subMenu) { menu.items.push({ subMenu }); return builder; },
+      addToUi() { return undefined; }
+    };
+    return builder;
+  }
+}
+
+function createSpreadsheetApp(spreadsheet, ui) {
+  return {
+    getActiveSpreadsheet: () => spreadsheet,
+    getActive: () => spreadsheet,
+    openById: id => {
+      if (id !== spreadsheet.getId()) throw new Error(`FakeSpreadsheetApp: no spreadsheet with id "${id}".`);
+      return spreadsheet;
+    },
+    getUi: () => ui,
+    flush: () => undefined,
+    ProtectionType: { RANGE: 'RANGE', SHEET: 'SHEET' }
+  };
+}
+
+// --- CacheService ---
+
+class FakeCache {
+  constructor(clock) {
+    this.clock = clock;
+    this.entries = new Map();
+  }
+
+  put(key, value, expirationInSeconds = 600) {
+    const text = String(value);
+    if (text.length > CACHE_MAX_VALUE_LENGTH) {
+      throw new Error(`Argument too large: value (${text.length} characters) for key "${key}".`);
+    }
+    const ttl = Math.min(expirationInSeconds, CACHE_MAX_TTL_SECONDS);
+    this.entries.set(key, { value: text, expiresAt: this.clock.now() + ttl * 1000 });
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.clock.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  remove(key) { this.entries.delete(key); }
+
+  putAll(values, expirationInSeconds) {
+    Object.keys(values).forEach(key => this.put(key, values[key], expirationInSeconds));
+  }
+
+  getAll(keys) {
+    return keys.reduce((result, key) => {
+      const value = this.get(key);
+      if (value !== null) result[key] = value;
+      return result;
+    }, {});
+  }
+
+  removeAll(keys) { keys.forEach(key => this.remove(key)); }
+}
+
+// --- PropertiesService ---
+
+class FakeProperties {
+  constructor() { this.values = new Map(); }
+  getProperty(key) { return this.values.has(key) ? this.values.get(key) : null; }
+  setProperty(key, value) { this.values.set(key, String(value)); return this; }
+  deleteProperty(key) { this.values.delete(key); return this; }
+  getKeys() { return Array.from(this.values.keys()); }
+  getProperties() { return Object.fromEntries(this.values); }
+  setProperties(properties, deleteAllOthers = false) {
+    if (deleteAllOthers) this.values.clear();
+    Object.keys(properties).forEach(key => this.setProperty(key, properties[key]));
+    return this;
+  }
+  deleteAllProperties() { this.values.clear(); return this; }
+}
+
+// --- LockService ---
+
+/**
+ * 同一種鎖 (script / user / document) 共用一個狀態。測試可設定 state.heldByOther = true 模擬其他執行佔用中。
+ */
+class FakeLock {
+  constructor(state) {
+    this.state = state;
+    this.held = false;
+  }
+
+  tryLock() {
+    if (this.held) return true;
+    if (this.state.heldByOther || this.state.holder) return false;
+    this.state.holder = this;
+    this.state.acquisitions++;
+    this.held = true;
+    return true;
+  }
+
+  waitLock(timeoutInMillis) {
+    if (!this.tryLock(timeoutInMillis)) {
+      throw new Error('Lock timeout: another process was holding the lock for too long.');
+    }
+  }
+
+  hasLock() { return this.held; }
+
+  releaseLock() {
+    if (this.held) {
+      this.state.holder = null;
+      this.held = false;
+    }
+  }
+}
+
+// --- ScriptApp (triggers) ---
+
+function createScriptApp(clock) {
+  const triggers = [];
+  let nextTriggerId = 1;
+
+  const makeTrigger = (handler, details) => {
+    const id = String(nextTriggerId++);
+    return Object.assign({
+      getHandlerFunction: () => handler,
+      getUniqueId: () => id,
+      getTriggerSource: () => (details.source || 'CLOCK'),
+      getEventType: () => (details.eventType || 'CLOCK'),
+      details
+    });
+  };
+
+  const ScriptApp = {
+    triggers,
+    EventType: { CLOCK: 'CLOCK', ON_OPEN: 'ON_OPEN', ON_EDIT: 'ON_EDIT', ON_FORM_SUBMIT: 'ON_FORM_SUBMIT', ON_CHANGE: 'ON_CHANGE' },
+    TriggerSource: { CLOCK: 'CLOCK', SPREADSHEETS: 'SPREADSHEETS' },
+    WeekDay: { MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY', FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY' },
+
+    getProjectTriggers: () => triggers.slice(),
+    getUserTriggers: () => triggers.slice(),
+
+    deleteTrigger(trigger) {
+      const index = triggers.findIndex(t => t.getUniqueId() === trigger.getUniqueId());
+      if (index !== -1) triggers.splice(index, 1);
+    },
+
+    newTrigger(handler) {
+      const details = {};
+      const create = () => {
+        const trigger = makeTrigger(handler, details);
+        triggers.push(trigger);
+        return trigger;
+      };
+      const timeBuilder = {
+        at(date) { details.at = date; return timeBuilder; },
+        after(ms) { details.at = new Date(clock.now() + ms); return timeBuilder; },
+        everyMinutes(n) { details.everyMinutes = n; return timeBuilder; },
+        everyHours(n) { details.everyHours = n; return timeBuilder; },
+        everyDays(n) { details.everyDays = n; return timeBuilder; },
+        everyWeeks(n) { details.everyWeeks = n; return timeBuilder; },
+        onWeekDay(day) { details.weekDay = day; return timeBuilder; },
+        onMonthDay(day) { details.monthDay = day; return timeBuilder; },
+        atHour(hour) { details.hour = hour; return timeBuilder; },
+        nearMinute(minute) { details.minute = minute; return timeBuilder; },
+        inTimezone(tz) { details.timeZone = tz; return timeBuilder; },
+        create
+      };
+      const spreadsheetBuilder = {
+        onEdit() { details.eventType = 'ON_EDIT'; return spreadsheetBuilder; },
+        onChange() { details.eventType = 'ON_CHANGE'; return spreadsheetBuilder; },
+        onOpen() { details.eventType = 'ON_OPEN'; return spreadsheetBuilder; },
+        onFormSubmit() { details.eventType = 'ON_FORM_SUBMIT'; return spreadsheetBuilder; },
+        create
+      };
+      return {
+        timeBased() { details.source = 'CLOCK'; return timeBuilder; },
+        forSpreadsheet(spreadsheet) { details.source = 'SPREADSHEETS'; details.spreadsheet = spreadsheet; return spreadsheetBuilder; }
+      };
+    },
+
+    getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/fake-deployment/exec' }),
+    getScriptId: () => 'fake-script-id'
+  };
+  return ScriptApp;
+}
+
+// --- Utilities ---
+
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const tokens = {
+    yyyy: parts.year,
+    yy: parts.year.slice(-2),
+    MM: parts.month,
+    dd: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second,
+    M: String(Number(parts.month)),
+    d: String(Number(parts.day))
+  };
+  return pattern.replace(/'([^']*)'|yyyy|yy|MM|dd|HH|mm|ss|M|d/g, (token, literal) => (literal !== undefined ? literal : tokens[token]));
+}
+
+/**
+ * Utilities.parseCsv：逗號分隔，雙引號包住的欄位可包含逗號、換行與 "" (代表一個引號)。
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function createUtilities(clock) {
+  return {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+    Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+    formatDate,
+    parseCsv,
+    getUuid: () => crypto.randomUUID(),
+    sleep: ms => clock.advance(ms),
+    computeDigest(algorithm, value) {
+      const input = Array.isArray(value) ? Buffer.from(value.map(b => b & 0xff)) : Buffer.from(String(value), 'utf8');
+      // Apps Script 回傳 signed byte 陣列
+      return Array.from(crypto.createHash(algorithm).update(input).digest()).map(b => (b > 127 ? b - 256 : b));
+    },
+    base64Encode(value) {
+      const input = Array.isArray(value) ? Buffer.from(value.map(b => b & 0xff)) : Buffer.from(String(value), 'utf8');
+      return input.toString('base64');
+    },
+    base64Decode(text) {
+      return Array.from(Buffer.from(text, 'base64')).map(b => (b > 127 ? b - 256 : b));
+    },
+    newBlob(data, contentType, name) {
+      const bytes = Array.isArray(data) ? data.slice() : Array.from(Buffer.from(String(data), 'utf8')).map(b => (b > 127 ? b - 256 : b));
+      return {
+        getBytes: () => bytes.slice(),
+        getContentType: () => contentType || 'application/octet-stream',
+        getName: () => name || null,
+        setName(newName) { name = newName; return this; },
+        getDataAsString: () => Buffer.from(bytes.map(b => b & 0xff)).toString('utf8')
+      };
+    }
+  };
+}
+
+// --- DriveApp ---
+
+const MIME_TYPES = { PDF: 'application/pdf', CSV: 'text/csv', PLAIN_TEXT: 'text/plain' };
+
+function iterate(items) {
+  let index = 0;
+  return { hasNext: () => index < items.length, next: () => items[index++] };
+}
+
+/**
+ * Drive 的資料夾與檔案。資料夾依 ID 自動建立 (getFolderById 任何 ID 都可用)；
+ * 檔案不存在 (或以 drive.removeFile 移除) 時 getFileById 拋出與 Apps Script 相同的錯誤。
+ * searchFiles 只支援 "title contains '...'" 查詢，可用 and 串接 "trashed = false"。
+ */
+function createDrive(clock) {
+  const folders = new Map();
+  const files = new Map();
+  let nextFileId = 1;
+
+  const getFolder = id => {
+    if (!folders.has(id)) {
+      const folder = {
+        getId: () => id,
+        getName: () => `Folder ${id}`,
+        createFile(blob) {
+          const file = makeFile(blob, folder);
+          files.set(file.getId(), file);
+          return file;
+        },
+        getFiles: () => iterate(listFiles(id)),
+        getFilesByName: name => iterate(listFiles(id).filter(file => file.getName() === name)),
+        searchFiles(query) {
+          const clauses = String(query).split(/\s+and\s+/i);
+          const filters = clauses.map(clause => {
+            const title = clause.match(/^\s*title contains '(.*)'\s*$/);
+            if (title) return file => file.getName().includes(title[1].replace(/\\'/g, "'"));
+            if (/^\s*trashed\s*=\s*false\s*$/.test(clause)) return file => !file.isTrashed();
+            throw new Error(`Fake Drive does not support the query "${clause}".`);
+          });
+          return iterate(Array.from(files.values()).filter(file => file.parentId === id && filters.every(f => f(file))));
+        }
+      };
+      folders.set(id, folder);
+    }
+    return folders.get(id);
+  };
+
+  const listFiles = folderId => Array.from(files.values()).filter(file => file.parentId === folderId && !file.isTrashed());
+
+  const makeFile = (blob, folder) => {
+    const id = `file-${nextFileId++}`;
+    const bytes = blob.getBytes();
+    const contentType = blob.getContentType();
+    const created = new Date(clock.now());
+    let name = blob.getName();
+    let trashed = false;
+    const file = {
+      parentId: folder.getId(),
+      getId: () => id,
+      getName: () => name,
+      setName(newName) { name = newName; return file; },
+      getMimeType: () => contentType,
+      getSize: () => bytes.length,
+      getDateCreated: () => new Date(created.getTime()),
+      getUrl: () => `https://drive.google.com/file/d/${id}/view`,
+      getBlob: () => createUtilities(clock).newBlob(bytes, contentType, name),
+      getParents: () => iterate([getFolder(file.parentId)]),
+      moveTo(target) { file.parentId = target.getId(); return file; },
+      isTrashed: () => trashed,
+      setTrashed(value) { trashed = Boolean(value); return file; }
+    };
+    return file;
+  };
+
+  return {
+    folders,
+    files,
+    DriveApp: {
+      getFolderById: id => getFolder(id),
+      getFileById(id) {
+        if (!files.has(id)) throw new Error('Unexpected error while getting the method or property getFileById on object DriveApp.');
+        return files.get(id);
+      }
+    },
+    /** 測試用：模擬檔案已被刪除或沒有權限。 */
+    removeFile(id) { files.delete(id); },
+    /** 測試用：列出資料夾中 (未丟到垃圾桶) 的檔案名稱。 */
+    fileNames: folderId => listFiles(folderId).map(file => file.getName())
+  };
+}
+
+// --- HtmlService ---
+
+function createHtmlOutput(fileName) {
+  const output = {
+    fileName,
+    title: '',
+    width: null,
+    height: null,
+    evaluate() { return output; },
+    setTitle(title) { output.title = title; return output; },
+    setWidth(width) { output.width = width; return output; },
+    setHeight(height) { output.height = height; return output; },
+    setSandboxMode() { return output; },
+    setXFrameOptionsMode() { return output; },
+    addMetaTag() { return output; },
+    getContent: () => `<!-- ${fileName} -->`
+  };
+  return output;
+}
+
+function createHtmlService() {
+  return {
+    SandboxMode: { IFRAME: 'IFRAME' },
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    createTemplateFromFile: fileName => createHtmlOutput(fileName),
+    createHtmlOutputFromFile: fileName => createHtmlOutput(fileName),
+    createHtmlOutput: html => createHtmlOutput(html)
+  };
+}
+
+/**
+ * 建立一組完整的 Apps Script 服務替身。
+ * @param {{user?: string, spreadsheetId?: string, timeZone?: string, clock?: Object}} [options]
+ * @returns {Object} globals (要放進專案全域的服務) 與 helpers (測試用的控制把手)。
+ */
+function createFakeServices(options = {}) {
+  const clock = options.clock || createClock();
+  const timeZone = options.timeZone || 'America/Los_Angeles';
+  const spreadsheet = new FakeSpreadsheet({ id: options.spreadsheetId, timeZone });
+  const ui = new FakeUi();
+  const logs = [];
+  const session = { user: options.user || 'tester@example.com' };
+
+  const caches = { script: new FakeCache(clock), document: new FakeCache(clock), user: new Map() };
+  const properties = { script: new FakeProperties(), document: new FakeProperties(), user: new Map() };
+  const lockStates = {
+    script: { holder: null, heldByOther: false, acquisitions: 0 },
+    document: { holder: null, heldByOther: false, acquisitions: 0 },
+    user: { holder: null, heldByOther: false, acquisitions: 0 }
+  };
+
+  const perUser = (map, factory) => {
+    if (!map.has(session.user)) map.set(session.user, factory());
+    return map.get(session.user);
+  };
+
+  const makeUser = () => ({ getEmail: () => session.user });
+
+  const ScriptApp = createScriptApp(clock);
+  const drive = createDrive(clock);
+
+  const globals = {
+    SpreadsheetApp: createSpreadsheetApp(spreadsheet, ui),
+    CacheService: {
+      getScriptCache: () => caches.script,
+      getDocumentCache: () => caches.document,
+      getUserCache: () => perUser(caches.user, () => new FakeCache(clock))
+    },
+    PropertiesService: {
+      getScriptProperties: () => properties.script,
+      getDocumentProperties: () => properties.document,
+      getUserProperties: () => perUser(properties.user, () => new FakeProperties())
+    },
+    LockService: {
+      getScriptLock: () => new FakeLock(lockStates.script),
+      getDocumentLock: () => new FakeLock(lockStates.document),
+      getUserLock: () => new FakeLock(lockStates.user)
+    },
+    ScriptApp,
+    DriveApp: drive.DriveApp,
+    MimeType: MIME_TYPES,
+    Session: {
+      getActiveUser: makeUser,
+      getEffectiveUser: makeUser,
+      getScriptTimeZone: () => timeZone,
+      getTemporaryActiveUserKey: () => `key-${session.user}`
+    },
+    Utilities: createUtilities(clock),
+    HtmlService: createHtmlService(),
+    ContentService: {
+      MimeType: { JSON: 'JSON', TEXT: 'TEXT', CSV: 'CSV' },
+      createTextOutput(content = '') {
+        const output = {
+          content,
+          mimeType: 'TEXT',
+          getContent: () => output.content,
+          setContent(value) { output.content = value; return output; },
+          getMimeType: () => output.mimeType,
+          setMimeType(mimeType) { output.mimeType = mimeType; return output; }
+        };
+        return output;
+      }
+    },
+    Logger: {
+      log(...args) {
+        logs.push(args.length > 1 && typeof args[0] === 'string' ? args[0].replace(/%s/g, () => String(args.splice(1, 1)[0])) : String(args[0]));
+      },
+      getLog: () => logs.join('\n'),
+      clear: () => { logs.length = 0; }
+    }
+  };
+
+  const helpers = {
+    clock,
+    spreadsheet,
+    ui,
+    logs,
+    caches,
+    properties,
+    lockStates,
+    triggers: ScriptApp.triggers,
+    drive,
+    /** 切換目前的使用者 (影響 Session、使用者 Cache 與使用者 Properties)。 */
+    setUser(email) { session.user = email; }
+  };
+
+  return { globals, helpers };
+}
+
+module.exports = {
+  createClock,
+  createFakeServices,
+  columnToLetter,
+  letterToColumn,
+  formatDate,
+  FakeSheet,
+  FakeSpreadsheet
+};
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview
+ * 測試共用的資料列產生器。以 Config.SCHEMAS 的欄位代號描述資料，搭配 project.addSchemaSheet() 使用。
+ */
+
+'use strict';
+
+/**
+ * 'Dealer PO | Raw Data' 的一列 (一個 PO 的一個品項)。
+ * Model / SKU / Helper Key 在真實表中由 ARRAYFORMULA 產生，這裡直接填入「公式算出的值」。
+ * @param {Object} [overrides] - 以欄位代號覆寫預設值。
+ * @returns {Object}
+ */
+function dealerPoRow(overrides = {}) {
+  const poNumber = overrides.PO_NUMBER || 'PO-1001';
+  const sku = overrides.SKU || 'SKU-A';
+  return Object.assign({
+    PO_RECEIVED_DATE: new Date('2025-01-02T08:00:00Z'),
+    BUYER_NAME: 'Acme Supply',
+    RSM: 'Amy Chen',
+    PO_NUMBER: poNumber,
+    MODEL_FROM_SHEET: 'Model A',
+    PO_TOTAL: 200,
+    PAYMENT_TERM: 'Net 30',
+    TYPE: 'Dealer',
+    COMPANY: 'Acme Supply LLC',
+    P_O_LINE_ITEMS: 'Model A',
+    P_O_UNIT_PRICE: 100,
+    P_O_QTY: 2,
+    FILE_URL: 'https://drive.google.com/file/d/po-1001',
+    SKU: sku,
+    SHIP_TO: '123 Main St, Springfield, IL 62701',
+    SHIP_TO_CONTACT: 'Pat Lee',
+    SHIP_TO_PHONE: '555-0100',
+    SHIP_TO_EMAIL: 'pat@example.com',
+    PO_SKU_KEY: `${poNumber}|${sku}`,
+    STATUS: '',
+    CHANGE_NOTE: '',
+    TIMESTAMP: new Date('2025-01-02T08:00:00Z'),
+    SPIFF: '',
+    STREET_ADDRESS: '',
+    CITY: '',
+    STATE: '',
+    ZIPCODE: ''
+  }, overrides);
+}
+
+module.exports = {
+  dealerPoRow
+};
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview
+ * 在 Node 中載入整個 Apps Script 專案 (根目錄下所有 .js 檔)，讓它們共用同一個全域作用域，
+ * 行為與 Apps Script V8 相同：跨檔案的頂層 const 重複宣告會拋出 SyntaxError，同名 function 後載入者覆蓋先載入者。
+ *
+ * 執行測試 (不需要安裝任何套件，Node 18+)：
+ *   node --test test/*.test.js
+ *
+ * 使用方式：
+ *   const { loadProject } = require('./harness/loader');
+ *   const project = loadProject();
+ *   project.addSchemaSheet('BOL_DB', [{ BOL_NUMBER: 'B1', PO_SKU_KEY: 'PO1|SKU1' }]);
+ *   const result = project.call('saveBolData', { ... });
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createFakeServices, letterToColumn } = require('./fakes');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * 依 Apps Script (clasp) 的推送順序列出專案檔案：根目錄下的 .js，依檔名排序。
+ * @returns {string[]} 檔名。
+ */
+function listProjectFiles() {
+  return fs.readdirSync(PROJECT_ROOT)
+    .filter(file => file.endsWith('.js') && fs.statSync(path.join(PROJECT_ROOT, file)).isFile())
+    .sort();
+}
+
+/**
+ * 以不同時間來源建立 Date：無參數的 new Date() / Date.now() 使用 fake clock，讓時間戳可預期。
+ * Symbol.hasInstance 讓測試端 (外層 realm) 建立的 Date 也通過專案程式碼中的 instanceof Date 檢查。
+ */
+function createClockDate(clock) {
+  class ClockDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) super(clock.now());
+      else super(...args);
+    }
+
+    static now() { return clock.now(); }
+
+    static [Symbol.hasInstance](value) { return value instanceof Date; }
+  }
+  return ClockDate;
+}
+
+/**
+ * 把專案 (vm realm) 回傳的值複製成測試端 (host realm) 的值，assert.deepStrictEqual 才不會因原型不同而失敗。
+ * 陣列與一般物件深層複製；Date 轉成一般 Date；函數包裝成「回傳值也會被轉換」的版本 (例如 queryRecords 的串接 API)；
+ * 其他物件 (fake 工作表等) 原樣回傳。
+ * @param {*} value
+ * @returns {*}
+ */
+function toHost(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (typeof value === 'function') return (...args) => toHost(value(...args));
+  if (Array.isArray(value)) return Array.from(value, item => toHost(item));
+  if (value && typeof value === 'object') {
+    const proto = Object.getPrototypeOf(value);
+    if (proto === null || Object.getPrototypeOf(proto) === null) {
+      return Object.keys(value).reduce((copy, key) => Object.assign(copy, { [key]: toHost(value[key]) }), {});
+    }
+  }
+  return value;
+}
+
+/**
+ * 列出各檔案的頂層 function 宣告，找出跨檔案重名者 (Apps Script 會默默以後載入的版本覆蓋)。
+ * @param {string[]} [files]
+ * @returns {Object<string, string[]>} { functionName: [files...] }，只包含重複者。
+ */
+function findDuplicateFunctions(files = listProjectFiles()) {
+  const owners = {};
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8');
+    const pattern = /^function\s+([A-Za-z0-9_$]+)\s*\(/gm;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      (owners[match[1]] = owners[match[1]] || []).push(file);
+    }
+  });
+  return Object.keys(owners)
+    .filter(name => owners[name].length > 1)
+    .reduce((result, name) => Object.assign(result, { [name]: owners[name] }), {});
+}
+
+/**
+ * 載入專案並回傳操作把手。
+ * @param {{user?: string, files?: string[], clock?: Object}} [options]
+ * @returns {Object} project
+ */
+function loadProject(options = {}) {
+  const { globals, helpers } = createFakeServices(options);
+  const context = vm.createContext(Object.assign({
+    console,
+    Date: createClockDate(helpers.clock)
+  }, globals));
+
+  const files = options.files || listProjectFiles();
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8');
+    new vm.Script(source, { filename: file }).runInContext(context);
+  });
+
+  // 讓 Config.DOCUMENT_ID 指向 fake 試算表，openById 才能找到它
+  helpers.spreadsheet.id = vm.runInContext('Config.DOCUMENT_ID', context);
+
+  const project = Object.assign({}, helpers, {
+    context,
+    files,
+
+    /** 取得專案中的全域值 (包含頂層 const，例如 project.get('Config'))。 */
+    get(expression) {
+      return vm.runInContext(expression, context);
+    },
+
+    /** 呼叫專案中的全域函數，回傳值會轉成 host realm 的值 (見 toHost)。 */
+    call(name, ...args) {
+      const fn = vm.runInContext(name, context);
+      if (typeof fn !== 'function') throw new Error(`Project function "${name}" is not defined.`);
+      return toHost(fn(...args));
+    },
+
+    /**
+     * 模擬新的一次伺服器呼叫：清空 SheetService 的每次執行快取 (Apps Script 每次呼叫都會重新載入全域)。
+     */
+    newExecution() {
+      vm.runInContext(`
+        Object.keys(SCHEMA_CONTEXT_CACHE_).forEach(key => delete SCHEMA_CONTEXT_CACHE_[key]);
+        invalidateRecordCache();
+      `, context);
+    },
+
+    addSheet(name, rows, sheetOptions) {
+      return helpers.spreadsheet.addSheet(name, rows, sheetOptions);
+    },
+
+    /**
+     * 依 Config.SCHEMAS 建立工作表：標頭放在 Schema 預期的欄位字母上，資料以欄位代號指定。
+     * @param {string} name - 工作表名稱 (需定義於 Config.SCHEMAS)。
+     * @param {Array<Object>} records - 例如 [{ PO_NUMBER: 'PO1', STATUS: '' }]。
+     * @param {{arrayFormulas?: boolean, extraHeaders?: Object<string, string>, omit?: string[]}} [sheetOptions]
+     *   arrayFormulas: 是否把 Schema 中 arrayFormula 欄位設為受保護 (預設 true)。
+     *   extraHeaders: 額外的標頭 { 欄位字母: 標頭文字 }。
+     *   omit: 不建立的欄位代號 (模擬缺少欄位)。
+     */
+    addSchemaSheet(name, records = [], sheetOptions = {}) {
+      const schema = project.get('Config').SCHEMAS[name];
+      if (!schema) throw new Error(`No schema for fixture sheet "${name}".`);
+      const omit = sheetOptions.omit || [];
+      const fields = Object.keys(schema.columns).filter(field => !omit.includes(field));
+      const positions = {};
+      fields.forEach(field => { positions[field] = letterToColumn(schema.columns[field].column); });
+      const extra = sheetOptions.extraHeaders || {};
+      const width = Math.max(0, ...Object.values(positions), ...Object.keys(extra).map(letterToColumn));
+
+      const rows = [];
+      for (let r = 1; r < schema.headerRow; r++) rows.push(new Array(width).fill(''));
+      const header = new Array(width).fill('');
+      fields.forEach(field => { header[positions[field] - 1] = schema.columns[field].header; });
+      Object.keys(extra).forEach(letter => { header[letterToColumn(letter) - 1] = extra[letter]; });
+      rows.push(header);
+
+      records.forEach(record => {
+        const row = new Array(width).fill('');
+        Object.keys(record).forEach(field => {
+          if (!positions[field]) throw new Error(`Fixture for "${name}" uses unknown field "${field}".`);
+          row[positions[field] - 1] = record[field];
+        });
+        rows.push(row);
+      });
+
+      const arrayFormulaColumns = sheetOptions.arrayFormulas === false ? [] : fields
+        .filter(field => schema.columns[field].arrayFormula)
+        .map(field => positions[field]);
+      return helpers.spreadsheet.addSheet(name, rows, { arrayFormulaColumns, headerRow: schema.headerRow });
+    },
+
+    /**
+     * 以欄位代號讀回工作表資料 (依 Config.SCHEMAS 的實際標頭位置)，方便斷言。
+     * @param {string} name - 工作表名稱。
+     * @returns {Array<Object>} 每列一個 { 欄位代號: 值 }，另含 _rowNumber。
+     */
+    readSchemaSheet(name) {
+      const schema = project.get('Config').SCHEMAS[name];
+      const sheet = helpers.spreadsheet.getSheetByName(name);
+      const data = sheet.dump();
+      const header = data[schema.headerRow - 1] || [];
+      const normalize = value => String(value).replace(/\s+/g, ' ').trim().toLowerCase();
+      const positions = {};
+      Object.keys(schema.columns).forEach(field => {
+        const index = header.findIndex(h => normalize(h) === normalize(schema.columns[field].header));
+        if (index !== -1) positions[field] = index;
+      });
+      return data.slice(schema.headerRow).map((row, i) => {
+        const record = { _rowNumber: schema.headerRow + i + 1 };
+        Object.keys(positions).forEach(field => { record[field] = row[positions[field]]; });
+        return record;
+      });
+    }
+  });
+
+  return project;
+}
+
+module.exports = {
+  PROJECT_ROOT,
+  toHost,
+  listProjectFiles,
+  findDuplicateFunctions,
+  loadProject
+};
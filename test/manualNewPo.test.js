@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+
+function setup() {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet('HSUS Price Book', [
+    { LOOKUP_NAME: 'Alpha 100', SKU: 'F101601', MODEL: 'Alpha-100', PRICE: 1200 },
+    { LOOKUP_NAME: 'Beta 150', SKU: 'F150', MODEL: '', PRICE: 1500 }
+  ]);
+  project.addSchemaSheet('New HSUS Order Status - HSUS Price Book(QBO)', [
+    { SKU: 'F101601', SALES_DESCRIPTION: 'Alpha_100' },
+    { SKU: 'F150', SALES_DESCRIPTION: 'Beta_150' }
+  ]);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }, { CUSTOMER_NAME: 'Best Pools' }]);
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'POM00001' }), dealerPoRow({ PO_NUMBER: 'POMA1B2' })]);
+  project.addSchemaSheet(ARCHIVE, [dealerPoRow({ PO_NUMBER: 'POM00002' })]);
+  return project;
+}
+
+function poData(overrides = {}) {
+  return Object.assign({
+    poNumber: 'POM00003',
+    createdDate: '2025-01-15',
+    buyerName: 'acme supply',
+    paymentTerm: 'Net 30',
+    type: 'Dealer',
+    lineItems: [{ model: 'Alpha 100', quantity: 2, unitPrice: 1150 }, { model: 'Beta 150', quantity: 1, unitPrice: 1500 }],
+    shipToInfo: { address: '1 Pool Way\nAustin, TX 78701', contactPerson: 'Sam Ortiz', phone: '555-0111', email: 'sam@example.com' },
+    total: 1
+  }, overrides);
+}
+
+test('a saved PO gets the next unused number and every column the downstream tools read', () => {
+  const project = setup();
+  assert.equal(project.call('getInitialData').poNumber, 'POM00003', 'numbers in Raw Data and Archive are skipped');
+
+  const result = project.call('processAndSavePo', poData());
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.poNumber, 'POM00003');
+  assert.equal(result.total, 3800, 'the total is recomputed on the server');
+  assert.deepEqual(result.skus, ['F101601', 'F150']);
+  assert.equal(result.nextPoNumber, 'POM00004');
+
+  const saved = project.readSchemaSheet(RAW).slice(2);
+  assert.deepEqual(saved.map(r => [r.PO_NUMBER, r.P_O_LINE_ITEMS, r.P_O_QTY, r.P_O_UNIT_PRICE, r.PO_TOTAL]), [
+    ['POM00003', 'Alpha 100', 2, 1150, 3800],
+    ['POM00003', 'Beta 150', 1, 1500, 3800]
+  ]);
+  const row = saved[0];
+  assert.deepEqual([row.BUYER_NAME, row.RSM, row.COMPANY, row.PAYMENT_TERM, row.TYPE, row.STATUS], ['Acme Supply', 'Amy Chen', 'Acme Supply LLC', 'Net 30', 'Dealer', '']);
+  assert.deepEqual([row.STREET_ADDRESS, row.CITY, row.STATE, row.ZIPCODE], ['1 Pool Way', 'Austin', 'TX', '78701']);
+  assert.deepEqual([row.SHIP_TO_CONTACT, row.SHIP_TO_PHONE, row.SHIP_TO_EMAIL], ['Sam Ortiz', '555-0111', 'sam@example.com']);
+  assert.equal(row.CHANGE_NOTE, 'Manual New PO by ops@example.com');
+  assert.ok(row.TIMESTAMP instanceof Date);
+  assert.equal(row.PO_RECEIVED_DATE.getDate(), 15);
+  assert.deepEqual([row.MODEL_FROM_SHEET, row.SKU, row.PO_SKU_KEY], ['', '', ''], 'ARRAYFORMULA columns are left to the formula');
+
+  const second = project.call('processAndSavePo', poData({ buyerName: 'Best Pools' }));
+  assert.equal(second.poNumber, 'POM00004', 'a stale preview number is never reused');
+  const bestPools = project.readSchemaSheet(RAW).pop();
+  assert.deepEqual([bestPools.RSM, bestPools.COMPANY], ['', 'Best Pools'], 'a new buyer falls back to the buyer name');
+});
+
+test('required fields, unknown buyers and models are rejected without writing', () => {
+  const project = setup();
+
+  const result = project.call('processAndSavePo', poData({
+    buyerName: 'Unknown Co',
+    paymentTerm: '',
+    shipToInfo: { address: ' ' },
+    lineItems: [{ model: 'Gamma 900', quantity: 1, unitPrice: 10 }, { model: 'Alpha 100', quantity: 1.5, unitPrice: '' }]
+  }));
+
+  assert.equal(result.status, 'error');
+  assert.deepEqual(result.errors, [
+    "Buyer 'Unknown Co' is not in Customers(QBO).",
+    'Payment Term is required.',
+    'Ship To address is required.',
+    "Line 1: Model 'Gamma 900' is not in the Price Book.",
+    'Line 2: Qty must be a whole number greater than 0.',
+    'Line 2: Unit Price must be a number of 0 or more.'
+  ]);
+  assert.equal(project.readSchemaSheet(RAW).length, 2);
+  assert.equal(project.call('processAndSavePo', poData({ lineItems: [] })).errors[0], 'At least one line item is required.');
+});
+
+test('prices far from the Price Book need confirmation before saving', () => {
+  const project = setup();
+
+  const pending = project.call('processAndSavePo', poData({ lineItems: [{ model: 'Alpha 100', quantity: 1, unitPrice: 900 }] }));
+  assert.equal(pending.status, 'confirm');
+  assert.deepEqual(pending.priceDeviations, [{ line: 1, model: 'Alpha 100', unitPrice: 900, bookPrice: 1200, percent: -25 }]);
+  assert.match(pending.message, /Alpha 100: 900\.00 vs Price Book 1200\.00 \(-25%\)/);
+  assert.equal(project.readSchemaSheet(RAW).length, 2);
+
+  const confirmed = project.call('processAndSavePo', poData({ lineItems: [{ model: 'Alpha 100', quantity: 1, unitPrice: 900 }], confirmPriceDeviation: true }));
+  assert.equal(confirmed.status, 'success');
+  assert.equal(project.readSchemaSheet(RAW).pop().PO_TOTAL, 900);
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+
+const QUEUE = 'PO Upload Queue';
+const PDF = `data:application/pdf;base64,${Buffer.from('%PDF-1.4 test').toString('base64')}`;
+
+function setup() {
+  const project = loadProject({ user: 'ops@example.com' });
+  const tempFolderId = project.get('TEMP_UPLOAD_FOLDER_ID');
+  const uploadFolderId = project.get('UPLOAD_FOLDER_ID');
+  const createTempFile = name => project.get('DriveApp').getFolderById(tempFolderId)
+    .createFile(project.get('Utilities').newBlob([37, 80, 68, 70], 'application/pdf', name));
+  return { project, tempFolderId, uploadFolderId, createTempFile };
+}
+
+/** 舊版 Script Property 佇列中的工作。 */
+function queueLegacyTasks(project, tasks) {
+  project.properties.script.setProperty('NEW_PO_UPLOAD_QUEUE', JSON.stringify(tasks));
+}
+
+test('an uploaded PO is moved to the PO folder and shown as Done; queued uploads wait for the trigger', () => {
+  const { project, tempFolderId, uploadFolderId, createTempFile } = setup();
+
+  const response = project.call('processNewPoUpload', PDF, 'Acme Supply ', ' PO-1001 ');
+  assert.equal(response.success, true);
+  assert.equal(response.fileName, 'Acme Supply_PO-1001.pdf');
+  assert.deepEqual(project.drive.fileNames(uploadFolderId), ['Acme Supply_PO-1001.pdf']);
+  assert.deepEqual(project.drive.fileNames(tempFolderId), []);
+
+  // 舊版佇列中的兩個工作：搬進工作表後一次處理一個
+  const first = createTempFile('temp_1_PO-2002.pdf');
+  const second = createTempFile('temp_2_PO-3003.pdf');
+  queueLegacyTasks(project, [
+    { tempFileId: first.getId(), finalFileName: 'Beta_PO-2002.pdf', submittedAt: '2025-01-15T16:00:00.000Z' },
+    { tempFileId: second.getId(), finalFileName: 'Beta_PO-3003.pdf', submittedAt: '2025-01-15T16:01:00.000Z' }
+  ]);
+  project.call('processNewPoUploadQueue');
+  assert.equal(project.properties.script.getProperty('NEW_PO_UPLOAD_QUEUE'), null);
+  assert.deepEqual(project.readSchemaSheet(QUEUE).map(r => [r.PO_NUMBER, r.STATUS]), [
+    ['PO-1001', 'Done'], ['PO-2002', 'Done'], ['PO-3003', 'Queued']
+  ]);
+  assert.deepEqual(project.triggers.map(t => t.getHandlerFunction()), ['processNewPoUploadQueue']);
+
+  const status = project.call('getNewPoUploadStatus');
+  assert.equal(status.success, true);
+  assert.deepEqual(status.counts, { Queued: 1, Processing: 0, Done: 2, Failed: 0 });
+  assert.deepEqual(status.tasks.map(t => [t.fileName, t.status, t.canRetry]), [
+    ['Beta_PO-3003.pdf', 'Queued', false],
+    ['Beta_PO-2002.pdf', 'Done', false],
+    ['Acme Supply_PO-1001.pdf', 'Done', false]
+  ]);
+
+  project.newExecution();
+  project.call('processNewPoUploadQueue');
+  assert.deepEqual(project.readSchemaSheet(QUEUE).map(r => r.STATUS), ['Done', 'Done', 'Done']);
+  assert.deepEqual(project.drive.fileNames(uploadFolderId), ['Acme Supply_PO-1001.pdf', 'Beta_PO-2002.pdf', 'Beta_PO-3003.pdf']);
+  assert.deepEqual(project.triggers, [], 'no trigger is left once the queue is empty');
+});
+
+test('a failed Drive move goes to the dead-letter list and can be retried or discarded', () => {
+  const { project, tempFolderId, uploadFolderId, createTempFile } = setup();
+  const kept = createTempFile('temp_1_PO-2002.pdf');
+  const lost = createTempFile('temp_2_PO-3003.pdf');
+  project.drive.removeFile(lost.getId());
+  // 第一次移動時 Drive 暫時失敗
+  project.get(`(() => {
+    const getFileById = DriveApp.getFileById;
+    let failures = 1;
+    DriveApp.getFileById = id => {
+      if (failures-- > 0) throw new Error('Service error: Drive');
+      return getFileById(id);
+    };
+  })()`);
+  queueLegacyTasks(project, [
+    { tempFileId: kept.getId(), finalFileName: 'Beta_PO-2002.pdf' },
+    { tempFileId: lost.getId(), finalFileName: 'Beta_PO-3003.pdf' }
+  ]);
+
+  project.call('processNewPoUploadQueue');
+  project.newExecution();
+  project.call('processNewPoUploadQueue');
+  const failed = project.call('getNewPoUploadStatus').tasks;
+  assert.deepEqual(failed.map(t => [t.fileName, t.status, t.canRetry, t.canDiscard]), [
+    ['Beta_PO-3003.pdf', 'Failed', true, true],
+    ['Beta_PO-2002.pdf', 'Failed', true, true]
+  ]);
+  assert.equal(failed[1].message, 'Drive move failed: Service error: Drive');
+  assert.deepEqual(project.drive.fileNames(tempFolderId), ['temp_1_PO-2002.pdf'], 'the temp file is kept for a retry');
+
+  const retried = project.call('retryNewPoUpload', failed[1].taskId);
+  assert.equal(retried.success, true, retried.message);
+  assert.deepEqual(project.drive.fileNames(uploadFolderId), ['Beta_PO-2002.pdf']);
+
+  const notFailed = project.call('discardNewPoUpload', failed[1].taskId);
+  assert.equal(notFailed.success, false);
+  assert.match(notFailed.message, /is Done; only Failed uploads can be discarded/);
+
+  const discarded = project.call('discardNewPoUpload', failed[0].taskId);
+  assert.equal(discarded.success, true, discarded.message);
+  const rows = project.readSchemaSheet(QUEUE);
+  assert.deepEqual(rows.map(r => [r.STATUS, r.ATTEMPTS]), [['Done', 2], ['Discarded', 1]]);
+  assert.equal(rows[1].MESSAGE, 'Discarded by ops@example.com.');
+});
+
+test('cleanup trashes only old temp_ files that no pending upload refers to', () => {
+  const { project, tempFolderId, createTempFile } = setup();
+  createTempFile('temp_1_PO-1001.pdf'); // 孤兒
+  const failedFile = createTempFile('temp_2_PO-2002.pdf');
+  createTempFile('notes.pdf');
+  project.get(`DriveApp.getFileById = (getFileById => id => {
+    if (id === '${failedFile.getId()}') throw new Error('Access denied: DriveApp.');
+    return getFileById(id);
+  })(DriveApp.getFileById)`);
+  queueLegacyTasks(project, [{ tempFileId: failedFile.getId(), finalFileName: 'Beta_PO-2002.pdf' }]);
+  project.call('processNewPoUploadQueue');
+  assert.equal(project.readSchemaSheet(QUEUE)[0].STATUS, 'Failed');
+  assert.deepEqual(project.drive.fileNames(tempFolderId), ['temp_1_PO-1001.pdf', 'temp_2_PO-2002.pdf', 'notes.pdf'],
+    'files newer than an hour are not touched when the queue drains');
+
+  project.clock.advance(2 * 60 * 60 * 1000);
+  createTempFile('temp_3_PO-3003.pdf'); // 剛存好、還沒寫入佇列
+  const result = project.call('cleanupNewPoTempFiles');
+  assert.equal(result.success, true);
+  assert.deepEqual(result.trashed, ['temp_1_PO-1001.pdf']);
+  assert.deepEqual(project.drive.fileNames(tempFolderId), ['temp_2_PO-2002.pdf', 'notes.pdf', 'temp_3_PO-3003.pdf']);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+function setup() {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet('BOL_DB', [{ BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A', SHIPPED_QTY: 1 }]);
+  project.addSchemaSheet('Shipment_Planning_DB', [{ PO_SKU_KEY: 'PO-1|SKU-A', QTY_E: 1, QTY_W: 0, STATUS: '' }]);
+  project.addSchemaSheet('Dealer PO | Raw Data', [dealerPoRow({ PO_NUMBER: 'PO-1' })]);
+  return project;
+}
+
+function logRows(project) {
+  const [headers, ...rows] = project.spreadsheet.getSheetByName('Ops Log').dump();
+  return rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]])));
+}
+
+test('wrapped entry points log one row per call with outcome, record and error stack', () => {
+  const project = setup();
+
+  const ok = project.call('saveBolData', {
+    poSkuKey: 'PO-1|SKU-A', actShipDate: '2025-01-25', isFulfilled: false,
+    bols: [{ bolNumber: 'B-2', shippedQty: '1', shippingFee: '0', signed: false }]
+  });
+  const failed = project.call('saveBolData', { poSkuKey: 'PO-1', actShipDate: '2025-01-25', bols: [] });
+  assert.throws(() => project.call('voidPo', 'PO-404'), /PO #PO-404 not found/);
+
+  assert.equal(ok.success, true);
+  assert.equal(failed.success, false, 'the caller still gets the original result');
+
+  const rows = logRows(project);
+  assert.deepEqual(rows.map(r => [r.Tool, r.Function, r.Record, r.Outcome]), [
+    ['BOL Entry', 'saveBolData', 'PO-1|SKU-A', 'OK'],
+    ['BOL Entry', 'saveBolData', 'PO-1', 'Failed'],
+    ['New/Revise/Void PO', 'voidPo', 'PO-404', 'Error']
+  ]);
+  assert.equal(rows[0].User, 'ops@example.com');
+  assert.equal(typeof rows[0]['Duration (ms)'], 'number');
+  assert.equal(rows[0]['Error Stack'], '');
+  assert.match(rows[1].Message, /missing '\|' between P\/O and SKU/);
+  assert.match(rows[1]['Error Stack'], /saveBolData_/, 'the stack of the caught error is kept');
+  assert.match(rows[2]['Error Stack'], /voidPo_/);
+});
+
+test('getRecentErrors lists failures newest first with a link to the affected row', () => {
+  const project = setup();
+  project.call('savePlanningData', { poSkuKey: 'PO-1|SKU-A', totalQty: '3', qtyE: '1', qtyW: '1', estShipDate: '2025-02-01' });
+  project.call('saveBolData', { poSkuKey: 'PO-1|SKU-A', actShipDate: '2025-01-25', bols: [] });
+  assert.throws(() => project.call('voidPo', 'PO-404'));
+
+  const result = project.call('getRecentErrors', 10);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.errors.map(e => e.action), ['voidPo', 'savePlanningData']);
+
+  const planning = project.spreadsheet.getSheetByName('Shipment_Planning_DB');
+  const raw = project.spreadsheet.getSheetByName('Dealer PO | Raw Data');
+  assert.match(result.errors[1].message, /Quantity mismatch/);
+  assert.equal(result.errors[1].url, `${project.spreadsheet.getUrl()}#gid=${planning.getSheetId()}&range=A2`);
+  assert.equal(result.errors[0].url, `${project.spreadsheet.getUrl()}#gid=${raw.getSheetId()}`, 'unknown PO links to the sheet');
+
+  project.call('openRecentErrorsSidebar');
+  assert.equal(project.ui.sidebars[0].fileName, 'RecentErrors');
+});
+
+test('the log rotates to the newest rows once it grows past the limit', () => {
+  const project = setup();
+  const filler = Array.from({ length: 5000 }, (_, i) => [new Date(0), 'Old', 'old', '', `R-${i}`, '', '', 0, 'OK', '', '']);
+  project.addSheet('Ops Log', [project.get('OPS_LOG_HEADERS'), ...filler]);
+
+  project.call('saveBolData', { poSkuKey: 'PO-1|SKU-A', actShipDate: '2025-01-25', bols: [] });
+
+  const rows = logRows(project);
+  assert.equal(rows.length, 4000);
+  assert.equal(rows[0].Record, 'R-1001');
+  assert.equal(rows[rows.length - 1].Function, 'saveBolData');
+});
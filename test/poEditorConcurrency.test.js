@@ -0,0 +1,134 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const QUEUE = 'PO Processing Queue';
+
+const basicInfo = {
+  newPoNumber: 'PO-1001',
+  poReceivedDate: '2025-01-02',
+  buyerName: 'Acme Supply',
+  rsm: 'Amy Chen',
+  paymentTerm: 'Net 30',
+  company: 'Acme Supply LLC',
+  contact: 'Pat Lee',
+  phone: '555-0100',
+  street: '',
+  city: '',
+  state: '',
+  zipcode: '',
+  changeNote: 'Qty change',
+  spiff: ''
+};
+
+function setup() {
+  const project = loadProject({ user: 'amy@example.com' });
+  project.addSchemaSheet('HSUS Price Book', [{ LOOKUP_NAME: 'Model A', SKU: 'SKU-A', MODEL: 'Model A', PRICE: 100 }]);
+  project.addSchemaSheet('New HSUS Order Status - HSUS Price Book(QBO)', [{ SKU: 'SKU-A', SALES_DESCRIPTION: 'Model_A' }]);
+  project.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A' }),
+    dealerPoRow({ PO_NUMBER: 'PO-2002', SKU: 'SKU-A' })
+  ]);
+  project.addSchemaSheet('proc_shipping_management', [
+    { PO_NUMBER: 'PO-1001', STATUS: '', MODEL: 'Model A', QTY: 2, UNIT_PRICE: 100 },
+    { PO_NUMBER: 'PO-2002', STATUS: '', MODEL: 'Model A', QTY: 2, UNIT_PRICE: 100 }
+  ]);
+  return project;
+}
+
+function loadedVersion(project, poNumber) {
+  return project.call('getCorrectionData').allPOs.find(po => po.poNumber === poNumber).version;
+}
+
+test('getCorrectionData returns a version token per P/O that changes when the P/O is saved', () => {
+  const project = setup();
+  const data = project.call('getCorrectionData');
+  const [first, second] = data.allPOs.map(po => po.version);
+  assert.match(first, /^[0-9a-f]{16}$/);
+  assert.match(second, /^[0-9a-f]{16}$/);
+
+  project.call('_savePoCorrectionsCore', 'PO-1001', basicInfo, [{ model: 'Model A', qty: 2, unitPrice: 100 }], first);
+  project.newExecution();
+  const reloaded = project.call('getCorrectionData').allPOs;
+  assert.notEqual(reloaded[0].version, first, 'even a save with the same values is a new version');
+  assert.equal(reloaded[1].version, second, 'other P/Os keep their version');
+});
+
+test('a save against a stale version is rejected with what changed, and can be forced with the current version', () => {
+  const project = setup();
+  const version = loadedVersion(project, 'PO-1001');
+
+  // Another editor saves first
+  project.clock.advance(60 * 1000);
+  project.call('_savePoCorrectionsCore', 'PO-1001', Object.assign({}, basicInfo, { rsm: 'Ben Wu', changeNote: 'RSM moved' }), [{ model: 'Model A', qty: 5, unitPrice: 100 }], version);
+  project.newExecution();
+
+  const stale = project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, [{ model: 'Model A', qty: 3, unitPrice: 100 }], version);
+  assert.equal(stale.success, false);
+  assert.equal(stale.conflict, true);
+  assert.deepEqual(stale.changes.slice(0, 3), [
+    "RSM: 'Amy Chen' → 'Ben Wu'",
+    'Removed line: Model A × 2 @ 100',
+    'Added line: Model A × 5 @ 100'
+  ]);
+  assert.match(stale.changes[3], /^Last saved .* \(RSM moved\)\.$/);
+  assert.match(stale.message, /PO #PO-1001 was changed by someone else/);
+  assert.equal(project.spreadsheet.getSheetByName(QUEUE), null, 'nothing is queued');
+
+  const forced = project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, [{ model: 'Model A', qty: 3, unitPrice: 100 }], stale.currentVersion);
+  assert.equal(forced.success, true);
+  project.newExecution();
+  project.call('_processPoCorrectionTrigger');
+  assert.equal(project.readSchemaSheet(QUEUE)[0].STATUS, 'Success');
+  const active = project.readSchemaSheet(RAW).filter(r => r.PO_NUMBER === 'PO-1001' && r.STATUS === '');
+  assert.deepEqual(active.map(r => [r.RSM, r.P_O_QTY]), [['Amy Chen', 3]]);
+});
+
+test('two queued saves of the same version only apply the first', () => {
+  const project = setup();
+  const version = loadedVersion(project, 'PO-1001');
+
+  assert.equal(project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, [{ model: 'Model A', qty: 3, unitPrice: 100 }], version).success, true);
+  project.setUser('ben@example.com');
+  assert.equal(project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, [{ model: 'Model A', qty: 4, unitPrice: 100 }], version).success, true);
+
+  project.newExecution();
+  project.call('_processPoCorrectionTrigger');
+
+  const queue = project.readSchemaSheet(QUEUE);
+  assert.deepEqual(queue.map(job => job.STATUS), ['Success', 'Failed']);
+  assert.match(queue[1].MESSAGE, /was changed by someone else after you opened it/);
+  const active = project.readSchemaSheet(RAW).filter(r => r.PO_NUMBER === 'PO-1001' && r.STATUS === '');
+  assert.deepEqual(active.map(r => r.P_O_QTY), [3], 'only one set of new rows is appended');
+});
+
+test('a save for a P/O whose rows are gone is a conflict, not a silent skip of the version check', () => {
+  const project = setup();
+  const version = loadedVersion(project, 'PO-1001');
+
+  // Another user voids the P/O and its rows are archived
+  project.call('deleteRecords', RAW, [{ _rowNumber: 2, PO_NUMBER: 'PO-1001' }]);
+  project.newExecution();
+
+  const expected = 'PO #PO-1001 no longer has any rows in the raw data. It may have been voided, revised, split or merged.';
+  const stale = project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, [{ model: 'Model A', qty: 3, unitPrice: 100 }], version);
+  assert.deepEqual([stale.success, stale.conflict, stale.changes], [false, true, [expected]]);
+  assert.equal(project.spreadsheet.getSheetByName(QUEUE), null, 'nothing is queued');
+
+  const core = project.call('_savePoCorrectionsCore', 'PO-1001', basicInfo, [{ model: 'Model A', qty: 3, unitPrice: 100 }], version);
+  assert.equal(core.conflict, true);
+  assert.match(core.message, /was changed by someone else after you opened it/);
+  assert.deepEqual(project.readSchemaSheet(RAW).map(r => r.PO_NUMBER), ['PO-2002']);
+});
+
+test('the received date is saved as that calendar day in the script time zone', () => {
+  const project = setup();
+  project.call('_savePoCorrectionsCore', 'PO-1001', Object.assign({}, basicInfo, { poReceivedDate: '1/5/2025' }), [{ model: 'Model A', qty: 2, unitPrice: 100 }]);
+
+  const saved = project.readSchemaSheet(RAW).filter(r => r.PO_NUMBER === 'PO-1001' && r.STATUS === '')[0];
+  assert.deepEqual([saved.PO_RECEIVED_DATE.getFullYear(), saved.PO_RECEIVED_DATE.getMonth(), saved.PO_RECEIVED_DATE.getDate()], [2025, 0, 5]);
+});
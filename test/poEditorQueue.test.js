@@ -0,0 +1,183 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const QUEUE = 'PO Processing Queue';
+const PAYLOADS = 'PO Processing Payloads';
+
+const basicInfo = {
+  newPoNumber: 'PO-1001-R1',
+  poReceivedDate: '2025-01-10',
+  buyerName: 'Acme Supply',
+  rsm: 'Amy Chen',
+  paymentTerm: 'Net 45',
+  company: 'Acme Supply LLC',
+  contact: 'Pat Lee',
+  phone: '555-0100',
+  street: '123 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zipcode: '62701',
+  changeNote: 'Qty change per buyer email',
+  spiff: ''
+};
+const items = [
+  { model: 'Model A', qty: 3, unitPrice: 100 },
+  { model: 'Model B', qty: 1, unitPrice: 250 }
+];
+
+function setup() {
+  const project = loadProject({ user: 'editor@example.com' });
+  project.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A' }),
+    dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B' }),
+    dealerPoRow({ PO_NUMBER: 'PO-2002', SKU: 'SKU-A' })
+  ]);
+  return project;
+}
+
+test('submitting corrections queues the job, stores the payload durably and schedules one trigger', () => {
+  const project = setup();
+
+  const result = project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, items);
+  assert.equal(result.success, true);
+
+  const queue = project.readSchemaSheet(QUEUE);
+  assert.equal(queue.length, 1);
+  assert.equal(queue[0].PO_NUMBER, 'PO-1001');
+  assert.equal(queue[0].STATUS, 'Queued');
+  assert.equal(queue[0].SUBMITTED_BY, 'editor@example.com');
+  assert.equal(queue[0].JOB_ID, result.jobId);
+  assert.equal(queue[0].ATTEMPTS, 0);
+
+  const payloads = project.spreadsheet.getSheetByName(PAYLOADS);
+  assert.equal(payloads.hidden, true);
+  assert.equal(payloads.dump()[1][0], result.jobId);
+  assert.equal(JSON.parse(payloads.dump()[1][1]).poNumber, 'PO-1001');
+
+  project.call('savePoCorrections_AppendOnly', 'PO-2002', basicInfo, items);
+  assert.equal(project.triggers.filter(t => t.getHandlerFunction() === '_processPoCorrectionTrigger').length, 1);
+});
+
+test('the trigger applies queued corrections without touching ARRAYFORMULA columns', () => {
+  const project = setup();
+  project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, items);
+
+  project.newExecution();
+  project.call('_processPoCorrectionTrigger');
+
+  const queue = project.readSchemaSheet(QUEUE);
+  assert.equal(queue[0].STATUS, 'Success');
+  assert.match(queue[0].MESSAGE, /PO #PO-1001-R1/);
+  assert.equal(queue[0].ATTEMPTS, 1);
+  assert.equal(project.triggers.length, 0, 'the processing trigger deletes itself');
+  assert.equal(project.spreadsheet.getSheetByName(PAYLOADS).dump().length, 1, 'the payload is removed after success');
+
+  const raw = project.readSchemaSheet(RAW);
+  const original = raw.filter(r => r.PO_NUMBER === 'PO-1001');
+  assert.deepEqual(original.map(r => r.STATUS), ['Change', 'Change']);
+  assert.deepEqual(original.map(r => r.CHANGE_NOTE), [basicInfo.changeNote, basicInfo.changeNote]);
+  assert.equal(raw.find(r => r.PO_NUMBER === 'PO-2002').STATUS, '', 'other POs are untouched');
+
+  const revised = raw.filter(r => r.PO_NUMBER === 'PO-1001-R1');
+  assert.deepEqual(revised.map(r => r.P_O_LINE_ITEMS), ['Model A', 'Model B']);
+  assert.deepEqual(revised.map(r => r.PO_TOTAL), [550, 550]);
+  assert.equal(revised[0].FILE_URL, 'https://drive.google.com/file/d/po-1001', 'file URL is carried over from the original');
+  assert.equal(revised[0].PO_SKU_KEY, '', 'Helper Key is left for the ARRAYFORMULA');
+});
+
+test('a job still runs when the trigger fires hours later as another user', () => {
+  const project = setup();
+  project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, items);
+
+  project.clock.advance(3 * 3600 * 1000);
+  project.newExecution();
+  project.setUser('owner@example.com');
+  project.call('_processPoCorrectionTrigger');
+
+  const queue = project.readSchemaSheet(QUEUE);
+  assert.equal(queue[0].STATUS, 'Success');
+  assert.equal(project.readSchemaSheet(RAW).filter(r => r.PO_NUMBER === 'PO-1001-R1').length, 2);
+});
+
+test('thrown errors are retried up to the max attempts, then the job can be retried from the sidebar', () => {
+  const project = setup();
+  const { jobId } = project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, items);
+  const realCore = project.get('_savePoCorrectionsCore');
+  project.get("_savePoCorrectionsCore = () => { throw new Error('Service Spreadsheets timed out'); }");
+
+  project.newExecution();
+  project.call('_processPoCorrectionTrigger');
+  let job = project.readSchemaSheet(QUEUE)[0];
+  assert.deepEqual([job.STATUS, job.ATTEMPTS], ['Queued', 1]);
+  assert.match(job.MESSAGE, /Attempt 1 of 3 failed: Service Spreadsheets timed out/);
+  assert.equal(project.triggers.length, 1, 'a retry is scheduled');
+
+  project.call('_processPoCorrectionTrigger');
+  project.call('_processPoCorrectionTrigger');
+  job = project.readSchemaSheet(QUEUE)[0];
+  assert.deepEqual([job.STATUS, job.ATTEMPTS], ['Failed', 3]);
+  assert.match(job.MESSAGE, /Failed after 3 attempts/);
+  assert.equal(project.triggers.length, 0);
+
+  const listed = project.call('getPoProcessingJobs').jobs[0];
+  assert.deepEqual([listed.jobId, listed.status, listed.canRetry, listed.canCancel], [jobId, 'Failed', true, false]);
+
+  project.context._savePoCorrectionsCore = realCore;
+  assert.equal(project.call('retryPoProcessingJob', jobId).success, true);
+  assert.deepEqual([project.readSchemaSheet(QUEUE)[0].STATUS, project.readSchemaSheet(QUEUE)[0].ATTEMPTS], ['Queued', 0]);
+  project.call('_processPoCorrectionTrigger');
+  assert.equal(project.readSchemaSheet(QUEUE)[0].STATUS, 'Success');
+  assert.equal(project.call('retryPoProcessingJob', jobId).success, false, 'succeeded jobs cannot be retried');
+});
+
+test('a job left In Progress by an interrupted run is marked Failed once stale and can be retried', () => {
+  const project = setup();
+  const { jobId } = project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, items);
+  // 模擬執行到一半被中斷：狀態停在 'In Progress'
+  project.call('updateRecords', QUEUE, [{ _rowNumber: 2, STATUS: 'In Progress', START_TIME: new Date(project.clock.now()), ATTEMPTS: 1 }]);
+
+  project.newExecution();
+  assert.equal(project.call('getPoProcessingJobs').jobs[0].status, 'In Progress', 'a recent start may still be running');
+  project.call('_processPoCorrectionTrigger');
+  assert.equal(project.readSchemaSheet(QUEUE)[0].STATUS, 'In Progress');
+
+  project.clock.advance(11 * 60 * 1000);
+  const listed = project.call('getPoProcessingJobs').jobs[0];
+  assert.deepEqual([listed.status, listed.canRetry], ['Failed', true]);
+  assert.equal(listed.message, 'Processing was interrupted (no result 10 minutes after it started). Check PO #PO-1001 before retrying.');
+
+  assert.equal(project.call('retryPoProcessingJob', jobId).success, true);
+  project.call('_processPoCorrectionTrigger');
+  assert.equal(project.readSchemaSheet(QUEUE)[0].STATUS, 'Success');
+});
+
+test('a cancelled job is skipped by the processor', () => {
+  const project = setup();
+  const { jobId } = project.call('savePoCorrections_AppendOnly', 'PO-1001', basicInfo, items);
+
+  const cancelled = project.call('cancelPoProcessingJob', jobId);
+  assert.equal(cancelled.success, true);
+  project.newExecution();
+  project.call('_processPoCorrectionTrigger');
+
+  const job = project.readSchemaSheet(QUEUE)[0];
+  assert.equal(job.STATUS, 'Cancelled');
+  assert.equal(job.MESSAGE, 'Cancelled by editor@example.com.');
+  assert.equal(project.readSchemaSheet(RAW).filter(r => r.STATUS === 'Change').length, 0);
+  assert.equal(project.call('cancelPoProcessingJob', jobId).success, false, 'only Queued jobs can be cancelled');
+});
+
+test('a correction for an unknown PO fails without writing', () => {
+  const project = setup();
+  const before = project.readSchemaSheet(RAW);
+
+  const result = project.call('_savePoCorrectionsCore', 'PO-404', basicInfo, items);
+  assert.equal(result.success, false);
+  assert.match(result.message, /PO-404 not found/);
+  assert.deepEqual(project.readSchemaSheet(RAW), before);
+});
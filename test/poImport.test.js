@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+
+function setup() {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet('HSUS Price Book', [
+    { LOOKUP_NAME: 'Alpha 100', SKU: 'F101601', MODEL: 'Alpha-100', PRICE: 1200 },
+    { LOOKUP_NAME: 'Beta 150', SKU: 'F150', MODEL: '', PRICE: 1500 }
+  ]);
+  project.addSchemaSheet('New HSUS Order Status - HSUS Price Book(QBO)', [
+    { SKU: 'F101601', SALES_DESCRIPTION: 'Alpha_100' },
+    { SKU: 'F150', SALES_DESCRIPTION: 'Beta_150' }
+  ]);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }, { CUSTOMER_NAME: 'Best Pools' }]);
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-1' })]);
+  return project;
+}
+
+const CSV = [
+  'Order Date,PO #,Item,Quantity,Price,"Ship To Address"',
+  '2025-01-10,PO-10,Alpha 100,2,,"1 Pool Way, Austin, TX"',
+  '2025-01-10,PO-10,F150,1,"$1,450.00","1 Pool Way, Austin, TX"',
+  '',
+  '2025-01-11,PO-11,Gamma 900,1,100,',
+  '2025-01-11,PO-11,Beta 150,1,,',
+  '2025-01-12,PO-1,Alpha 100,1,,',
+  '2025-01-12,PO-12,beta 150,0,,'
+].join('\r\n');
+
+const MAPPING = {
+  PO_NUMBER: 'PO #', P_O_LINE_ITEMS: 'Item', P_O_QTY: 'Quantity', P_O_UNIT_PRICE: 'Price',
+  PO_RECEIVED_DATE: 'Order Date', SHIP_TO: 'Ship To Address'
+};
+
+test('preview validates every row and import appends only complete, valid POs in one write', () => {
+  const project = setup();
+  const request = { buyerName: 'acme supply', csvText: CSV, mapping: MAPPING, fileName: 'acme-jan.csv' };
+
+  const preview = project.call('previewPoImport', request);
+  assert.equal(preview.success, true);
+  assert.deepEqual(preview.pos.map(po => [po.poNumber, po.buyerName, po.total]), [['PO-10', 'Acme Supply', 3850]]);
+  assert.deepEqual(preview.pos[0].lines.map(l => [l.row, l.values.P_O_LINE_ITEMS, l.values.P_O_UNIT_PRICE, l.values.PO_RECEIVED_DATE]), [
+    [2, 'Alpha 100', 1200, '2025-01-10'],
+    [3, 'Beta 150', 1450, '2025-01-10']
+  ]);
+  assert.deepEqual(preview.rejected.map(r => [r.row, r.poNumber, r.reasons]), [
+    [5, 'PO-11', ["Model 'Gamma 900' is not in the Price Book"]],
+    [6, 'PO-11', ['Another line of this PO was rejected']],
+    [7, 'PO-1', ['P/O PO-1 already exists']],
+    [8, 'PO-12', ["Qty '0' is not a positive number"]]
+  ]);
+  assert.equal(project.readSchemaSheet(RAW).length, 1, 'preview does not write');
+
+  const result = project.call('importPos', request);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.importedPos, ['PO-10']);
+  assert.match(result.message, /Imported 1 PO\(s\) \(2 lines\)\. 4 row\(s\) rejected\./);
+
+  const imported = project.readSchemaSheet(RAW).slice(1);
+  assert.deepEqual(imported.map(r => [r.PO_NUMBER, r.BUYER_NAME, r.P_O_LINE_ITEMS, r.P_O_QTY, r.PO_TOTAL, r.SHIP_TO, r.STATUS]), [
+    ['PO-10', 'Acme Supply', 'Alpha 100', 2, 3850, '1 Pool Way, Austin, TX', ''],
+    ['PO-10', 'Acme Supply', 'Beta 150', 1, 3850, '1 Pool Way, Austin, TX', '']
+  ]);
+  assert.deepEqual(imported.map(r => [r.MODEL_FROM_SHEET, r.SKU, r.PO_SKU_KEY]), [['', '', ''], ['', '', '']]);
+  assert.equal(imported[0].CHANGE_NOTE, 'Imported from acme-jan.csv by ops@example.com');
+
+  const again = project.call('importPos', request);
+  assert.equal(again.success, false, 'a second import of the same file finds nothing new');
+});
+
+test('a P/O number already used in an archive or by a Direct Quote is rejected', () => {
+  const project = setup();
+  project.addSchemaSheet('Dealer PO | Archive', [dealerPoRow({ PO_NUMBER: 'PO-10', STATUS: 'Voided' })]);
+  project.addSchemaSheet('Direct Quote | Raw Data', [dealerPoRow({ PO_NUMBER: 'PO-11', BUYER_NAME: 'Best Pools' })]);
+  const csvText = [
+    'PO #,Item,Quantity',
+    'PO-10,Alpha 100,1',
+    'PO-11,Alpha 100,1',
+    'PO-12,Alpha 100,1'
+  ].join('\r\n');
+
+  const preview = project.call('previewPoImport', { buyerName: 'Acme Supply', csvText, mapping: { PO_NUMBER: 'PO #', P_O_LINE_ITEMS: 'Item', P_O_QTY: 'Quantity' } });
+  assert.deepEqual(preview.rejected.map(r => [r.poNumber, r.reasons]), [
+    ['PO-10', ['P/O PO-10 already exists']],
+    ['PO-11', ['P/O PO-11 already exists']]
+  ]);
+  assert.deepEqual(preview.pos.map(po => po.poNumber), ['PO-12']);
+});
+
+test('the column mapping is saved per buyer after a successful import', () => {
+  const project = setup();
+  const csv = 'Cust PO,Model Name,Units\nPO-20,Alpha 100,1';
+
+  const guessed = project.call('getPoImportMapping', 'Acme Supply', csv);
+  assert.equal(guessed.savedMapping, false);
+  assert.deepEqual(guessed.mapping, {}, 'unfamiliar headers are not guessed');
+  const standard = project.call('getPoImportMapping', 'Acme Supply', 'P/O,Model,Qty\nPO-21,Alpha 100,1');
+  assert.deepEqual(standard.mapping, { PO_NUMBER: 'P/O', P_O_LINE_ITEMS: 'Model', P_O_QTY: 'Qty' });
+
+  const mapping = { PO_NUMBER: 'Cust PO', P_O_LINE_ITEMS: 'Model Name', P_O_QTY: 'Units' };
+  assert.equal(project.call('importPos', { buyerName: 'Acme Supply', csvText: csv, mapping }).success, true);
+
+  const saved = project.call('getPoImportMapping', 'Acme Supply', 'Cust PO,Model Name,Units\nPO-22,Beta 150,3');
+  assert.equal(saved.savedMapping, true);
+  assert.deepEqual(saved.mapping, mapping);
+  assert.equal(project.call('getPoImportMapping', 'Best Pools', csv).savedMapping, false);
+});
+
+test('missing mappings, unknown buyers and empty files are reported', () => {
+  const project = setup();
+
+  const unmapped = project.call('previewPoImport', { buyerName: 'Acme Supply', csvText: CSV, mapping: { PO_NUMBER: 'PO #' } });
+  assert.equal(unmapped.success, false);
+  assert.match(unmapped.message, /Map a column for: Model, Qty/);
+
+  const buyer = project.call('previewPoImport', { buyerName: 'Unknown Co', csvText: 'P/O,Model,Qty\nPO-30,Alpha 100,1', mapping: { PO_NUMBER: 'P/O', P_O_LINE_ITEMS: 'Model', P_O_QTY: 'Qty' } });
+  assert.deepEqual(buyer.rejected[0].reasons, ["Buyer 'Unknown Co' is not in Customers(QBO)"]);
+
+  assert.match(project.call('getPoImportMapping', 'Acme Supply', '  ').message, /The file is empty/);
+  assert.match(project.call('getPoImportMapping', 'Acme Supply', 'P/O,Model\n,\n').message, /at least one data row/);
+});
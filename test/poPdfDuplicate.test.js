@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+const HASHES = 'PO PDF Hashes';
+
+const dataUrl = text => `data:application/pdf;base64,${Buffer.from(text).toString('base64')}`;
+
+function setup(existingFiles = {}) {
+  const project = loadProject({ user: 'ops@example.com' });
+  const uploadFolder = project.get('DriveApp').getFolderById(project.get('UPLOAD_FOLDER_ID'));
+  const files = {};
+  Object.keys(existingFiles).forEach(name => {
+    files[name] = uploadFolder.createFile(project.get('Utilities').newBlob(existingFiles[name], 'application/pdf', name));
+  });
+  return { project, files };
+}
+
+test('the hash index covers the upload folder and finds the same PDF under another P/O', () => {
+  const { project, files } = setup({
+    'Acme Supply_PO-1001.pdf': '%PDF dealer order 1001',
+    'Acme Supply_PO-1001_updated_2025-01-10.pdf': '%PDF dealer order 1001 rev 1'
+  });
+
+  const match = project.call('checkPoPdfDuplicate', dataUrl('%PDF dealer order 1001'), 'PO-2002');
+  assert.equal(match.success, true, match.message);
+  assert.match(match.hash, /^[0-9a-f]{64}$/);
+  assert.deepEqual(match.duplicates.map(d => [d.fileName, d.poNumber, d.samePo]), [['Acme Supply_PO-1001.pdf', 'PO-1001', false]]);
+  assert.equal(match.duplicates[0].url, `https://drive.google.com/file/d/${files['Acme Supply_PO-1001.pdf'].getId()}/view`);
+  assert.equal(match.message, 'This PDF is identical to Acme Supply_PO-1001.pdf (P/O PO-1001).');
+
+  const sheet = project.spreadsheet.getSheetByName(HASHES);
+  assert.equal(sheet.hidden, true);
+  assert.deepEqual(sheet.dump().slice(1).map(row => [row[1], row[2]]), [
+    ['Acme Supply_PO-1001.pdf', 'PO-1001'],
+    ['Acme Supply_PO-1001_updated_2025-01-10.pdf', 'PO-1001']
+  ]);
+
+  assert.deepEqual(project.call('checkPoPdfDuplicate', dataUrl('%PDF another dealer'), 'PO-2002').duplicates, []);
+
+  // 從資料夾移除的檔案不再比對
+  project.drive.removeFile(files['Acme Supply_PO-1001.pdf'].getId());
+  assert.deepEqual(project.call('checkPoPdfDuplicate', dataUrl('%PDF dealer order 1001'), 'PO-2002').duplicates, []);
+  assert.equal(sheet.dump().slice(1).filter(row => row[0]).length, 1);
+});
+
+test('a new upload is indexed right away, including one still waiting in the upload queue', () => {
+  const { project } = setup();
+
+  assert.equal(project.call('processNewPoUpload', dataUrl('%PDF beta order'), 'Beta', 'PO-3003').success, true);
+  const moved = project.call('checkPoPdfDuplicate', dataUrl('%PDF beta order'), 'PO-4004');
+  assert.deepEqual(moved.duplicates.map(d => [d.fileName, d.poNumber]), [['Beta_PO-3003.pdf', 'PO-3003']]);
+
+  // Drive 移動失敗：暫存檔仍在 dead-letter 清單中，以最終檔名比對
+  project.get(`DriveApp.getFileById = () => { throw new Error('Service error: Drive'); }`);
+  project.newExecution();
+  assert.equal(project.call('processNewPoUpload', dataUrl('%PDF gamma order'), 'Gamma', 'PO-5005').success, true);
+  assert.equal(project.readSchemaSheet('PO Upload Queue')[1].STATUS, 'Failed');
+  const pending = project.call('checkPoPdfDuplicate', dataUrl('%PDF gamma order'), 'PO-5005');
+  assert.deepEqual(pending.duplicates.map(d => [d.fileName, d.poNumber, d.samePo]), [['Gamma_PO-5005.pdf', 'PO-5005', true]]);
+  assert.equal(pending.message, 'This PDF is identical to the PDF already uploaded for PO #PO-5005: Gamma_PO-5005.pdf (P/O PO-5005).');
+});
+
+test('a revision that is byte-identical to the current PDF is reported for the same P/O', () => {
+  const { project } = setup({ 'Acme Supply_PO-1001.pdf': '%PDF dealer order 1001' });
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-1001' })]);
+  project.addSchemaSheet(ARCHIVE, []);
+
+  const unchanged = project.call('checkPoPdfDuplicate', dataUrl('%PDF dealer order 1001'), 'PO-1001');
+  assert.deepEqual(unchanged.duplicates.map(d => d.samePo), [true]);
+  assert.match(unchanged.message, /^This PDF is identical to the PDF already uploaded for PO #PO-1001/);
+
+  project.call('processPoUpdate', dataUrl('%PDF dealer order 1001 rev 1'), 'PO-1001');
+  project.newExecution();
+  const revision = project.call('checkPoPdfDuplicate', dataUrl('%PDF dealer order 1001 rev 1'), 'PO-1001');
+  assert.deepEqual(revision.duplicates.map(d => [d.fileName, d.poNumber]), [['Acme Supply_PO-1001_updated_2025-01-15.pdf', 'PO-1001']]);
+});
+
+test('the index hashes a bounded batch outside the lock and the hourly trigger picks up the rest', () => {
+  const { project } = setup({
+    'Acme Supply_PO-1001.pdf': '%PDF dealer order 1001',
+    'Beta_PO-1002.pdf': '%PDF dealer order 1002',
+    'Gamma_PO-1003.pdf': '%PDF dealer order 1003'
+  });
+  project.context.hashLockDepths = [];
+  project.get('computePoPdfHash_ = (hash => bytes => { hashLockDepths.push(sheetLockDepth_); return hash(bytes); })(computePoPdfHash_)');
+
+  const first = project.call('refreshPoPdfHashIndex_', 1);
+  assert.deepEqual([first.entries.map(e => e.fileName), first.unindexed], [['Acme Supply_PO-1001.pdf'], 2]);
+  assert.deepEqual(project.context.hashLockDepths, [0]);
+
+  // 下一次檢查補上其餘的檔案
+  const next = project.call('checkPoPdfDuplicate', dataUrl('%PDF dealer order 1003'), 'PO-2002');
+  assert.equal(next.unindexed, 0);
+  assert.deepEqual(next.duplicates.map(d => d.fileName), ['Gamma_PO-1003.pdf']);
+  assert.equal(next.message, 'This PDF is identical to Gamma_PO-1003.pdf (P/O PO-1003).');
+  assert.ok(project.context.hashLockDepths.every(depth => depth === 0));
+
+  project.call('installPoPdfHashIndexTrigger');
+  project.call('installPoPdfHashIndexTrigger');
+  assert.deepEqual(project.triggers.map(t => [t.getHandlerFunction(), t.details.everyHours]), [['runScheduledPoPdfHashIndex', 1]]);
+  project.drive.removeFile(first.entries[0].fileId);
+  project.call('runScheduledPoPdfHashIndex');
+  assert.deepEqual(project.spreadsheet.getSheetByName(HASHES).dump().slice(1).filter(row => row[0]).map(row => row[1]),
+    ['Beta_PO-1002.pdf', 'Gamma_PO-1003.pdf']);
+});
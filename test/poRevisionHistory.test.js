@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+
+test('versions from Archive and Raw Data are ordered by Timestamp and diffed line by line', () => {
+  const project = loadProject();
+  const created = new Date('2025-01-02T08:00:00Z');
+  const changed = new Date('2025-01-05T10:00:00Z');
+  project.addSchemaSheet(ARCHIVE, [
+    // 'Change' 列的 Timestamp 是被取代的時間，與新版本相同
+    dealerPoRow({ PO_NUMBER: 'PO-7', STATUS: 'Change', TIMESTAMP: changed, P_O_LINE_ITEMS: 'Model A', P_O_QTY: 2, CHANGE_NOTE: 'Buyer call' }),
+    dealerPoRow({ PO_NUMBER: 'PO-7', STATUS: 'Change', TIMESTAMP: changed, P_O_LINE_ITEMS: 'Model B', P_O_QTY: 1, CHANGE_NOTE: 'Buyer call' })
+  ]);
+  project.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-8', TIMESTAMP: created }),
+    dealerPoRow({ PO_NUMBER: 'PO-7', TIMESTAMP: changed, P_O_LINE_ITEMS: 'model a', P_O_QTY: 3, P_O_UNIT_PRICE: 95, PAYMENT_TERM: 'Net 45', CHANGE_NOTE: 'Buyer call' }),
+    dealerPoRow({ PO_NUMBER: 'PO-7', TIMESTAMP: changed, P_O_LINE_ITEMS: 'Model C', P_O_QTY: 4, CHANGE_NOTE: 'Buyer call' })
+  ]);
+
+  const result = project.call('getPoRevisionHistory', ' PO-7 ');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.versions.map(v => [v.version, v.source, v.status, v.rowNumbers]), [
+    [1, 'Archive', 'Change', [2, 3]],
+    [2, 'Raw Data', 'Active', [3, 4]]
+  ]);
+  assert.equal(result.versions[1].timestamp, changed.toISOString());
+
+  const [diff] = result.diffs;
+  assert.equal(diff.changeNote, 'Buyer call');
+  assert.deepEqual(diff.addedLines.map(l => [l.model, l.qty]), [['Model C', 4]]);
+  assert.deepEqual(diff.removedLines.map(l => [l.model, l.qty]), [['Model B', 1]]);
+  assert.deepEqual(diff.changedLines, [
+    { model: 'model a', field: 'Qty', from: 2, to: 3 },
+    { model: 'model a', field: 'Unit Price', from: 100, to: 95 }
+  ]);
+  assert.deepEqual(diff.headerChanges.map(c => [c.field, c.from, c.to]), [['PAYMENT_TERM', 'Net 30', 'Net 45']]);
+});
+
+test('a PO Editor change followed by archiving shows the old and the new version', () => {
+  const project = loadProject();
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-9' })]);
+  project.addSchemaSheet(ARCHIVE, []);
+  const raw = project.readSchemaSheet(RAW)[0];
+
+  const saved = project.call('_savePoCorrectionsCore', 'PO-9', {
+    poReceivedDate: '2025-01-02', buyerName: raw.BUYER_NAME, rsm: raw.RSM, paymentTerm: raw.PAYMENT_TERM,
+    company: raw.COMPANY, contact: raw.SHIP_TO_CONTACT, phone: raw.SHIP_TO_PHONE, street: '', city: '', state: '',
+    zipcode: '', changeNote: 'Qty 2 -> 5', spiff: ''
+  }, [{ model: 'Model A', qty: '5', unitPrice: '100' }]);
+  assert.equal(saved.success, true);
+  project.call('archiveProcessedPOs_Safe');
+
+  const result = project.call('getPoRevisionHistory', 'PO-9');
+  assert.deepEqual(result.versions.map(v => [v.source, v.status]), [['Archive', 'Change'], ['Raw Data', 'Active']]);
+  assert.equal(result.diffs[0].changeNote, 'Qty 2 -> 5');
+  assert.deepEqual(result.diffs[0].changedLines.map(c => [c.field, c.from, c.to]), [['Qty', 2, 5]]);
+
+  assert.deepEqual(project.call('getRevisionHistoryPoNumbers').poNumbers, ['PO-9']);
+});
+
+test('two PO Editor saves 30 s apart are separate versions; legacy Revised rows a few ms apart are one', () => {
+  const project = loadProject();
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-9' })]);
+  const raw = project.readSchemaSheet(RAW)[0];
+  const save = (qty, changeNote) => project.call('_savePoCorrectionsCore', 'PO-9', {
+    poReceivedDate: '2025-01-02', buyerName: raw.BUYER_NAME, rsm: raw.RSM, paymentTerm: raw.PAYMENT_TERM,
+    company: raw.COMPANY, contact: raw.SHIP_TO_CONTACT, phone: raw.SHIP_TO_PHONE, street: '', city: '', state: '',
+    zipcode: '', changeNote, spiff: ''
+  }, [{ model: 'Model A', qty: String(qty), unitPrice: '100' }]);
+
+  assert.equal(save(5, 'Qty 2 -> 5').success, true);
+  project.clock.advance(30 * 1000);
+  project.newExecution();
+  assert.equal(save(7, 'Qty 5 -> 7').success, true);
+
+  const result = project.call('getPoRevisionHistory', 'PO-9');
+  assert.deepEqual(result.versions.map(v => [v.status, v.lines[0].qty]), [['Change', 2], ['Change', 5], ['Active', 7]]);
+  assert.deepEqual(result.diffs.map(d => d.changeNote), ['Qty 2 -> 5', 'Qty 5 -> 7']);
+
+  const legacy = loadProject();
+  const revisedAt = new Date('2025-01-05T10:00:00Z');
+  legacy.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-5', SKU: 'SKU-A', STATUS: 'Revised', TIMESTAMP: revisedAt }),
+    dealerPoRow({ PO_NUMBER: 'PO-5', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B', STATUS: 'Revised', TIMESTAMP: new Date(revisedAt.getTime() + 3) }),
+    dealerPoRow({ PO_NUMBER: 'PO-5', SKU: 'SKU-A', P_O_QTY: 4, TIMESTAMP: new Date(revisedAt.getTime() + 1) })
+  ]);
+  assert.deepEqual(legacy.call('getPoRevisionHistory', 'PO-5').versions.map(v => [v.status, v.rowNumbers]), [['Revised', [2, 3]], ['Active', [4]]]);
+});
+
+test('an unknown or blank PO number is reported without throwing', () => {
+  const project = loadProject();
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-1' })]);
+
+  const missing = project.call('getPoRevisionHistory', 'PO-404');
+  assert.equal(missing.success, false);
+  assert.match(missing.message, /PO-404' was not found/);
+  assert.equal(project.call('getPoRevisionHistory', '  ').success, false);
+
+  project.call('openPoRevisionHistory');
+  assert.equal(project.ui.dialogs[0].title, 'PO Revision History');
+});
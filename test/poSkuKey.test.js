@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+
+test('keys are built, parsed and normalized the same way everywhere', () => {
+  const project = loadProject();
+  const normalize = key => project.call('normalizePoSkuKey', key);
+
+  assert.equal(project.call('buildPoSkuKey', 25914, ' f101601 '), '25914|F101601');
+  assert.equal(normalize('25914.0|F101601'), '25914|F101601', 'numeric P/O read back as text');
+  assert.equal(normalize('  #PO 25914 |  f101601'), '#PO 25914|F101601');
+  assert.equal(normalize('007|SKU-A'), '007|SKU-A', 'text P/O keeps its leading zeros');
+  assert.deepEqual(project.call('parsePoSkuKey', 'PO|A|B|sku-1'), { key: 'PO|A|B|SKU-1', poNumber: 'PO|A|B', sku: 'SKU-1' });
+  assert.equal(project.call('isSamePoSkuKey', 'PO-1|sku-a ', 'PO-1|SKU-A'), true);
+  assert.equal(project.call('isSamePoSkuKey', '', ''), false);
+
+  ['', 'PO-1', '|SKU-A', 'PO-1|', null, 12345].forEach(key => {
+    assert.equal(project.call('isValidPoSkuKey', key), false, `${key} is invalid`);
+  });
+  assert.match(project.call('validatePoSkuKey', 'PO-1|').message, /Invalid PO\|SKU key 'PO-1\|': SKU is empty/);
+  assert.throws(() => project.call('buildPoSkuKey', 'PO-1', 'A|B'), /must not contain '\|'/);
+});
+
+test('saving BOL data finds rows stored under a legacy spelling of the key and writes the normalized key', () => {
+  const project = loadProject();
+  project.addSchemaSheet('BOL_DB', [
+    { BOL_NUMBER: 'OLD-1', PO_SKU_KEY: '25914.0|f101601 ', SHIPPED_QTY: 1, SHIPPING_FEE: 10, SIGNED: false },
+    { BOL_NUMBER: 'KEEP-1', PO_SKU_KEY: '25915|F101601', SHIPPED_QTY: 4, SHIPPING_FEE: 0, SIGNED: true }
+  ]);
+  project.addSchemaSheet('Shipment_Planning_DB', [
+    { PO_SKU_KEY: '25914|f101601', EST_SHIP_DATE: new Date('2025-01-20'), QTY_E: 1, QTY_W: 0, STATUS: '' }
+  ]);
+
+  const result = project.call('saveBolData', {
+    poSkuKey: '25914|F101601',
+    actShipDate: '2025-01-25',
+    isFulfilled: true,
+    bols: [{ bolNumber: 'NEW-1', shippedQty: '1', shippingFee: '5', signed: true }]
+  });
+  assert.equal(result.success, true, result.message);
+
+  const bols = project.readSchemaSheet('BOL_DB');
+  assert.deepEqual(bols.map(r => [r.BOL_NUMBER, r.PO_SKU_KEY]), [['KEEP-1', '25915|F101601'], ['NEW-1', '25914|F101601']]);
+  assert.equal(project.readSchemaSheet('Shipment_Planning_DB')[0].STATUS, 'Fulfilled');
+
+  const invalid = project.call('saveBolData', { poSkuKey: '25914', actShipDate: '2025-01-25', bols: [] });
+  assert.equal(invalid.success, false);
+  assert.match(invalid.message, /missing '\|' between P\/O and SKU/);
+});
+
+test('the scan reports invalid, unnormalized and colliding keys without changing the DBs', () => {
+  const project = loadProject();
+  project.addSchemaSheet('BOL_DB', [
+    { BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1|SKU-A' },
+    { BOL_NUMBER: 'B-2', PO_SKU_KEY: 'PO-1 |sku-a' },
+    { BOL_NUMBER: 'B-2', PO_SKU_KEY: 'PO-1|SKU-A' }
+  ]);
+  project.addSchemaSheet('Serial #_DB', [
+    { SERIAL_NUMBER: 'S-1', PO_SKU_KEY: 'PO-1' },
+    { SERIAL_NUMBER: 'S-2', PO_SKU_KEY: 'PO-1|SKU-A' }
+  ]);
+  project.addSchemaSheet('Shipment_Planning_DB', [
+    { PO_SKU_KEY: '12345.0|SKU-B' },
+    { PO_SKU_KEY: '12345|SKU-B' }
+  ]);
+
+  project.call('scanPoSkuKeys');
+  const result = project.call('runPoSkuKeyScan');
+
+  assert.equal(result.checkedCount, 7);
+  assert.deepEqual(result.issues.map(issue => [issue.sheet, issue.row, issue.problem]), [
+    ['BOL_DB', 3, 'Not Normalized'],
+    ['BOL_DB', 4, 'Duplicate Key: same PO_SKU_KEY + BOL_NUMBER as row 3 after normalization'],
+    ['Serial #_DB', 2, "Invalid: missing '|' between P/O and SKU."],
+    ['Shipment_Planning_DB', 2, 'Not Normalized'],
+    ['Shipment_Planning_DB', 3, 'Duplicate Key: same PO_SKU_KEY as row 2 after normalization']
+  ]);
+  assert.match(project.ui.alerts[0], /Found 5 PO\|SKU key problem\(s\) in 7 rows/);
+
+  const report = project.spreadsheet.getSheetByName('PO|SKU Key Report').dump();
+  assert.deepEqual(report[1].slice(1), ['BOL_DB', 3, 'PO-1 |sku-a', 'PO-1|SKU-A', 'Not Normalized']);
+  assert.equal(project.readSchemaSheet('BOL_DB')[1].PO_SKU_KEY, 'PO-1 |sku-a');
+});
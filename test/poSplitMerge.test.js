@@ -0,0 +1,202 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+const PLANNING = 'Shipment_Planning_DB';
+const BOL = 'BOL_DB';
+const SERIAL = 'Serial #_DB';
+
+function setup({ raw, planning = [], bols = [], serials = [] }) {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet(RAW, raw);
+  project.addSchemaSheet(ARCHIVE, []);
+  project.addSchemaSheet(PLANNING, planning);
+  project.addSchemaSheet(BOL, bols);
+  project.addSchemaSheet(SERIAL, serials);
+  return project;
+}
+
+const activeLines = (project, poNumber) => project.readSchemaSheet(RAW)
+  .filter(r => r.PO_NUMBER === poNumber && r.STATUS === '')
+  .map(r => [r.P_O_LINE_ITEMS, r.P_O_QTY, r.PO_TOTAL]);
+
+test('a split creates the new P/Os, re-points planning, BOL and serial rows and links the numbers', () => {
+  const project = setup({
+    raw: [
+      dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A', P_O_QTY: 4 }),
+      dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B', P_O_QTY: 2, P_O_UNIT_PRICE: 50 })
+    ],
+    planning: [{ PO_SKU_KEY: 'PO-1001|SKU-A', ALLOCATIONS: 'E:2, W:2', EST_SHIP_DATE: new Date('2025-03-01T12:00:00Z'), STATUS: 'Planned' }],
+    bols: [{ BOL_NUMBER: 'BOL-1', PO_SKU_KEY: 'PO-1001|SKU-A', SHIPPED_QTY: 3 }],
+    serials: [
+      { SERIAL_NUMBER: 'S1', PO_SKU_KEY: 'PO-1001|SKU-A', BOL_NUMBER: 'BOL-1' },
+      { SERIAL_NUMBER: 'S2', PO_SKU_KEY: 'PO-1001|SKU-B', BOL_NUMBER: '' }
+    ]
+  });
+
+  const result = project.call('splitPo', 'PO-1001', [
+    { poNumber: 'PO-1001-A', items: [{ sku: 'sku-a', qty: 3 }, { sku: 'SKU-B', qty: 2 }] },
+    { poNumber: 'PO-1001-B', items: [{ sku: 'SKU-A', qty: 1 }, { sku: 'SKU-B', qty: '' }], shipTo: { city: 'Reno', state: 'NV' } }
+  ], 'Second ship-to');
+
+  assert.equal(result.success, true, result.message);
+  assert.deepEqual(result.poNumbers, ['PO-1001-A', 'PO-1001-B']);
+  assert.deepEqual(activeLines(project, 'PO-1001-A'), [['Model A', 3, 400], ['Model B', 2, 400]]);
+  assert.deepEqual(activeLines(project, 'PO-1001-B'), [['Model A', 1, 100]]);
+  const partB = project.readSchemaSheet(RAW).find(r => r.PO_NUMBER === 'PO-1001-B');
+  assert.deepEqual([partB.CITY, partB.STATE, partB.COMPANY, partB.CHANGE_NOTE], ['Reno', 'NV', 'Acme Supply LLC', 'Split from PO-1001: Second ship-to']);
+  assert.equal(project.readSchemaSheet(RAW).filter(r => r.PO_NUMBER === 'PO-1001').length, 0, 'the original is archived');
+  assert.deepEqual(project.readSchemaSheet(ARCHIVE).map(r => [r.PO_NUMBER, r.STATUS, r.CHANGE_NOTE]), [
+    ['PO-1001', 'Split', 'Split into PO-1001-A, PO-1001-B: Second ship-to'],
+    ['PO-1001', 'Split', 'Split into PO-1001-A, PO-1001-B: Second ship-to']
+  ]);
+
+  assert.deepEqual(project.readSchemaSheet(BOL).map(r => r.PO_SKU_KEY), ['PO-1001-A|SKU-A']);
+  assert.deepEqual(project.readSchemaSheet(SERIAL).map(r => r.PO_SKU_KEY), ['PO-1001-A|SKU-A', 'PO-1001-A|SKU-B']);
+  assert.deepEqual(project.readSchemaSheet(PLANNING).map(r => [r.PO_SKU_KEY, r.ALLOCATIONS, r.STATUS]), [
+    ['PO-1001-A|SKU-A', 'E:2, W:1', 'Planned'],
+    ['PO-1001-B|SKU-A', 'W:1', 'Planned']
+  ]);
+
+  const history = project.call('getPoRevisionHistory', 'PO-1001-B');
+  assert.deepEqual(history.links.map(l => [l.operation, l.from, l.to, l.user, l.note]), [['Split', 'PO-1001', 'PO-1001-B', 'ops@example.com', 'Second ship-to']]);
+});
+
+test('a split that does not add up, reuses a number or breaks a BOL writes nothing', () => {
+  const project = setup({
+    raw: [dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A', P_O_QTY: 4 }), dealerPoRow({ PO_NUMBER: 'PO-2002', SKU: 'SKU-A' })],
+    bols: [{ BOL_NUMBER: 'BOL-1', PO_SKU_KEY: 'PO-1001|SKU-A', SHIPPED_QTY: 3 }]
+  });
+  const before = project.readSchemaSheet(RAW);
+
+  const invalid = project.call('splitPo', 'PO-1001', [
+    { poNumber: 'PO-2002', items: [{ sku: 'SKU-A', qty: 2 }] },
+    { poNumber: 'PO-1001-B', items: [{ sku: 'SKU-A', qty: 1 }, { sku: 'SKU-Z', qty: 1 }] }
+  ]);
+  assert.equal(invalid.success, false);
+  assert.deepEqual(invalid.errors, [
+    'New P/O 1: P/O number PO-2002 already exists.',
+    'New P/O 2: SKU SKU-Z is not on PO #PO-1001.',
+    'SKU SKU-A: the new P/Os have 3 in total, PO #PO-1001 has 4.'
+  ]);
+
+  const bolSplit = project.call('splitPo', 'PO-1001', [
+    { poNumber: 'PO-1001-A', items: [{ sku: 'SKU-A', qty: 2 }] },
+    { poNumber: 'PO-1001-B', items: [{ sku: 'SKU-A', qty: 2 }] }
+  ]);
+  assert.equal(bolSplit.success, false);
+  assert.match(bolSplit.message, /BOL BOL-1 shipped 3 of SKU SKU-A, which does not fit in any new P\/O/);
+
+  assert.deepEqual(project.readSchemaSheet(RAW), before);
+  assert.equal(project.readSchemaSheet(BOL)[0].PO_SKU_KEY, 'PO-1001|SKU-A');
+  assert.equal(project.spreadsheet.getSheetByName('PO Links'), null);
+});
+
+test('a merge combines quantities under one number and folds the planning rows together', () => {
+  const project = setup({
+    raw: [
+      dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A', P_O_QTY: 2 }),
+      dealerPoRow({ PO_NUMBER: 'PO-1001-R', SKU: 'SKU-A', P_O_QTY: 1 }),
+      dealerPoRow({ PO_NUMBER: 'PO-1001-R', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B', P_O_QTY: 1, P_O_UNIT_PRICE: 50 })
+    ],
+    planning: [
+      { PO_SKU_KEY: 'PO-1001-R|SKU-A', ALLOCATIONS: 'E:1', EST_SHIP_DATE: new Date('2025-03-01T12:00:00Z') },
+      { PO_SKU_KEY: 'PO-1001|SKU-A', ALLOCATIONS: 'W:2', EST_SHIP_DATE: new Date('2025-03-10T12:00:00Z') }
+    ],
+    bols: [{ BOL_NUMBER: 'BOL-9', PO_SKU_KEY: 'PO-1001-R|SKU-B', SHIPPED_QTY: 1 }],
+    serials: [{ SERIAL_NUMBER: 'S9', PO_SKU_KEY: 'PO-1001-R|SKU-B', BOL_NUMBER: 'BOL-9' }]
+  });
+
+  const unknown = project.call('mergePos', ['PO-1001', 'PO-404'], 'PO-1001');
+  assert.equal(unknown.success, false);
+  assert.match(unknown.message, /PO #PO-404 not found/);
+
+  const result = project.call('mergePos', ['PO-1001', 'PO-1001-R'], 'PO-1001', 'Re-issued PO');
+
+  assert.equal(result.success, true, result.message);
+  assert.deepEqual(activeLines(project, 'PO-1001'), [['Model A', 3, 350], ['Model B', 1, 350]]);
+  assert.equal(project.readSchemaSheet(RAW).filter(r => r.PO_NUMBER === 'PO-1001-R').length, 0);
+  assert.deepEqual(project.readSchemaSheet(ARCHIVE).map(r => [r.PO_NUMBER, r.STATUS]), [
+    ['PO-1001', 'Merged'], ['PO-1001-R', 'Merged'], ['PO-1001-R', 'Merged']
+  ]);
+
+  const planning = project.readSchemaSheet(PLANNING);
+  assert.deepEqual(planning.map(r => [r.PO_SKU_KEY, r.ALLOCATIONS]), [['PO-1001|SKU-A', 'E:1, W:2']]);
+  assert.equal(planning[0].EST_SHIP_DATE.toISOString(), '2025-03-01T12:00:00.000Z', 'the earliest ship date is kept');
+  assert.equal(project.readSchemaSheet(BOL)[0].PO_SKU_KEY, 'PO-1001|SKU-B');
+  assert.equal(project.readSchemaSheet(SERIAL)[0].PO_SKU_KEY, 'PO-1001|SKU-B');
+  assert.deepEqual(project.call('getPoRevisionHistory', 'PO-1001-R').links.map(l => [l.operation, l.from, l.to]), [['Merge', 'PO-1001-R', 'PO-1001']]);
+});
+
+test('a failure while re-pointing the DB rows restores the Raw Data rows', () => {
+  const project = setup({
+    raw: [
+      dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A', P_O_QTY: 4, CHANGE_NOTE: 'Original', TIMESTAMP: new Date('2025-01-02T12:00:00Z') }),
+      dealerPoRow({ PO_NUMBER: 'PO-2002', SKU: 'SKU-A', P_O_QTY: 1 })
+    ],
+    bols: [{ BOL_NUMBER: 'BOL-1', PO_SKU_KEY: 'PO-1001|SKU-A', SHIPPED_QTY: 1 }]
+  });
+  const rawBefore = project.readSchemaSheet(RAW);
+  project.get("applyPoDbPlan_ = () => { throw new Error('Service Spreadsheets timed out'); }");
+
+  const split = project.call('splitPo', 'PO-1001', [
+    { poNumber: 'PO-1001-A', items: [{ sku: 'SKU-A', qty: 2 }] },
+    { poNumber: 'PO-1001-B', items: [{ sku: 'SKU-A', qty: 2 }] }
+  ]);
+  assert.deepEqual([split.success, split.message], [false, 'Service Spreadsheets timed out']);
+  assert.deepEqual(project.readSchemaSheet(RAW), rawBefore);
+
+  const merge = project.call('mergePos', ['PO-1001', 'PO-2002'], 'PO-1001');
+  assert.equal(merge.success, false);
+  assert.deepEqual(project.readSchemaSheet(RAW), rawBefore);
+  assert.deepEqual(project.readSchemaSheet(ARCHIVE), [], 'nothing is archived');
+  assert.equal(project.readSchemaSheet(BOL)[0].PO_SKU_KEY, 'PO-1001|SKU-A');
+});
+
+test('a DB write that fails partway rolls back the planning, BOL and serial rows already re-pointed', () => {
+  const project = setup({
+    raw: [
+      dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A', P_O_QTY: 2 }),
+      dealerPoRow({ PO_NUMBER: 'PO-1001-R', SKU: 'SKU-A', P_O_QTY: 1 }),
+      dealerPoRow({ PO_NUMBER: 'PO-1001-R', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B', P_O_QTY: 1, P_O_UNIT_PRICE: 50 })
+    ],
+    planning: [
+      { PO_SKU_KEY: 'PO-1001-R|SKU-A', ALLOCATIONS: 'E:1', EST_SHIP_DATE: new Date('2025-03-01T12:00:00Z') },
+      { PO_SKU_KEY: 'PO-1001|SKU-A', ALLOCATIONS: 'W:2', EST_SHIP_DATE: new Date('2025-03-10T12:00:00Z') }
+    ],
+    bols: [{ BOL_NUMBER: 'BOL-9', PO_SKU_KEY: 'PO-1001-R|SKU-B', SHIPPED_QTY: 1 }],
+    serials: [{ SERIAL_NUMBER: 'S9', PO_SKU_KEY: 'PO-1001-R|SKU-B', BOL_NUMBER: 'BOL-9' }]
+  });
+  const before = () => [RAW, PLANNING, BOL, SERIAL].map(name => project.readSchemaSheet(name));
+  const snapshot = before();
+  // 規劃列的刪除 (最後一步) 逾時：更新過的規劃、BOL、序號列都要撤回
+  project.get(`(() => {
+    const original = deleteRecords;
+    deleteRecords = (sheetName, records) => sheetName === 'Shipment_Planning_DB'
+      ? { success: false, message: 'Service Spreadsheets timed out', results: records.map((record, index) => ({ index, success: false, message: 'timed out' })) }
+      : original(sheetName, records);
+  })()`);
+
+  const merge = project.call('mergePos', ['PO-1001', 'PO-1001-R'], 'PO-1001');
+  assert.deepEqual([merge.success, merge.message], [false, 'Service Spreadsheets timed out']);
+  assert.deepEqual(before(), snapshot);
+
+  // split 的第二張 P/O 需要新增規劃列；新增失敗時，已改指向第一張的規劃列撤回
+  project.get(`(() => {
+    const original = appendRecords;
+    appendRecords = (sheetName, records) => sheetName === 'Shipment_Planning_DB'
+      ? { success: false, message: 'Service Spreadsheets timed out', results: records.map((record, index) => ({ index, success: false, message: 'timed out' })) }
+      : original(sheetName, records);
+  })()`);
+  const split = project.call('splitPo', 'PO-1001', [
+    { poNumber: 'PO-1001-A', items: [{ sku: 'SKU-A', qty: 1 }] },
+    { poNumber: 'PO-1001-B', items: [{ sku: 'SKU-A', qty: 1 }] }
+  ]);
+  assert.deepEqual([split.success, split.message], [false, 'Service Spreadsheets timed out']);
+  assert.deepEqual(before(), snapshot);
+});
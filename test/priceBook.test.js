@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+
+const PRICE_BOOK = 'HSUS Price Book';
+const PRICE_BOOK_QBO = 'New HSUS Order Status - HSUS Price Book(QBO)';
+
+function setup() {
+  const project = loadProject();
+  project.addSchemaSheet(PRICE_BOOK, [
+    { LOOKUP_NAME: 'Zeta 200 Standard', SKU: 'F200', MODEL: 'Zeta 200', PRICE: 900 },
+    { LOOKUP_NAME: 'Alpha 100', SKU: 'f101601', MODEL: 'Alpha-100', PRICE: 1200 },
+    { LOOKUP_NAME: 'Beta 150', SKU: 'F150', MODEL: '', PRICE: 1500 },
+    { LOOKUP_NAME: '', SKU: 'F999', MODEL: 'Orphan', PRICE: 1 }
+  ]);
+  project.addSchemaSheet(PRICE_BOOK_QBO, [
+    { SKU: ' f101601 ', SALES_DESCRIPTION: 'Finished Goods:Alpha_100' },
+    { SKU: 'F200', SALES_DESCRIPTION: '450ABC Zeta_200 Standard' },
+    { SKU: 'F150', SALES_DESCRIPTION: '' }
+  ]);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }]);
+  return project;
+}
+
+test('one Price Book provides SKU -> model, model -> SKU / price and the sorted model list', () => {
+  const project = setup();
+  const priceBook = project.call('getPriceBook');
+
+  assert.deepEqual(priceBook.skuToModel, { F101601: 'Alpha 100', F200: 'Zeta 200', F150: 'F150' });
+  assert.deepEqual(priceBook.modelNames, ['Alpha 100', 'Beta 150', 'Zeta 200 Standard']);
+  assert.equal(priceBook.modelToPrice['Alpha 100'], 1200);
+  assert.equal(priceBook.modelToSku['Alpha-100'], 'f101601', 'the Model column is an alias of the Lookup Name');
+  assert.equal(priceBook.modelToSku.Orphan, undefined);
+
+  assert.equal(project.call('getSkuModelMap').get('F101601'), 'Alpha 100');
+
+  // PO Editor 與 Manual New PO 看到相同的型號與價格
+  project.addSchemaSheet('Dealer PO | Raw Data', []);
+  project.addSchemaSheet('proc_shipping_management', []);
+  const correction = project.call('getCorrectionData');
+  const manual = project.call('getInitialData');
+  assert.deepEqual(manual.models, correction.modelNames);
+  assert.deepEqual(manual.prices, correction.modelNames.map(name => correction.modelToPriceMap[name]));
+});
+
+test('the Price Book is cached until a Price Book sheet is edited', () => {
+  const project = setup();
+  const sheet = project.spreadsheet.getSheetByName(PRICE_BOOK);
+  assert.equal(project.call('getPriceBook').modelToPrice['Alpha 100'], 1200);
+
+  sheet.getRange('D4').setValue(1250);
+  project.newExecution();
+  assert.equal(project.call('getPriceBook').modelToPrice['Alpha 100'], 1200, 'served from the cache');
+
+  const otherSheet = project.addSheet('Notes', [['x']]);
+  project.call('onPriceBookChange', { range: otherSheet.getRange('A1') });
+  assert.equal(project.call('getPriceBook').modelToPrice['Alpha 100'], 1200);
+
+  project.call('onPriceBookChange', { range: sheet.getRange('D4') });
+  project.newExecution();
+  assert.equal(project.call('getPriceBook').modelToPrice['Alpha 100'], 1250);
+});
+
+test('the cache triggers install once per event type', () => {
+  const project = setup();
+  project.call('installPriceBookCacheTrigger');
+  project.call('installPriceBookCacheTrigger');
+
+  const triggers = project.triggers.filter(t => t.getHandlerFunction() === 'onPriceBookChange');
+  assert.deepEqual(triggers.map(t => t.getEventType()).sort(), ['ON_CHANGE', 'ON_EDIT']);
+});
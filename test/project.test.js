@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject, findDuplicateFunctions } = require('./harness/loader');
+
+test('all project files load into one global scope', () => {
+  const project = loadProject();
+  assert.ok(project.files.length > 0);
+  assert.equal(typeof project.get('Config').SCHEMAS, 'object');
+});
+
+test('no global function is declared in more than one file', () => {
+  const duplicates = Object.keys(findDuplicateFunctions());
+  assert.deepEqual(duplicates, [], `Duplicate global functions shadow each other in Apps Script: ${duplicates.join(', ')}`);
+});
+
+test('every onOpen menu item points at a defined function', () => {
+  const project = loadProject();
+  project.call('onOpen');
+
+  const items = project.ui.menus.flatMap(menu => menu.items).filter(item => item.functionName);
+  assert.ok(items.length > 0);
+  items.forEach(item => {
+    assert.equal(project.get(`typeof ${item.functionName}`), 'function',
+      `Menu item "${item.caption}" calls undefined function ${item.functionName}`);
+  });
+});
+
+test('menu entry points open the real tools instead of placeholders', () => {
+  const project = loadProject();
+  project.call('openBolEntryTool');
+  assert.deepEqual(project.ui.alerts, []);
+  assert.equal(project.ui.sidebars.length, 1);
+  assert.equal(project.ui.sidebars[0].fileName, 'BolEntryTool');
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+
+function setup() {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-1', SKU: 'SKU-A' }),
+    dealerPoRow({ PO_NUMBER: 'PO-1', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B', P_O_QTY: 1 }),
+    dealerPoRow({ PO_NUMBER: 'PO-2' })
+  ]);
+  project.addSchemaSheet(ARCHIVE, []);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }]);
+  return project;
+}
+
+test('a voided PO is written back to Raw Data with a blank status and a restore note', () => {
+  const project = setup();
+  project.call('voidPo', 'PO-1');
+  assert.deepEqual(project.call('getPoMgtInitialData').restorablePoNumbers, ['PO-1']);
+
+  const result = project.call('restorePo', ' PO-1 ', 'Dealer reinstated the order');
+
+  assert.equal(result.success, true);
+  assert.match(result.message, /restored PO #PO-1 \(2 rows\) from the 'Voided' version/);
+
+  const restored = project.readSchemaSheet(RAW).filter(r => r.PO_NUMBER === 'PO-1');
+  assert.deepEqual(restored.map(r => [r.P_O_LINE_ITEMS, r.P_O_QTY, r.STATUS]), [['Model A', 2, ''], ['Model B', 1, '']]);
+  assert.deepEqual(restored.map(r => [r.MODEL_FROM_SHEET, r.SKU, r.PO_SKU_KEY]), [['', '', ''], ['', '', '']], 'ARRAYFORMULA columns are left to the formula');
+  assert.match(restored[0].CHANGE_NOTE, /^Restored by ops@example\.com on \d{4}-\d{2}-\d{2} \d{2}:\d{2}: Dealer reinstated the order$/);
+  assert.ok(restored[0].TIMESTAMP instanceof Date);
+
+  assert.equal(project.readSchemaSheet(ARCHIVE).length, 2, 'the archived rows stay as history');
+  const history = project.call('getPoRevisionHistory', 'PO-1');
+  assert.deepEqual(history.versions.map(v => [v.source, v.status]), [['Archive', 'Voided'], ['Raw Data', 'Active']]);
+  assert.deepEqual(project.call('getPoMgtInitialData').restorablePoNumbers, []);
+});
+
+test('only the latest archived version is restored', () => {
+  const project = loadProject({ user: 'ops@example.com' });
+  const changedAt = new Date('2025-01-05T10:00:00Z');
+  project.addSchemaSheet(RAW, []);
+  project.addSchemaSheet(ARCHIVE, [
+    dealerPoRow({ PO_NUMBER: 'PO-3', STATUS: 'Change', TIMESTAMP: changedAt, P_O_QTY: 2 }),
+    // PO Editor 建立的新版本與被取代的舊版本時間相同，之後被作廢
+    dealerPoRow({ PO_NUMBER: 'PO-3', STATUS: 'Voided', TIMESTAMP: changedAt, P_O_QTY: 5 })
+  ]);
+
+  project.call('restorePo', 'PO-3', 'Voided by mistake');
+
+  const restored = project.readSchemaSheet(RAW);
+  assert.deepEqual(restored.map(r => [r.PO_NUMBER, r.P_O_QTY, r.STATUS]), [['PO-3', 5, '']]);
+});
+
+test('active POs, unknown POs and a missing reason are rejected and logged', () => {
+  const project = setup();
+
+  assert.throws(() => project.call('restorePo', 'PO-2', 'Reinstated'), /PO #PO-2 is still active/);
+  assert.throws(() => project.call('restorePo', 'PO-404', 'Reinstated'), /PO #PO-404 not found in 'Dealer PO \| Archive'/);
+  assert.throws(() => project.call('restorePo', 'PO-2', '  '), /reason for restoring/);
+  assert.equal(project.readSchemaSheet(RAW).length, 3);
+
+  const log = project.spreadsheet.getSheetByName('Ops Log').dump().slice(1);
+  assert.deepEqual(log.map(row => [row[2], row[4], row[8]]), [
+    ['restorePo', 'PO-2', 'Error'],
+    ['restorePo', 'PO-404', 'Error'],
+    ['restorePo', 'PO-2', 'Error']
+  ]);
+});
+
+test('split and merged originals are not offered and cannot be restored', () => {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet(RAW, [dealerPoRow({ PO_NUMBER: 'PO-5-A' })]);
+  project.addSchemaSheet(ARCHIVE, [
+    dealerPoRow({ PO_NUMBER: 'PO-5', STATUS: 'Split' }),
+    dealerPoRow({ PO_NUMBER: 'PO-6', STATUS: 'Merged' }),
+    dealerPoRow({ PO_NUMBER: 'PO-7', STATUS: 'Voided' })
+  ]);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }]);
+
+  assert.deepEqual(project.call('getPoMgtInitialData').restorablePoNumbers, ['PO-7']);
+  assert.throws(() => project.call('restorePo', 'PO-5', 'Reinstated'),
+    /PO #PO-5 was split into other P\/O numbers and its planning, BOL and serial rows now belong to them/);
+  assert.throws(() => project.call('restorePo', 'PO-6', 'Reinstated'), /PO #PO-6 was merged into other P\/O numbers/);
+  assert.deepEqual(project.readSchemaSheet(RAW).map(r => r.PO_NUMBER), ['PO-5-A']);
+});
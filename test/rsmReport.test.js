@@ -0,0 +1,171 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+const REPORT = 'RSM Report';
+
+const reps = [
+  { RSM_NAME: 'Amy Chen', COMMISSION_RATE: 0.05, STATES: 'TX, OK' },
+  { RSM_NAME: 'Ben Wu', COMMISSION_RATE: '4%', STATES: 'CA;NV' },
+  { RSM_NAME: 'Carl Diaz', COMMISSION_RATE: 3, STATES: '' }
+];
+
+function setup({ raw = [], archive = [], bols = [], invoices = [], rsm = reps } = {}) {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet('HSUS Price Book', [
+    { LOOKUP_NAME: 'Alpha 100', SKU: 'F101601', MODEL: 'Alpha-100', PRICE: 1200 },
+    { LOOKUP_NAME: 'Beta 150', SKU: 'F150', MODEL: 'Beta-150', PRICE: 1500 }
+  ]);
+  project.addSchemaSheet('New HSUS Order Status - HSUS Price Book(QBO)', [
+    { SKU: 'F101601', SALES_DESCRIPTION: 'Alpha_100' },
+    { SKU: 'F150', SALES_DESCRIPTION: 'Beta_150' }
+  ]);
+  project.addSchemaSheet('Customers(QBO)', [{ CUSTOMER_NAME: 'Acme Supply' }, { CUSTOMER_NAME: 'Best Pools' }]);
+  project.addSchemaSheet('RSM', rsm);
+  project.addSchemaSheet(RAW, raw);
+  project.addSchemaSheet(ARCHIVE, archive);
+  project.addSchemaSheet('BOL_DB', bols);
+  project.addSchemaSheet('QBO Invoice | Raw Data', invoices);
+  return project;
+}
+
+const line = (po, sku, date, qty, price, overrides = {}) => dealerPoRow(Object.assign({
+  PO_NUMBER: po, SKU: sku, PO_RECEIVED_DATE: new Date(date), P_O_QTY: qty, P_O_UNIT_PRICE: price
+}, overrides));
+const bol = (key, qty, date) => ({ BOL_NUMBER: `B-${key}-${date}`, PO_SKU_KEY: key, SHIPPED_QTY: qty, ACT_SHIP_DATE: new Date(date), SIGNED: true });
+const invoice = (num, po, sku, qty, amount, date) => ({ INVOICE_DATE: new Date(date), NUM: num, CUSTOMER: 'Acme Supply', PO_NUMBER: po, SKU: sku, QTY: qty, AMOUNT: amount });
+
+test('the report rolls up orders, shipped, invoiced, backlog and commission per RSM for a period', () => {
+  const project = setup({
+    raw: [
+      line('PO-1001', 'F101601', '2025-02-03T18:00:00Z', 4, 100),
+      line('PO-2002', 'F150', '2025-01-20T18:00:00Z', 2, 500, { RSM: 'ben wu' }),
+      line('PO-3003', 'F101601', '2025-03-02T18:00:00Z', 5, 100),
+      line('PO-4004', 'F150', '2025-02-20T18:00:00Z', 1, 50, { RSM: '' }),
+      line('PO-5005', 'F101601', '2025-02-10T18:00:00Z', 9, 100, { STATUS: 'Voided' })
+    ],
+    bols: [
+      bol('PO-1001|F101601', 3, '2025-02-10T18:00:00Z'),
+      bol('PO-1001|F101601', 1, '2025-03-05T18:00:00Z'),
+      bol('PO-2002|F150', 2, '2025-02-05T18:00:00Z')
+    ],
+    invoices: [
+      invoice('1042', 'PO-1001', 'F101601', 3, 300, '2025-02-12T18:00:00Z'),
+      invoice('1043', 'PO-2002', 'F150', 2, '', '2025-02-14T18:00:00Z'),
+      invoice('1044', 'PO-9999', 'F150', 1, 75, '2025-02-15T18:00:00Z'),
+      invoice('1045', 'PO-1001', 'F101601', 1, 100, '2025-03-06T18:00:00Z')
+    ]
+  });
+
+  const result = project.call('runRsmReport', '2025-02');
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.message, '2025-02: 4 RSM(s), invoiced $1375.00, commission $55.00.');
+  assert.deepEqual(result.rows.map(r => [r.rsm, r.orders, r.orderValue, r.shippedValue, r.invoicedValue, r.backlog, r.commissionRate, r.commission]), [
+    ['Amy Chen', 1, 400, 300, 300, 100, 0.05, 15],
+    ['Ben Wu', 0, 0, 1000, 1000, 0, 0.04, 40],
+    ['Carl Diaz', 0, 0, 0, 0, 0, 0.03, 0],
+    ['(No RSM)', 1, 50, 0, 75, 50, null, 0]
+  ]);
+  assert.deepEqual(project.spreadsheet.getSheetByName(REPORT).dump().slice(-1), [['2025-02', 'Total', 2, 450, 1300, 1375, 150, '', 55]]);
+
+  project.newExecution();
+  const quarter = project.call('runRsmReport', '2025-q1');
+  assert.deepEqual(quarter.rows[0], {
+    rsm: 'Amy Chen', orders: 2, orderValue: 900, shippedValue: 400, invoicedValue: 400, backlog: 500, commissionRate: 0.05, commission: 20
+  });
+  assert.equal(project.call('runRsmReport', '2025-13').message, "Period must be yyyy-MM, yyyy-Q1..Q4 or yyyy, got '2025-13'.");
+});
+
+test('shipments in the BOL archive count toward shipped value and backlog', () => {
+  const project = setup({
+    raw: [line('PO-1001', 'F101601', '2025-02-03T18:00:00Z', 4, 100)],
+    bols: [bol('PO-1001|F101601', 1, '2025-02-20T18:00:00Z')]
+  });
+  project.spreadsheet.addSheet('BOL_DB | Archive', [
+    ['BOL #', 'PO_SKU_Key', 'Shipped Qty', 'Shipping Fee', 'Act. Ship Date', 'Signed', 'Status', 'Timestamp', 'Archive Run ID'],
+    ['B-1', 'PO-1001|F101601', 2, '', new Date('2025-02-10T18:00:00Z'), true, 'Fulfilled', '', 'RUN-1']
+  ]);
+
+  const result = project.call('runRsmReport', '2025-02');
+  assert.equal(result.success, true, result.message);
+  assert.deepEqual(result.rows.map(r => [r.rsm, r.shippedValue, r.backlog]).filter(r => r[0] === 'Amy Chen'), [['Amy Chen', 300, 100]]);
+});
+
+test('a P/O with the same SKU on several lines counts every line', () => {
+  const project = setup({
+    raw: [
+      line('PO-1001', 'F101601', '2025-02-03T18:00:00Z', 4, 100),
+      line('PO-1001', 'F101601', '2025-02-03T18:00:00Z', 2, 130)
+    ],
+    // 已在 Raw Data 的 PO|SKU，Archive 中的列不再計入
+    archive: [line('PO-1001', 'F101601', '2025-01-15T18:00:00Z', 9, 100)],
+    bols: [bol('PO-1001|F101601', 3, '2025-02-10T18:00:00Z')]
+  });
+
+  const lines = project.call('readOrderLines_');
+  assert.deepEqual(JSON.parse(JSON.stringify(lines.map(l => [l.key, l.qty, l.unitPrice, l.value]))), [['PO-1001|F101601', 6, 110, 660]]);
+  const result = project.call('runRsmReport', '2025-02');
+  assert.equal(result.success, true, result.message);
+  assert.deepEqual(result.rows.map(r => [r.rsm, r.orders, r.orderValue, r.shippedValue, r.backlog]).filter(r => r[0] === 'Amy Chen'), [['Amy Chen', 1, 660, 330, 330]]);
+});
+
+test('a new PO without an RSM is assigned one from its ship-to state', () => {
+  const project = setup();
+
+  const saved = project.call('processAndSavePo', {
+    poNumber: 'POM00001',
+    createdDate: '2025-01-15',
+    buyerName: 'Best Pools',
+    paymentTerm: 'Net 30',
+    type: 'Dealer',
+    lineItems: [{ model: 'Alpha 100', quantity: 1, unitPrice: 1200 }],
+    shipToInfo: { address: '9 Lake Rd\nTulsa, OK 74103', contactPerson: 'Jo Park', phone: '555-0199', email: 'jo@example.com' },
+    total: 1
+  });
+  assert.equal(saved.status, 'success', saved.message);
+  assert.equal(project.readSchemaSheet(RAW)[0].RSM, 'Amy Chen');
+
+  const csvText = [
+    'PO #,Item,Quantity,Ship To,State,RSM',
+    'PO-10,Alpha 100,1,"1 Bay St, Oakland, CA 94607",,',
+    'PO-11,Beta 150,1,,nv,',
+    'PO-12,Beta 150,1,,TX,Dana Fox',
+    'PO-13,Beta 150,1,,WA,'
+  ].join('\r\n');
+  const mapping = { PO_NUMBER: 'PO #', P_O_LINE_ITEMS: 'Item', P_O_QTY: 'Quantity', SHIP_TO: 'Ship To', STATE: 'State', RSM: 'RSM' };
+  const imported = project.call('importPos', { buyerName: 'Acme Supply', csvText, mapping, fileName: 'acme.csv' });
+  assert.equal(imported.success, true, imported.message);
+  assert.deepEqual(project.readSchemaSheet(RAW).slice(1).map(r => [r.PO_NUMBER, r.RSM]), [
+    ['PO-10', 'Ben Wu'], ['PO-11', 'Ben Wu'], ['PO-12', 'Dana Fox'], ['PO-13', '']
+  ]);
+});
+
+test('Fill Missing RSMs assigns by state, and a state claimed by two RSMs is reported', () => {
+  const project = setup({
+    raw: [
+      line('PO-1001', 'F101601', '2025-01-02T18:00:00Z', 1, 100, { RSM: '', STATE: 'tx' }),
+      line('PO-1001', 'F150', '2025-01-02T18:00:00Z', 1, 100, { RSM: '', STATE: 'tx' }),
+      line('PO-2002', 'F150', '2025-01-02T18:00:00Z', 1, 100, { RSM: '', STATE: 'WA' }),
+      line('PO-3003', 'F150', '2025-01-02T18:00:00Z', 1, 100, { RSM: 'Carl Diaz', STATE: 'CA' }),
+      line('PO-4004', 'F150', '2025-01-02T18:00:00Z', 1, 100, { RSM: '', STATE: 'OK', STATUS: 'Voided' })
+    ]
+  });
+
+  project.call('fillMissingRsms');
+  assert.deepEqual(project.ui.alerts, ['Assigned an RSM to 1 P/O(s). No territory matches the ship-to state of: PO-2002.']);
+  assert.deepEqual(project.readSchemaSheet(RAW).map(r => [r.PO_NUMBER, r.RSM]), [
+    ['PO-1001', 'Amy Chen'], ['PO-1001', 'Amy Chen'], ['PO-2002', ''], ['PO-3003', 'Carl Diaz'], ['PO-4004', '']
+  ]);
+
+  project.newExecution();
+  project.spreadsheet.getSheetByName('RSM').getRange(4, 4).setValue('ok');
+  const conflict = project.call('assignMissingRsms');
+  assert.equal(conflict.success, false);
+  assert.equal(conflict.message, "'RSM' row 4: State OK is assigned to both Amy Chen and Carl Diaz.");
+  assert.equal(project.call('getRsmTerritories_').size, 0, 'new POs are still saved, just without an RSM');
+});
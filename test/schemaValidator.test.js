@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const REPORT = 'Schema Validation Report';
+
+/** 建立一份完全符合 Config 的工作簿；Raw Data 的 E / Q / W 標頭格放入 ARRAYFORMULA。 */
+function setupHealthyWorkbook() {
+  const project = loadProject();
+  const config = project.get('Config');
+  Object.values(config.SHEET_NAMES).forEach(name => {
+    if (config.SCHEMAS[name]) project.addSchemaSheet(name, name === RAW ? [dealerPoRow()] : []);
+    else project.addSheet(name, [['Header']]);
+  });
+  const raw = project.spreadsheet.getSheetByName(RAW);
+  [5, 17, 23].forEach(column => raw.formulas.set(`1,${column}`, '={"Header";ARRAYFORMULA(IF(D2:D="",,D2:D))}'));
+  const quotes = project.spreadsheet.getSheetByName('Direct Quote | Raw Data');
+  [5, 14, 19].forEach(column => quotes.formulas.set(`1,${column}`, '={"Header";ARRAYFORMULA(IF(F2:F="",,F2:F))}'));
+  return project;
+}
+
+function reportRows(project) {
+  return project.spreadsheet.getSheetByName(REPORT).dump().slice(1)
+    .map(([, severity, sheet, issue, field, expected, actual]) => ({ severity, sheet, issue, field, expected, actual }));
+}
+
+test('a workbook that matches Config.SCHEMAS produces a single OK row', () => {
+  const project = setupHealthyWorkbook();
+
+  const result = project.call('runSchemaValidation');
+
+  assert.equal(result.errorCount, 0);
+  assert.equal(result.warningCount, 0);
+  assert.ok(result.sheetCount >= Object.keys(project.get('Config.SHEET_NAMES')).length);
+  assert.deepEqual(reportRows(project).map(r => r.severity), ['OK']);
+});
+
+test('missing sheets, renamed and moved columns and broken formulas are reported', () => {
+  const project = setupHealthyWorkbook();
+  const ss = project.spreadsheet;
+  ss.deleteSheet(ss.getSheetByName('SPIFF'));
+  ss.deleteSheet(ss.getSheetByName('proc_shipping_management'));
+
+  const bol = ss.getSheetByName('BOL_DB');
+  bol.getRange('A1').setValue('BOL No.');                // 改名
+  const planning = ss.getSheetByName('Shipment_Planning_DB');
+  const header = planning.dump()[0];
+  planning.getRange(1, 1, 1, header.length + 1).setValues([['Notes', ...header]]); // 整列右移一欄
+
+  const raw = ss.getSheetByName(RAW);
+  raw.formulas.delete('1,17');                           // SKU 的公式被蓋掉
+  raw.data[0][22] = '#REF!';                             // Helper Key 公式回傳錯誤 (標頭一起顯示 #REF!)
+  raw.data[1][4] = '#N/A';                               // Model 公式在資料列回傳錯誤
+
+  const result = project.call('runSchemaValidation');
+  const rows = reportRows(project);
+  const find = (sheet, issue, field) => rows.find(r => r.sheet === sheet && r.issue === issue && r.field === (field || ''));
+
+  assert.ok(find('SPIFF', 'Missing Sheet'));
+  assert.ok(find('proc_shipping_management', 'Missing Sheet'));
+  assert.deepEqual(find('BOL_DB', 'Renamed Column', 'BOL_NUMBER'),
+    { severity: 'ERROR', sheet: 'BOL_DB', issue: 'Renamed Column', field: 'BOL_NUMBER', expected: '"BOL #" at A', actual: '"BOL No." at A' });
+  assert.deepEqual(
+    [find('Shipment_Planning_DB', 'Moved Column', 'PO_SKU_KEY').expected, find('Shipment_Planning_DB', 'Moved Column', 'PO_SKU_KEY').actual],
+    ['C', 'D']
+  );
+  assert.equal(find(RAW, 'Broken Formula', 'SKU').actual, '(no formula)');
+  assert.equal(find(RAW, 'Broken Formula', 'PO_SKU_KEY').actual, '#REF!');
+  assert.equal(find(RAW, 'Broken Formula', 'MODEL_FROM_SHEET').actual, '#N/A');
+  assert.equal(find(RAW, 'Renamed Column', 'PO_SKU_KEY'), undefined);
+  assert.equal(rows.filter(r => r.sheet === 'Dealer PO | Archive' && r.issue === 'Broken Formula').length, 0,
+    'Archive keeps static values, not formulas');
+  assert.equal(result.errorCount, rows.filter(r => r.severity === 'ERROR').length);
+});
+
+test('the menu action alerts a summary and the trigger installs once', () => {
+  const project = setupHealthyWorkbook();
+  project.spreadsheet.deleteSheet(project.spreadsheet.getSheetByName('SPIFF'));
+
+  project.call('validateWorkbookSchema');
+  assert.match(project.ui.alerts[0], /found 1 error\(s\) and 0 warning\(s\)/);
+
+  project.call('installSchemaValidationTrigger');
+  project.call('installSchemaValidationTrigger');
+  const triggers = project.triggers.filter(t => t.getHandlerFunction() === 'runScheduledSchemaValidation');
+  assert.equal(triggers.length, 1);
+});
+
+test('sheets created on first use are INFO, and DB tables kept in the document store are not checked', () => {
+  const project = setupHealthyWorkbook();
+  const ss = project.spreadsheet;
+  ['Warehouses', 'Credit Holds', 'PO Upload Queue', 'Customer Credit Limits', 'Direct Quote | Archive', 'BOL_DB']
+    .forEach(name => ss.deleteSheet(ss.getSheetByName(name)));
+  project.get('Config.STORAGE')['BOL_DB'].backend = 'memory';
+
+  const result = project.call('runSchemaValidation');
+  const rows = reportRows(project);
+
+  assert.equal(result.errorCount, 0);
+  assert.equal(result.warningCount, 0);
+  assert.equal(result.infoCount, 5);
+  assert.deepEqual(rows.map(r => [r.severity, r.sheet, r.issue]).sort(), [
+    ['INFO', 'Credit Holds', 'Sheet Not Created'],
+    ['INFO', 'Customer Credit Limits', 'Sheet Not Created'],
+    ['INFO', 'Direct Quote | Archive', 'Sheet Not Created'],
+    ['INFO', 'PO Upload Queue', 'Sheet Not Created'],
+    ['INFO', 'Warehouses', 'Sheet Not Created']
+  ]);
+
+  project.call('validateWorkbookSchema');
+  assert.match(project.ui.alerts[0], /Schema check passed/);
+});
+
+test('an appended column is checked for presence only, wherever it was added', () => {
+  const project = setupHealthyWorkbook();
+  const ss = project.spreadsheet;
+  const planningHeaders = ['Timestamp', 'User', 'PO_SKU_Key', 'Est. Ship Date', 'Qty (E)', 'Qty (W)', 'Status'];
+  ss.deleteSheet(ss.getSheetByName('Shipment_Planning_DB'));
+  ss.addSheet('Shipment_Planning_DB', [planningHeaders.concat(['Notes', 'Allocations'])]);
+
+  project.call('runSchemaValidation');
+  assert.deepEqual(reportRows(project).map(r => [r.severity, r.issue]), [['OK', 'No schema drift found']]);
+
+  ss.deleteSheet(ss.getSheetByName('Shipment_Planning_DB'));
+  ss.addSheet('Shipment_Planning_DB', [planningHeaders.concat(['Notes'])]);
+  project.newExecution();
+  const result = project.call('runSchemaValidation');
+  assert.deepEqual([result.errorCount, result.warningCount, result.infoCount], [0, 0, 1]);
+  assert.deepEqual(reportRows(project).map(r => [r.severity, r.sheet, r.issue, r.field]), [
+    ['INFO', 'Shipment_Planning_DB', 'Column Not Created', 'ALLOCATIONS']
+  ]);
+});
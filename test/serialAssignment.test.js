@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+
+const KEY = 'PO-1|SKU-A';
+
+function setup() {
+  const project = loadProject({ user: 'warehouse@example.com' });
+  project.addSchemaSheet('Serial # | Raw Data', [
+    { SKU: 'SKU-A', SERIAL_NUMBER: 'S-1', PO_SKU_KEY: KEY, INBOUND_DATE: new Date('2025-01-05') },
+    { SKU: 'SKU-A', SERIAL_NUMBER: 'S-2', PO_SKU_KEY: '', INBOUND_DATE: new Date('2025-01-05') },
+    { SKU: 'SKU-A', SERIAL_NUMBER: 'S-3', PO_SKU_KEY: '', INBOUND_DATE: new Date('2025-01-05') },
+    { SKU: 'SKU-A', SERIAL_NUMBER: 'S-9', PO_SKU_KEY: 'PO-2|SKU-A', INBOUND_DATE: new Date('2025-01-05') },
+    { SKU: 'SKU-A', SERIAL_NUMBER: 'S-NEW', PO_SKU_KEY: '', INBOUND_DATE: '' }
+  ]);
+  project.addSchemaSheet('Serial #_DB', [
+    { SERIAL_NUMBER: 'S-1', PO_SKU_KEY: KEY, BOL_NUMBER: 'B-1', COMPLETE: 'Complete Assigned', ASSIGNED_USER: 'old@example.com' },
+    { SERIAL_NUMBER: 'S-9', PO_SKU_KEY: 'PO-2|SKU-A', BOL_NUMBER: 'B-7', COMPLETE: '', ASSIGNED_USER: 'old@example.com' }
+  ]);
+  project.addSchemaSheet('Order Shipping Mgt. Table', [
+    { PO_NUMBER: 'PO-1', MODEL_NAME: 'Model A', TOTAL_QTY: 2, SKU: 'SKU-A', PO_SKU_KEY: KEY, SERIALS: 'S-1' }
+  ]);
+  return project;
+}
+
+test('assignSerials rewrites DB rows, raw helper keys and the order table in one pass', () => {
+  const project = setup();
+
+  const result = project.call('assignSerials', { poSkuKey: KEY, assignments: { 'B-1': ['S-2'], 'B-2': ['S-3'] } });
+  assert.equal(result.success, true, result.message);
+
+  const db = project.readSchemaSheet('Serial #_DB');
+  assert.deepEqual(db.map(r => [r.SERIAL_NUMBER, r.BOL_NUMBER]), [['S-9', 'B-7'], ['S-2', 'B-1'], ['S-3', 'B-2']]);
+  assert.deepEqual(db.slice(1).map(r => r.COMPLETE), ['Complete Assigned', 'Complete Assigned'], 'Complete status is preserved when editing');
+  assert.deepEqual(db.slice(1).map(r => r.ASSIGNED_USER), ['warehouse@example.com', 'warehouse@example.com']);
+
+  const raw = project.readSchemaSheet('Serial # | Raw Data');
+  assert.deepEqual(raw.map(r => r.PO_SKU_KEY), ['', KEY, KEY, 'PO-2|SKU-A', ''], 'S-1 is released, S-2/S-3 are claimed, S-9 is untouched');
+
+  assert.equal(project.readSchemaSheet('Order Shipping Mgt. Table')[0].SERIALS, 'S-2, S-3');
+});
+
+test('serial lookups reflect the new assignment', () => {
+  const project = setup();
+  project.call('assignSerials', { poSkuKey: KEY, assignments: { 'B-1': ['S-2'] } });
+  project.newExecution();
+
+  assert.deepEqual(project.call('getAssignedSerialsForPoSku', KEY), { 'B-1': ['S-2'] });
+  assert.deepEqual(project.call('getSerialStatus', 'S-2'), { status: 'Used', poQuote: KEY, bol: 'B-1', date: '2025/01/15' });
+  assert.deepEqual(project.call('getSerialStatus', 'S-1'), { status: 'Available' });
+  assert.deepEqual(project.call('getSerialStatus', 'S-NEW'), { status: 'Non-Inbound' });
+});
+
+test('assignSerials without a key is rejected before any write', () => {
+  const project = setup();
+  const result = project.call('assignSerials', { poSkuKey: '', assignments: {} });
+  assert.equal(result.success, false);
+  assert.equal(project.readSchemaSheet('Serial #_DB').length, 2);
+});
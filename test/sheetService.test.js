@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+
+function bolFixture(project, rows) {
+  return project.addSchemaSheet('BOL_DB', rows.map(([bol, key, qty]) => ({
+    BOL_NUMBER: bol, PO_SKU_KEY: key, SHIPPED_QTY: qty, SHIPPING_FEE: 0, SIGNED: false
+  })));
+}
+
+test('schema columns are resolved by header name, not position', () => {
+  const project = loadProject();
+  // 'PO_SKU_Key' 與 'BOL #' 互換位置，並多插入一欄
+  project.addSheet('BOL_DB', [
+    ['PO_SKU_Key', 'Notes', 'BOL #', 'Shipped Qty', 'Shipping Fee', 'Act. Ship Date', 'Signed', 'Status', 'Timestamp'],
+    ['PO1|SKU1', 'n/a', 'B-1', 3, 0, '', false, '', '']
+  ]);
+
+  const columns = project.call('getSchemaContext', 'BOL_DB').columns;
+  assert.equal(columns.PO_SKU_KEY, 1);
+  assert.equal(columns.BOL_NUMBER, 3);
+  assert.equal(columns.SHIPPED_QTY, 4);
+});
+
+test('a missing required column fails loudly with its expected position', () => {
+  const project = loadProject();
+  project.addSchemaSheet('BOL_DB', [], { omit: ['BOL_NUMBER'] });
+  assert.throws(() => project.call('getSchemaContext', 'BOL_DB'), /missing required column\(s\): "BOL #" \(expected at A\)/);
+});
+
+test('updateRecords writes only the given fields and reports per-record results', () => {
+  const project = loadProject();
+  const sheet = bolFixture(project, [['B-1', 'PO1|SKU1', 1], ['B-2', 'PO2|SKU2', 2]]);
+
+  const result = project.call('updateRecords', 'BOL_DB', [
+    { _rowNumber: 2, SHIPPED_QTY: '5' },
+    { _rowNumber: 3, 'Shipping Fee': 'abc' },
+    { _rowNumber: 50, STATUS: 'Fulfilled' }
+  ]);
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.results.map(r => r.success), [true, false, false]);
+  assert.match(result.results[1].message, /not a valid number/);
+  assert.match(result.results[2].message, /Invalid _rowNumber/);
+
+  const rows = project.readSchemaSheet('BOL_DB');
+  assert.equal(rows[0].SHIPPED_QTY, 5);
+  assert.equal(rows[0].BOL_NUMBER, 'B-1');
+  assert.equal(rows[1].SHIPPING_FEE, 0);
+  assert.equal(sheet.getLastRow(), 3);
+});
+
+test('appendRecords writes all rows in one batch and returns their row numbers', () => {
+  const project = loadProject();
+  bolFixture(project, [['B-1', 'PO1|SKU1', 1]]);
+
+  const result = project.call('appendRecords', 'BOL_DB', [
+    { BOL_NUMBER: 'B-2', PO_SKU_KEY: 'PO1|SKU1', SHIPPED_QTY: 2 },
+    { BOL_NUMBER: 'B-3', Bogus: 'x' },
+    { 'BOL #': 'B-4', 'PO_SKU_Key': 'PO1|SKU1', SIGNED: 'true' }
+  ]);
+
+  assert.deepEqual(result.results.map(r => r.rowNumber), [3, null, 4]);
+  const rows = project.readSchemaSheet('BOL_DB');
+  assert.deepEqual(rows.map(r => r.BOL_NUMBER), ['B-1', 'B-2', 'B-4']);
+  assert.equal(rows[2].SIGNED, true);
+});
+
+test('appendRecords never writes into ARRAYFORMULA columns', () => {
+  const project = loadProject();
+  project.addSchemaSheet('Dealer PO | Raw Data', []);
+
+  const result = project.call('appendRecords', 'Dealer PO | Raw Data', [{ PO_NUMBER: 'PO-9', SKU: 'SKU-X' }]);
+  assert.equal(result.success, false);
+  assert.match(result.results[0].message, /ARRAYFORMULA/);
+});
+
+test('deleteRecords skips rows that no longer match and removes the rest', () => {
+  const project = loadProject();
+  bolFixture(project, [['B-1', 'PO1|SKU1', 1], ['B-2', 'PO2|SKU2', 2], ['B-3', 'PO1|SKU1', 3]]);
+
+  const result = project.call('deleteRecords', 'BOL_DB', [
+    { _rowNumber: 2, PO_SKU_KEY: 'PO1|SKU1' },
+    { _rowNumber: 3, PO_SKU_KEY: 'PO1|SKU1' },
+    { _rowNumber: 4, PO_SKU_KEY: 'PO1|SKU1' }
+  ]);
+
+  assert.deepEqual(result.results.map(r => r.success), [true, false, true]);
+  assert.deepEqual(project.readSchemaSheet('BOL_DB').map(r => r.BOL_NUMBER), ['B-2']);
+});
+
+test('batch writes fail fast when another execution holds the lock', () => {
+  const project = loadProject();
+  bolFixture(project, [['B-1', 'PO1|SKU1', 1]]);
+  project.lockStates.script.heldByOther = true;
+
+  assert.throws(() => project.call('appendRecords', 'BOL_DB', [{ BOL_NUMBER: 'B-2' }]), /Lock Error/);
+});
+
+test('queryRecords filters, groups and reuses the index within one execution', () => {
+  const project = loadProject();
+  bolFixture(project, [['B-1', 'PO1|SKU1', 1], ['B-2', 'PO2|SKU2', 4], ['B-3', 'PO1|SKU1', 6]]);
+
+  const byKey = project.call('queryRecords', 'BOL_DB').equals('PO_SKU_KEY', 'PO1|SKU1').all();
+  assert.deepEqual(byKey.map(r => r['BOL #']), ['B-1', 'B-3']);
+
+  const ranged = project.call('queryRecords', 'BOL_DB').range('SHIPPED_QTY', 2, 5).all();
+  assert.deepEqual(ranged.map(r => r['BOL #']), ['B-2']);
+
+  const groups = project.call('queryRecords', 'BOL_DB').in('BOL_NUMBER', ['B-1', 'B-2']).groupBy('PO_SKU_KEY');
+  assert.deepEqual(Object.keys(groups), ['PO1|SKU1', 'PO2|SKU2']);
+
+  // 直接改表不會被看到 (同一次執行內的快取)；透過 SheetService 寫入則會失效
+  project.spreadsheet.getSheetByName('BOL_DB').getRange(2, 1).setValue('B-1-EDITED');
+  assert.ok(project.call('findRecordByKey', 'BOL_DB', 'BOL #', 'B-1'));
+  project.call('appendRecords', 'BOL_DB', [{ BOL_NUMBER: 'B-4', PO_SKU_KEY: 'PO1|SKU1' }]);
+  assert.equal(project.call('findRecordByKey', 'BOL_DB', 'BOL #', 'B-1'), null);
+  assert.equal(project.call('queryRecords', 'BOL_DB').equals('PO_SKU_KEY', 'PO1|SKU1').count(), 3);
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+const ARCHIVE = 'Dealer PO | Archive';
+const SPIFF = 'SPIFF';
+const STATEMENTS = 'SPIFF Statements';
+const FLAGS = 'SPIFF Flags';
+
+const programs = [
+  { PROGRAM: 'Winter Promo', MODEL: 'Alpha 100', AMOUNT: 50, START_DATE: new Date('2025-01-01T12:00:00Z'), END_DATE: new Date('2025-03-31T12:00:00Z'), BASIS: 'Shipped' },
+  { PROGRAM: 'Winter Promo', MODEL: 'F101601', AMOUNT: 40, START_DATE: new Date('2025-01-01T12:00:00Z'), END_DATE: new Date('2025-03-31T12:00:00Z'), BASIS: '' },
+  { PROGRAM: 'Beta Invoice', MODEL: 'F150', AMOUNT: 30, START_DATE: new Date('2024-12-01T12:00:00Z'), END_DATE: '', BASIS: 'invoiced' },
+  { PROGRAM: 'Fall Promo', MODEL: 'Beta 150', AMOUNT: 25, START_DATE: new Date('2024-09-01T12:00:00Z'), END_DATE: new Date('2024-11-30T12:00:00Z'), BASIS: 'Shipped' }
+];
+
+function setup({ raw, archive = [], bols = [], invoices = [] }) {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet('HSUS Price Book', [
+    { LOOKUP_NAME: 'Alpha 100', SKU: 'F101601', MODEL: 'Alpha-100', PRICE: 1200 },
+    { LOOKUP_NAME: 'Beta 150', SKU: 'F150', MODEL: 'Beta-150', PRICE: 1500 },
+    { LOOKUP_NAME: 'Gamma 200', SKU: 'F200', MODEL: 'Gamma-200', PRICE: 2000 }
+  ]);
+  project.addSchemaSheet('New HSUS Order Status - HSUS Price Book(QBO)', [
+    { SKU: 'F101601', SALES_DESCRIPTION: 'Alpha_100' },
+    { SKU: 'F150', SALES_DESCRIPTION: 'Beta_150' },
+    { SKU: 'F200', SALES_DESCRIPTION: 'Gamma_200' }
+  ]);
+  project.addSchemaSheet(SPIFF, programs);
+  project.addSchemaSheet(RAW, raw);
+  project.addSchemaSheet(ARCHIVE, archive);
+  project.addSchemaSheet('BOL_DB', bols);
+  project.addSchemaSheet('QBO Invoice | Raw Data', invoices);
+  return project;
+}
+
+const line = (po, sku, model, overrides = {}) => dealerPoRow(Object.assign({ PO_NUMBER: po, SKU: sku, P_O_LINE_ITEMS: model, P_O_QTY: 3 }, overrides));
+const bol = (bolNumber, key, qty, date) => ({ BOL_NUMBER: bolNumber, PO_SKU_KEY: key, SHIPPED_QTY: qty, ACT_SHIP_DATE: new Date(date), SIGNED: true });
+
+test('monthly statements pay qty x amount per salesperson from shipped and invoiced lines', () => {
+  const project = setup({
+    raw: [
+      line('PO-1001', 'F101601', 'Alpha 100', { SPIFF: 'Yes' }),
+      line('PO-2002', 'F150', 'Beta 150', { RSM: 'Ben Wu', SPIFF: 'Beta Invoice' }),
+      line('PO-3003', 'F101601', 'Alpha 100', { SPIFF: 'No' }),
+      line('PO-4004', 'F101601', 'Alpha 100', { SPIFF: 'Yes', STATUS: 'Voided' })
+    ],
+    // 已出貨歸檔的 P/O 也計算
+    archive: [line('PO-0999', 'F101601', 'Alpha 100', { RSM: 'Ben Wu', SPIFF: 'yes', STATUS: 'Fulfilled' })],
+    bols: [
+      bol('B-1', 'PO-1001|F101601', 2, '2025-02-03T18:00:00Z'),
+      bol('B-2', 'PO-1001|F101601', 1, '2025-03-01T18:00:00Z'),
+      bol('B-3', 'PO-3003|F101601', 3, '2025-02-05T18:00:00Z'),
+      bol('B-4', 'PO-4004|F101601', 3, '2025-02-05T18:00:00Z'),
+      bol('B-5', 'PO-0999|F101601', 1, '2025-02-20T18:00:00Z'),
+      bol('B-6', 'PO-2002|F150', 2, '2025-02-06T18:00:00Z')
+    ],
+    invoices: [
+      { INVOICE_DATE: new Date('2025-02-10T18:00:00Z'), NUM: '1042', CUSTOMER: 'Acme Supply', PO_NUMBER: 'PO-2002', SKU: 'F150', QTY: 2 },
+      { INVOICE_DATE: new Date('2025-02-10T18:00:00Z'), NUM: '1042', CUSTOMER: 'Acme Supply', PO_NUMBER: 'PO-2002', SKU: '', QTY: 1 },
+      { INVOICE_DATE: new Date('2025-02-11T18:00:00Z'), NUM: '1043', CUSTOMER: 'Acme Supply', PO_NUMBER: 'PO-1001', SKU: 'F101601', QTY: 2 }
+    ]
+  });
+  const folderId = 'spiff-folder';
+  project.properties.script.setProperty('SPIFF_STATEMENT_FOLDER_ID', folderId);
+
+  const result = project.call('runSpiffStatements', '2025-02');
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.message, '2025-02: $210.00 SPIFF for 2 salesperson(s) from 3 line(s). 2 CSV file(s) saved.');
+  assert.deepEqual(result.statements.map(s => [s.salesperson, s.qty, s.payout]), [['Amy Chen', 2, 100], ['Ben Wu', 3, 110]]);
+
+  assert.deepEqual(project.spreadsheet.getSheetByName(STATEMENTS).dump().slice(1).map(row => [row[1], row[2], row[6], row[8], row[9], row[10], row[12]]), [
+    ['Amy Chen', 'PO-1001', 'Winter Promo', '2025-02-03', 'BOL B-1', 2, 100],
+    ['Amy Chen', '', '', '', 'Total', 2, 100],
+    ['Ben Wu', 'PO-2002', 'Beta Invoice', '2025-02-10', 'Invoice 1042', 2, 60],
+    ['Ben Wu', 'PO-0999', 'Winter Promo', '2025-02-20', 'BOL B-5', 1, 50],
+    ['Ben Wu', '', '', '', 'Total', 3, 110]
+  ]);
+  assert.deepEqual(project.drive.fileNames(folderId), ['SPIFF 2025-02 - Amy Chen.csv', 'SPIFF 2025-02 - Ben Wu.csv']);
+  const csv = project.get('DriveApp').getFolderById(folderId).getFilesByName('SPIFF 2025-02 - Amy Chen.csv').next().getBlob().getDataAsString();
+  assert.deepEqual(csv.split('\r\n'), [
+    'Month,Salesperson,P/O,Buyer Name,Model,SKU,Program,Basis,Basis Date,Reference,Qty,SPIFF / Unit,Payout',
+    '2025-02,Amy Chen,PO-1001,Acme Supply,Alpha 100,F101601,Winter Promo,Shipped,2025-02-03,BOL B-1,2,50,100',
+    '2025-02,Amy Chen,,,,,,,,Total,2,,100'
+  ]);
+
+  project.newExecution();
+  const empty = project.call('runSpiffStatements', '2024-06');
+  assert.equal(empty.message, '2024-06: $0.00 SPIFF for 0 salesperson(s) from 0 line(s).');
+  assert.equal(project.spreadsheet.getSheetByName(STATEMENTS).dump()[1][9], 'No SPIFF for this month.');
+});
+
+test('shipments already moved to the BOL archive are still paid, once', () => {
+  const project = setup({
+    raw: [line('PO-1001', 'F101601', 'Alpha 100', { SPIFF: 'Yes' })],
+    bols: [bol('B-2', 'PO-1001|F101601', 1, '2025-02-12T18:00:00Z')]
+  });
+  // 歸檔規則依標頭複製 BOL_DB 的列，並加上 Archive Run ID；B-2 同時留在兩邊時以 BOL_DB 為準
+  project.spreadsheet.addSheet('BOL_DB | Archive', [
+    ['BOL #', 'PO_SKU_Key', 'Shipped Qty', 'Shipping Fee', 'Act. Ship Date', 'Signed', 'Status', 'Timestamp', 'Archive Run ID'],
+    ['B-1', 'PO-1001|F101601', 2, '', new Date('2025-02-03T18:00:00Z'), true, 'Fulfilled', '', 'RUN-1'],
+    ['B-2', 'PO-1001|F101601', 5, '', new Date('2025-02-12T18:00:00Z'), true, 'Fulfilled', '', 'RUN-1']
+  ]);
+
+  const result = project.call('runSpiffStatements', '2025-02');
+  assert.equal(result.success, true, result.message);
+  assert.deepEqual(project.spreadsheet.getSheetByName(STATEMENTS).dump().slice(1).map(row => [row[1], row[9], row[10], row[12]]), [
+    ['Amy Chen', 'BOL B-1', 2, 100],
+    ['Amy Chen', 'BOL B-2', 1, 50],
+    ['Amy Chen', 'Total', 3, 150]
+  ]);
+});
+
+test('shipments are paid when BOL_DB is stored in the document store', () => {
+  const project = setup({
+    raw: [line('PO-1001', 'F101601', 'Alpha 100', { SPIFF: 'Yes' })],
+    bols: [bol('B-1', 'PO-1001|F101601', 2, '2025-02-03T18:00:00Z')]
+  });
+  assert.equal(project.call('migrateSheetToDocumentStore', 'BOL_DB', { target: 'memory' }).success, true);
+  project.get('Config').STORAGE['BOL_DB'].backend = 'memory';
+  project.spreadsheet.deleteSheet(project.spreadsheet.getSheetByName('BOL_DB'));
+  project.newExecution();
+
+  const result = project.call('runSpiffStatements', '2025-02');
+  assert.equal(result.success, true, result.message);
+  assert.deepEqual(project.spreadsheet.getSheetByName(STATEMENTS).dump().slice(1).map(row => [row[1], row[9], row[10], row[12]]), [
+    ['Amy Chen', 'BOL B-1', 2, 100],
+    ['Amy Chen', 'Total', 2, 100]
+  ]);
+});
+
+test('P/Os whose SPIFF selection matches no active program are flagged and not paid', () => {
+  const project = setup({
+    raw: [
+      line('PO-1001', 'F101601', 'Alpha 100', { SPIFF: 'Yes' }),
+      line('PO-2002', 'F150', 'Beta 150', { SPIFF: 'Fall Promo' }),
+      line('PO-3003', 'F150', 'Beta 150', { SPIFF: 'Summer Promo' }),
+      line('PO-4004', 'F200', 'Gamma 200', { SPIFF: 'Yes' }),
+      line('PO-5005', 'F200', 'Gamma 200', { SPIFF: 'Winter Promo' }),
+      line('PO-6006', 'F101601', 'Alpha 100', { SPIFF: 'Yes', PO_RECEIVED_DATE: '' })
+    ],
+    bols: [bol('B-1', 'PO-2002|F150', 1, '2025-02-03T18:00:00Z')]
+  });
+
+  project.call('checkSpiffSelections');
+  assert.deepEqual(project.ui.alerts, ["5 P/O(s) have a SPIFF selection that matches no active program. See the 'SPIFF Flags' sheet."]);
+  assert.deepEqual(project.spreadsheet.getSheetByName(FLAGS).dump().slice(1).map(row => [row[1], row[6], row[7]]), [
+    ['PO-2002', 'Fall Promo', "SPIFF program 'Fall Promo' is not active on the P/O date 2025-01-02."],
+    ['PO-3003', 'Summer Promo', "SPIFF program 'Summer Promo' is not in the 'SPIFF' sheet."],
+    ['PO-4004', 'Yes', 'No active SPIFF program covers the models on this P/O (P/O date 2025-01-02).'],
+    ['PO-5005', 'Winter Promo', "SPIFF program 'Winter Promo' does not cover any model on this P/O."],
+    ['PO-6006', 'Yes', 'No active SPIFF program covers the models on this P/O (P/O date (blank)).']
+  ]);
+
+  const result = project.call('runSpiffStatements', '2025-02');
+  assert.deepEqual(result.statements, [], 'the flagged P/O-2002 shipment is not paid');
+  assert.match(result.message, /5 P\/O\(s\) were skipped because their SPIFF selection matches no active program/);
+});
+
+test('the SPIFF sheet is validated, the month prompt defaults to last month and PO Editor lists active programs', () => {
+  const project = setup({ raw: [line('PO-1001', 'F101601', 'Alpha 100', { SPIFF: 'Yes' })] });
+
+  assert.equal(project.call('runSpiffStatements', '2025-2').message, "Month must be in yyyy-MM format, got '2025-2'.");
+
+  project.ui.nextPromptResponse = { button: 'OK', text: '' };
+  project.call('generateSpiffStatements');
+  assert.match(project.ui.alerts[0], /^2024-12: \$0\.00 SPIFF/);
+
+  project.addSchemaSheet('proc_shipping_management', [
+    { PO_NUMBER: 'PO-1001', STATUS: '', MODEL: 'Alpha 100', SKU: 'F101601', QTY: 3, UNIT_PRICE: 100, SPIFF: 'Old Promo' }
+  ]);
+  const editor = project.call('getCorrectionData');
+  assert.equal(editor.success, true, editor.message);
+  assert.deepEqual(editor.spiffPrograms, ['Beta Invoice', 'Winter Promo']);
+  assert.equal(editor.allPOs[0].spiff, 'Old Promo');
+
+  project.newExecution();
+  const sheet = project.spreadsheet.getSheetByName(SPIFF);
+  sheet.getRange(3, 6).setValue('Billed');
+  const invalid = project.call('runSpiffStatements', '2025-01');
+  assert.equal(invalid.success, false);
+  assert.equal(invalid.message, "'SPIFF' row 3: Basis must be Shipped or Invoiced, got 'Billed'.");
+  assert.deepEqual(project.call('getCorrectionData').spiffPrograms, [], 'a broken SPIFF sheet does not stop the PO Editor');
+});
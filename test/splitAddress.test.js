@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const RAW = 'Dealer PO | Raw Data';
+
+test('splitAddressInPlace fills the address columns of rows that have a P/O', () => {
+  const project = loadProject();
+  project.addSchemaSheet(RAW, [
+    dealerPoRow({ PO_NUMBER: 'PO-1', SHIP_TO: '123 Main St, Springfield, IL 62701' }),
+    dealerPoRow({ PO_NUMBER: 'PO-2', SHIP_TO: 'Suite 5\n400 Oak Ave, Austin, TX 78701-1234' }),
+    Object.assign(dealerPoRow({ SHIP_TO: '9 Elm St, Reno, NV 89501' }), { PO_NUMBER: '', PO_SKU_KEY: '' })
+  ]);
+
+  project.call('splitAddressInPlace');
+
+  assert.deepEqual(project.ui.alerts, ['地址拆分並更新完成！']);
+  const rows = project.readSchemaSheet(RAW);
+  assert.deepEqual(
+    rows.map(r => [r.STREET_ADDRESS, r.CITY, r.STATE, r.ZIPCODE]),
+    [
+      ['123 Main St', 'Springfield', 'IL', '62701'],
+      ['Suite 5, 400 Oak Ave', 'Austin', 'TX', '78701-1234'],
+      ['', '', '', '']
+    ]
+  );
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+const PLANNING = 'Shipment_Planning_DB';
+const WAREHOUSES = 'Warehouses';
+
+const warehouses = [
+  { CODE: 'E', NAME: 'East', ADDRESS: '10 Dock Rd, Newark, NJ 07105', ACTIVE: true },
+  { CODE: 'W', NAME: 'West', ADDRESS: '20 Port Ave, Ontario, CA 91761', ACTIVE: false },
+  { CODE: 'tx', NAME: 'Dallas', ADDRESS: '30 Hub St, Dallas, TX 75201', ACTIVE: 'Yes' }
+];
+
+function setup({ planning = [] } = {}) {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet(WAREHOUSES, warehouses);
+  project.addSchemaSheet(PLANNING, planning);
+  project.addSchemaSheet('Order Shipping Mgt. Table', [
+    { PO_NUMBER: 'PO-1', MODEL_NAME: 'Model A', TOTAL_QTY: 3, SKU: 'SKU-A', PO_SKU_KEY: 'PO-1|SKU-A' },
+    { PO_NUMBER: 'PO-2', MODEL_NAME: 'Model B', TOTAL_QTY: 2, SKU: 'SKU-B', PO_SKU_KEY: 'PO-2|SKU-B' }
+  ]);
+  return project;
+}
+
+test('the sidebar gets one input per active warehouse and saves an allocation per warehouse', () => {
+  const project = setup({ planning: [{ PO_SKU_KEY: 'PO-2|SKU-B', EST_SHIP_DATE: new Date('2025-02-01T12:00:00Z'), ALLOCATIONS: 'E:1, TX:1', STATUS: '' }] });
+
+  const data = project.call('getPlanningData');
+  assert.equal(data.success, true, data.message);
+  assert.deepEqual(data.warehouses, [
+    { code: 'E', name: 'East', address: '10 Dock Rd, Newark, NJ 07105' },
+    { code: 'TX', name: 'Dallas', address: '30 Hub St, Dallas, TX 75201' }
+  ]);
+  assert.deepEqual(data.itemDetails['PO-2|SKU-B'], { totalQty: 2, modelName: 'Model B', estShipDate: '2025-02-01', allocations: { E: 1, TX: 1 } });
+
+  const save = allocations => project.call('savePlanningData', { poSkuKey: 'PO-1|SKU-A', totalQty: 3, estShipDate: '2025-01-20', allocations });
+  assert.equal(save({ E: 1, TX: 1 }).message, 'Error: Quantity mismatch! East (1) + Dallas (1) does not equal Total Required (3).');
+  assert.equal(save({ E: 1, W: 2 }).message, 'Error: Warehouse West (W) is not active.');
+  assert.equal(save({ E: 1, CHI: 2 }).message, "Error: Unknown warehouse 'CHI'. Check the 'Warehouses' sheet.");
+  assert.equal(save({ E: 1, TX: 1.5 }).message, "Error: Quantity for warehouse TX must be a whole number of 0 or more, got '1.5'.");
+
+  const saved = save({ tx: '3', E: '', W: 0 });
+  assert.equal(saved.success, true, saved.message);
+  const saveAgain = project.call('savePlanningData', { poSkuKey: 'PO-2|SKU-B', totalQty: 2, estShipDate: '2025-02-03', allocations: { E: 2, TX: 0 } });
+  assert.equal(saveAgain.success, true, saveAgain.message);
+  assert.deepEqual(project.readSchemaSheet(PLANNING).map(r => [r.PO_SKU_KEY, r.ALLOCATIONS]), [['PO-2|SKU-B', 'E:2'], ['PO-1|SKU-A', 'TX:3']]);
+});
+
+test('the old two-warehouse form still saves Qty (E) / Qty (W)', () => {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet(PLANNING, []);
+
+  const saved = project.call('savePlanningData', { poSkuKey: 'PO-1|SKU-A', totalQty: 3, estShipDate: '2025-01-20', qtyE: '2', qtyW: '1' });
+  assert.equal(saved.success, true, saved.message);
+  assert.deepEqual(project.readSchemaSheet(PLANNING).map(r => [r.PO_SKU_KEY, r.QTY_E, r.QTY_W, r.ALLOCATIONS]), [['PO-1|SKU-A', 2, 1, 'E:2, W:1']]);
+  assert.equal(project.call('savePlanningData', { poSkuKey: 'PO-1|SKU-A', totalQty: 3, estShipDate: '2025-01-20', qtyE: 1, qtyW: 1 }).message,
+    'Error: Quantity mismatch! East (1) + West (1) does not equal Total Required (3).');
+});
+
+test('a legacy sheet gets an Allocations column on the first save, keeping Qty (E) / Qty (W) and Status in place', () => {
+  const project = loadProject({ user: 'ops@example.com' });
+  const shipDate = new Date('2025-01-20T12:00:00Z');
+  project.spreadsheet.addSheet(PLANNING, [
+    ['Timestamp', 'User', 'PO_SKU_Key', 'Est. Ship Date', 'Qty (E)', 'Qty (W)', 'Status'],
+    ['', 'ops@example.com', 'PO-1|SKU-A', shipDate, 2, 1, ''],
+    ['', 'ops@example.com', 'PO-2|SKU-B', shipDate, '', 4, 'Fulfilled'],
+    ['', 'ops@example.com', 'PO-3|SKU-C', shipDate, 0, 0, '']
+  ]);
+  project.spreadsheet.addSheet(`${PLANNING} | Archive`, [
+    ['Timestamp', 'User', 'PO_SKU_Key', 'Est. Ship Date', 'Qty (E)', 'Qty (W)', 'Status', 'Archive Run ID'],
+    ['', 'ops@example.com', 'PO-0|SKU-A', shipDate, 1, 0, 'Fulfilled', 'RUN-1']
+  ]);
+  project.addSchemaSheet('Order Shipping Mgt. Table', [
+    { PO_NUMBER: 'PO-1', MODEL_NAME: 'Model A', TOTAL_QTY: 3, SKU: 'SKU-A', PO_SKU_KEY: 'PO-1|SKU-A' },
+    { PO_NUMBER: 'PO-3', MODEL_NAME: 'Model C', TOTAL_QTY: 1, SKU: 'SKU-C', PO_SKU_KEY: 'PO-3|SKU-C' }
+  ]);
+
+  const data = project.call('getPlanningData');
+  assert.equal(data.success, true, data.message);
+  assert.deepEqual(JSON.parse(JSON.stringify(data.itemDetails['PO-1|SKU-A'].allocations)), { E: 2, W: 1 }, 'rows without Allocations read Qty (E) / Qty (W)');
+
+  project.newExecution();
+  const saved = project.call('savePlanningData', { poSkuKey: 'PO-3|SKU-C', totalQty: 1, estShipDate: '2025-01-22', allocations: { W: 1 } });
+  assert.equal(saved.success, true, saved.message);
+  assert.deepEqual(project.spreadsheet.getSheetByName(PLANNING).dump().map(row => [row[2]].concat(row.slice(4))), [
+    ['PO_SKU_Key', 'Qty (E)', 'Qty (W)', 'Status', 'Allocations'],
+    ['PO-1|SKU-A', 2, 1, '', 'E:2, W:1'],
+    ['PO-2|SKU-B', '', 4, 'Fulfilled', 'W:4'],
+    ['PO-3|SKU-C', 0, 1, '', 'W:1']
+  ]);
+  assert.deepEqual(project.spreadsheet.getSheetByName(`${PLANNING} | Archive`).dump()[1].slice(6), ['Fulfilled', 'RUN-1', 'E:1']);
+
+  project.newExecution();
+  const result = project.call('runWarehouseAllocationMigration');
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.message, "The shipment planning sheets already have the Allocations column. Created the 'Warehouses' sheet with East (E) and West (W).");
+  assert.deepEqual(project.readSchemaSheet(WAREHOUSES).map(r => [r.CODE, r.NAME, r.ACTIVE]), [['E', 'East', true], ['W', 'West', true]]);
+  assert.equal(project.spreadsheet.getSheetByName(PLANNING).dump()[0].length, 8, 'running it again adds nothing');
+});
+
+test('the migration adds the Allocations column without waiting for a save', () => {
+  const project = loadProject({ user: 'ops@example.com' });
+  project.addSchemaSheet(WAREHOUSES, warehouses);
+  project.spreadsheet.addSheet(PLANNING, [
+    ['Timestamp', 'User', 'PO_SKU_Key', 'Est. Ship Date', 'Qty (E)', 'Qty (W)', 'Status'],
+    ['', 'ops@example.com', 'PO-1|SKU-A', '', 2, 1, '']
+  ]);
+
+  const result = project.call('runWarehouseAllocationMigration');
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.message, "Added an Allocations column filled from Qty (E) / Qty (W): 'Shipment_Planning_DB' (1 row(s)).");
+  assert.deepEqual(project.spreadsheet.getSheetByName(PLANNING).dump()[1].slice(4), [2, 1, '', 'E:2, W:1']);
+});
+
+test('a split hands out every warehouse in order, and a broken Warehouses sheet or allocation is reported', () => {
+  const project = setup({
+    planning: [{ PO_SKU_KEY: 'PO-1001|SKU-A', EST_SHIP_DATE: new Date('2025-03-01T12:00:00Z'), ALLOCATIONS: 'TX:1, E:2, W:1', STATUS: '' }]
+  });
+  project.addSchemaSheet('Dealer PO | Raw Data', [dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A', P_O_QTY: 4 })]);
+  project.addSchemaSheet('Dealer PO | Archive', []);
+  project.addSchemaSheet('BOL_DB', []);
+  project.addSchemaSheet('Serial #_DB', []);
+
+  const split = project.call('splitPo', 'PO-1001', [
+    { poNumber: 'PO-1001-A', items: [{ sku: 'SKU-A', qty: 2 }] },
+    { poNumber: 'PO-1001-B', items: [{ sku: 'SKU-A', qty: 2 }] }
+  ], 'Two trucks');
+  assert.equal(split.success, true, split.message);
+  assert.deepEqual(project.readSchemaSheet(PLANNING).map(r => [r.PO_SKU_KEY, r.ALLOCATIONS]), [
+    ['PO-1001-A|SKU-A', 'E:1, TX:1'],
+    ['PO-1001-B|SKU-A', 'E:1, W:1']
+  ]);
+
+  project.newExecution();
+  project.spreadsheet.getSheetByName(PLANNING).getRange(2, 8).setValue('E=1');
+  assert.equal(project.call('getPlanningData').message, "Error: Invalid warehouse allocation 'E=1'. Use CODE:QTY pairs such as 'E:2, W:1'.");
+
+  project.newExecution();
+  project.spreadsheet.getSheetByName(WAREHOUSES).getRange(4, 1).setValue(' e ');
+  assert.equal(project.call('getPlanningData').message, "Error: 'Warehouses' row 4: Code E is listed more than once.");
+  project.spreadsheet.getSheetByName(WAREHOUSES).getRange(4, 1).setValue('E 2');
+  assert.throws(() => project.call('readWarehouses_'), /'Warehouses' row 4: Code 'E 2' may only contain letters, digits, '-' and '_'\./);
+  project.spreadsheet.getSheetByName(WAREHOUSES).getRange(4, 1).setValue('');
+  assert.deepEqual(project.call('readWarehouses_').map(w => w.code), ['E', 'W'], 'a row without a code is skipped');
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness/loader');
+const { dealerPoRow } = require('./harness/fixtures');
+
+function setup({ planning } = {}) {
+  const project = loadProject();
+  project.addSchemaSheet('Dealer PO | Raw Data', [
+    dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-A', P_O_QTY: 2 }),
+    dealerPoRow({ PO_NUMBER: 'PO-1001', SKU: 'SKU-B', P_O_LINE_ITEMS: 'Model B', P_O_QTY: 1 }),
+    dealerPoRow({ PO_NUMBER: 'PO-2002', SKU: 'SKU-A' }),
+    dealerPoRow({ PO_NUMBER: 'PO-3003', SKU: 'SKU-A', BUYER_NAME: 'Best Pools', COMPANY: 'Best Pools Inc.' })
+  ]);
+  project.addSchemaSheet('Shipment_Planning_DB', planning || [
+    { PO_SKU_KEY: 'PO-1001|SKU-A', EST_SHIP_DATE: new Date('2025-01-20T12:00:00Z'), QTY_E: 2, QTY_W: 0, STATUS: 'Fulfilled' }
+  ]);
+  project.addSchemaSheet('BOL_DB', [
+    { BOL_NUMBER: 'B-1', PO_SKU_KEY: 'PO-1001|SKU-A', SHIPPED_QTY: 2, SHIPPING_FEE: 40, ACT_SHIP_DATE: new Date('2025-01-22T12:00:00Z'), SIGNED: true }
+  ]);
+  project.addSchemaSheet('Serial #_DB', [
+    { SERIAL_NUMBER: 'S-1', PO_SKU_KEY: 'PO-1001|SKU-A', BOL_NUMBER: 'B-1' },
+    { SERIAL_NUMBER: 'S-2', PO_SKU_KEY: 'PO-1001|SKU-A', BOL_NUMBER: 'B-1' },
+    { SERIAL_NUMBER: 'S-3', PO_SKU_KEY: 'PO-3003|SKU-A', BOL_NUMBER: 'B-3' }
+  ]);
+  project.addSchemaSheet('Serial # | Raw Data', [
+    { SKU: 'SKU-A', SERIAL_NUMBER: 'S-1', PO_SKU_KEY: 'PO-1001|SKU-A', INBOUND_DATE: new Date('2025-01-05') },
+    { SKU: 'SKU-A', SERIAL_NUMBER: 'S-3', PO_SKU_KEY: 'PO-3003|SKU-A', INBOUND_DATE: new Date('2025-01-05') }
+  ]);
+  project.addSchemaSheet('Operation | Pending Order Dashboard', [{ PO_NUMBER: 'PO-1001', ESTIMATE_NUMBER: 'EST-77' }]);
+  project.addSchemaSheet('GIT Tool | DB', [
+    { PI_NUMBER: 'PI-9', ETA: new Date('2025-02-01T12:00:00Z'), MEMO: 'On vessel', FINISH: false }
+  ]);
+  const key = project.call('createApiKey', 'dealer-portal', ['Acme Supply']);
+  const opsKey = project.call('createApiKey', 'ops-dashboard', '*');
+  return { project, key, opsKey };
+}
+
+const get = (project, parameter, pathInfo) => JSON.parse(project.call('doGet', { parameter, pathInfo }).getContent());
+
+test('GET orders/{P/O} returns lines with planning, BOLs, serials and the estimate number', () => {
+  const { project, key } = setup();
+
+  const output = project.call('doGet', { parameter: { key }, pathInfo: 'orders/PO-1001' });
+  assert.equal(output.getMimeType(), 'JSON');
+  const body = JSON.parse(output.getContent());
+
+  assert.equal(body.success, true);
+  assert.equal(body.data.estimateNumber, 'EST-77');
+  assert.equal(body.data.status, 'Active');
+  assert.equal(body.data.lines.length, 2);
+  assert.deepEqual(body.data.lines[0], {
+    sku: 'SKU-A',
+    model: 'Model A',
+    qty: 2,
+    plannedShipDate: '2025-01-20',
+    plannedQty: { east: 2, west: 0, byWarehouse: { E: 2 } },
+    fulfilled: true,
+    bols: [{ bolNumber: 'B-1', shippedQty: 2, actShipDate: '2025-01-22', signed: true }],
+    serials: [{ serialNumber: 'S-1', bolNumber: 'B-1' }, { serialNumber: 'S-2', bolNumber: 'B-1' }]
+  });
+  assert.deepEqual(body.data.lines[1].bols, []);
+  assert.equal(body.data.lines[1].plannedShipDate, null);
+  assert.equal(JSON.stringify(body).includes('Unit Price'), false);
+  assert.equal('poTotal' in body.data, false, 'prices are not exposed');
+});
+
+test('planned quantities list every warehouse from the Allocations column', () => {
+  const { project, key } = setup({ planning: [
+    { PO_SKU_KEY: 'PO-1001|SKU-A', EST_SHIP_DATE: new Date('2025-01-20T12:00:00Z'), QTY_E: 0, QTY_W: 1, ALLOCATIONS: 'W:1, TX:1', STATUS: '' }
+  ] });
+
+  const line = get(project, { key }, 'orders/PO-1001').data.lines[0];
+  assert.deepEqual(line.plannedQty, { east: 0, west: 1, byWarehouse: { W: 1, TX: 1 } });
+});
+
+test('serial and PI routes reuse the existing lookups', () => {
+  const { project, key, opsKey } = setup();
+
+  assert.deepEqual(get(project, { key, path: 'serials/S-1' }).data,
+    { serialNumber: 'S-1', status: 'Used', poQuote: 'PO-1001|SKU-A', bol: 'B-1', date: 'N/A' });
+
+  const pi = get(project, { key: opsKey }, 'pis/PI-9');
+  assert.equal(pi.data.eta, '2025-02-01');
+  assert.equal(pi.data.memo, 'On vessel');
+  assert.equal(pi.data.isFinished, false);
+});
+
+test('errors use one envelope with a status code', () => {
+  const { project, key, opsKey } = setup();
+
+  assert.deepEqual(get(project, { path: 'orders/PO-1001' }),
+    { success: false, status: 401, code: 'UNAUTHORIZED', message: 'Missing or invalid API key.' });
+  assert.equal(get(project, { key: 'wrong', path: 'orders/PO-1001' }).code, 'UNAUTHORIZED');
+  assert.equal(get(project, { key }, 'orders/PO-404').code, 'NOT_FOUND');
+  assert.equal(get(project, { key: opsKey }, 'pis/PI-404').status, 404);
+  assert.equal(get(project, { key }, 'invoices/1').code, 'UNKNOWN_ROUTE');
+  assert.equal(get(project, { key }, 'orders').code, 'MISSING_ID');
+
+  const badJson = JSON.parse(project.call('doPost', { parameter: {}, postData: { contents: '{nope' } }).getContent());
+  assert.equal(badJson.code, 'BAD_REQUEST');
+});
+
+test('POST takes the path and key from the JSON body, and revoked keys stop working', () => {
+  const { project, key } = setup();
+  const post = body => JSON.parse(project.call('doPost', { parameter: {}, postData: { contents: JSON.stringify(body) } }).getContent());
+
+  assert.equal(post({ path: 'orders/PO-2002', apiKey: key }).data.poNumber, 'PO-2002');
+
+  assert.equal(project.call('revokeApiKey', 'dealer-portal'), true);
+  assert.equal(post({ path: 'orders/PO-2002', apiKey: key }).status, 401);
+});
+
+test('a key only reads P/Os whose buyer or company is in its scope', () => {
+  const { project, key, opsKey } = setup();
+  const bestKey = project.call('createApiKey', 'best-pools', ['  best pools inc. ']);
+
+  assert.deepEqual(get(project, { key }, 'orders/PO-3003'),
+    { success: false, status: 403, code: 'FORBIDDEN', message: 'API key "dealer-portal" is not allowed to read P/O \'PO-3003\'.' });
+  assert.equal(get(project, { key }, 'serials/S-3').code, 'FORBIDDEN', 'a serial reveals its P/O, so it is scoped too');
+  assert.equal(get(project, { key: bestKey }, 'orders/PO-3003').data.buyerName, 'Best Pools', 'the company name also matches');
+  assert.equal(get(project, { key: bestKey }, 'orders/PO-1001').status, 403);
+  assert.equal(get(project, { key: opsKey }, 'orders/PO-3003').success, true);
+  assert.equal(get(project, { key: opsKey }, 'serials/S-3').success, true);
+
+  assert.throws(() => project.call('createApiKey', 'no-scope'), /Buyers are required/);
+  project.properties.script.setProperty('API_KEYS', JSON.stringify({ legacy: 'old-key' }));
+  assert.equal(get(project, { key: 'old-key' }, 'orders/PO-1001').code, 'FORBIDDEN', 'keys without a scope read nothing');
+});
+
+test('PI status is only for internal keys, so a buyer-scoped key cannot read any PI', () => {
+  const { project, key, opsKey } = setup();
+
+  assert.deepEqual(get(project, { key }, 'pis/PI-9'),
+    { success: false, status: 403, code: 'FORBIDDEN', message: 'API key "dealer-portal" is not allowed to read PI status. Only keys created with \'*\' can.' });
+  assert.equal(get(project, { key }, 'pis/PI-404').code, 'FORBIDDEN', 'a scoped key cannot probe which PIs exist');
+  assert.equal(get(project, { key: opsKey }, 'pis/PI-9').data.memo, 'On vessel');
+});